@@ -8,7 +8,37 @@ import { DataManager } from './data/DataManager.js';
 import { FilterManager } from './filters/FilterManager.js';
 import { DateRangeDisplay } from './components/DateRangeDisplay.js';
 import { FilterPanel } from './components/FilterPanel.js';
+import { DatasetPanel } from './components/DatasetPanel.js';
+import { ImportPanel } from './components/ImportPanel.js';
+import { DataQualityPanel } from './components/DataQualityPanel.js';
+import { QuarantinePanel } from './components/QuarantinePanel.js';
+import { SwapCurvePanel } from './components/SwapCurvePanel.js';
+import { ColumnMappingPanel } from './components/ColumnMappingPanel.js';
+import { formatNumber } from './utils/formatUtils.js';
 import { DataTableView } from './views/DataTableView.js';
+import { PricingView } from './views/PricingView.js';
+import { DistributionView } from './views/DistributionView.js';
+
+/**
+ * Describe a DataLoader progress update for the loading indicator
+ * @param {Object} progress - Progress update from DataLoader.loadAllYears
+ * @returns {string} Status text
+ */
+function describeLoadProgress(progress) {
+  if (progress.stage === 'processing') {
+    return `Processing ${formatNumber(progress.rowsParsed)} records...`;
+  }
+  
+  const megabytesRead = formatNumber((progress.bytesRead || 0) / 1024 / 1024, 1);
+  const size = progress.totalBytes
+    ? `${megabytesRead} / ${formatNumber(progress.totalBytes / 1024 / 1024, 1)} MB`
+    : `${megabytesRead} MB`;
+  const eta = progress.etaSeconds !== null && progress.etaSeconds !== undefined
+    ? `, about ${Math.ceil(progress.etaSeconds)}s remaining`
+    : '';
+  
+  return `Loading data... ${size}, ${formatNumber(progress.rowsParsed || 0)} rows${eta}`;
+}
 
 // Initialize application when DOM is fully loaded
 document.addEventListener('DOMContentLoaded', async () => {
@@ -28,9 +58,80 @@ document.addEventListener('DOMContentLoaded', async () => {
       document.getElementById('date-range-display'),
       dataManager
     );
+    const loadingText = loadingIndicator.querySelector('span');
+    const showLoadProgress = progress => {
+      if (loadingText) loadingText.textContent = describeLoadProgress(progress);
+    };
+
+    /**
+     * Replace the loaded data, then refresh the filter options and re-run the current filters
+     * @param {Function} update - Async function that changes the data in DataManager
+     * @returns {Promise<*>} Result of update
+     */
+    const updateLoadedData = async (update) => {
+      loadingIndicator.classList.remove('hidden');
+      try {
+        const result = await update();
+        filterPanel.render();
+        stateManager.setState('ui.isApplyingFilters', true);
+        await filterManager.applyFilters(stateManager.state.filters);
+        return result;
+      } finally {
+        loadingIndicator.classList.add('hidden');
+      }
+    };
+
+    const datasetPanel = new DatasetPanel(
+      document.getElementById('dataset-panel'),
+      stateManager,
+      {
+        onClearCache: () => dataManager.clearCache(),
+        onRefresh: () => updateLoadedData(() => dataManager.reloadData(showLoadProgress, { fromSource: true })),
+        onDeduplicationChange: settings => updateLoadedData(() => dataManager.setDeduplication(settings))
+      }
+    );
+
+    const importPanel = new ImportPanel(
+      document.getElementById('import-panel'),
+      stateManager,
+      {
+        onImport: (files, mode, dateFormat) => updateLoadedData(() => dataManager.importLocalFiles(files, { mode, dateFormat, progressCallback: showLoadProgress }))
+      }
+    );
+
+    const columnMappingPanel = new ColumnMappingPanel(
+      document.getElementById('mapping-panel'),
+      stateManager,
+      {
+        onMappingChange: (source, mapping) => updateLoadedData(() => dataManager.setColumnMapping(source, mapping, { progressCallback: showLoadProgress }))
+      }
+    );
+
+    const quarantinePanel = new QuarantinePanel(
+      document.getElementById('quarantine-panel'),
+      stateManager,
+      {
+        onSettingsChange: settings => updateLoadedData(() => dataManager.setOutlierSettings(settings)),
+        onInclusionChange: inclusion => updateLoadedData(() => dataManager.setQuarantineInclusion(inclusion))
+      }
+    );
+
+    const swapCurvePanel = new SwapCurvePanel(
+      document.getElementById('swap-curve-panel'),
+      stateManager,
+      {
+        onCurveImport: file => updateLoadedData(() => dataManager.importSwapCurve(file)),
+        onSettingsChange: settings => updateLoadedData(() => dataManager.setSwapCurveSettings(settings))
+      }
+    );
+
+    const dataQualityPanel = new DataQualityPanel(
+      document.getElementById('quality-panel'),
+      stateManager
+    );
 
-    // Load data first
-    await dataManager.loadAllData();
+    // Load data first (from the dataset cache where possible), streaming progress into the loading indicator
+    await dataManager.loadAllData({ progressCallback: showLoadProgress });
 
     // Initialize filter panel after data is loaded to prevent recursion issues
     const filterPanel = new FilterPanel(
@@ -46,8 +147,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     const dataTableView = new DataTableView(
       document.getElementById('data-table-view'),
       dataManager, // Pass dataManager if DataTableView needs it directly
-      stateManager
+      stateManager,
+      {
+        onBandSettingsChange: settings => updateLoadedData(() => dataManager.setBandSettings(settings)),
+        onReaggregate: options => filterManager.reaggregate(options)
+      }
     );
+    const pricingView = new PricingView(document.getElementById('pricing-view'), dataManager, stateManager);
+    const distributionView = new DistributionView(document.getElementById('distribution-view'), dataManager, stateManager);
 
     // Define initializeViewTabs INSIDE this scope so it has access to dataTableView
     function initializeViewTabs() { 
@@ -83,6 +190,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                 } else {
                   console.error(`[App] CRITICAL ERROR: dataTableView is undefined or null! Cannot call activateView.`);
                 }
+              } else if (panel.id === 'pricing-view') {
+                pricingView.activateView();
+              } else if (panel.id === 'distribution-view') {
+                distributionView.activateView();
               }
             } else {
               // Only add 'hidden' if it's not the target panel AND it wasn't already hidden
@@ -110,6 +221,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('export-data').addEventListener('click', () => {
       dataTableView.exportCSV();
     });
+    document.getElementById('export-records').addEventListener('click', () => {
+      dataTableView.exportRecordsCSV();
+    });
 
     // --- Add Apply Filters Button Logic ---
     const filterPanelEventContainer = document.getElementById('filter-panel-container') || document.body;
@@ -121,6 +235,12 @@ document.addEventListener('DOMContentLoaded', async () => {
             targetButton = event.target.closest('#apply-filters-button');
         }
 
+        if (event.target.closest('#cancel-filters-button')) {
+            console.log('[App] Cancel button clicked (delegated).');
+            filterManager.cancel();
+            return;
+        }
+
         if (targetButton && targetButton.id === 'apply-filters-button') {
             console.log('[App] Apply Filters button clicked (delegated).');
             const currentSpinner = document.getElementById('loading-spinner'); 
@@ -136,21 +256,13 @@ document.addEventListener('DOMContentLoaded', async () => {
                 stateManager.setState('ui.isApplyingFilters', true);
                 console.log('[App] ui.isApplyingFilters state changed:', stateManager.getState('ui.isApplyingFilters'));
 
-                // Yield to browser to paint spinner before starting heavy task
-                setTimeout(async () => {
-                  try {
-                    // Apply filters and re-aggregate data
-                    await filterManager.applyFilters(stateManager.state.filters);
-                    console.log('[App] filterManager.applyFilters completed.');
-                  } catch (error) {
-                    console.error('[App] Error during filterManager.applyFilters:', error);
-                    // Ensure spinner is hidden even if applyFilters fails catastrophically
-                    stateManager.setState('ui.isApplyingFilters', false);
-                  }
-                  // Spinner hiding is now handled by DataTable's renderComplete or DataTableView for null data
-                }, 0);
+                // Filtering and aggregation run in the data worker, so the spinner paints without yielding first
+                await filterManager.applyFilters(stateManager.state.filters);
+                console.log('[App] filterManager.applyFilters completed.');
+                // Spinner hiding is now handled by DataTable's renderComplete or DataTableView for null data
             } catch (error) {
-                console.error('[App] Error during applyFiltersButton click handler (delegated):', error);
+                console.error('[App] Error during filterManager.applyFilters:', error);
+                // Ensure spinner is hidden even if applyFilters fails catastrophically
                 stateManager.setState('ui.isApplyingFilters', false); 
                 // Subscription will handle hiding spinner and enabling button
             }
@@ -162,6 +274,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         stateManager.subscribe('ui.isApplyingFilters', (isApplyingFilters) => {
             const currentSpinner = document.getElementById('loading-spinner');
             const currentButton = document.getElementById('apply-filters-button');
+            const cancelButton = document.getElementById('cancel-filters-button');
             
             if (currentSpinner) {
                 currentSpinner.style.display = isApplyingFilters ? 'block' : 'none';
@@ -169,6 +282,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (currentButton) {
                 currentButton.disabled = isApplyingFilters;
             }
+            if (cancelButton) {
+                cancelButton.classList.toggle('hidden', !isApplyingFilters);
+            }
         });
     }
     // --- End Apply Filters Button Logic ---
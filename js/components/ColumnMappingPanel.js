@@ -0,0 +1,242 @@
+/**
+ * ColumnMappingPanel.js
+ * Component showing which column mapping profile each loaded source was read with,
+ * with an editor for mapping unknown headers by hand
+ */
+
+import { COLUMN_MAP, MAPPABLE_FIELDS, MAPPING_PROFILES, REQUIRED_MAPPING_FIELDS } from '../data/ColumnMapper.js';
+import { escapeHtml } from '../utils/formatUtils.js';
+
+export class ColumnMappingPanel {
+  /**
+   * Create a new ColumnMappingPanel instance
+   * @param {HTMLElement} container - Container element
+   * @param {Object} stateManager - StateManager instance
+   * @param {Object} actions - Mapping actions
+   * @param {Function} actions.onMappingChange - Called (and awaited) with (source, mapping) where mapping is
+   *   { profile, columns } or null to detect the profile again
+   */
+  constructor(container, stateManager, actions = {}) {
+    this.container = container;
+    this.stateManager = stateManager;
+    this.actions = actions;
+    this.busy = false;
+    // Source being edited and the unsaved { profile, columns } chosen in the editor
+    this.editing = null;
+    this.draft = null;
+
+    this.stateManager.subscribe('data.columnMappings', () => this.render());
+    this.attachEventListeners();
+  }
+
+  /**
+   * Set up delegated listeners, so they survive re-renders
+   * @private
+   */
+  attachEventListeners() {
+    this.container.addEventListener('click', event => {
+      const button = event.target.closest('[data-mapping-action]');
+      if (!button) return;
+
+      const { mappingAction, source } = button.dataset;
+      if (mappingAction === 'edit') {
+        this.startEditing(source);
+      } else if (mappingAction === 'cancel') {
+        this.editing = null;
+        this.render();
+      } else if (mappingAction === 'apply') {
+        this.save(this.editing, this.readDraft());
+      } else if (mappingAction === 'detect') {
+        this.save(this.editing, null);
+      }
+    });
+
+    this.container.addEventListener('change', event => {
+      if (event.target.classList.contains('mapping-profile')) {
+        // Switching profile starts again from that profile's headers
+        this.draft = { profile: event.target.value, columns: { ...MAPPING_PROFILES[event.target.value].columns } };
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Open the editor for a source
+   * @param {string} source - Dataset path or imported file name
+   * @private
+   */
+  startEditing(source) {
+    const entry = this.getEntries().find(mapping => mapping.source === source);
+    if (!entry) return;
+
+    this.editing = source;
+    this.draft = {
+      profile: entry.profile || Object.keys(MAPPING_PROFILES)[0],
+      columns: { ...(entry.columns || MAPPING_PROFILES[Object.keys(MAPPING_PROFILES)[0]].columns) }
+    };
+    this.render();
+  }
+
+  /**
+   * Read the editor into a mapping, keeping only the headers that differ from the profile
+   * @returns {Object} { profile, columns }
+   * @private
+   */
+  readDraft() {
+    const profileColumns = MAPPING_PROFILES[this.draft.profile].columns;
+    const columns = {};
+    this.container.querySelectorAll('.mapping-field').forEach(select => {
+      const field = select.dataset.field;
+      const header = select.value || null;
+      if (header !== (profileColumns[field] || null)) {
+        columns[field] = header;
+      }
+    });
+    return { profile: this.draft.profile, columns };
+  }
+
+  /**
+   * Save a mapping, disabling the controls until the data has been re-processed
+   * @param {string} source - Dataset path or imported file name
+   * @param {Object|null} mapping - Mapping to save
+   * @private
+   */
+  async save(source, mapping) {
+    if (this.busy || !source || !this.actions.onMappingChange) return;
+
+    this.busy = true;
+    this.render();
+    try {
+      await this.actions.onMappingChange(source, mapping);
+      this.editing = null;
+    } catch (error) {
+      console.error('[ColumnMappingPanel] Saving the mapping failed:', error);
+    } finally {
+      this.busy = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Get the loaded sources and their mappings
+   * @returns {Array<Object>} Entries (see DataManager.describeColumnMapping)
+   * @private
+   */
+  getEntries() {
+    return this.stateManager.getState('data.columnMappings') || [];
+  }
+
+  /**
+   * Describe the mapping status of a source
+   * @param {Object} entry - Mapping entry
+   * @returns {string} Status text
+   * @private
+   */
+  describeStatus(entry) {
+    if (!entry.profile) return 'Not loaded';
+    if (entry.missing.length > 0) return `Missing ${entry.missing.map(field => COLUMN_MAP[field]).join(', ')}`;
+    if (entry.unmappedHeaders.length > 0) return `${entry.unmappedHeaders.length} unmapped header(s)`;
+    return 'OK';
+  }
+
+  /**
+   * Render the editor for the source being edited
+   * @param {Object} entry - Mapping entry
+   * @returns {string} HTML
+   * @private
+   */
+  renderEditor(entry) {
+    const disabled = this.busy ? 'disabled' : '';
+    const headerOptions = selected => [
+      `<option value="">(not in file)</option>`,
+      ...entry.headers.map(header => `<option value="${escapeHtml(header)}" ${header === selected ? 'selected' : ''}>${escapeHtml(header)}</option>`)
+    ].join('');
+
+    return `
+      <div class="mapping-editor">
+        <label>
+          Profile
+          <select class="mapping-profile" ${disabled}>
+            ${Object.entries(MAPPING_PROFILES).map(([id, profile]) => `<option value="${id}" ${id === this.draft.profile ? 'selected' : ''}>${profile.label}</option>`).join('')}
+          </select>
+        </label>
+        <table class="dataset-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Header in ${escapeHtml(entry.label)}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${MAPPABLE_FIELDS.map(field => `
+              <tr>
+                <td>${COLUMN_MAP[field]}${REQUIRED_MAPPING_FIELDS.includes(field) ? ' *' : ''}</td>
+                <td>
+                  <select class="mapping-field" data-field="${field}" ${disabled}>
+                    ${headerOptions(this.draft.columns[field])}
+                  </select>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="dataset-actions">
+          <button type="button" class="btn btn-secondary" data-mapping-action="detect" ${disabled}>Detect automatically</button>
+          <button type="button" class="btn btn-secondary" data-mapping-action="cancel" ${disabled}>Cancel</button>
+          <button type="button" class="btn btn-secondary" data-mapping-action="apply" ${disabled}>Apply</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the list of sources and, if open, the editor
+   */
+  render() {
+    const entries = this.getEntries();
+
+    if (entries.length === 0) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const open = this.container.querySelector('.mapping-panel')?.open;
+    const editingEntry = entries.find(entry => entry.source === this.editing);
+    const problemCount = entries.filter(entry => entry.profile && entry.missing.length > 0).length;
+
+    this.container.innerHTML = `
+      <details class="mapping-panel"${open || editingEntry ? ' open' : ''}>
+        <summary>
+          Column mapping
+          <span class="text-muted">${problemCount > 0 ? `${problemCount} source(s) need mapping` : 'all sources mapped'}</span>
+        </summary>
+        <table class="dataset-table">
+          <thead>
+            <tr>
+              <th>Source</th>
+              <th>Profile</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${entries.map(entry => `
+              <tr class="${entry.profile && entry.missing.length > 0 ? 'dataset-status-error' : ''}">
+                <td title="${escapeHtml(entry.source)}">${escapeHtml(entry.label)}</td>
+                <td>
+                  ${entry.profile ? MAPPING_PROFILES[entry.profile].label : '-'}
+                  ${entry.profile ? `<span class="text-muted">(${entry.saved ? 'saved' : entry.detected ? 'detected' : 'manifest'})</span>` : ''}
+                </td>
+                <td title="${escapeHtml(entry.unmappedHeaders ? entry.unmappedHeaders.join(', ') : '')}">${this.describeStatus(entry)}</td>
+                <td class="text-right">
+                  ${entry.profile ? `<button type="button" class="btn btn-secondary" data-mapping-action="edit" data-source="${escapeHtml(entry.source)}" ${this.busy ? 'disabled' : ''}>Edit</button>` : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${editingEntry ? this.renderEditor(editingEntry) : ''}
+      </details>
+    `;
+  }
+}
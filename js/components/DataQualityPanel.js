@@ -0,0 +1,212 @@
+/**
+ * DataQualityPanel.js
+ * Component showing the data quality report for the loaded data
+ */
+
+import { DataQualityReport } from '../data/DataQualityReport.js';
+import { formatCurrency, formatNumber, formatPercentage } from '../utils/formatUtils.js';
+import { downloadFile, datedFileName } from '../utils/exportUtils.js';
+
+export class DataQualityPanel {
+  /**
+   * Create a new DataQualityPanel instance
+   * @param {HTMLElement} container - Container element
+   * @param {Object} stateManager - StateManager instance
+   */
+  constructor(container, stateManager) {
+    this.container = container;
+    this.stateManager = stateManager;
+
+    this.stateManager.subscribe('data.qualityReport', () => this.render());
+
+    this.container.addEventListener('click', event => {
+      const button = event.target.closest('[data-quality-export]');
+      if (button) this.export(button.dataset.qualityExport);
+    });
+  }
+
+  /**
+   * Export the current report
+   * @param {string} format - 'csv' or 'json'
+   */
+  export(format) {
+    const report = this.stateManager.getState('data.qualityReport');
+    if (!report) return;
+
+    if (format === 'json') {
+      downloadFile(JSON.stringify(report, null, 2), datedFileName('data-quality', 'json'), 'application/json');
+    } else {
+      downloadFile(DataQualityReport.toCSV(report), datedFileName('data-quality', 'csv'));
+    }
+  }
+
+  /**
+   * Format the dropped-row reasons of a source
+   * @param {Object} droppedRows - Count by reason
+   * @returns {string} Display string
+   * @private
+   */
+  formatDropped(droppedRows) {
+    const entries = Object.entries(droppedRows);
+    if (entries.length === 0) return '0';
+    return entries.map(([reason, count]) => `${formatNumber(count)} ${reason}`).join(', ');
+  }
+
+  /**
+   * Render the report
+   */
+  render() {
+    const report = this.stateManager.getState('data.qualityReport');
+
+    if (!report || report.sources.length === 0) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const open = this.container.querySelector('.quality-panel')?.open;
+    const issues = DataQualityReport.getIssues(report);
+    const issueCount = issues.reduce((sum, issue) => sum + issue.count, 0);
+    const droppedCount = report.sources.reduce((sum, source) => sum + source.totalRows - source.keptRows, 0);
+    // Columns that are always populated would only add noise
+    const columnRates = DataQualityReport.getColumnRates(report).filter(rate => rate.nulls > 0 || rate.blanks > 0);
+    const lenderMerges = DataQualityReport.getLenderMerges(report);
+    const { outliers } = report;
+    const rate = count => formatPercentage(report.totalRows > 0 ? (count / report.totalRows) * 100 : 0);
+
+    this.container.innerHTML = `
+      <details class="quality-panel"${open ? ' open' : ''}>
+        <summary>
+          Data quality
+          <span class="text-muted">${formatNumber(report.totalRows)} rows, ${formatNumber(droppedCount)} dropped, ${formatNumber(issueCount)} issues${outliers ? `, ${formatNumber(outliers.flaggedCount - outliers.includedCount)} quarantined` : ''}</span>
+        </summary>
+
+        <h4>Rows by source</h4>
+        <table class="dataset-table">
+          <thead>
+            <tr>
+              <th>Source</th>
+              <th class="text-right">Rows</th>
+              <th class="text-right">Kept</th>
+              <th class="text-right">Dropped</th>
+              <th>Date format</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${report.sources.map(source => `
+              <tr class="${source.dateFormat && (source.dateFormat.ambiguous || source.dateFormat.conflicting) ? 'dataset-status-warning' : ''}">
+                <td>${source.source}</td>
+                <td class="text-right">${formatNumber(source.totalRows)}</td>
+                <td class="text-right">${formatNumber(source.keptRows)}</td>
+                <td class="text-right">${this.formatDropped(source.droppedRows)}</td>
+                <td>${DataQualityReport.describeDateFormat(source.dateFormat)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        <h4>Value checks</h4>
+        <table class="dataset-table">
+          <thead>
+            <tr>
+              <th>Check</th>
+              <th>Column</th>
+              <th class="text-right">Rows</th>
+              <th class="text-right">% of rows</th>
+              <th>Examples</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${issues.map(issue => `
+              <tr class="${issue.count > 0 ? 'dataset-status-warning' : ''}">
+                <td>${issue.issue}</td>
+                <td>${issue.field}</td>
+                <td class="text-right">${formatNumber(issue.count)}</td>
+                <td class="text-right">${rate(issue.count)}</td>
+                <td>${issue.examples.map(example => `row ${example.row}: <code>${example.value}</code>`).join(', ')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        ${!outliers ? '' : `
+          <h4>Outliers</h4>
+          <p>
+            ${formatNumber(outliers.flaggedCount)} records quarantined (${formatCurrency(outliers.flaggedLoanVolume)} of loans),
+            ${formatNumber(outliers.includedCount)} included again after review.
+          </p>
+          ${outliers.reasons.length === 0 ? '' : `
+            <table class="dataset-table">
+              <thead>
+                <tr>
+                  <th>Check</th>
+                  <th>Column</th>
+                  <th class="text-right">Rows</th>
+                  <th class="text-right">% of rows</th>
+                  <th class="text-right">Included</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${outliers.reasons.map(reason => `
+                  <tr class="${reason.count > reason.includedCount ? 'dataset-status-warning' : ''}">
+                    <td>${reason.label}</td>
+                    <td>${reason.field}</td>
+                    <td class="text-right">${formatNumber(reason.count)}</td>
+                    <td class="text-right">${rate(reason.count)}</td>
+                    <td class="text-right">${formatNumber(reason.includedCount)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        `}
+
+        ${lenderMerges.length === 0 ? '' : `
+          <h4>Merged lender names</h4>
+          <table class="dataset-table">
+            <thead>
+              <tr>
+                <th>Lender</th>
+                <th>Raw names (rows)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${lenderMerges.map(merge => `
+                <tr>
+                  <td>${merge.lender}</td>
+                  <td>${merge.names.map(({ name, count }) => `<code>${name}</code> (${formatNumber(count)})`).join(', ')}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+
+        <h4>Missing values</h4>
+        ${columnRates.length === 0 ? '<p class="text-muted">Every column is populated in every row.</p>' : `
+          <table class="dataset-table">
+            <thead>
+              <tr>
+                <th>Column</th>
+                <th class="text-right">Null</th>
+                <th class="text-right">Blank</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${columnRates.map(columnRate => `
+                <tr>
+                  <td>${columnRate.column}</td>
+                  <td class="text-right">${formatPercentage(columnRate.nullRate)}</td>
+                  <td class="text-right">${formatPercentage(columnRate.blankRate)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+
+        <div class="dataset-actions">
+          <button type="button" class="btn btn-secondary" data-quality-export="csv">Export CSV</button>
+          <button type="button" class="btn btn-secondary" data-quality-export="json">Export JSON</button>
+        </div>
+      </details>
+    `;
+  }
+}
@@ -6,8 +6,10 @@
  * with support for sorting, filtering, and formatting of mortgage data.
  */
 
-import { comparePremiumBands, standardizePremiumBand } from '../utils/sortUtils.js';
+import { comparePremiumBands } from '../utils/sortUtils.js';
+import { DataAggregator, ROW_DIMENSIONS } from '../data/DataAggregator.js';
 import { formatCurrency, formatPercentage } from '../utils/formatUtils.js';
+import { formatPeriodLabel } from '../utils/dateUtils.js';
 
 export class DataTable {
   /**
@@ -32,27 +34,32 @@ export class DataTable {
   
   /**
    * Create column definitions for the table
-   * @param {Array} months - Array of month strings
+   * @param {Array} months - Array of period keys (months unless timeGrain says otherwise)
    * @param {boolean} includeCount - Whether to include count columns
+   * @param {string} rowField - Column the rows are values of (see ROW_DIMENSIONS)
+   * @param {Array<string>} rowOrder - Row values in display order (used to sort rows other than premium bands)
+   * @param {string} timeGrain - Time grain of the periods (see TIME_GRAINS)
    * @returns {Array} Column definitions
    * @private
    */
-  createColumnDefinitions(months, includeCount = true) {
+  createColumnDefinitions(months, includeCount = true, rowField = 'PremiumBand', rowOrder = [], timeGrain = 'month') {
+    // Rows keep their aggregation order; the Total row sorts last
+    const rowPosition = value => (rowOrder.includes(value) ? rowOrder.indexOf(value) : Infinity);
     const columns = [
       {
-        title: "Premium Band",
+        title: (ROW_DIMENSIONS[rowField] || ROW_DIMENSIONS.PremiumBand).label,
         field: "premiumBand",
         headerSort: true,
         frozen: true,
         headerFilter: true,
-        sorter: comparePremiumBands
+        sorter: rowField === 'PremiumBand' ? comparePremiumBands : (a, b) => rowPosition(a) - rowPosition(b)
       }
     ];
     
-    // Add month columns
+    // Add period columns
     months.forEach(month => {
-      // Format month for display (e.g., "2025-01" to "Jan 25")
-      const displayMonth = this.formatMonthLabel(month);
+      // Format period for display (e.g., "2025-01" to "Jan 25", "2025-Q1" to "Q1 2025")
+      const displayMonth = this.formatMonthLabel(month, timeGrain);
       
       columns.push({
         title: displayMonth,
@@ -102,19 +109,14 @@ export class DataTable {
   }
   
   /**
-   * Format month label for display
-   * @param {string} monthStr - Month string in format YYYY-MM
-   * @returns {string} Formatted month label (e.g., "Jan 25")
+   * Format period label for display
+   * @param {string} monthStr - Period key, e.g. YYYY-MM for a month
+   * @param {string} timeGrain - Time grain of the key (see TIME_GRAINS)
+   * @returns {string} Formatted period label (e.g., "Jan 25")
    * @private
    */
-  formatMonthLabel(monthStr) {
-    try {
-      const [year, month] = monthStr.split('-');
-      const date = new Date(parseInt(year), parseInt(month) - 1, 1);
-      return date.toLocaleDateString('en-GB', { month: 'short', year: '2-digit' });
-    } catch (e) {
-      return monthStr; // Return original if parsing fails
-    }
+  formatMonthLabel(monthStr, timeGrain = 'month') {
+    return formatPeriodLabel(monthStr, timeGrain);
   }
   
   /**
@@ -124,69 +126,8 @@ export class DataTable {
    * @private
    */
   transformDataForTable(aggregatedData) {
-    if (!aggregatedData) return [];
-    
-    const { premiumBands, months, data, totals, unfilteredTotals } = aggregatedData;
-    const tableData = [];
-    
-    // Create a row for each premium band, filtering out 'Unknown'
-    premiumBands.forEach(band => {
-      // Skip the 'Unknown' and '-0.4--0.2' premium bands
-      if (band === 'Unknown' || band === '-0.4--0.2') return;
-      // Standardize premium band format (convert decimal to basis points if needed)
-      const standardizedBand = standardizePremiumBand(band);
-      
-      // Calculate market share as percentage of total lending in this price premium bucket
-      let marketShare = 100; // Default to 100% if no unfiltered totals available
-      
-      if (unfilteredTotals && unfilteredTotals.byPremiumBand && unfilteredTotals.byPremiumBand[band] > 0) {
-        // Market share = (filtered amount for this band / unfiltered amount for this band) * 100
-        marketShare = ((totals.byPremiumBand[band] || 0) / unfilteredTotals.byPremiumBand[band]) * 100;
-      } else if (totals.overall > 0) {
-        // Fallback to old calculation if unfiltered totals not available
-        marketShare = ((totals.byPremiumBand[band] || 0) / totals.overall) * 100;
-      }
-      
-      const row = {
-        premiumBand: standardizedBand,
-        amount: {},
-        count: {},
-        total: totals.byPremiumBand[band] || 0,
-        marketShare: marketShare
-      };
-      
-      // Add data for each month
-      months.forEach(month => {
-        if (data[band] && data[band][month]) {
-          row.amount[month] = data[band][month].amount;
-          row.count[month] = data[band][month].count;
-        } else {
-          row.amount[month] = 0;
-          row.count[month] = 0;
-        }
-      });
-      
-      tableData.push(row);
-    });
-    
-    // Add a total row
-    const totalRow = {
-      premiumBand: "Total",
-      amount: {},
-      count: {},
-      total: totals.overall,
-      marketShare: unfilteredTotals && unfilteredTotals.overall > 0 ? 
-        (totals.overall / unfilteredTotals.overall) * 100 : 100
-    };
-    
-    months.forEach(month => {
-      totalRow.amount[month] = totals.byMonth[month] || 0;
-      totalRow.count[month] = aggregatedData.counts?.byMonth[month] || 0;
-    });
-    
-    tableData.push(totalRow);
-    
-    return tableData;
+    // Shared with the headless report, so exported reports match the table
+    return DataAggregator.createReportRows(aggregatedData);
   }
   
   /**
@@ -224,7 +165,7 @@ export class DataTable {
 
       const tableData = this.transformDataForTable(aggregatedData);
       console.log('Rendering table with months:', aggregatedData.months); // Keep this log for now
-      const columnDefinitions = this.createColumnDefinitions(aggregatedData.months);
+      const columnDefinitions = this.createColumnDefinitions(aggregatedData.months, true, aggregatedData.rowField, aggregatedData.premiumBands, aggregatedData.timeGrain);
 
       const tableOptions = {
         data: tableData,
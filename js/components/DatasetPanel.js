@@ -0,0 +1,221 @@
+/**
+ * DatasetPanel.js
+ * Component listing the datasets declared in the manifest and how they loaded,
+ * with controls for the persistent dataset cache and duplicate removal
+ */
+
+import { COLUMN_MAP } from '../data/ColumnMapper.js';
+import { formatNumber, formatCurrency } from '../utils/formatUtils.js';
+
+export class DatasetPanel {
+  /**
+   * Create a new DatasetPanel instance
+   * @param {HTMLElement} container - Container element
+   * @param {Object} stateManager - StateManager instance
+   * @param {Object} actions - Loader actions
+   * @param {Function} actions.onClearCache - Called (and awaited) when "Clear cache" is clicked
+   * @param {Function} actions.onRefresh - Called (and awaited) when "Refresh from source" is clicked
+   * @param {Function} actions.onDeduplicationChange - Called (and awaited) with { enabled, keyFields } when deduplication settings are applied
+   */
+  constructor(container, stateManager, actions = {}) {
+    this.container = container;
+    this.stateManager = stateManager;
+    this.actions = actions;
+    this.busy = false;
+
+    // Re-render whenever the manifest validation results or deduplication outcome change
+    this.stateManager.subscribe('data.datasetValidation', () => this.render());
+    this.stateManager.subscribe('data.deduplication', () => this.render());
+
+    this.container.addEventListener('click', event => {
+      const button = event.target.closest('[data-dataset-action]');
+      if (button) this.runAction(button.dataset.datasetAction);
+    });
+  }
+
+  /**
+   * Run a loader action, disabling the controls until it finishes
+   * @param {string} action - 'clear-cache', 'refresh' or 'deduplicate'
+   * @private
+   */
+  async runAction(action) {
+    const handlers = {
+      'clear-cache': this.actions.onClearCache,
+      refresh: this.actions.onRefresh,
+      deduplicate: this.actions.onDeduplicationChange
+    };
+    const handler = handlers[action];
+    if (!handler || this.busy) return;
+
+    // Read the form before re-rendering replaces it
+    const args = action === 'deduplicate' ? [this.readDeduplicationForm()] : [];
+
+    this.busy = true;
+    this.render();
+    try {
+      await handler(...args);
+    } catch (error) {
+      console.error(`[DatasetPanel] ${action} failed:`, error);
+    } finally {
+      this.busy = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Read the deduplication settings from the form
+   * @returns {Object} { enabled, keyFields }
+   * @private
+   */
+  readDeduplicationForm() {
+    return {
+      enabled: this.container.querySelector('.dedupe-enabled').checked,
+      keyFields: Array.from(this.container.querySelectorAll('.dedupe-key-field:checked'), input => input.value)
+    };
+  }
+
+  /**
+   * Render the deduplication settings and the outcome of the last run
+   * @param {Object} deduplication - Deduplication state from DataManager
+   * @returns {string} HTML
+   * @private
+   */
+  renderDeduplication(deduplication) {
+    if (!deduplication) return '';
+
+    const columns = [...new Set(Object.values(COLUMN_MAP))];
+    const { enabled, keyFields, result } = deduplication;
+
+    return `
+      <div class="dedupe-settings">
+        <label><input type="checkbox" class="dedupe-enabled" ${enabled ? 'checked' : ''}> Remove duplicate records</label>
+        <div class="dedupe-key-fields">
+          <span class="text-muted">Duplicates match on:</span>
+          ${columns.map(column => `
+            <label><input type="checkbox" class="dedupe-key-field" value="${column}" ${keyFields.includes(column) ? 'checked' : ''}> ${column}</label>
+          `).join('')}
+        </div>
+        <div class="dataset-actions">
+          <button type="button" class="btn btn-secondary" data-dataset-action="deduplicate" ${this.busy ? 'disabled' : ''}>Apply</button>
+        </div>
+        ${result ? `
+          <p>Removed ${formatNumber(result.removedCount)} duplicate records (${formatCurrency(result.removedLoanVolume)} of loans).</p>
+          ${result.sample.length > 0 ? `
+            <table class="dataset-table">
+              <thead>
+                <tr>
+                  <th class="text-right">Row</th>
+                  ${result.keyFields.map(field => `<th>${field}</th>`).join('')}
+                </tr>
+              </thead>
+              <tbody>
+                ${result.sample.map(duplicate => `
+                  <tr>
+                    <td class="text-right">${formatNumber(duplicate.row)}</td>
+                    ${result.keyFields.map(field => `<td>${duplicate.values[field]}</td>`).join('')}
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+            ${result.removedCount > result.sample.length ? `<p class="text-muted">Showing the first ${result.sample.length}.</p>` : ''}
+          ` : ''}
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Format a manifest period for display
+   * @param {Object} period - Period with start and end (YYYY-MM)
+   * @returns {string} Display string
+   * @private
+   */
+  formatPeriod(period) {
+    if (!period || (!period.start && !period.end)) return '-';
+    return `${period.start || '?'} to ${period.end || '?'}`;
+  }
+
+  /**
+   * Format a row count, showing the manifest expectation alongside the parsed count
+   * @param {Object} result - Validation result for a dataset
+   * @returns {string} Display string
+   * @private
+   */
+  formatRowCount(result) {
+    const parsed = result.rowCount !== null ? formatNumber(result.rowCount) : '-';
+    if (result.expectedRowCount === null) return parsed;
+    return `${parsed} / ${formatNumber(result.expectedRowCount)}`;
+  }
+
+  /**
+   * Describe where a dataset was loaded from
+   * @param {Object} result - Validation result for a dataset
+   * @returns {string} Display string
+   * @private
+   */
+  formatSource(result) {
+    if (result.rowCount === null) return '-';
+    if (!result.cachedAt) return 'Source';
+    return `<span title="Cached ${new Date(result.cachedAt).toLocaleString()}">Cache</span>`;
+  }
+
+  /**
+   * Render the dataset list
+   */
+  render() {
+    const manifest = this.stateManager.getState('data.manifest');
+    const results = this.stateManager.getState('data.datasetValidation') || [];
+
+    if (!manifest) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const statusLabels = { ok: 'OK', warning: 'Check', error: 'Failed' };
+    const open = this.container.querySelector('.dataset-panel')?.open;
+
+    this.container.innerHTML = `
+      <details class="dataset-panel"${open ? ' open' : ''}>
+        <summary>
+          Datasets (${results.length})
+          ${manifest.generatedAt ? `<span class="text-muted">manifest generated ${manifest.generatedAt}</span>` : ''}
+        </summary>
+        ${results.length === 0 ? '<p class="text-muted">No repository datasets are loaded.</p>' : `
+        <table class="dataset-table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Period</th>
+              <th>Schema</th>
+              <th class="text-right">Rows (parsed / expected)</th>
+              <th>Checksum</th>
+              <th>Loaded from</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${results.map(result => `
+              <tr class="dataset-status-${result.status}">
+                <td title="${result.path}">${result.label}</td>
+                <td>${this.formatPeriod(result.period)}</td>
+                <td>v${result.schemaVersion}</td>
+                <td class="text-right">${this.formatRowCount(result)}</td>
+                <td><code>${result.checksum || '-'}</code></td>
+                <td>${this.formatSource(result)}</td>
+                <td title="${result.issues.join('\n')}">${statusLabels[result.status] || result.status}${result.issues.length > 0 ? ` (${result.issues.length})` : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        `}
+        <div class="dataset-actions">
+          <button type="button" class="btn btn-secondary" data-dataset-action="refresh" ${this.busy ? 'disabled' : ''}
+            title="Download and parse every file again, replacing the cached copies">Refresh from source</button>
+          <button type="button" class="btn btn-secondary" data-dataset-action="clear-cache" ${this.busy ? 'disabled' : ''}
+            title="Delete the parsed files stored in this browser">Clear cache</button>
+        </div>
+        ${this.renderDeduplication(this.stateManager.getState('data.deduplication'))}
+      </details>
+    `;
+  }
+}
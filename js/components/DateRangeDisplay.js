@@ -5,6 +5,7 @@
 
 import { formatDate } from '../data/ColumnMapper.js';
 import { COLUMN_MAP } from '../data/ColumnMapper.js';
+import { formatCurrency, formatNumber } from '../utils/formatUtils.js';
 
 export class DateRangeDisplay {
   /**
@@ -58,9 +59,8 @@ export class DateRangeDisplay {
         return;
       }
       
-      // Get raw data count
-      const rawData = this.dataManager.rawData || [];
-      const recordCount = rawData.length;
+      // Get the loaded record count
+      const recordCount = this.dataManager.store.length;
       
       // Get date range from filters
       const dateRange = this.dataManager.stateManager.getStateByPath('filters.dateRange');
@@ -98,7 +98,48 @@ export class DateRangeDisplay {
         <span class="label">Data Range:</span>
         <span class="range">${formatDate(minDate)} - ${formatDate(maxDate)}</span>
         <span class="record-count">(${recordCount.toLocaleString()} records)</span>
+        ${this.renderSourceTotals()}
       </div>
     `;
   }
+  
+  /**
+   * Render the records each source file and load batch contributes
+   * @returns {string} HTML (empty when nothing is loaded)
+   * @private
+   */
+  renderSourceTotals() {
+    const summary = this.dataManager.stateManager.getState('data.sourceSummary') || [];
+    if (summary.length === 0) return '';
+    
+    const open = this.container.querySelector('.source-totals')?.open;
+    
+    return `
+      <details class="source-totals"${open ? ' open' : ''}>
+        <summary>${summary.length} source file(s)</summary>
+        <table class="dataset-table">
+          <thead>
+            <tr>
+              <th>Source</th>
+              <th class="text-right">Batch</th>
+              <th class="text-right">Records</th>
+              <th class="text-right">Loan volume</th>
+              <th>Dates</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${summary.map(source => `
+              <tr class="${source.recordCount === 0 ? 'dataset-status-warning' : ''}">
+                <td title="${source.source ?? ''}">${source.label ?? 'Unknown'}</td>
+                <td class="text-right">${source.batch ?? '-'}</td>
+                <td class="text-right">${formatNumber(source.recordCount)}</td>
+                <td class="text-right">${formatCurrency(source.loanAmount)}</td>
+                <td>${source.firstDate ? `${formatDate(source.firstDate)} - ${formatDate(source.lastDate)}` : '-'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </details>
+    `;
+  }
 }
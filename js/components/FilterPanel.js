@@ -6,6 +6,10 @@
  * It renders filter controls for date range, lenders, LTV, premium bands, and purchase types.
  */
 
+import { parseDate } from '../utils/dateUtils.js';
+import { LENDER_LEVELS } from '../data/ColumnMapper.js';
+import { DERIVED_FIELDS } from '../data/DerivedFields.js';
+
 export class FilterPanel {
   /**
    * Create a new FilterPanel instance
@@ -23,7 +27,7 @@ export class FilterPanel {
     // Subscribe to filter option changes - but only after initial data load
     this.stateManager.subscribe('data.filtered', () => {
       // Only update if we have data and aren't already rendering
-      if (this.stateManager.state.data.filtered && !this.isRendering) {
+      if (this.stateManager.state.data.raw && !this.isRendering) {
         this.updateFilterOptions();
       }
     });
@@ -96,6 +100,12 @@ export class FilterPanel {
       // Create purchase types filter
       this.createPurchaseTypesFilter(filtersRow, filterOptions, currentFilters);
       
+      // Create source file filter
+      this.createSourceFilter(filtersRow, filterOptions, currentFilters);
+      
+      // Create derived field filter
+      this.createDerivedFieldFilter(filtersRow, filterOptions, currentFilters);
+      
       // Premium bands filter is hidden as requested
       
       // Dynamically create and append Apply Filters button and spinner
@@ -115,6 +125,13 @@ export class FilterPanel {
       resetButton.textContent = 'Reset Filters';
       resetButton.addEventListener('click', () => this.resetFilters());
       actionsDiv.appendChild(resetButton);
+      
+      // Cancel button, shown while filters are being applied (click handled in app.js)
+      const cancelButton = document.createElement('button');
+      cancelButton.id = 'cancel-filters-button';
+      cancelButton.className = 'btn btn-secondary hidden';
+      cancelButton.textContent = 'Cancel';
+      actionsDiv.appendChild(cancelButton);
 
       const spinnerDiv = document.createElement('div');
       spinnerDiv.id = 'loading-spinner';
@@ -241,6 +258,21 @@ export class FilterPanel {
     label.innerHTML += ' <span class="filter-hint">(multi-select)</span>';
     filterGroup.appendChild(label);
     
+    // Brand or group level; it applies to the lender list and every lender-based view
+    const levelSelect = document.createElement('select');
+    levelSelect.className = 'select lender-level-select';
+    levelSelect.title = 'Show lenders by brand or by banking group';
+    Object.entries(LENDER_LEVELS).forEach(([level, { label: levelLabel }]) => {
+      const option = document.createElement('option');
+      option.value = level;
+      option.textContent = `By ${levelLabel.toLowerCase()}`;
+      option.selected = (currentFilters.lenderLevel || 'brand') === level;
+      levelSelect.appendChild(option);
+    });
+    levelSelect.addEventListener('change', () => this.updateLenderLevel(levelSelect.value));
+    filterGroup.appendChild(levelSelect);
+    this.elements.lenderLevelSelect = levelSelect;
+    
     // Create a custom multi-select container
     const multiSelectContainer = document.createElement('div');
     multiSelectContainer.className = 'custom-multi-select';
@@ -523,13 +555,180 @@ export class FilterPanel {
     parent.appendChild(filterGroup);
   }
   
+  /**
+   * Create source file filter
+   * @param {HTMLElement} parent - Parent element to append to
+   * @param {Object} filterOptions - Available filter options
+   * @param {Object} currentFilters - Current filter values
+   * @private
+   */
+  createSourceFilter(parent, filterOptions, currentFilters) {
+    const filterGroup = document.createElement('div');
+    filterGroup.className = 'filter-group';
+    
+    const label = document.createElement('label');
+    label.textContent = 'Source';
+    label.innerHTML += ' <span class="filter-hint">(multi-select)</span>';
+    filterGroup.appendChild(label);
+    
+    const multiSelectContainer = document.createElement('div');
+    multiSelectContainer.className = 'custom-multi-select';
+    
+    const optionsList = document.createElement('div');
+    optionsList.className = 'options-list';
+    optionsList.id = 'sources-options-list';
+    
+    const usingAllSources = !currentFilters.sources || currentFilters.sources.length === 0 ||
+      currentFilters.sources.includes('all_sources');
+    const options = [{ value: 'all_sources', label: 'All Sources' }].concat(filterOptions.sources || []);
+    
+    options.forEach(({ value, label: optionText }, index) => {
+      const optionItem = document.createElement('div');
+      optionItem.className = 'option-item';
+      optionItem.dataset.value = value;
+      optionItem.title = value;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `source-${index}`;
+      checkbox.value = value;
+      checkbox.checked = value === 'all_sources' ? usingAllSources : !usingAllSources && currentFilters.sources.includes(value);
+      
+      const optionLabel = document.createElement('label');
+      optionLabel.htmlFor = checkbox.id;
+      optionLabel.textContent = optionText;
+      
+      optionItem.appendChild(checkbox);
+      optionItem.appendChild(optionLabel);
+      optionsList.appendChild(optionItem);
+    });
+    
+    multiSelectContainer.appendChild(optionsList);
+    filterGroup.appendChild(multiSelectContainer);
+    
+    // Store reference to checkboxes
+    this.elements.sourceCheckboxes = optionsList.querySelectorAll('input[type="checkbox"]');
+    
+    this.elements.sourceCheckboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', this.handleSourceCheckboxChange.bind(this));
+      checkbox.closest('.option-item').classList.toggle('selected', checkbox.checked);
+    });
+    
+    parent.appendChild(filterGroup);
+  }
+  
+  /**
+   * Create derived field filter: a min/max range per numeric derived field and a checkbox
+   * list per categorical one (nothing ticked means no restriction)
+   * @param {HTMLElement} parent - Parent element to append to
+   * @param {Object} filterOptions - Available filter options
+   * @param {Object} currentFilters - Current filter values
+   * @private
+   */
+  createDerivedFieldFilter(parent, filterOptions, currentFilters) {
+    const filterGroup = document.createElement('div');
+    filterGroup.className = 'filter-group derived-field-filter';
+    
+    const label = document.createElement('label');
+    label.textContent = 'Derived Fields';
+    filterGroup.appendChild(label);
+    
+    const conditions = currentFilters.derivedFields || {};
+    
+    Object.entries(DERIVED_FIELDS).forEach(([column, field]) => {
+      const condition = conditions[column] || {};
+      const fieldLabel = document.createElement('span');
+      fieldLabel.className = 'date-label';
+      fieldLabel.textContent = field.unit ? `${field.label} (${field.unit})` : field.label;
+      filterGroup.appendChild(fieldLabel);
+      
+      if (field.type === 'category') {
+        const multiSelectContainer = document.createElement('div');
+        multiSelectContainer.className = 'custom-multi-select';
+        const optionsList = document.createElement('div');
+        optionsList.className = 'options-list';
+        const values = field.values || (filterOptions.derivedFieldValues && filterOptions.derivedFieldValues[column]) || [];
+        values.forEach((value, index) => {
+          const optionItem = document.createElement('div');
+          optionItem.className = 'option-item';
+          
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.id = `derived-${column}-${index}`;
+          checkbox.value = value;
+          checkbox.dataset.column = column;
+          checkbox.checked = Boolean(condition.values && condition.values.includes(value));
+          optionItem.classList.toggle('selected', checkbox.checked);
+          
+          const optionLabel = document.createElement('label');
+          optionLabel.htmlFor = checkbox.id;
+          optionLabel.textContent = value;
+          
+          optionItem.appendChild(checkbox);
+          optionItem.appendChild(optionLabel);
+          optionsList.appendChild(optionItem);
+        });
+        multiSelectContainer.appendChild(optionsList);
+        filterGroup.appendChild(multiSelectContainer);
+        return;
+      }
+      
+      const range = document.createElement('div');
+      range.className = 'date-range-container';
+      ['min', 'max'].forEach(bound => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.placeholder = bound === 'min' ? 'Min' : 'Max';
+        input.dataset.column = column;
+        input.dataset.bound = bound;
+        input.value = Number.isFinite(condition[bound]) ? condition[bound] : '';
+        range.appendChild(input);
+      });
+      filterGroup.appendChild(range);
+    });
+    
+    // Store reference to the inputs
+    this.elements.derivedFieldInputs = filterGroup.querySelectorAll('input[data-column]');
+    this.elements.derivedFieldInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        if (input.type === 'checkbox') {
+          input.closest('.option-item').classList.toggle('selected', input.checked);
+        }
+        this.filterManager.updateFilter('derivedFields', this.readDerivedFieldConditions());
+      });
+    });
+    
+    parent.appendChild(filterGroup);
+  }
+  
+  /**
+   * Read the derived field conditions from the inputs
+   * @returns {Object} Column -> { min, max } or { values } (see DerivedFields.getActiveConditions)
+   * @private
+   */
+  readDerivedFieldConditions() {
+    const conditions = {};
+    this.elements.derivedFieldInputs.forEach(input => {
+      const { column, bound } = input.dataset;
+      if (input.type === 'checkbox') {
+        conditions[column] = conditions[column] || { values: [] };
+        if (input.checked) conditions[column].values.push(input.value);
+      } else {
+        conditions[column] = conditions[column] || { min: null, max: null };
+        conditions[column][bound] = input.value.trim() === '' ? null : Number(input.value);
+      }
+    });
+    return conditions;
+  }
+  
   /**
    * Update date range filter
    * @private
    */
   updateDateRange() {
-    const startDate = this.elements.startDate.value ? new Date(this.elements.startDate.value) : null;
-    let endDate = this.elements.endDate.value ? new Date(this.elements.endDate.value) : null;
+    const startDate = parseDate(this.elements.startDate.value, 'YYYY-MM-DD');
+    let endDate = parseDate(this.elements.endDate.value, 'YYYY-MM-DD');
     
     // Ensure end date is not before start date
     if (startDate && endDate && startDate > endDate) {
@@ -540,6 +739,18 @@ export class FilterPanel {
     this.filterManager.updateFilter('dateRange', [startDate, endDate]);
   }
   
+  /**
+   * Switch the lender level. Names selected at one level mean nothing at the other,
+   * so the selection goes back to all lenders and the list is rebuilt.
+   * @param {string} level - LENDER_LEVELS id
+   * @private
+   */
+  updateLenderLevel(level) {
+    this.filterManager.updateFilter('lenderLevel', level);
+    this.filterManager.updateFilter('lenders', ['all_lenders']);
+    this.render();
+  }
+  
   /**
    * Reset all filters to default values
    */
@@ -785,6 +996,36 @@ export class FilterPanel {
     }
   }
   
+  /**
+   * Handle source checkbox change event.
+   * 'All Sources' and individual files exclude each other; clearing every file selects 'All Sources' again.
+   * @param {Event} event - The change event
+   * @private
+   */
+  handleSourceCheckboxChange(event) {
+    const checkbox = event.target;
+    const checkboxes = Array.from(this.elements.sourceCheckboxes);
+    const allSourcesCheckbox = checkboxes.find(cb => cb.value === 'all_sources');
+    
+    if (checkbox === allSourcesCheckbox && checkbox.checked) {
+      checkboxes.forEach(cb => {
+        cb.checked = cb === allSourcesCheckbox;
+      });
+    } else if (checkbox.checked) {
+      allSourcesCheckbox.checked = false;
+    }
+    
+    const selectedSources = checkboxes
+      .filter(cb => cb.checked && cb !== allSourcesCheckbox)
+      .map(cb => cb.value);
+    if (selectedSources.length === 0) {
+      allSourcesCheckbox.checked = true;
+    }
+    
+    checkboxes.forEach(cb => cb.closest('.option-item').classList.toggle('selected', cb.checked));
+    this.filterManager.updateFilter('sources', selectedSources.length > 0 ? selectedSources : ['all_sources']);
+  }
+  
   /**
    * Update filter selections based on current state
    * @private
@@ -843,5 +1084,35 @@ export class FilterPanel {
         }
       });
     }
+    
+    // Update source checkboxes if they exist
+    if (this.elements.sourceCheckboxes) {
+      const usingAllSources = !currentFilters.sources ||
+                             currentFilters.sources.length === 0 ||
+                             currentFilters.sources.includes('all_sources');
+      
+      this.elements.sourceCheckboxes.forEach(checkbox => {
+        const isSelected = checkbox.value === 'all_sources'
+          ? usingAllSources
+          : !usingAllSources && currentFilters.sources.includes(checkbox.value);
+        checkbox.checked = isSelected;
+        checkbox.closest('.option-item')?.classList.toggle('selected', isSelected);
+      });
+    }
+    
+    // Update derived field inputs if they exist
+    if (this.elements.derivedFieldInputs) {
+      const conditions = currentFilters.derivedFields || {};
+      
+      this.elements.derivedFieldInputs.forEach(input => {
+        const condition = conditions[input.dataset.column] || {};
+        if (input.type === 'checkbox') {
+          input.checked = Boolean(condition.values && condition.values.includes(input.value));
+          input.closest('.option-item')?.classList.toggle('selected', input.checked);
+        } else {
+          input.value = Number.isFinite(condition[input.dataset.bound]) ? condition[input.dataset.bound] : '';
+        }
+      });
+    }
   }
 }
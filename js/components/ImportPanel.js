@@ -0,0 +1,158 @@
+/**
+ * ImportPanel.js
+ * Drop zone and file picker for importing local CSV files
+ */
+
+import { formatNumber } from '../utils/formatUtils.js';
+import { DATE_FORMATS } from '../utils/dateUtils.js';
+
+export class ImportPanel {
+  /**
+   * Create a new ImportPanel instance
+   * @param {HTMLElement} container - Container element
+   * @param {Object} stateManager - StateManager instance
+   * @param {Object} actions - Import actions
+   * @param {Function} actions.onImport - Called (and awaited) with (files, mode, dateFormat) where mode is 'append' or 'replace'
+   *   and dateFormat is one of DATE_FORMATS
+   */
+  constructor(container, stateManager, actions = {}) {
+    this.container = container;
+    this.stateManager = stateManager;
+    this.actions = actions;
+    this.mode = 'append';
+    this.dateFormat = 'auto';
+    this.busy = false;
+    this.message = null;
+
+    this.stateManager.subscribe('data.importedFiles', () => this.render());
+    this.attachEventListeners();
+    this.render();
+  }
+
+  /**
+   * Set up delegated listeners, so they survive re-renders
+   * @private
+   */
+  attachEventListeners() {
+    this.container.addEventListener('change', event => {
+      if (event.target.name === 'import-mode') {
+        this.mode = event.target.value;
+      } else if (event.target.classList.contains('import-date-format')) {
+        this.dateFormat = event.target.value;
+      } else if (event.target.classList.contains('import-file-input')) {
+        this.importFiles(Array.from(event.target.files));
+      }
+    });
+
+    this.container.addEventListener('dragover', event => {
+      if (!event.target.closest('.import-drop-zone')) return;
+      event.preventDefault();
+      event.target.closest('.import-drop-zone').classList.add('drag-over');
+    });
+
+    this.container.addEventListener('dragleave', event => {
+      const dropZone = event.target.closest('.import-drop-zone');
+      if (dropZone) dropZone.classList.remove('drag-over');
+    });
+
+    this.container.addEventListener('drop', event => {
+      if (!event.target.closest('.import-drop-zone')) return;
+      event.preventDefault();
+      this.importFiles(Array.from(event.dataTransfer.files));
+    });
+  }
+
+  /**
+   * Import the chosen files
+   * @param {Array<File>} files - Files from the picker or drop zone
+   * @private
+   */
+  async importFiles(files) {
+    if (this.busy || !this.actions.onImport) return;
+
+    const csvFiles = files.filter(file => /\.csv$/i.test(file.name) || file.type === 'text/csv');
+    const skipped = files.length - csvFiles.length;
+
+    if (csvFiles.length === 0) {
+      this.message = { type: 'error', text: 'Only .csv files can be imported.' };
+      this.render();
+      return;
+    }
+
+    this.busy = true;
+    this.message = { type: 'info', text: `Importing ${csvFiles.length} file(s)...` };
+    this.render();
+
+    try {
+      const summaries = await this.actions.onImport(csvFiles, this.mode, this.dateFormat);
+      const recordCount = summaries.reduce((sum, file) => sum + file.recordCount, 0);
+      this.message = {
+        type: 'info',
+        text: `Imported ${formatNumber(recordCount)} records from ${summaries.length} file(s)${skipped > 0 ? `; skipped ${skipped} non-CSV file(s)` : ''}.`
+      };
+    } catch (error) {
+      console.error('[ImportPanel] Import failed:', error);
+      this.message = { type: 'error', text: `Import failed: ${error.message}` };
+    } finally {
+      this.busy = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Render the drop zone and the list of imported files
+   */
+  render() {
+    const importedFiles = this.stateManager.getState('data.importedFiles') || [];
+    const open = this.container.querySelector('.import-panel')?.open;
+
+    this.container.innerHTML = `
+      <details class="import-panel"${open || this.busy ? ' open' : ''}>
+        <summary>
+          Import local files${importedFiles.length > 0 ? ` (${importedFiles.length})` : ''}
+        </summary>
+        <label class="import-drop-zone${this.busy ? ' busy' : ''}">
+          <input type="file" class="import-file-input" accept=".csv,text/csv" multiple ${this.busy ? 'disabled' : ''}>
+          <span>Drop CSV files here or click to choose files</span>
+        </label>
+        <div class="import-mode">
+          <label><input type="radio" name="import-mode" value="append" ${this.mode === 'append' ? 'checked' : ''}> Append to loaded data</label>
+          <label><input type="radio" name="import-mode" value="replace" ${this.mode === 'replace' ? 'checked' : ''}> Replace loaded data</label>
+          <label>
+            Dates
+            <select class="import-date-format">
+              ${DATE_FORMATS.map(format => `<option value="${format}" ${this.dateFormat === format ? 'selected' : ''}>${format === 'auto' ? 'Detect' : format}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+        ${this.message ? `<p class="import-message import-message-${this.message.type}">${this.message.text}</p>` : ''}
+        ${importedFiles.length > 0 ? `
+          <table class="dataset-table">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th class="text-right">Size (MB)</th>
+                <th class="text-right">Rows</th>
+                <th class="text-right">Records</th>
+                <th>Mode</th>
+                <th>Imported</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${importedFiles.map(file => `
+                <tr>
+                  <td title="${file.checksum || ''}">${file.name}</td>
+                  <td class="text-right">${formatNumber(file.size / 1024 / 1024, 1)}</td>
+                  <td class="text-right">${formatNumber(file.rowCount)}</td>
+                  <td class="text-right">${formatNumber(file.recordCount)}</td>
+                  <td>${file.mode === 'replace' ? 'Replaced' : 'Appended'}</td>
+                  <td>${new Date(file.importedAt).toLocaleTimeString()}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+      </details>
+    `;
+  }
+}
@@ -3,7 +3,9 @@
  * Renders a table displaying market share analysis, segmented by premium bands and LTV.
  */
 import { formatCurrency, formatPercentage } from '../utils/formatUtils.js';
-import { COLUMN_MAP } from '../data/ColumnMapper.js';
+import { COLUMN_MAP, getLenderColumn } from '../data/ColumnMapper.js';
+import { PremiumBands } from '../data/PremiumBands.js';
+import { formatPeriodLabel, toPeriodKey } from '../utils/dateUtils.js';
 import { TabulatorFull as Tabulator } from 'tabulator-tables';
 
 // Standalone helper sorter function for columns with {amount, percentage} objects
@@ -14,6 +16,43 @@ const customAmountSorter = (a, b, aRow, bRow, column, dir, sorterParams) => {
   return valA - valB;
 };
 
+// Empty { amount, count } sums of a lender or band, in total and by LTV segment
+const createSegmentTotals = () => ({
+  total: { amount: 0, count: 0 },
+  ltv_under_80: { amount: 0, count: 0 },
+  ltv_over_80: { amount: 0, count: 0 },
+});
+
+// Empty market share totals:
+// lenderData stores { lender: { band: segment totals, overall_total: segment totals } },
+// bandTotals stores { band: segment totals } and overallTotals the grand totals across all selected bands and lenders
+const createShareTotals = () => ({
+  lenderData: {},
+  bandTotals: {},
+  overallTotals: createSegmentTotals(),
+});
+
+// Adds a loan to the segment and total sums
+const addToSegmentTotals = (segmentTotals, ltvSegment, loanAmount) => {
+  segmentTotals[ltvSegment].amount += loanAmount;
+  segmentTotals[ltvSegment].count++;
+  segmentTotals.total.amount += loanAmount;
+  segmentTotals.total.count++;
+};
+
+// Adds a loan to market share totals: for the lender-premiumBand, the lender overall, the band and the grand totals
+const addToShareTotals = (totals, lender, premiumBand, ltvSegment, loanAmount) => {
+  const { lenderData, bandTotals, overallTotals } = totals;
+  lenderData[lender] = lenderData[lender] || { overall_total: createSegmentTotals() };
+  lenderData[lender][premiumBand] = lenderData[lender][premiumBand] || createSegmentTotals();
+  bandTotals[premiumBand] = bandTotals[premiumBand] || createSegmentTotals();
+
+  addToSegmentTotals(lenderData[lender][premiumBand], ltvSegment, loanAmount);
+  addToSegmentTotals(lenderData[lender].overall_total, ltvSegment, loanAmount);
+  addToSegmentTotals(bandTotals[premiumBand], ltvSegment, loanAmount);
+  addToSegmentTotals(overallTotals, ltvSegment, loanAmount);
+};
+
 /**
  * MarketShareTable.js
  * Renders a table displaying market share analysis, segmented by premium bands and LTV.
@@ -25,6 +64,7 @@ export class MarketShareTable {
     this.table = null;
     this.stateManager = stateManager;
     this.isLoading = false;
+    this.period = null; // Period key shown, null for all periods
 
     if (!this.container) {
       console.error(`MarketShareTable: Container with ID '${containerId}' not found.`);
@@ -35,34 +75,39 @@ export class MarketShareTable {
   }
 
   /**
-   * Calculates market share based on provided data and selected premium bands, segmented by LTV.
+   * Calculates market share based on provided data and selected premium bands, segmented by LTV,
+   * over the whole data and per period of the time grain.
    * @param {Array<Object>} data - The dataset to analyze (typically filtered).
    * @param {Array<string>} selectedPremiumBands - Array of premium band strings to include.
-   * @returns {Object} Aggregated market share data.
+   * @param {string} lenderLevel - 'brand' or 'group' (see LENDER_LEVELS); defaults to the level set in the filters.
+   * @param {string} timeGrain - One of TIME_GRAINS; defaults to the data table's time grain.
+   * @returns {Object} Aggregated market share data; byPeriod holds the { lenderData, bandTotals, overallTotals } of each key in periods.
    */
-  calculateMarketShare(data, selectedPremiumBands) {
+  calculateMarketShare(
+    data,
+    selectedPremiumBands,
+    lenderLevel = this.stateManager?.getState('filters.lenderLevel'),
+    timeGrain = this.stateManager?.getState('ui.timeGrain') || 'month'
+  ) {
+    const lenderColumn = getLenderColumn(lenderLevel);
     console.log('[MarketShareTable.calculateMarketShare] Starting calculation with data:', data, 'and bands:', selectedPremiumBands);
-    const lenderData = {}; // Stores { lender: { band: { ltv_segment: { amount, count }, total: { amount, count } }, overall_total: { ltv_segment: ..., total: ... } } }
-    const bandTotals = {}; // Stores { band: { ltv_segment: { amount, count }, total: { amount, count } } }
-    const overallTotals = { // Grand totals across all selected bands and lenders
-      total: { amount: 0, count: 0 },
-      ltv_under_80: { amount: 0, count: 0 },
-      ltv_over_80: { amount: 0, count: 0 },
-    };
+    const totals = createShareTotals(); // Grand totals across all periods
+    const byPeriod = {}; // Stores { period: totals }
     const uniqueLenders = new Set();
 
     if (!data || data.length === 0 || !selectedPremiumBands || selectedPremiumBands.length === 0) {
       return {
-        lenderData,
-        bandTotals,
-        overallTotals,
+        ...totals,
         uniqueLenders: [],
         selectedPremiumBands: selectedPremiumBands || [],
+        timeGrain,
+        periods: [],
+        byPeriod
       };
     }
 
     data.forEach(record => {
-      const lender = record[COLUMN_MAP.lender];
+      const lender = record[lenderColumn];
       const premiumBand = record.PremiumBand; // Assuming PremiumBand is already standardized
       const loanAmount = parseFloat(record[COLUMN_MAP.loanAmount]) || 0;
       const ltv = parseFloat(record[COLUMN_MAP.ltv]);
@@ -73,59 +118,26 @@ export class MarketShareTable {
 
       uniqueLenders.add(lender);
 
-      // Initialize structures if not present
-      lenderData[lender] = lenderData[lender] || { overall_total: { total: { amount: 0, count: 0 }, ltv_under_80: { amount: 0, count: 0 }, ltv_over_80: { amount: 0, count: 0 } } };
-      lenderData[lender][premiumBand] = lenderData[lender][premiumBand] || {
-        total: { amount: 0, count: 0 },
-        ltv_under_80: { amount: 0, count: 0 },
-        ltv_over_80: { amount: 0, count: 0 },
-      };
-      bandTotals[premiumBand] = bandTotals[premiumBand] || {
-        total: { amount: 0, count: 0 },
-        ltv_under_80: { amount: 0, count: 0 },
-        ltv_over_80: { amount: 0, count: 0 },
-      };
-
       const ltvSegment = !isNaN(ltv) && ltv < 80 ? 'ltv_under_80' : 'ltv_over_80';
+      addToShareTotals(totals, lender, premiumBand, ltvSegment, loanAmount);
 
-      // Aggregate for lender-premiumBand-ltvSegment
-      lenderData[lender][premiumBand][ltvSegment].amount += loanAmount;
-      lenderData[lender][premiumBand][ltvSegment].count++;
-
-      // Aggregate for lender-premiumBand total
-      lenderData[lender][premiumBand].total.amount += loanAmount;
-      lenderData[lender][premiumBand].total.count++;
-      
-      // Aggregate for lender overall total by LTV segment and grand total
-      lenderData[lender].overall_total[ltvSegment].amount += loanAmount;
-      lenderData[lender].overall_total[ltvSegment].count++;
-      lenderData[lender].overall_total.total.amount += loanAmount;
-      lenderData[lender].overall_total.total.count++;
-
-      // Aggregate for bandTotals by LTV segment
-      bandTotals[premiumBand][ltvSegment].amount += loanAmount;
-      bandTotals[premiumBand][ltvSegment].count++;
-
-      // Aggregate for bandTotals total
-      bandTotals[premiumBand].total.amount += loanAmount;
-      bandTotals[premiumBand].total.count++;
-
-      // Aggregate for overallTotals by LTV segment
-      overallTotals[ltvSegment].amount += loanAmount;
-      overallTotals[ltvSegment].count++;
-
-      // Aggregate for overallTotals total
-      overallTotals.total.amount += loanAmount;
-      overallTotals.total.count++;
+      // Records without a valid date count in the grand totals only
+      const period = toPeriodKey(record[COLUMN_MAP.documentDate], timeGrain);
+      if (period) {
+        byPeriod[period] = byPeriod[period] || createShareTotals();
+        addToShareTotals(byPeriod[period], lender, premiumBand, ltvSegment, loanAmount);
+      }
     });
 
-    console.log('[MarketShareTable.calculateMarketShare] Calculation result:', { lenderData, bandTotals, overallTotals, uniqueLenders: Array.from(uniqueLenders), selectedPremiumBands });
+    const periods = Object.keys(byPeriod).sort();
+    console.log('[MarketShareTable.calculateMarketShare] Calculation result:', { ...totals, periods, uniqueLenders: Array.from(uniqueLenders), selectedPremiumBands });
     return {
-      lenderData,
-      bandTotals,
-      overallTotals,
+      ...totals,
       uniqueLenders: Array.from(uniqueLenders).sort(),
       selectedPremiumBands,
+      timeGrain,
+      periods,
+      byPeriod
     };
   }
 
@@ -189,7 +201,7 @@ export class MarketShareTable {
   _generateTableColumns(selectedPremiumBands) {
     const columns = [
       {
-        title: "Lender",
+        title: this.stateManager?.getState('filters.lenderLevel') === 'group' ? "Lender group" : "Lender",
         field: "lenderName",
         frozen: true, // Keep lender column frozen
         width: 180, // Fixed width
@@ -323,20 +335,14 @@ export class MarketShareTable {
     this.isLoading = true;
     console.log('[MarketShareTable.render] Rendering with data:', marketShareData);
 
-    // Define the list of premium bands to display (from the screenshot)
-    // Note: Format matches the selectedPremiumBands format (without 'bps' suffix)
-    const visiblePremiumBands = [
-      '-20-0', '0-20', '20-40', '40-60', '60-80', 
-      '80-100', '100-120', '120-140', '140-160', '160-180', '180-200',
-      '200-220', '220-240', '240-260', '260-280', '280-300', '300-320',
-      '320-340', '340-360', '360-380', '380-400', '400-420', '420-440',
-      '440-460', '460-480', '480-500', '500-520', '520-540'
-    ];
-    
-    const { lenderData, bandTotals, overallTotals, uniqueLenders, selectedPremiumBands } = marketShareData;
+    // The table shows the totals of the chosen period, or of all periods
+    this.marketShareData = marketShareData;
+    const { uniqueLenders, selectedPremiumBands, periods = [], byPeriod = {}, timeGrain } = marketShareData;
+    if (!byPeriod[this.period]) this.period = null;
+    const { lenderData, bandTotals, overallTotals } = this.period ? byPeriod[this.period] : marketShareData;
     
-    // Filter the selectedPremiumBands to only include the visible ones
-    const filteredPremiumBands = selectedPremiumBands.filter(band => visiblePremiumBands.includes(band));
+    // Filter the selectedPremiumBands to only include the visible ones (-20 up to 540bps, see VISIBLE_BAND_RANGE)
+    const filteredPremiumBands = selectedPremiumBands.filter(band => PremiumBands.isVisible(band));
     console.log('[MarketShareTable.render] Filtered premium bands:', filteredPremiumBands);
 
     if (!filteredPremiumBands || filteredPremiumBands.length === 0) {
@@ -414,6 +420,21 @@ export class MarketShareTable {
     } else {
       // Clear the container once
       this.container.innerHTML = '';
+
+      // Period selector above the table
+      const controls = document.createElement('div');
+      controls.className = 'table-view-controls';
+      const periodLabel = document.createElement('label');
+      periodLabel.textContent = 'Period ';
+      this.periodSelect = document.createElement('select');
+      this.periodSelect.className = 'select market-share-period';
+      this.periodSelect.addEventListener('change', () => {
+        this.period = this.periodSelect.value || null;
+        this.render(this.marketShareData);
+      });
+      periodLabel.appendChild(this.periodSelect);
+      controls.appendChild(periodLabel);
+      this.container.appendChild(controls);
       
       // Simple approach: use a div with horizontal scrolling
       const scrollContainer = document.createElement('div');
@@ -474,10 +495,25 @@ export class MarketShareTable {
         }
       });
     }
+    this._renderPeriodOptions(periods, timeGrain);
     this.isLoading = false;
     console.log('[MarketShareTable.render] Table rendered/updated.');
   }
 
+  /**
+   * Lists the periods of the market share data in the period selector.
+   * @param {Array<string>} periods - Period keys, in order.
+   * @param {string} timeGrain - The grain of the period keys (see TIME_GRAINS).
+   * @private
+   */
+  _renderPeriodOptions(periods, timeGrain) {
+    if (!this.periodSelect) return;
+    this.periodSelect.innerHTML = [
+      `<option value="">All periods</option>`,
+      ...periods.map(period => `<option value="${period}" ${period === this.period ? 'selected' : ''}>${formatPeriodLabel(period, timeGrain)}</option>`)
+    ].join('');
+  }
+
   // Helper to show a loading state (optional, if complex renders take time)
   showLoading() {
     this.isLoading = true;
@@ -496,6 +532,7 @@ export class MarketShareTable {
       this.table.destroy();
       this.table = null;
     }
+    this.periodSelect = null;
     this.container.innerHTML = ''; // Clear container
     console.log('[MarketShareTable] Destroyed.');
   }
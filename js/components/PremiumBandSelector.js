@@ -3,6 +3,8 @@
  * Component for selecting premium bands for market share analysis.
  */
 
+import { PremiumBands } from '../data/PremiumBands.js';
+
 export class PremiumBandSelector {
   constructor(container, stateManager) {
     this.container = container;
@@ -19,21 +21,14 @@ export class PremiumBandSelector {
       return;
     }
     
-    // Define the list of premium bands to display (only up to 540bps as requested)
-    const visiblePremiumBands = [
-      '-20-0', '0-20', '20-40', '40-60', '60-80', 
-      '80-100', '100-120', '120-140', '140-160', '160-180', '180-200',
-      '200-220', '220-240', '240-260', '260-280', '280-300', '300-320',
-      '320-340', '340-360', '360-380', '380-400', '400-420', '420-440',
-      '440-460', '460-480', '480-500', '500-520', '520-540'
-    ];
-    
-    // Filter the available bands to only include the visible ones
-    const filteredBands = availableBands.filter(band => visiblePremiumBands.includes(band));
+    // Only offer bands from -20 up to 540bps, whatever the band width (see VISIBLE_BAND_RANGE)
+    const filteredBands = availableBands.filter(band => PremiumBands.isVisible(band));
     console.log('[PremiumBandSelector.render] Filtered bands:', filteredBands);
     
     // Store filtered bands for other methods if needed
     this.filteredBands = filteredBands;
+    // Bands selected before a change of band width may no longer exist
+    this.selectedBands = this.selectedBands.filter(band => filteredBands.includes(band));
 
     this.container.innerHTML = `
       <div class="premium-band-selector">
@@ -0,0 +1,238 @@
+/**
+ * QuarantinePanel.js
+ * Component for the outlier settings and the review of quarantined records
+ */
+
+import { COLUMN_MAP, LINEAGE_COLUMNS, formatDate } from '../data/ColumnMapper.js';
+import { OUTLIER_FIELDS, OUTLIER_METHODS, OutlierDetector } from '../data/OutlierDetector.js';
+import { formatCurrency, formatNumber } from '../utils/formatUtils.js';
+
+/**
+ * Most quarantined records listed for review at once
+ */
+const MAX_LISTED = 200;
+
+/**
+ * Rule thresholds shown in the settings form: setting -> label
+ */
+const RULE_INPUTS = {
+  maxLoan: 'Max loan (£)',
+  maxLtv: 'Max LTV (%)',
+  minInitialRate: 'Min InitialRate (%)',
+  minGrossMargin: 'Min GrossMargin (%)',
+  maxGrossMargin: 'Max GrossMargin (%)'
+};
+
+export class QuarantinePanel {
+  /**
+   * Create a new QuarantinePanel instance
+   * @param {HTMLElement} container - Container element
+   * @param {Object} stateManager - StateManager instance
+   * @param {Object} actions - Quarantine actions
+   * @param {Function} actions.onSettingsChange - Called (and awaited) with the outlier settings when they are applied
+   * @param {Function} actions.onInclusionChange - Called (and awaited) with { index: included } when the review is applied
+   */
+  constructor(container, stateManager, actions = {}) {
+    this.container = container;
+    this.stateManager = stateManager;
+    this.actions = actions;
+    this.busy = false;
+
+    this.stateManager.subscribe('data.outliers', () => this.render());
+
+    this.container.addEventListener('click', event => {
+      const button = event.target.closest('[data-quarantine-action]');
+      if (button) this.runAction(button.dataset.quarantineAction);
+    });
+  }
+
+  /**
+   * Run an action, disabling the controls until it finishes
+   * @param {string} action - 'settings', 'review', 'include-all' or 'exclude-all'
+   * @private
+   */
+  async runAction(action) {
+    if (this.busy) return;
+
+    // Read the form before re-rendering replaces it
+    let run;
+    if (action === 'settings') {
+      const settings = this.readSettingsForm();
+      run = () => this.actions.onSettingsChange(settings);
+    } else {
+      const inclusion = action === 'review' ? this.readReviewForm() : this.getAllInclusion(action === 'include-all');
+      run = () => this.actions.onInclusionChange(inclusion);
+    }
+
+    this.busy = true;
+    this.render();
+    try {
+      await run();
+    } catch (error) {
+      console.error(`[QuarantinePanel] ${action} failed:`, error);
+    } finally {
+      this.busy = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Read the outlier settings from the form
+   * @returns {Object} Settings (see OutlierDetector.normalizeSettings)
+   * @private
+   */
+  readSettingsForm() {
+    const number = input => (input.value.trim() === '' ? null : Number(input.value));
+    const rules = {};
+    this.container.querySelectorAll('.outlier-rule').forEach(input => {
+      rules[input.dataset.rule] = number(input);
+    });
+
+    return {
+      enabled: this.container.querySelector('.outlier-enabled').checked,
+      method: this.container.querySelector('.outlier-method').value,
+      threshold: number(this.container.querySelector('.outlier-threshold')),
+      fields: Array.from(this.container.querySelectorAll('.outlier-field:checked'), input => input.value),
+      rules
+    };
+  }
+
+  /**
+   * Read the include checkboxes of the listed records
+   * @returns {Object} Included flag by quarantine index
+   * @private
+   */
+  readReviewForm() {
+    const inclusion = {};
+    this.container.querySelectorAll('.quarantine-include').forEach(input => {
+      inclusion[input.dataset.index] = input.checked;
+    });
+    return inclusion;
+  }
+
+  /**
+   * Include or exclude every quarantined record, listed or not
+   * @param {boolean} included - Include them
+   * @returns {Object} Included flag by quarantine index
+   * @private
+   */
+  getAllInclusion(included) {
+    const { quarantine = [] } = this.stateManager.getState('data.outliers') || {};
+    return Object.fromEntries(quarantine.map((entry, index) => [index, included]));
+  }
+
+  /**
+   * Render the settings form
+   * @param {Object} settings - Current settings
+   * @returns {string} HTML
+   * @private
+   */
+  renderSettings(settings) {
+    const disabled = this.busy ? 'disabled' : '';
+
+    return `
+      <div class="outlier-settings">
+        <label><input type="checkbox" class="outlier-enabled" ${settings.enabled ? 'checked' : ''} ${disabled}> Quarantine outliers</label>
+        <div class="outlier-rules">
+          ${Object.entries(RULE_INPUTS).map(([rule, label]) => `
+            <label>${label} <input type="number" step="any" class="outlier-rule" data-rule="${rule}" value="${settings.rules[rule] ?? ''}" ${disabled}></label>
+          `).join('')}
+        </div>
+        <div class="outlier-statistics">
+          <label>
+            Per lender and month
+            <select class="outlier-method" ${disabled}>
+              ${Object.entries(OUTLIER_METHODS).map(([id, method]) => `<option value="${id}" ${id === settings.method ? 'selected' : ''}>${method.label}</option>`).join('')}
+            </select>
+          </label>
+          <label>Threshold <input type="number" step="any" min="0" class="outlier-threshold" value="${settings.threshold ?? ''}" ${disabled}></label>
+          <span class="text-muted">on</span>
+          ${OUTLIER_FIELDS.map(field => `
+            <label><input type="checkbox" class="outlier-field" value="${field}" ${settings.fields.includes(field) ? 'checked' : ''} ${disabled}> ${field}</label>
+          `).join('')}
+        </div>
+        <div class="dataset-actions">
+          <button type="button" class="btn btn-secondary" data-quarantine-action="settings" ${disabled}>Apply</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the list of quarantined records
+   * @param {Array<Object>} quarantine - Quarantine entries
+   * @returns {string} HTML
+   * @private
+   */
+  renderReview(quarantine) {
+    if (quarantine.length === 0) return '<p class="text-muted">No records are quarantined.</p>';
+
+    const disabled = this.busy ? 'disabled' : '';
+    const listed = quarantine.slice(0, MAX_LISTED);
+
+    return `
+      <table class="dataset-table">
+        <thead>
+          <tr>
+            <th>Include</th>
+            <th>Date</th>
+            <th>Lender</th>
+            <th class="text-right">Loan</th>
+            <th class="text-right">LTV</th>
+            <th class="text-right">InitialRate</th>
+            <th class="text-right">GrossMargin</th>
+            <th>Reasons</th>
+            <th>Source</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${listed.map(({ record, reasons, included }, index) => `
+            <tr class="${included ? '' : 'dataset-status-warning'}">
+              <td><input type="checkbox" class="quarantine-include" data-index="${index}" ${included ? 'checked' : ''} ${disabled}></td>
+              <td>${record[COLUMN_MAP.documentDate] ? formatDate(record[COLUMN_MAP.documentDate]) : '-'}</td>
+              <td>${record[COLUMN_MAP.lender] ?? '-'}</td>
+              <td class="text-right">${formatCurrency(record[COLUMN_MAP.loanAmount])}</td>
+              <td class="text-right">${record[COLUMN_MAP.ltv] ?? '-'}</td>
+              <td class="text-right">${record[COLUMN_MAP.initialRate] ?? '-'}</td>
+              <td class="text-right">${record[COLUMN_MAP.grossMargin] ?? '-'}</td>
+              <td>${reasons.map(reason => OutlierDetector.describeReason(reason).label).join('; ')}</td>
+              <td>${record[LINEAGE_COLUMNS.source] ?? '-'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${quarantine.length > listed.length ? `<p class="text-muted">Showing the first ${formatNumber(listed.length)} of ${formatNumber(quarantine.length)}.</p>` : ''}
+      <div class="dataset-actions">
+        <button type="button" class="btn btn-secondary" data-quarantine-action="exclude-all" ${disabled}>Exclude all</button>
+        <button type="button" class="btn btn-secondary" data-quarantine-action="include-all" ${disabled}>Include all</button>
+        <button type="button" class="btn btn-secondary" data-quarantine-action="review" ${disabled}>Apply review</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the panel
+   */
+  render() {
+    const outliers = this.stateManager.getState('data.outliers');
+
+    if (!outliers || !outliers.summary) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const open = this.container.querySelector('.quarantine-panel')?.open;
+    const { settings, quarantine, summary } = outliers;
+
+    this.container.innerHTML = `
+      <details class="quarantine-panel"${open ? ' open' : ''}>
+        <summary>
+          Outlier quarantine
+          <span class="text-muted">${formatNumber(summary.flaggedCount - summary.includedCount)} excluded, ${formatNumber(summary.includedCount)} included</span>
+        </summary>
+        ${this.renderSettings(settings)}
+        ${this.renderReview(quarantine)}
+      </details>
+    `;
+  }
+}
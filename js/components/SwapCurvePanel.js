@@ -0,0 +1,123 @@
+/**
+ * SwapCurvePanel.js
+ * Component for loading a swap curve, choosing its lag and comparing the supplied SwapRate with it
+ */
+
+import { MAX_SWAP_CURVE_LAG_DAYS, SWAP_RATE_TOLERANCE_BPS } from '../data/SwapCurve.js';
+import { formatNumber } from '../utils/formatUtils.js';
+
+export class SwapCurvePanel {
+  /**
+   * Create a new SwapCurvePanel instance
+   * @param {HTMLElement} container - Container element
+   * @param {Object} stateManager - StateManager instance
+   * @param {Object} actions - Swap curve actions
+   * @param {Function} actions.onCurveImport - Called (and awaited) with the curve CSV file chosen
+   * @param {Function} actions.onSettingsChange - Called (and awaited) with { lagDays } when the lag is applied
+   */
+  constructor(container, stateManager, actions = {}) {
+    this.container = container;
+    this.stateManager = stateManager;
+    this.actions = actions;
+    this.busy = false;
+    this.message = null;
+
+    this.stateManager.subscribe('data.swapCurve', () => this.render());
+
+    this.container.addEventListener('click', event => {
+      if (event.target.closest('[data-swap-curve-action="settings"]')) {
+        const lagDays = Number(this.container.querySelector('.swap-curve-lag').value);
+        this.runAction(() => this.actions.onSettingsChange({ lagDays }));
+      }
+    });
+
+    this.container.addEventListener('change', event => {
+      const file = event.target.classList.contains('swap-curve-file') && event.target.files[0];
+      if (file) this.runAction(() => this.actions.onCurveImport(file));
+    });
+
+    this.render();
+  }
+
+  /**
+   * Run an action, disabling the controls until it finishes
+   * @param {Function} run - Async action
+   * @private
+   */
+  async runAction(run) {
+    if (this.busy) return;
+
+    this.busy = true;
+    this.message = null;
+    this.render();
+    try {
+      await run();
+    } catch (error) {
+      console.error('[SwapCurvePanel] Action failed:', error);
+      this.message = error.message;
+    } finally {
+      this.busy = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Render the comparison of the supplied SwapRate with the curve
+   * @param {Object} comparison - See SwapCurve.compare
+   * @returns {string} HTML
+   * @private
+   */
+  renderComparison(comparison) {
+    const bps = value => (value === null ? '-' : `${formatNumber(value, 1)}bps`);
+
+    return `
+      <table class="dataset-table">
+        <tbody>
+          <tr><td>Records joined to the curve</td><td class="text-right">${formatNumber(comparison.joinedCount)} of ${formatNumber(comparison.recordCount)}</td></tr>
+          <tr><td>SwapRate within ${SWAP_RATE_TOLERANCE_BPS}bp of the curve</td><td class="text-right">${formatNumber(comparison.agreeingCount)} of ${formatNumber(comparison.comparedCount)}</td></tr>
+          <tr><td>Mean SwapRate - curve</td><td class="text-right">${bps(comparison.meanDifferenceBps)}</td></tr>
+          <tr><td>Mean absolute difference</td><td class="text-right">${bps(comparison.meanAbsoluteDifferenceBps)}</td></tr>
+          <tr><td>Largest absolute difference</td><td class="text-right">${bps(comparison.maxAbsoluteDifferenceBps)}</td></tr>
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Render the panel
+   */
+  render() {
+    const { curve = null, settings = { lagDays: 0 }, comparison = null } = this.stateManager.getState('data.swapCurve') || {};
+    const open = this.container.querySelector('.swap-curve-panel')?.open;
+    const disabled = this.busy ? 'disabled' : '';
+
+    this.container.innerHTML = `
+      <details class="swap-curve-panel"${open || this.message ? ' open' : ''}>
+        <summary>
+          Swap curve
+          <span class="text-muted">${curve ? `${curve.firstDay} to ${curve.lastDay}` : 'none loaded'}</span>
+        </summary>
+        ${curve ? `
+          <p class="text-muted">
+            ${curve.source}${curve.origin === 'import' ? ' (imported)' : ''}: ${formatNumber(curve.dayCount)} days, tenors ${curve.tenors.join(', ')}
+          </p>
+        ` : `
+          <p class="text-muted">Load a CSV with a Date column and one column per tenor (e.g. 1Y, 2Y, 5Y) to recompute margins against it.</p>
+        `}
+        <label class="swap-curve-import">
+          ${curve ? 'Replace curve' : 'Load curve'}
+          <input type="file" class="swap-curve-file" accept=".csv,text/csv" ${disabled}>
+        </label>
+        <div class="swap-curve-settings">
+          <label>
+            Lag (business days)
+            <input type="number" class="swap-curve-lag" min="0" max="${MAX_SWAP_CURVE_LAG_DAYS}" step="1" value="${settings.lagDays}" ${disabled}>
+          </label>
+          <button type="button" class="btn btn-secondary" data-swap-curve-action="settings" ${disabled}>Apply</button>
+        </div>
+        ${this.message ? `<p class="import-message import-message-error">${this.message}</p>` : ''}
+        ${comparison ? this.renderComparison(comparison) : ''}
+      </details>
+    `;
+  }
+}
@@ -38,6 +38,180 @@ export const COLUMN_MAP = {
   revertRate: 'Revert_Rate'
 };
 
+/**
+ * Default fields (COLUMN_MAP keys) identifying a duplicate record.
+ * Two rows agreeing on all of these are treated as the same completion loaded twice,
+ * e.g. when overlapping extracts both contain the months at a year boundary.
+ */
+export const DEDUPLICATION_KEY_FIELDS = [
+  'documentDate',
+  'lender',
+  'productName',
+  'initialRate',
+  'loanAmount',
+  'ltv',
+  'tieInPeriod',
+  'purchaseType'
+];
+
+/**
+ * Fields (COLUMN_MAP keys) a source must provide for its records to be usable
+ */
+export const REQUIRED_MAPPING_FIELDS = ['documentDate', 'lender', 'loanAmount'];
+
+/**
+ * Fields that can be mapped by hand: one per record column (term and tieInPeriod share 'Term')
+ */
+export const MAPPABLE_FIELDS = Object.keys(COLUMN_MAP)
+  .filter((field, index, fields) => fields.findIndex(other => COLUMN_MAP[other] === COLUMN_MAP[field]) === index);
+
+/**
+ * Column mapping profiles: id -> { label, columns }, where columns maps COLUMN_MAP keys
+ * to the header used by that export. Records are always stored under the COLUMN_MAP
+ * names, so a profile only decides which CSV header feeds each field.
+ */
+export const MAPPING_PROFILES = {
+  current: {
+    label: 'Mortgage Brain (current export)',
+    columns: { ...COLUMN_MAP }
+  },
+  legacy: {
+    label: 'Mortgage Brain (legacy export)',
+    columns: {
+      documentDate: 'Timestamp',
+      lender: 'Provider',
+      loanAmount: 'Loan',
+      ltv: 'LTV',
+      tieInPeriod: 'Period',
+      initialRate: 'Rate',
+      term: 'Period',
+      grossMarginBucket: 'GrossMarginBucket',
+      productName: 'Product_Name',
+      channel: 'Channel',
+      productDescription: 'Product_Description',
+      firstTimeBuyer: 'First_Time_Buyer',
+      secondTimeBuyer: 'Second_Time_Buyer',
+      remortgages: 'Remortgages',
+      productFeeNotes: 'Product_Fee_Notes',
+      flatFees: 'Flat_Fees',
+      percentageFees: 'Percentage_fees',
+      incentives: 'Incentives',
+      redemption: 'Redemption',
+      revertRate: 'Revert_Rate'
+    }
+  }
+};
+
+/**
+ * Every header that holds DocumentDate in some profile (kept as text when parsing)
+ */
+export const DATE_HEADERS = new Set(Object.values(MAPPING_PROFILES).map(profile => profile.columns.documentDate));
+
+/**
+ * Levels lender-based tables, filters and charts can work at: id -> { label, column }.
+ * LenderGroup is not read from the CSV; DataManager derives it from the lender hierarchy (see LenderGroups).
+ */
+export const LENDER_LEVELS = {
+  brand: { label: 'Brand', column: COLUMN_MAP.lender },
+  group: { label: 'Group', column: 'LenderGroup' }
+};
+
+/**
+ * Lineage columns added to every record: the file it was read from (dataset path or imported
+ * file name) and the load batch it arrived in (see DataManager.loadBatches). Neither is read from the CSV.
+ */
+export const LINEAGE_COLUMNS = {
+  source: 'SourceFile',
+  batch: 'LoadBatch'
+};
+
+/**
+ * Get the record column holding the lender at a level
+ * @param {string} level - LENDER_LEVELS id (default 'brand'; unknown levels fall back to it)
+ * @returns {string} Column name
+ */
+export function getLenderColumn(level = 'brand') {
+  return (LENDER_LEVELS[level] || LENDER_LEVELS.brand).column;
+}
+
+/**
+ * Pick the profile that best matches a CSV header row
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} { profile, matched, missing }: the profile id with the most matching headers,
+ *   preferring profiles that provide every required field; missing lists the required fields it lacks
+ */
+export function detectMappingProfile(headers) {
+  const headerSet = new Set(headers || []);
+  let best = null;
+
+  for (const [id, profile] of Object.entries(MAPPING_PROFILES)) {
+    const matched = Object.values(profile.columns).filter((header, index, all) => all.indexOf(header) === index && headerSet.has(header)).length;
+    const missing = REQUIRED_MAPPING_FIELDS.filter(field => !headerSet.has(profile.columns[field]));
+    // A complete profile always beats an incomplete one; otherwise the most matched headers win
+    if (!best || (missing.length === 0) > (best.missing.length === 0) ||
+        ((missing.length === 0) === (best.missing.length === 0) && matched > best.matched)) {
+      best = { profile: id, matched, missing };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Work out the columns to read from a source
+ * @param {Object|null} mapping - Saved mapping: { profile, columns } where columns overrides the
+ *   profile's headers by field (null marks a field as absent). Without a profile it is detected.
+ * @param {Array<string>|null} headers - Header row of the source, if known
+ * @returns {Object} { profile, detected, columns, missing, unmappedHeaders }
+ */
+export function resolveColumnMapping(mapping, headers = null) {
+  let profile = mapping && mapping.profile;
+  if (profile && !MAPPING_PROFILES[profile]) {
+    console.warn(`[ColumnMapper] Unknown mapping profile ${profile}; detecting it instead`);
+    profile = null;
+  }
+  const detected = !profile;
+  if (detected) {
+    profile = detectMappingProfile(headers).profile;
+  }
+
+  const columns = { ...MAPPING_PROFILES[profile].columns };
+  for (const [field, header] of Object.entries((mapping && mapping.columns) || {})) {
+    if (header) {
+      columns[field] = header;
+    } else {
+      delete columns[field];
+    }
+  }
+
+  const headerSet = headers ? new Set(headers) : null;
+  const usedHeaders = new Set(Object.values(columns));
+
+  return {
+    profile,
+    detected,
+    columns,
+    missing: REQUIRED_MAPPING_FIELDS.filter(field => !columns[field] || (headerSet && !headerSet.has(columns[field]))),
+    unmappedHeaders: headers ? headers.filter(header => !usedHeaders.has(header)) : []
+  };
+}
+
+/**
+ * Build the header renames that turn a source's rows into COLUMN_MAP records
+ * @param {Object} columns - Field -> source header (see resolveColumnMapping)
+ * @returns {Array<Array<string>>} [sourceHeader, recordColumn] pairs for headers that differ
+ */
+export function createColumnRenames(columns) {
+  const renames = new Map();
+  for (const [field, header] of Object.entries(columns)) {
+    const column = COLUMN_MAP[field];
+    if (column && header !== column && !renames.has(header)) {
+      renames.set(header, column);
+    }
+  }
+  return Array.from(renames);
+}
+
 /**
  * Convert decimal margin buckets to basis points
  * @param {string} bucketString - Margin bucket string (e.g., "0.4-0.6")
@@ -129,7 +303,8 @@ export function formatPercentage(value, decimals = 1) {
 }
 
 /**
- * Format date value
+ * Format date value. Dates are calendar days at 00:00 UTC (see dateUtils), so they are
+ * formatted in UTC to show the same day in every time zone.
  * @param {string|Date} date - Date to format
  * @param {string} format - Format style ('short', 'medium', 'long')
  * @returns {string} Formatted date string
@@ -151,24 +326,28 @@ export function formatDate(date, format = 'medium') {
         return dateObj.toLocaleDateString('en-GB', { 
           day: 'numeric', 
           month: 'numeric', 
-          year: '2-digit' 
+          year: '2-digit',
+          timeZone: 'UTC'
         });
       case 'long':
         return dateObj.toLocaleDateString('en-GB', { 
           day: 'numeric', 
           month: 'long', 
-          year: 'numeric' 
+          year: 'numeric',
+          timeZone: 'UTC'
         });
       case 'month':
         return dateObj.toLocaleDateString('en-GB', { 
           month: 'short', 
-          year: 'numeric' 
+          year: 'numeric',
+          timeZone: 'UTC'
         });
       default: // medium
         return dateObj.toLocaleDateString('en-GB', { 
           day: 'numeric', 
           month: 'short', 
-          year: 'numeric' 
+          year: 'numeric',
+          timeZone: 'UTC'
         });
     }
   } catch (error) {
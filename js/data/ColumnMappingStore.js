@@ -0,0 +1,72 @@
+/**
+ * ColumnMappingStore.js
+ * Remembers the column mapping chosen for each dataset
+ *
+ * Mappings are stored in localStorage by source (dataset path, or file name for local
+ * imports) as { profile, columns } (see ColumnMapper.resolveColumnMapping), so a file
+ * mapped by hand once loads with the same mapping on every later visit.
+ */
+
+const STORAGE_KEY = 'mortgage-brain-column-mappings';
+
+export class ColumnMappingStore {
+  /**
+   * Create a new ColumnMappingStore instance
+   * @param {Object} options - Store options
+   * @param {Storage} options.storage - Storage implementation (default: localStorage, if available)
+   */
+  constructor(options = {}) {
+    const {
+      storage = typeof globalThis.localStorage !== 'undefined' ? globalThis.localStorage : null
+    } = options;
+
+    this.storage = storage;
+  }
+
+  /**
+   * Read every saved mapping
+   * @returns {Object} Mapping by source
+   */
+  getAll() {
+    if (!this.storage) return {};
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+      console.warn('[ColumnMappingStore] Ignoring unreadable saved mappings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Read the saved mapping of a source
+   * @param {string} source - Dataset path or file name
+   * @returns {Object|null} { profile, columns }, or null if none was saved
+   */
+  get(source) {
+    return this.getAll()[source] || null;
+  }
+
+  /**
+   * Save (or with null, forget) the mapping of a source
+   * @param {string} source - Dataset path or file name
+   * @param {Object|null} mapping - { profile, columns }
+   */
+  set(source, mapping) {
+    if (!this.storage) return;
+
+    const saved = this.getAll();
+    if (mapping) {
+      saved[source] = mapping;
+    } else {
+      delete saved[source];
+    }
+
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.warn(`[ColumnMappingStore] Could not save the mapping of ${source}:`, error);
+    }
+  }
+}
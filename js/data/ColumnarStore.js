@@ -0,0 +1,360 @@
+/**
+ * ColumnarStore.js
+ * Column-oriented store of the loaded and processed records
+ *
+ * DataManager holds its records as columns rather than one object per record: numbers in
+ * Float64Arrays, calendar days as timestamps, and everything else dictionary-encoded (each
+ * distinct value stored once, records holding a small integer code). Filtering, aggregation and
+ * the views' calculations scan the few columns they read; records are rebuilt as plain objects
+ * only where a whole record is needed, e.g. the rows an export writes (see getRecords). The store
+ * is also what the query worker holds, and it crosses to the worker as a handful of typed arrays
+ * instead of one cloned object per record. Appended records are encoded on their own and joined
+ * on (see concat), so only they cross again.
+ *
+ * A column's kind is decided by its values: 'number' when every value is a number, 'date' when
+ * every value is a calendar day (see dateUtils), otherwise 'category'. null, undefined and ''
+ * are all missing and read back as null; a category code of 0 is a missing value.
+ */
+
+import { isValidDay } from '../utils/dateUtils.js';
+
+/**
+ * Check whether a value is missing
+ * @param {*} value - Value
+ * @returns {boolean} True for null, undefined and ''
+ */
+function isMissing(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Decide how a column is stored
+ * @param {Array} records - Records
+ * @param {string} column - Column name
+ * @returns {string} 'number', 'date' or 'category'
+ */
+function detectKind(records, column) {
+  let kind = null;
+  for (const record of records) {
+    const value = record[column];
+    if (isMissing(value)) continue;
+    const valueKind = typeof value === 'number' ? 'number' : isValidDay(value) ? 'date' : 'category';
+    if (valueKind === 'category' || (kind && kind !== valueKind)) return 'category';
+    kind = valueKind;
+  }
+  return kind || 'category';
+}
+
+/**
+ * Pick the smallest typed array able to hold the codes of a dictionary
+ * @param {Uint32Array} codes - Codes
+ * @param {number} size - Dictionary size
+ * @returns {Uint8Array|Uint16Array|Uint32Array} Codes in the narrowest array
+ */
+function narrowCodes(codes, size) {
+  if (size <= 0x100) return Uint8Array.from(codes);
+  if (size <= 0x10000) return Uint16Array.from(codes);
+  return codes;
+}
+
+/**
+ * Encode one column
+ * @param {Array} records - Records
+ * @param {string} column - Column name
+ * @returns {Object} { kind, values } for numbers and dates, { kind, codes, dictionary } for categories
+ */
+function encodeColumn(records, column) {
+  const kind = detectKind(records, column);
+
+  if (kind === 'number' || kind === 'date') {
+    const values = new Float64Array(records.length);
+    records.forEach((record, index) => {
+      const value = record[column];
+      values[index] = isMissing(value) ? NaN : kind === 'date' ? value.getTime() : value;
+    });
+    return { kind, values };
+  }
+
+  const dictionary = [null];
+  const codeOf = new Map();
+  const codes = new Uint32Array(records.length);
+  records.forEach((record, index) => {
+    const value = record[column];
+    if (isMissing(value)) return;
+    let code = codeOf.get(value);
+    if (code === undefined) {
+      code = dictionary.length;
+      dictionary.push(value);
+      codeOf.set(value, code);
+    }
+    codes[index] = code;
+  });
+  return { kind, codes: narrowCodes(codes, dictionary.length), dictionary };
+}
+
+/**
+ * Check whether an encoded column holds no value at all (or is not stored)
+ * @param {Object|undefined} column - Encoded column
+ * @returns {boolean} True if every value is missing
+ */
+function isEmptyColumn(column) {
+  return !column || (column.kind === 'category' && column.dictionary.length === 1);
+}
+
+/**
+ * Join two encoded columns end to end, as encodeColumn would encode the joined records
+ * @param {Object|undefined} first - Column of the first store (undefined if it lacks the column)
+ * @param {number} firstLength - Records in the first store
+ * @param {Object|undefined} second - Column of the second store (undefined if it lacks the column)
+ * @param {number} secondLength - Records in the second store
+ * @returns {Object} Encoded column of firstLength + secondLength records
+ */
+function concatColumns(first, firstLength, second, secondLength) {
+  const length = firstLength + secondLength;
+  // A column with no values takes the kind of the other, as detectKind skips missing values
+  const kinds = [first, second].filter(column => !isEmptyColumn(column)).map(column => column.kind);
+  const kind = kinds.length === 0 ? 'category' : kinds.every(value => value === kinds[0]) ? kinds[0] : 'category';
+
+  if (kind === 'number' || kind === 'date') {
+    const values = new Float64Array(length).fill(NaN);
+    if (!isEmptyColumn(first)) values.set(first.values, 0);
+    if (!isEmptyColumn(second)) values.set(second.values, firstLength);
+    return { kind, values };
+  }
+
+  // Categories: codes of the first part stay, the second part is mapped onto the joined dictionary
+  const dictionary = [null];
+  const codeOf = new Map();
+  const codes = new Uint32Array(length);
+  const encode = value => {
+    if (isMissing(value)) return 0;
+    let code = codeOf.get(value);
+    if (code === undefined) {
+      code = dictionary.length;
+      dictionary.push(value);
+      codeOf.set(value, code);
+    }
+    return code;
+  };
+  [[first, 0, firstLength], [second, firstLength, secondLength]].forEach(([column, offset, count]) => {
+    if (isEmptyColumn(column)) return;
+    if (column.kind === 'category') {
+      const remap = Uint32Array.from(column.dictionary, (value, code) => (code === 0 ? 0 : encode(value)));
+      for (let index = 0; index < count; index++) codes[offset + index] = remap[column.codes[index]];
+      return;
+    }
+    for (let index = 0; index < count; index++) {
+      const value = column.values[index];
+      codes[offset + index] = isNaN(value) ? 0 : encode(column.kind === 'date' ? new Date(value) : value);
+    }
+  });
+  return { kind, codes: narrowCodes(codes, dictionary.length), dictionary };
+}
+
+export class ColumnarStore {
+  /**
+   * Create a store from encoded columns; use fromRecords to build one
+   * @param {number} length - Number of records
+   * @param {Object} columns - Column name -> encoded column (see encodeColumn)
+   */
+  constructor(length = 0, columns = {}) {
+    this.length = length;
+    this.columns = columns;
+  }
+
+  /**
+   * Encode records column by column
+   * @param {Array} records - Processed records
+   * @param {Array<string>} columnNames - Columns to keep (default: every column any record has)
+   * @returns {ColumnarStore} Store of the records, in the same order
+   */
+  static fromRecords(records, columnNames = null) {
+    const list = records || [];
+    const names = columnNames || [...new Set(list.flatMap(record => Object.keys(record)))];
+    const columns = {};
+    names.forEach(name => {
+      columns[name] = encodeColumn(list, name);
+    });
+    return new ColumnarStore(list.length, columns);
+  }
+
+  /**
+   * Restore a store received from another thread (structured cloning drops the class)
+   * @param {ColumnarStore|Object|null} data - Store, or its cloned fields
+   * @returns {ColumnarStore} Store
+   */
+  static revive(data) {
+    if (data instanceof ColumnarStore) return data;
+    return new ColumnarStore(data ? data.length : 0, data ? data.columns : {});
+  }
+
+  /**
+   * Join another store after this one, e.g. records appended to the loaded data. The result is
+   * the store fromRecords would build from both sets of records; neither store is changed.
+   * @param {ColumnarStore} other - Records that follow this store's records
+   * @returns {ColumnarStore} Store of this store's records, then the other's
+   */
+  concat(other) {
+    const columns = {};
+    new Set([...this.columnNames, ...other.columnNames]).forEach(name => {
+      columns[name] = concatColumns(this.columns[name], this.length, other.columns[name], other.length);
+    });
+    return new ColumnarStore(this.length + other.length, columns);
+  }
+
+  /**
+   * Names of the stored columns
+   * @returns {Array<string>} Column names
+   */
+  get columnNames() {
+    return Object.keys(this.columns);
+  }
+
+  /**
+   * Memory held by the columns (typed arrays only; dictionary values are not counted)
+   * @returns {number} Bytes
+   */
+  get byteLength() {
+    return Object.values(this.columns)
+      .reduce((total, column) => total + (column.values || column.codes).byteLength, 0);
+  }
+
+  /**
+   * How a column is stored
+   * @param {string} column - Column name
+   * @returns {string|null} 'number', 'date' or 'category', or null if the column is not stored
+   */
+  getKind(column) {
+    return this.columns[column] ? this.columns[column].kind : null;
+  }
+
+  /**
+   * Read one value
+   * @param {string} column - Column name
+   * @param {number} index - Record index
+   * @returns {*} Value as in the record (a new Date for calendar days), or null if missing
+   */
+  getValue(column, index) {
+    const stored = this.columns[column];
+    if (!stored) return null;
+    if (stored.kind === 'category') return stored.dictionary[stored.codes[index]];
+    const value = stored.values[index];
+    if (isNaN(value)) return null;
+    return stored.kind === 'date' ? new Date(value) : value;
+  }
+
+  /**
+   * Rebuild one record as a plain object
+   * @param {number} index - Record index
+   * @returns {Object} Record with every stored column
+   */
+  getRecord(index) {
+    const record = {};
+    for (const column of this.columnNames) {
+      record[column] = this.getValue(column, index);
+    }
+    return record;
+  }
+
+  /**
+   * Rebuild records as plain objects, column by column
+   * @param {Uint32Array|Array<number>|null} indices - Records to rebuild (null for all)
+   * @param {Array<string>} columnNames - Columns to read (default every stored column)
+   * @returns {Array<Object>} Records, in the order of the indices
+   */
+  getRecords(indices = null, columnNames = this.columnNames) {
+    const count = indices ? indices.length : this.length;
+    const records = Array.from({ length: count }, () => ({}));
+    columnNames.forEach(column => {
+      records.forEach((record, position) => {
+        record[column] = this.getValue(column, indices ? indices[position] : position);
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Read a column as numbers, e.g. to test ranges in a scan. Number and date columns return their
+   * stored array (timestamps for dates), which callers must not modify; category values are read
+   * with parseFloat. Missing values, and columns not stored, are NaN.
+   * @param {string} column - Column name
+   * @returns {Float64Array} One number per record
+   */
+  readNumbers(column) {
+    const stored = this.columns[column];
+    if (!stored) return new Float64Array(this.length).fill(NaN);
+    if (stored.kind !== 'category') return stored.values;
+
+    const byCode = Float64Array.from(stored.dictionary, value => parseFloat(value));
+    return Float64Array.from(stored.codes, code => byCode[code]);
+  }
+
+  /**
+   * Read a column as dictionary codes. Category columns return their stored codes, which callers
+   * must not modify; other columns are encoded on the fly.
+   * @param {string} column - Column name
+   * @returns {Object} { codes, dictionary } where dictionary[0] is null (missing)
+   */
+  readCategories(column) {
+    const stored = this.columns[column];
+    if (!stored) return { codes: new Uint8Array(this.length), dictionary: [null] };
+    if (stored.kind === 'category') return { codes: stored.codes, dictionary: stored.dictionary };
+
+    const dictionary = [null];
+    const codeOf = new Map();
+    const codes = new Uint32Array(this.length);
+    for (let index = 0; index < this.length; index++) {
+      const value = stored.values[index];
+      if (isNaN(value)) continue;
+      if (!codeOf.has(value)) {
+        codeOf.set(value, dictionary.length);
+        dictionary.push(stored.kind === 'date' ? new Date(value) : value);
+      }
+      codes[index] = codeOf.get(value);
+    }
+    return { codes, dictionary };
+  }
+
+  /**
+   * Build a test for records whose value is one of the given values
+   * @param {string} column - Column name
+   * @param {Array|Set} values - Accepted values
+   * @returns {Function} Test taking a record index and returning true if the value is accepted
+   */
+  createMatcher(column, values) {
+    const accepted = values instanceof Set ? values : new Set(values);
+    const { codes, dictionary } = this.readCategories(column);
+    const mask = Uint8Array.from(dictionary, value => (accepted.has(value) ? 1 : 0));
+    return index => mask[codes[index]] === 1;
+  }
+
+  /**
+   * List the distinct values of a column
+   * @param {string} column - Column name
+   * @returns {Array} Values in order of first appearance, missing values left out
+   */
+  getDistinctValues(column) {
+    const { codes, dictionary } = this.readCategories(column);
+    const used = new Uint8Array(dictionary.length);
+    for (let index = 0; index < this.length; index++) used[codes[index]] = 1;
+    return dictionary.filter((value, code) => code > 0 && used[code] === 1);
+  }
+
+  /**
+   * Find the smallest and largest value of a number or date column
+   * @param {string} column - Column name
+   * @returns {Array|null} [min, max] (Dates for a date column), or null if the column has no values
+   */
+  getRange(column) {
+    const values = this.readNumbers(column);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let index = 0; index < values.length; index++) {
+      const value = values[index];
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    if (!isFinite(min)) return null;
+    return this.getKind(column) === 'date' ? [new Date(min), new Date(max)] : [min, max];
+  }
+}
@@ -3,27 +3,689 @@
  * Handles data aggregation and transformation for analysis
  */
 
-import { COLUMN_MAP, convertMarginBucketToBps } from './ColumnMapper.js';
-import { sortPremiumBands } from '../utils/sortUtils.js';
+import { COLUMN_MAP, LINEAGE_COLUMNS, convertMarginBucketToBps, getLenderColumn } from './ColumnMapper.js';
+import { DERIVED_FIELDS, MARGIN_BASES, DerivedFields } from './DerivedFields.js';
+import { sortPremiumBands, standardizePremiumBand } from '../utils/sortUtils.js';
+import { TIME_GRAINS, formatPeriodLabel, getPeriodStart, getPeriodsInRange, isValidDay, parseDate, toPeriodKey } from '../utils/dateUtils.js';
 
-// Helper function to generate all months in a date range
-function getAllMonthsInRange(startDateString, endDateString) {
-  const months = [];
-  if (!startDateString || !endDateString) return months;
+/**
+ * Columns the premium band report can use as rows: column -> { label }.
+ * Besides premium bands, any categorical derived field (see DERIVED_FIELDS) can be a row.
+ */
+export const ROW_DIMENSIONS = {
+  PremiumBand: { label: 'Premium Band' },
+  ...Object.fromEntries(Object.entries(DERIVED_FIELDS)
+    .filter(([, field]) => field.type === 'category')
+    .map(([column, field]) => [column, { label: field.label }]))
+};
+
+// Helper function to order the values of a row dimension
+function sortRowValues(rowField, values) {
+  if (rowField === 'PremiumBand') return sortPremiumBands(values);
+  return DerivedFields.sortValues(rowField, values) || [...values].sort();
+}
 
-  const startDate = new Date(startDateString);
-  const endDate = new Date(endDateString);
+// Helper function to create an empty aggregation result
+function createAggregation(rowField, timeGrain = 'month') {
+  return {
+    rowField,
+    timeGrain,
+    premiumBands: [],
+    months: [], // Periods of the time grain, populated based on filterDateRange or data
+    data: {},
+    totals: { byPremiumBand: {}, byMonth: {}, overall: 0 },
+    counts: { byPremiumBand: {}, byMonth: {}, overall: 0 },
+    metrics: {}
+  };
+}
+
+// Helper function to list the report periods: every period of the filter's date range,
+// or else the periods found in the data (monthKeys is called only then)
+function getReportMonths(filterDateRange, monthKeys, timeGrain = 'month') {
+  if (filterDateRange && filterDateRange.length === 2 && filterDateRange[0] && filterDateRange[1]) {
+    console.debug('[DataAggregator] Generating months from provided filterDateRange:', filterDateRange);
+    return getPeriodsInRange(filterDateRange[0], filterDateRange[1], timeGrain);
+  }
+  
+  // Fallback: derive months from the data sample if no filter range is given (less ideal)
+  console.warn('[DataAggregator] filterDateRange not provided or invalid. Deriving months from data sample.');
+  const monthSet = new Map();
+  monthKeys().forEach(month => {
+    if (month) monthSet.set(month, true);
+  });
+  // Period keys of every grain sort in time order
+  return Array.from(monthSet.keys()).sort();
+}
+
+// Helper function to set up a zeroed cell for every row and month
+function initializeAggregation(result, bands, months) {
+  result.premiumBands = bands;
+  result.months = months;
+  
+  bands.forEach(band => {
+    result.data[band] = {};
+    months.forEach(month => {
+      result.data[band][month] = {
+        amount: 0,
+        count: 0,
+        avgLoanSize: 0
+      };
+    });
+    result.totals.byPremiumBand[band] = 0;
+    result.counts.byPremiumBand[band] = 0;
+  });
+  
+  months.forEach(month => {
+    result.totals.byMonth[month] = 0;
+    result.counts.byMonth[month] = 0;
+  });
+}
 
-  // Ensure dates are valid
-  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) return months;
+// Helper function to keep the head and tail of a long list (sampleSize 0 keeps everything)
+function sampleHeadAndTail(list, sampleSize) {
+  if (!(sampleSize > 0) || list.length <= sampleSize) return list;
+  const halfSampleSize = Math.floor(sampleSize / 2);
+  // If sampleSize is odd, one part might be smaller, ensure we don't exceed sampleSize
+  return list.slice(0, halfSampleSize).concat(list.slice(list.length - halfSampleSize)).slice(0, sampleSize);
+}
 
-  let currentDate = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+// Helper function to derive average loan sizes, market shares and growth rates from the summed cells
+function addAggregateMetrics(result, includeCountMetrics) {
+  const { premiumBands: bands, months: effectiveMonths } = result;
+  
+  // Calculate average loan sizes
+  bands.forEach(band => {
+    effectiveMonths.forEach(month => {
+      const { amount, count } = result.data[band][month];
+      result.data[band][month].avgLoanSize = count > 0 ? amount / count : 0;
+    });
+  });
+  
+  // Calculate additional metrics if requested
+  if (includeCountMetrics) {
+    // Calculate market share percentages
+    result.metrics.marketShare = {};
+    
+    bands.forEach(band => {
+      result.metrics.marketShare[band] = {};
+      effectiveMonths.forEach(month => {
+        const bandMonthAmount = result.data[band][month].amount;
+        const monthTotal = result.totals.byMonth[month];
+        result.metrics.marketShare[band][month] = monthTotal > 0 ? (bandMonthAmount / monthTotal) * 100 : 0;
+      });
+    });
+    
+    // Calculate growth rates month-over-month
+    if (effectiveMonths.length > 1) {
+      result.metrics.growthRate = {};
+      
+      bands.forEach(band => {
+        result.metrics.growthRate[band] = {};
+        
+        for (let i = 1; i < effectiveMonths.length; i++) {
+          const currentMonth = effectiveMonths[i];
+          const previousMonth = effectiveMonths[i - 1];
+          
+          const currentAmount = result.data[band][currentMonth].amount;
+          const previousAmount = result.data[band][previousMonth].amount;
+          
+          result.metrics.growthRate[band][currentMonth] = 
+            previousAmount > 0 ? ((currentAmount - previousAmount) / previousAmount) * 100 : 0;
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Loan-weighted pricing metrics of the pricing view: calculateWeightedAverages metric -> { label, unit, decimals }.
+ * 'margin' is the margin of the basis, GrossMargin by default (see MARGIN_BASES).
+ */
+export const PRICING_METRICS = {
+  rate: { label: 'Initial rate', unit: '%', decimals: 2 },
+  swapRate: { label: 'Swap rate', unit: '%', decimals: 2 },
+  margin: { label: 'Margin', unit: '%', decimals: 2 },
+  ltv: { label: 'LTV', unit: '%', decimals: 1 },
+  term: { label: 'Term', unit: ' months', decimals: 0 }
+};
+
+/**
+ * Metrics of the distribution statistics: calculateDistribution metric -> { label, column, unit, decimals, binWidth }.
+ * 'margin' is the margin column of the basis, GrossMargin by default (see MARGIN_BASES), labelled as the basis.
+ * Rates and LTVs must be positive to count; margins can be zero or negative.
+ */
+export const DISTRIBUTION_METRICS = {
+  margin: { label: 'Margin', column: null, unit: '%', decimals: 2, binWidth: 0.25 },
+  rate: { label: 'Initial rate', column: COLUMN_MAP.initialRate, unit: '%', decimals: 2, binWidth: 0.25, positive: true },
+  ltv: { label: 'LTV', column: COLUMN_MAP.ltv, unit: '%', decimals: 0, binWidth: 5, positive: true }
+};
+
+/**
+ * Percentiles reported by calculateDistribution: P10, P25, the median, P75 and P90
+ */
+export const PERCENTILES = [10, 25, 50, 75, 90];
+
+/**
+ * Pivot dimensions that are not plain columns: name -> { label }.
+ * 'period' buckets DocumentDate by the pivot's time grain; 'lender' reads the lender column of the pivot's lender level.
+ * Any other dimension is a record column (see DataAggregator.pivot).
+ */
+export const PIVOT_DIMENSIONS = {
+  period: { label: 'Period' },
+  lender: { label: 'Lender' }
+};
+
+/**
+ * Measures a pivot can compute per cell: type -> { label }. See DataAggregator.pivot for their specs.
+ */
+export const PIVOT_MEASURES = {
+  sum: { label: 'Sum' },
+  count: { label: 'Count' },
+  weightedAverage: { label: 'Weighted Average' },
+  share: { label: 'Share %' }
+};
+
+/**
+ * What a share measure is a percentage of: the cell's row, its column, or the whole pivot
+ */
+export const SHARE_BASES = ['row', 'column', 'total'];
+
+// Helper function to check whether a dimension value is missing
+function isMissingValue(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Helper function to find the bin of a value: the first bin whose `below` exceeds it,
+// else the first bin without `below` (which also takes missing values)
+function findBin(value, bins) {
+  const bin = bins.find(candidate => candidate.below === undefined || value < candidate.below);
+  return bin ? bin.label : null;
+}
+
+// Helper function to turn a pivot dimension spec into { field, read, values, order }.
+// read(record) gives the record's value, or null if it is missing or not one of the fixed values.
+function createPivotDimension(spec, timeGrain, lenderLevel) {
+  const { field, values = null, bins = null, grain = timeGrain } = typeof spec === 'string' ? { field: spec } : spec || {};
+  if (!field) throw new Error('A pivot dimension needs a field');
+
+  let read;
+  if (field === 'period') {
+    read = record => toPeriodKey(record[COLUMN_MAP.documentDate], grain) || null;
+  } else {
+    const column = field === 'lender' ? getLenderColumn(lenderLevel) : field;
+    read = bins
+      ? record => findBin(parseFloat(record[column]), bins)
+      : record => (isMissingValue(record[column]) ? null : record[column]);
+  }
+
+  const fixed = values || (bins && bins.map(bin => bin.label));
+  if (fixed) {
+    const accepted = new Set(fixed);
+    const readValue = read;
+    read = record => {
+      const value = readValue(record);
+      return accepted.has(value) ? value : null;
+    };
+  }
+
+  return { field, read, values: fixed ? [...fixed] : null };
+}
+
+// Helper function to order the values of a pivot dimension found in the data
+function sortPivotValues(dimension, values) {
+  if (dimension.values) return dimension.values.filter(value => values.includes(value));
+  if (dimension.field === 'period') return [...values].sort();
+  if (values.every(value => typeof value === 'number')) return [...values].sort((a, b) => a - b);
+  return sortRowValues(dimension.field, values);
+}
+
+// Helper function to turn a pivot measure spec into { name, type, ... } with its defaults filled in
+function normalizePivotMeasure(spec) {
+  if (spec === 'amount') return { name: 'amount', type: 'sum', field: COLUMN_MAP.loanAmount };
+  if (spec === 'count') return { name: 'count', type: 'count' };
+  if (!spec || !PIVOT_MEASURES[spec.type]) {
+    throw new Error(`Unknown pivot measure: ${JSON.stringify(spec)} (expected 'amount', 'count' or a type of ${Object.keys(PIVOT_MEASURES).join(', ')})`);
+  }
+
+  switch (spec.type) {
+    case 'count':
+      return { name: 'count', ...spec };
+    case 'share': {
+      const { of = 'total', measure = 'amount' } = spec;
+      if (!SHARE_BASES.includes(of)) {
+        throw new Error(`Unknown share base: ${of} (expected one of ${SHARE_BASES.join(', ')})`);
+      }
+      return { name: `share:${of}:${measure}`, ...spec, of, measure };
+    }
+    default: {
+      if (!spec.field) throw new Error(`A ${spec.type} measure needs a field`);
+      const weight = spec.type === 'weightedAverage' && spec.weight === undefined ? COLUMN_MAP.loanAmount : spec.weight ?? null;
+      return { name: `${spec.type}:${spec.field}`, ...spec, weight };
+    }
+  }
+}
+
+// Helper function to create the running state of every accumulated (non-share) measure
+function createPivotAccumulator(measures) {
+  return measures.map(measure => (measure.type === 'weightedAverage' ? { sum: 0, weight: 0 } : 0));
+}
+
+// Helper function to add a record to a pivot accumulator
+function accumulatePivotRecord(accumulator, measures, record) {
+  measures.forEach((measure, index) => {
+    if (measure.type === 'count') {
+      accumulator[index] += 1;
+    } else if (measure.type === 'sum') {
+      accumulator[index] += parseFloat(record[measure.field]) || 0;
+    } else if (measure.type === 'weightedAverage') {
+      // Records without a value, or without a positive weight, are left out of the average
+      const value = parseFloat(record[measure.field]);
+      const weight = measure.weight ? parseFloat(record[measure.weight]) : 1;
+      if (isNaN(value) || !(weight > 0)) return;
+      accumulator[index].sum += value * weight;
+      accumulator[index].weight += weight;
+    }
+  });
+}
+
+// Helper function to read the measures of a pivot accumulator (a weighted average without weight is null)
+function finishPivotAccumulator(accumulator, measures) {
+  const cell = {};
+  measures.forEach((measure, index) => {
+    const state = accumulator[index];
+    cell[measure.name] = measure.type === 'weightedAverage' ? (state.weight > 0 ? state.sum / state.weight : null) : state;
+  });
+  return cell;
+}
+
+// Helper function to give a share as a percentage of its base (0 when the base is not positive)
+function toShare(value, base) {
+  return base > 0 ? (value / base) * 100 : 0;
+}
+
+// Helper function to create zeroed market share totals of the lenders in the selected bands, with the LTV split
+function createShareTotals(lenders, selectedBands) {
+  const createBandTotals = () => Object.fromEntries(selectedBands.flatMap(band => [[band, 0], [`${band}_below80`, 0], [`${band}_above80`, 0]]));
+  return {
+    lenderTotals: Object.fromEntries(lenders.map(lender => [lender, { ...createBandTotals(), total: 0 }])),
+    bandTotals: createBandTotals(),
+    overallTotal: 0
+  };
+}
+
+// Helper function to add a loan to market share totals (a missing LTV counts as 80% and above)
+function addToShareTotals(totals, lender, band, loanAmount, ltv) {
+  const ltvSegment = ltv < 80 ? `${band}_below80` : `${band}_above80`;
+  const lenderTotals = totals.lenderTotals[lender];
+  lenderTotals[band] += loanAmount;
+  lenderTotals[ltvSegment] += loanAmount;
+  lenderTotals.total += loanAmount;
+  totals.bandTotals[band] += loanAmount;
+  totals.bandTotals[ltvSegment] += loanAmount;
+  totals.overallTotal += loanAmount;
+}
+
+// Helper function to give each lender its percentage of the overall total and of each band
+function addSharePercentages(totals, lenders, selectedBands) {
+  lenders.forEach(lender => {
+    const lenderTotals = totals.lenderTotals[lender];
+    lenderTotals.percentage = toShare(lenderTotals.total, totals.overallTotal);
+    selectedBands.forEach(band => {
+      lenderTotals[`${band}_pct`] = toShare(lenderTotals[band], totals.bandTotals[band]);
+    });
+  });
+}
+
+// Helper function to find the loan-weighted percentile of values sorted ascending with their weights:
+// the smallest value with at least p% of the total weight at or below it
+function weightedPercentile(sorted, totalWeight, percentile) {
+  const target = (percentile / 100) * totalWeight;
+  let cumulative = 0;
+  for (const { value, weight } of sorted) {
+    cumulative += weight;
+    // Allow for rounding in the running sum
+    if (cumulative >= target - totalWeight * 1e-12) return value;
+  }
+  return sorted[sorted.length - 1].value;
+}
+
+// Helper function to give the histogram bin index of a value; bins start at multiples of the width
+function toBinIndex(value, binWidth) {
+  return Math.floor(value / binWidth + 1e-9);
+}
+
+// Helper function to give a bin bound without floating-point noise (0.1 * 3 is 0.30000000000000004)
+function toBinBound(index, binWidth) {
+  return Number((index * binWidth).toFixed(10));
+}
+
+// Helper function to read the rows of a calculation from records: rows are the positions of the records the
+// filter keeps (all without one), and each read function takes a column (or a time grain) and returns a reader
+// of one row. Numbers are read with parseFloat.
+function createRecordReader(records, filter = null) {
+  const rows = records.map((record, index) => index);
+  return {
+    rows: filter ? rows.filter(row => filter(records[row])) : rows,
+    readNumbers: column => row => parseFloat(records[row][column]),
+    readValues: column => row => records[row][column],
+    readPeriods: timeGrain => row => toPeriodKey(records[row][COLUMN_MAP.documentDate], timeGrain)
+  };
+}
+
+// Helper function to read the rows of a calculation from the columns of a store, as createRecordReader reads
+// the same records; rows are the indices (ascending, null for all) the filter keeps, the filter taking an index
+function createStoreReader(store, indices = null, filter = null) {
+  const rows = indices || Uint32Array.from({ length: store.length }, (_, index) => index);
+  return {
+    rows: filter ? rows.filter(filter) : rows,
+    readNumbers: column => {
+      const values = store.readNumbers(column);
+      return row => values[row];
+    },
+    readValues: column => {
+      const { codes, dictionary } = store.readCategories(column);
+      return row => dictionary[codes[row]];
+    },
+    readPeriods: timeGrain => {
+      // Records share a few hundred days at most, so period keys are worked out once per day
+      const times = store.readNumbers(COLUMN_MAP.documentDate);
+      const keys = new Map();
+      return row => {
+        const time = times[row];
+        if (isNaN(time)) return '';
+        if (!keys.has(time)) keys.set(time, toPeriodKey(new Date(time), timeGrain));
+        return keys.get(time);
+      };
+    }
+  };
+}
+
+// Helper function to calculate the weighted averages of the rows of a reader (see calculateWeightedAverages)
+function calculateWeightedAveragesOfRows(reader, options) {
+  // Default options
+  const {
+    metrics = ['ltv', 'rate', 'term'],
+    includeMonthly = false,
+    basis = 'gross',
+    timeGrain = 'month'
+  } = options;
+  
+  if (!MARGIN_BASES[basis]) {
+    throw new Error(`Unknown margin basis: ${basis} (expected one of ${Object.keys(MARGIN_BASES).join(', ')})`);
+  }
+  const { bandColumn, marginColumn } = MARGIN_BASES[basis];
+  const { rows } = reader;
+  
+  if (rows.length === 0) {
+    return {
+      basis,
+      timeGrain,
+      premiumBands: [],
+      months: [],
+      metrics: {},
+      monthly: {}
+    };
+  }
+  
+  // Get unique premium bands
+  const bandOf = reader.readValues(bandColumn);
+  const bandSet = new Set();
+  rows.forEach(row => {
+    const band = bandOf(row);
+    if (band) bandSet.add(band);
+  });
+  
+  const bands = sortRowValues(bandColumn, Array.from(bandSet));
+  
+  // Initialize result structure
+  const result = {
+    basis,
+    timeGrain,
+    premiumBands: bands,
+    months: [], // Periods of the monthly breakdowns
+    metrics: {},
+    monthly: {}
+  };
+  
+  // Initialize metrics for each band
+  metrics.forEach(metric => {
+    result.metrics[metric] = {};
+    
+    bands.forEach(band => {
+      result.metrics[metric][band] = {
+        weightedAvg: 0,
+        totalWeight: 0,
+        count: 0,
+        min: Infinity,
+        max: -Infinity
+      };
+    });
+  });
+  
+  // Get months if needed
+  const monthOf = reader.readPeriods(timeGrain);
+  let months = [];
+  if (includeMonthly) {
+    const monthSet = new Set();
+    rows.forEach(row => {
+      const month = monthOf(row);
+      if (month) monthSet.add(month);
+    });
+    
+    months = Array.from(monthSet).sort();
+    result.months = months;
+    
+    // Initialize monthly metrics
+    metrics.forEach(metric => {
+      result.monthly[metric] = {};
+      
+      bands.forEach(band => {
+        result.monthly[metric][band] = {};
+        
+        months.forEach(month => {
+          result.monthly[metric][band][month] = {
+            weightedAvg: 0,
+            totalWeight: 0,
+            count: 0,
+            min: Infinity,
+            max: -Infinity
+          };
+        });
+      });
+    });
+  }
+  
+  // Read each metric from its column: derived fields as they are, margins as numbers, other metrics as
+  // numbers with a missing value read as 0
+  const numberColumns = { ltv: COLUMN_MAP.ltv, rate: COLUMN_MAP.initialRate, swapRate: COLUMN_MAP.swapRate, term: COLUMN_MAP.term };
+  const loanOf = reader.readNumbers(COLUMN_MAP.loanAmount);
+  const valueOf = {};
+  metrics.forEach(metric => {
+    if (metric === 'margin') {
+      valueOf[metric] = reader.readNumbers(marginColumn);
+    } else if (DERIVED_FIELDS[metric]) {
+      valueOf[metric] = reader.readValues(metric);
+    } else {
+      const readNumber = reader.readNumbers(numberColumns[metric] || metric);
+      valueOf[metric] = row => readNumber(row) || 0;
+    }
+  });
+  
+  // Process data
+  rows.forEach(row => {
+    const band = bandOf(row);
+    if (!band || !bands.includes(band)) return;
+    
+    const loanAmount = loanOf(row) || 0;
+    if (loanAmount <= 0) return; // Skip records with invalid loan amounts
+    
+    // Process each metric
+    metrics.forEach(metric => {
+      const value = valueOf[metric](row);
+      
+      // Skip invalid values. Margins and derived fields can be zero or negative (no fee, rate below swap),
+      // so only missing values are skipped for them.
+      const canBeNonPositive = metric === 'margin' || Boolean(DERIVED_FIELDS[metric]);
+      if (typeof value !== 'number' || isNaN(value) || (value <= 0 && !canBeNonPositive)) return;
+      
+      // Update overall metrics
+      const metricData = result.metrics[metric][band];
+      metricData.totalWeight += loanAmount;
+      metricData.count += 1;
+      metricData.weightedSum = (metricData.weightedSum || 0) + (loanAmount * value);
+      metricData.min = Math.min(metricData.min, value);
+      metricData.max = Math.max(metricData.max, value);
+      
+      // Update monthly metrics if needed
+      if (includeMonthly) {
+        const month = monthOf(row);
+        if (months.includes(month)) {
+          const monthlyMetricData = result.monthly[metric][band][month];
+          monthlyMetricData.totalWeight += loanAmount;
+          monthlyMetricData.count += 1;
+          monthlyMetricData.weightedSum = (monthlyMetricData.weightedSum || 0) + (loanAmount * value);
+          monthlyMetricData.min = Math.min(monthlyMetricData.min, value);
+          monthlyMetricData.max = Math.max(monthlyMetricData.max, value);
+        }
+      }
+    });
+  });
+  
+  // Calculate weighted averages
+  metrics.forEach(metric => {
+    bands.forEach(band => {
+      const metricData = result.metrics[metric][band];
+      if (metricData.totalWeight > 0) {
+        metricData.weightedAvg = metricData.weightedSum / metricData.totalWeight;
+      }
+      
+      // Clean up infinite values
+      if (metricData.min === Infinity) metricData.min = 0;
+      if (metricData.max === -Infinity) metricData.max = 0;
+    });
+    
+    if (includeMonthly) {
+      bands.forEach(band => {
+        months.forEach(month => {
+          const monthlyMetricData = result.monthly[metric][band][month];
+          if (monthlyMetricData.totalWeight > 0) {
+            monthlyMetricData.weightedAvg = monthlyMetricData.weightedSum / monthlyMetricData.totalWeight;
+          }
+          if (monthlyMetricData.min === Infinity) monthlyMetricData.min = 0;
+          if (monthlyMetricData.max === -Infinity) monthlyMetricData.max = 0;
+        });
+      });
+    }
+  });
+  
+  return result;
+}
 
-  while (currentDate <= endDate) {
-    months.push(`${currentDate.getFullYear()}-${(currentDate.getMonth() + 1).toString().padStart(2, '0')}`);
-    currentDate.setMonth(currentDate.getMonth() + 1);
+// Helper function to describe the distribution of the rows of a reader (see calculateDistribution)
+function calculateDistributionOfRows(reader, options) {
+  const { metric = 'margin', basis = 'gross', percentiles = PERCENTILES, binRange = null } = options;
+  if (!MARGIN_BASES[basis]) {
+    throw new Error(`Unknown margin basis: ${basis} (expected one of ${Object.keys(MARGIN_BASES).join(', ')})`);
   }
-  return months;
+  const definition = metric === 'margin'
+    ? { ...DISTRIBUTION_METRICS.margin, column: MARGIN_BASES[basis].marginColumn, label: MARGIN_BASES[basis].label }
+    : DISTRIBUTION_METRICS[metric] || { column: metric, label: metric };
+  const binWidth = options.binWidth ?? definition.binWidth;
+  if (!(binWidth > 0)) {
+    throw new Error(`calculateDistribution needs a positive binWidth for ${metric}`);
+  }
+  
+  // Loan-weighted values of the segment
+  const weightOf = reader.readNumbers(COLUMN_MAP.loanAmount);
+  const valueOf = reader.readNumbers(definition.column);
+  const values = [];
+  let totalWeight = 0;
+  let weightedSum = 0;
+  reader.rows.forEach(row => {
+    const weight = weightOf(row);
+    const value = valueOf(row);
+    if (!(weight > 0) || isNaN(value) || (definition.positive && value <= 0)) return;
+    
+    values.push({ value, weight });
+    totalWeight += weight;
+    weightedSum += weight * value;
+  });
+  values.sort((a, b) => a.value - b.value);
+  
+  const result = {
+    metric,
+    basis,
+    column: definition.column,
+    label: definition.label,
+    binWidth,
+    count: values.length,
+    totalWeight,
+    weightedMean: values.length > 0 ? weightedSum / totalWeight : null,
+    min: values.length > 0 ? values[0].value : null,
+    max: values.length > 0 ? values[values.length - 1].value : null,
+    percentiles: Object.fromEntries(percentiles.map(percentile => [
+      percentile,
+      values.length > 0 ? weightedPercentile(values, totalWeight, percentile) : null
+    ])),
+    histogram: []
+  };
+  
+  // Histogram over the values and the requested range, with empty bins kept
+  const extent = [result.min, result.max, ...(binRange || [])].filter(value => value !== null && value !== undefined);
+  if (extent.length === 0) return result;
+  
+  const firstIndex = toBinIndex(Math.min(...extent), binWidth);
+  const lastIndex = toBinIndex(Math.max(...extent), binWidth);
+  result.histogram = Array.from({ length: lastIndex - firstIndex + 1 }, (_, i) => ({
+    from: toBinBound(firstIndex + i, binWidth),
+    to: toBinBound(firstIndex + i + 1, binWidth),
+    count: 0,
+    amount: 0,
+    share: 0
+  }));
+  values.forEach(({ value, weight }) => {
+    const bin = result.histogram[toBinIndex(value, binWidth) - firstIndex];
+    bin.count += 1;
+    bin.amount += weight;
+  });
+  result.histogram.forEach(bin => {
+    bin.share = toShare(bin.amount, totalWeight);
+  });
+  
+  return result;
+}
+
+// Helper function to total the rows of a reader by source file and load batch (see summarizeBySource)
+function summarizeRowsBySource(reader, loadBatches) {
+  const summaries = new Map();
+  const getSummary = (source, batch, label = source) => {
+    const key = `${batch}|${source}`;
+    if (!summaries.has(key)) {
+      summaries.set(key, { source, label, batch, recordCount: 0, loanAmount: 0, firstDate: null, lastDate: null });
+    }
+    return summaries.get(key);
+  };
+  
+  loadBatches.forEach(batch => {
+    batch.sources.forEach(({ source, label }) => getSummary(source, batch.id, label));
+  });
+  
+  const sourceOf = reader.readValues(LINEAGE_COLUMNS.source);
+  const batchOf = reader.readValues(LINEAGE_COLUMNS.batch);
+  const dateOf = reader.readValues(COLUMN_MAP.documentDate);
+  const loanOf = reader.readNumbers(COLUMN_MAP.loanAmount);
+  reader.rows.forEach(row => {
+    const summary = getSummary(sourceOf(row) ?? null, batchOf(row) ?? null);
+    const date = dateOf(row);
+    summary.recordCount++;
+    summary.loanAmount += loanOf(row) || 0;
+    if (isValidDay(date)) {
+      if (!summary.firstDate || date < summary.firstDate) summary.firstDate = date;
+      if (!summary.lastDate || date > summary.lastDate) summary.lastDate = date;
+    }
+  });
+  
+  return Array.from(summaries.values());
 }
 
 export class DataAggregator {
@@ -34,6 +696,10 @@ export class DataAggregator {
    * @param {number} options.sampleSize - Maximum number of records to process for large datasets
    * @param {boolean} options.includeCountMetrics - Whether to include count metrics in addition to loan amounts
    * @param {Array<string>} options.filterDateRange - Optional: [startDate, endDate] from filters
+   * @param {string} options.rowField - Column whose values are the rows (default 'PremiumBand', see ROW_DIMENSIONS).
+   *   The result keeps the premium band names (premiumBands, byPremiumBand) whatever the rows are.
+   * @param {string} options.timeGrain - Periods of the columns (default 'month', see TIME_GRAINS). The result keeps
+   *   the month names (months, byMonth) whatever the periods are, and records its timeGrain.
    * @returns {Object} Aggregated data structure
    */
   static aggregateByPremiumBandAndMonth(data, options = {}) {
@@ -41,52 +707,24 @@ export class DataAggregator {
     const { 
       sampleSize = 0, // 0 means use all data
       includeCountMetrics = true,
-      filterDateRange = null // New option for passing filter's date range
+      filterDateRange = null, // New option for passing filter's date range
+      rowField = 'PremiumBand',
+      timeGrain = 'month'
     } = options;
     
     // Validate input
     if (!data || !Array.isArray(data) || data.length === 0) {
-      return {
-        premiumBands: [],
-        months: [],
-        data: {},
-        totals: { byPremiumBand: {}, byMonth: {}, overall: 0 },
-        counts: { byPremiumBand: {}, byMonth: {}, overall: 0 },
-        metrics: {}
-      };
+      return createAggregation(rowField, timeGrain);
     }
     
     // Performance optimization for large datasets
-    let dataToProcess;
-    let isSampled = false;
-
-    if (sampleSize > 0 && data.length > sampleSize) {
-      isSampled = true;
-      const halfSampleSize = Math.floor(sampleSize / 2);
-      const headSample = data.slice(0, halfSampleSize);
-      const tailSample = data.slice(data.length - halfSampleSize, data.length);
-      // Combine and remove duplicates if any (though unlikely for distinct records)
-      // For simplicity here, we'll just concatenate. If primary keys were available, a Set could ensure uniqueness.
-      dataToProcess = headSample.concat(tailSample);
-      // If sampleSize is odd, one part might be smaller, ensure we don't exceed sampleSize significantly
-      if (dataToProcess.length > sampleSize) {
-        dataToProcess = dataToProcess.slice(0, sampleSize);
-      }
-    } else {
-      dataToProcess = data; // Use all data
-    }
+    const dataToProcess = sampleHeadAndTail(data, sampleSize);
+    const isSampled = dataToProcess !== data;
     
     console.debug(`Aggregating ${dataToProcess.length} records${isSampled ? ' (sampled head & tail)' : ''}`);
     const startTime = performance.now();
     
-    const result = {
-      premiumBands: [],
-      months: [], // This will be populated based on filterDateRange or data
-      data: {},
-      totals: { byPremiumBand: {}, byMonth: {}, overall: 0 },
-      counts: { byPremiumBand: {}, byMonth: {}, overall: 0 },
-      metrics: {}
-    };
+    const result = createAggregation(rowField, timeGrain);
     
     try {
       // Get unique premium bands (converted to basis points)
@@ -99,81 +737,27 @@ export class DataAggregator {
           r.PremiumBand = convertMarginBucketToBps(r[COLUMN_MAP.grossMarginBucket]);
         }
         
-        if (r.PremiumBand) bandSet.set(r.PremiumBand, true);
+        const row = r[rowField];
+        if (row !== null && row !== undefined && row !== '') bandSet.set(row, true);
       });
       
-      const bands = sortPremiumBands(Array.from(bandSet.keys()));
+      const bands = sortRowValues(rowField, Array.from(bandSet.keys()));
       
       // Determine the list of months for the report
-      let effectiveMonths;
-      if (filterDateRange && filterDateRange.length === 2 && filterDateRange[0] && filterDateRange[1]) {
-        console.debug('[DataAggregator] Generating months from provided filterDateRange:', filterDateRange);
-        effectiveMonths = getAllMonthsInRange(filterDateRange[0], filterDateRange[1]);
-      } else {
-        // Fallback: derive months from the data sample if no filter range is given (less ideal)
-        console.warn('[DataAggregator] filterDateRange not provided or invalid. Deriving months from data sample.');
-        const monthSet = new Map();
-        dataToProcess.forEach(r => {
-          const dateField = r[COLUMN_MAP.documentDate];
-          if (dateField) {
-            try {
-              const date = new Date(dateField);
-              if (!isNaN(date.getTime())) {
-                const month = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-                monthSet.set(month, true);
-              }
-            } catch (e) {
-              // Skip invalid dates
-            }
-          }
-        });
-        effectiveMonths = Array.from(monthSet.keys()).sort((a, b) => {
-          const [yearA, monthA] = a.split('-').map(Number);
-          const [yearB, monthB] = b.split('-').map(Number);
-          if (yearA !== yearB) return yearA - yearB;
-          return monthA - monthB;
-        });
-      }
+      const effectiveMonths = getReportMonths(filterDateRange, () => dataToProcess.map(r => toPeriodKey(r[COLUMN_MAP.documentDate], timeGrain)), timeGrain);
 
       // Log all unique months found in the data (from sample)
       // This is just for comparison/debugging, effectiveMonths is what's used for structure
       const sampleMonthSet = new Map();
       dataToProcess.forEach(r => {
-        const dateField = r[COLUMN_MAP.documentDate];
-        if (dateField) {
-          try {
-            const date = new Date(dateField);
-            if (!isNaN(date.getTime())) {
-              sampleMonthSet.set(`${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`, true);
-            }
-          } catch (e) { /* skip */ }
-        }
+        const month = toPeriodKey(r[COLUMN_MAP.documentDate], timeGrain);
+        if (month) sampleMonthSet.set(month, true);
       });
       console.info('Unique months found in *sampled data*:', Array.from(sampleMonthSet.keys()).sort());
       console.info('Effective months for *table structure*:', effectiveMonths);
       
       // Initialize structure
-      result.premiumBands = bands;
-      result.months = effectiveMonths; // Use months derived from filter range or sample
-      
-      // Initialize data structures
-      bands.forEach(band => {
-        result.data[band] = {};
-        effectiveMonths.forEach(month => {
-          result.data[band][month] = {
-            amount: 0,
-            count: 0,
-            avgLoanSize: 0
-          };
-        });
-        result.totals.byPremiumBand[band] = 0;
-        result.counts.byPremiumBand[band] = 0;
-      });
-      
-      effectiveMonths.forEach(month => {
-        result.totals.byMonth[month] = 0;
-        result.counts.byMonth[month] = 0;
-      });
+      initializeAggregation(result, bands, effectiveMonths);
       
       // Debug: Log a sample of records to check date formats
       console.debug('Sample records for date format check:', dataToProcess.slice(0, 5).map(r => ({
@@ -190,57 +774,13 @@ export class DataAggregator {
             record.PremiumBand = convertMarginBucketToBps(record[COLUMN_MAP.grossMarginBucket]);
           }
           
-          const band = record.PremiumBand;
-          if (!band || !bands.includes(band)) return;
+          const band = record[rowField];
+          if (!bands.includes(band)) return;
           
+          // DocumentDate is a calendar day (see dateUtils); records without one are skipped
           const dateField = record[COLUMN_MAP.documentDate];
-          if (!dateField) return;
-          
-          // Parse date field - handle different possible formats
-          let recordDate;
-          if (typeof dateField === 'string') {
-            // Try to handle various date formats
-            if (dateField.includes('-')) {
-              // YYYY-MM-DD format
-              recordDate = new Date(dateField);
-              // Ensure the date is valid
-              if (isNaN(recordDate.getTime())) {
-                console.warn('Invalid date despite having correct format:', dateField);
-                return;
-              }
-            } else if (dateField.includes('/')) {
-              // DD/MM/YYYY or MM/DD/YYYY format
-              const parts = dateField.split('/');
-              if (parts.length === 3) {
-                // Assume DD/MM/YYYY format first
-                recordDate = new Date(`${parts[2]}-${parts[1]}-${parts[0]}`);
-                if (isNaN(recordDate.getTime())) {
-                  // Try MM/DD/YYYY format if DD/MM/YYYY failed
-                  recordDate = new Date(`${parts[2]}-${parts[0]}-${parts[1]}`);
-                }
-              }
-            } else {
-              // Try standard parsing
-              recordDate = new Date(dateField);
-            }
-          } else {
-            // If it's already a Date object
-            recordDate = new Date(dateField);
-          }
-          
-          if (isNaN(recordDate.getTime())) {
-            console.warn('Invalid date format:', dateField);
-            return;
-          }
-          
-          const year = recordDate.getFullYear();
-          const monthNum = recordDate.getMonth() + 1;
-          const month = `${year}-${monthNum.toString().padStart(2, '0')}`;
-          
-          // Debug log for 2025 dates
-          if (year === 2025) {
-            console.debug(`Processing 2025 date: ${dateField} => ${month}`);
-          }
+          const month = toPeriodKey(dateField, timeGrain);
+          if (!month) return;
           
           if (!effectiveMonths.includes(month)) {
             console.debug(`Month ${month} not in months list, skipping record. Original date: ${dateField}`);
@@ -270,48 +810,7 @@ export class DataAggregator {
         }
       });
       
-      // Calculate average loan sizes
-      bands.forEach(band => {
-        effectiveMonths.forEach(month => {
-          const { amount, count } = result.data[band][month];
-          result.data[band][month].avgLoanSize = count > 0 ? amount / count : 0;
-        });
-      });
-      
-      // Calculate additional metrics if requested
-      if (includeCountMetrics) {
-        // Calculate market share percentages
-        result.metrics.marketShare = {};
-        
-        bands.forEach(band => {
-          result.metrics.marketShare[band] = {};
-          effectiveMonths.forEach(month => {
-            const bandMonthAmount = result.data[band][month].amount;
-            const monthTotal = result.totals.byMonth[month];
-            result.metrics.marketShare[band][month] = monthTotal > 0 ? (bandMonthAmount / monthTotal) * 100 : 0;
-          });
-        });
-        
-        // Calculate growth rates month-over-month
-        if (effectiveMonths.length > 1) {
-          result.metrics.growthRate = {};
-          
-          bands.forEach(band => {
-            result.metrics.growthRate[band] = {};
-            
-            for (let i = 1; i < effectiveMonths.length; i++) {
-              const currentMonth = effectiveMonths[i];
-              const previousMonth = effectiveMonths[i - 1];
-              
-              const currentAmount = result.data[band][currentMonth].amount;
-              const previousAmount = result.data[band][previousMonth].amount;
-              
-              result.metrics.growthRate[band][currentMonth] = 
-                previousAmount > 0 ? ((currentAmount - previousAmount) / previousAmount) * 100 : 0;
-            }
-          });
-        }
-      }
+      addAggregateMetrics(result, includeCountMetrics);
       
       // Log performance
       const endTime = performance.now();
@@ -320,309 +819,507 @@ export class DataAggregator {
       return result;
     } catch (error) {
       console.error('Error in aggregateByPremiumBandAndMonth:', error);
-      return {
-        premiumBands: [],
-        months: [],
-        data: {},
-        totals: { byPremiumBand: {}, byMonth: {}, overall: 0 },
-        counts: { byPremiumBand: {}, byMonth: {}, overall: 0 },
-        metrics: {},
-        error: error.message
-      };
+      return { ...createAggregation(rowField, timeGrain), error: error.message };
     }
   }
   
   /**
-   * Calculate market share by lender and premium band
-   * @param {Array} data - Data to analyze
-   * @param {Array} selectedBands - Selected premium bands
-   * @returns {Object} Market share analysis
+   * Check whether a premium band is shown in reports.
+   * 'Unknown', '-0.4--0.2' and bands starting at 540bps or above are excluded.
+   * @param {string} band - Premium band
+   * @returns {boolean} True if the band is reportable
    */
-  static calculateMarketShare(data, selectedBands) {
-    if (!data || data.length === 0 || !selectedBands || selectedBands.length === 0) {
-      return {
-        lenders: [],
-        lenderTotals: {},
-        bandTotals: {},
-        overallTotal: 0
-      };
+  static isReportablePremiumBand(band) {
+    if (band === 'Unknown' || band === '-0.4--0.2') return false;
+    if (band) {
+      const parts = String(band).split('-'); // Ensure it's a string
+      if (parts.length >= 1) {
+        const lowerBoundString = parts[0].trim();
+        const lowerBound = parseFloat(lowerBoundString);
+        if (!isNaN(lowerBound) && lowerBound >= 540) {
+          return false; // Exclude if lower bound is 540 or more
+        }
+      }
     }
+    return true;
+  }
+  
+  /**
+   * Build a test for the records of a store in reportable bands (see isReportablePremiumBand)
+   * @param {ColumnarStore} store - Records as columns
+   * @param {string} bandColumn - Band column, e.g. that of a margin basis (default PremiumBand)
+   * @returns {Function} Test taking a record index and returning true if its band is reportable
+   */
+  static createReportableMatcher(store, bandColumn = 'PremiumBand') {
+    // Missing bands are tested too (code 0), as isReportablePremiumBand accepts them
+    const { codes, dictionary } = store.readCategories(bandColumn);
+    const reportable = Uint8Array.from(dictionary, band => (this.isReportablePremiumBand(band) ? 1 : 0));
+    return index => reportable[codes[index]] === 1;
+  }
+  
+  /**
+   * Aggregate filtered data for the premium band report, including the unfiltered
+   * totals per row (band, or rowField value) that market share is measured against.
+   * unfilteredTotals also keeps the row totals of each period (byMonth: period -> row -> amount),
+   * so that periods can be replaced on their own (see mergeReportMonths).
+   * @param {Array} data - Filtered data to aggregate
+   * @param {Array} allData - Complete dataset (used for unfiltered totals)
+   * @param {Object} options - Aggregation options (see aggregateByPremiumBandAndMonth)
+   * @returns {Object|null} Aggregated data with unfilteredTotals, or null if nothing is reportable
+   */
+  static aggregateForReport(data, allData, options = {}) {
+    const { filterDateRange = null, rowField = 'PremiumBand', timeGrain = 'month' } = options;
+    const reportableData = data.filter(record => this.isReportablePremiumBand(record.PremiumBand));
     
-    const filteredData = data.filter(record => 
-      selectedBands.includes(record.PremiumBand)
-    );
-    
-    const lenderTotals = {};
-    const bandTotals = {};
-    let overallTotal = 0;
-    
-    // Initialize structures
-    const lenders = [...new Set(filteredData.map(r => r[COLUMN_MAP.lender]))].sort();
-    
-    lenders.forEach(lender => {
-      lenderTotals[lender] = {};
-      selectedBands.forEach(band => {
-        lenderTotals[lender][band] = 0;
-        lenderTotals[lender][band + '_below80'] = 0;
-        lenderTotals[lender][band + '_above80'] = 0;
-      });
-      lenderTotals[lender].total = 0;
-    });
+    if (reportableData.length === 0) {
+      console.warn('Data for aggregation is empty after premium band filtering.');
+      return null;
+    }
     
-    selectedBands.forEach(band => {
-      bandTotals[band] = 0;
-      bandTotals[band + '_below80'] = 0;
-      bandTotals[band + '_above80'] = 0;
-    });
+    console.info(`Starting data aggregation with ${reportableData.length} records (after premium band filter)`);
+    const aggregatedData = this.aggregateByPremiumBandAndMonth(reportableData, options);
     
-    // Aggregate data
-    filteredData.forEach(record => {
-      const lender = record[COLUMN_MAP.lender];
-      const band = record.PremiumBand;
-      const loanAmount = parseFloat(record[COLUMN_MAP.loanAmount]) || 0;
-      const ltv = parseFloat(record[COLUMN_MAP.ltv]);
+    // Calculate unfiltered totals for market share calculation if we have a date range filter:
+    // apply only the date range filter to get the total for each premium band
+    if (filterDateRange && allData && allData.length > 0) {
+      const unfilteredTotals = { byPremiumBand: {}, byMonth: {}, overall: 0 };
+      const startTime = parseDate(filterDateRange[0])?.getTime() ?? -Infinity;
+      const endTime = parseDate(filterDateRange[1])?.getTime() ?? Infinity;
       
-      if (lender && selectedBands.includes(band)) {
-        // Add to lender/band total
-        lenderTotals[lender][band] += loanAmount;
-        
-        // Add to lender total
-        lenderTotals[lender].total += loanAmount;
-        
-        // Add to band total
-        bandTotals[band] += loanAmount;
+      allData.forEach(record => {
+        const recordDate = record[COLUMN_MAP.documentDate];
+        if (!isValidDay(recordDate) || recordDate.getTime() < startTime || recordDate.getTime() > endTime) return;
+        if (!this.isReportablePremiumBand(record.PremiumBand)) return;
         
-        // Add to overall total
-        overallTotal += loanAmount;
+        const band = record[rowField];
+        const amount = parseFloat(record[COLUMN_MAP.loanAmount]) || 0;
         
-        // LTV breakdown
-        if (ltv < 80) {
-          lenderTotals[lender][band + '_below80'] += loanAmount;
-          bandTotals[band + '_below80'] += loanAmount;
-        } else {
-          lenderTotals[lender][band + '_above80'] += loanAmount;
-          bandTotals[band + '_above80'] += loanAmount;
-        }
-      }
-    });
-    
-    // Calculate percentages
-    lenders.forEach(lender => {
-      lenderTotals[lender].percentage = (lenderTotals[lender].total / overallTotal) * 100;
-      
-      selectedBands.forEach(band => {
-        if (bandTotals[band] > 0) {
-          lenderTotals[lender][band + '_pct'] = (lenderTotals[lender][band] / bandTotals[band]) * 100;
-        } else {
-          lenderTotals[lender][band + '_pct'] = 0;
+        if (band !== null && band !== undefined && band !== '') {
+          const month = toPeriodKey(recordDate, timeGrain);
+          unfilteredTotals.byPremiumBand[band] = (unfilteredTotals.byPremiumBand[band] || 0) + amount;
+          unfilteredTotals.byMonth[month] = unfilteredTotals.byMonth[month] || {};
+          unfilteredTotals.byMonth[month][band] = (unfilteredTotals.byMonth[month][band] || 0) + amount;
+          unfilteredTotals.overall += amount;
         }
       });
-    });
+      
+      aggregatedData.unfilteredTotals = unfilteredTotals;
+    }
     
-    return {
-      lenders,
-      lenderTotals,
-      bandTotals,
-      overallTotal
-    };
+    return aggregatedData;
   }
   
   /**
-   * Calculate weighted averages by premium band
-   * @param {Array} data - Data to analyze
-   * @param {Object} options - Calculation options
-   * @param {Array} options.metrics - Metrics to calculate weighted averages for (e.g., 'ltv', 'rate')
-   * @param {boolean} options.includeMonthly - Whether to include monthly breakdowns
-   * @returns {Object} Weighted averages by premium band
+   * Aggregate records of a columnar store for the premium band report. Gives the same result as
+   * aggregateForReport on the same records (which must be prepared, see RecordProcessor), summing
+   * in the same order, but scans only the columns the report reads.
+   * @param {ColumnarStore} store - Complete dataset as columns (also used for unfiltered totals)
+   * @param {Uint32Array|Array<number>|null} indices - Filtered records, in ascending order (null for all)
+   * @param {Object} options - Aggregation options (see aggregateForReport)
+   * @param {Array<string>} options.months - Only aggregate these periods (keys of the time grain, e.g. YYYY-MM),
+   *   to replace them in an earlier result with mergeReportMonths. The result then has just these periods,
+   *   and is returned even if none of their records is reportable.
+   * @returns {Object|null} Aggregated data with unfilteredTotals, or null if nothing is reportable
    */
-  static calculateWeightedAverages(data, options = {}) {
-    // Default options
+  static aggregateStoreForReport(store, indices = null, options = {}) {
     const {
-      metrics = ['ltv', 'rate', 'term'],
-      includeMonthly = false
+      sampleSize = 0,
+      includeCountMetrics = true,
+      filterDateRange = null,
+      rowField = 'PremiumBand',
+      timeGrain = 'month',
+      months: onlyMonths = null
     } = options;
     
-    if (!data || !Array.isArray(data) || data.length === 0) {
-      return {
-        premiumBands: [],
-        metrics: {},
-        monthly: {}
-      };
+    const isReportable = this.createReportableMatcher(store);
+    
+    // Records share a few hundred days at most, so period keys are worked out once per day
+    const times = store.readNumbers(COLUMN_MAP.documentDate);
+    const monthKeys = new Map();
+    const monthKeyOf = index => {
+      const time = times[index];
+      if (isNaN(time)) return '';
+      if (!monthKeys.has(time)) monthKeys.set(time, toPeriodKey(new Date(time), timeGrain));
+      return monthKeys.get(time);
+    };
+    const onlyMonthSet = onlyMonths ? new Set(onlyMonths) : null;
+    const isAggregated = index => !onlyMonthSet || onlyMonthSet.has(monthKeyOf(index));
+    
+    const positions = [];
+    const count = indices ? indices.length : store.length;
+    for (let i = 0; i < count; i++) {
+      const index = indices ? indices[i] : i;
+      if (isReportable(index) && isAggregated(index)) positions.push(index);
     }
     
-    // Get unique premium bands
-    const bandSet = new Set();
-    data.forEach(r => {
-      if (r.PremiumBand) bandSet.add(r.PremiumBand);
-    });
+    if (positions.length === 0 && !onlyMonthSet) {
+      console.warn('Data for aggregation is empty after premium band filtering.');
+      return null;
+    }
     
-    const bands = Array.from(bandSet).sort((a, b) => {
-      try {
-        const aNum = parseInt(a.split('-')[0]) || 0;
-        const bNum = parseInt(b.split('-')[0]) || 0;
-        return aNum - bNum;
-      } catch (e) {
-        return 0;
-      }
+    console.info(`Starting data aggregation with ${positions.length} records (after premium band filter)`);
+    const selected = sampleHeadAndTail(positions, sampleSize);
+    const { codes, dictionary } = store.readCategories(rowField);
+    const loans = store.readNumbers(COLUMN_MAP.loanAmount);
+    
+    // Rows are the values present in the selected records (code 0 is a missing value)
+    const usedCodes = new Set();
+    selected.forEach(index => {
+      if (codes[index] !== 0) usedCodes.add(codes[index]);
     });
+    const bands = sortRowValues(rowField, [...usedCodes].map(code => dictionary[code]));
+    const reportMonths = getReportMonths(filterDateRange, () => selected.map(monthKeyOf), timeGrain);
+    const months = onlyMonthSet ? reportMonths.filter(month => onlyMonthSet.has(month)) : reportMonths;
     
-    // Initialize result structure
-    const result = {
-      premiumBands: bands,
-      metrics: {},
-      monthly: {}
-    };
+    const result = createAggregation(rowField, timeGrain);
+    initializeAggregation(result, bands, months);
     
-    // Initialize metrics for each band
-    metrics.forEach(metric => {
-      result.metrics[metric] = {};
+    const rowOfCode = new Int32Array(dictionary.length).fill(-1);
+    bands.forEach((band, row) => {
+      rowOfCode[dictionary.indexOf(band)] = row;
+    });
+    const monthIndex = new Map(months.map((month, position) => [month, position]));
+    
+    // Sum in record order, as aggregateByPremiumBandAndMonth does, so the totals agree to the last digit
+    const amounts = new Float64Array(bands.length * months.length);
+    const counts = new Uint32Array(bands.length * months.length);
+    selected.forEach(index => {
+      const row = rowOfCode[codes[index]];
+      if (row < 0) return;
+      const column = monthIndex.get(monthKeyOf(index));
+      if (column === undefined) return;
       
-      bands.forEach(band => {
-        result.metrics[metric][band] = {
-          weightedAvg: 0,
-          totalWeight: 0,
-          count: 0,
-          min: Infinity,
-          max: -Infinity
-        };
-      });
+      const loanAmount = loans[index] || 0;
+      const band = bands[row];
+      const month = months[column];
+      amounts[row * months.length + column] += loanAmount;
+      counts[row * months.length + column] += 1;
+      result.totals.byPremiumBand[band] += loanAmount;
+      result.counts.byPremiumBand[band] += 1;
+      result.totals.byMonth[month] += loanAmount;
+      result.counts.byMonth[month] += 1;
+      result.totals.overall += loanAmount;
+      result.counts.overall += 1;
     });
     
-    // Get months if needed
-    let months = [];
-    if (includeMonthly) {
-      const monthSet = new Set();
-      data.forEach(r => {
-        const dateField = r[COLUMN_MAP.documentDate];
-        if (dateField) {
-          try {
-            const date = new Date(dateField);
-            if (!isNaN(date.getTime())) {
-              const month = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-              monthSet.add(month);
-            }
-          } catch (e) {
-            // Skip invalid dates
-          }
-        }
+    bands.forEach((band, row) => {
+      months.forEach((month, column) => {
+        result.data[band][month].amount = amounts[row * months.length + column];
+        result.data[band][month].count = counts[row * months.length + column];
       });
+    });
+    addAggregateMetrics(result, includeCountMetrics);
+    
+    // Unfiltered totals: only the date range filter, over the whole store
+    if (filterDateRange && store.length > 0) {
+      const unfilteredTotals = { byPremiumBand: {}, byMonth: {}, overall: 0 };
+      const startTime = parseDate(filterDateRange[0])?.getTime() ?? -Infinity;
+      const endTime = parseDate(filterDateRange[1])?.getTime() ?? Infinity;
       
-      months = Array.from(monthSet).sort();
-      
-      // Initialize monthly metrics
-      metrics.forEach(metric => {
-        result.monthly[metric] = {};
+      for (let index = 0; index < store.length; index++) {
+        if (!(times[index] >= startTime && times[index] <= endTime)) continue;
+        if (!isReportable(index) || codes[index] === 0 || !isAggregated(index)) continue;
         
-        bands.forEach(band => {
-          result.monthly[metric][band] = {};
-          
-          months.forEach(month => {
-            result.monthly[metric][band][month] = {
-              weightedAvg: 0,
-              totalWeight: 0,
-              count: 0
-            };
-          });
+        const band = dictionary[codes[index]];
+        const month = monthKeyOf(index);
+        const amount = loans[index] || 0;
+        unfilteredTotals.byPremiumBand[band] = (unfilteredTotals.byPremiumBand[band] || 0) + amount;
+        unfilteredTotals.byMonth[month] = unfilteredTotals.byMonth[month] || {};
+        unfilteredTotals.byMonth[month][band] = (unfilteredTotals.byMonth[month][band] || 0) + amount;
+        unfilteredTotals.overall += amount;
+      }
+      
+      result.unfilteredTotals = unfilteredTotals;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Replace some periods of a report aggregation, e.g. after records of those periods were
+   * appended. Cells and unfiltered totals of the other periods are kept; the totals, rows and
+   * metrics are worked out again from the cells.
+   * @param {Object} previous - Earlier aggregateForReport result, for the same filters and options
+   * @param {Object} update - aggregateStoreForReport result for the periods to replace (see its months option)
+   * @param {Array<Date>} filterDateRange - Date range of the report; its periods are the months of the result
+   * @returns {Object} Aggregated data with unfilteredTotals, as aggregating every period would give it
+   */
+  static mergeReportMonths(previous, update, filterDateRange) {
+    const { rowField, timeGrain = 'month' } = previous;
+    const months = getPeriodsInRange(filterDateRange[0], filterDateRange[1], timeGrain);
+    const updated = new Set(update.months);
+    const sourceOf = month => (updated.has(month) ? update : previous.months.includes(month) ? previous : null);
+    const bands = sortRowValues(rowField, [...new Set([...previous.premiumBands, ...update.premiumBands])]);
+    
+    const result = createAggregation(rowField, timeGrain);
+    initializeAggregation(result, bands, months);
+    
+    months.forEach(month => {
+      const source = sourceOf(month);
+      if (!source) return;
+      source.premiumBands.forEach(band => {
+        const { amount, count } = source.data[band][month];
+        result.data[band][month].amount = amount;
+        result.data[band][month].count = count;
+        result.totals.byPremiumBand[band] += amount;
+        result.counts.byPremiumBand[band] += count;
+      });
+      result.totals.byMonth[month] = source.totals.byMonth[month];
+      result.counts.byMonth[month] = source.counts.byMonth[month];
+      result.totals.overall += source.totals.byMonth[month];
+      result.counts.overall += source.counts.byMonth[month];
+    });
+    addAggregateMetrics(result, Boolean(previous.metrics.marketShare));
+    
+    if (previous.unfilteredTotals?.byMonth && update.unfilteredTotals) {
+      const unfilteredTotals = { byPremiumBand: {}, byMonth: {}, overall: 0 };
+      months.forEach(month => {
+        const source = sourceOf(month);
+        const totals = source && source.unfilteredTotals.byMonth[month];
+        if (!totals) return;
+        unfilteredTotals.byMonth[month] = { ...totals };
+        Object.entries(totals).forEach(([band, amount]) => {
+          unfilteredTotals.byPremiumBand[band] = (unfilteredTotals.byPremiumBand[band] || 0) + amount;
+          unfilteredTotals.overall += amount;
         });
       });
+      result.unfilteredTotals = unfilteredTotals;
     }
     
-    // Process data
-    data.forEach(record => {
-      const band = record.PremiumBand;
-      if (!band || !bands.includes(band)) return;
-      
-      const loanAmount = parseFloat(record[COLUMN_MAP.loanAmount]) || 0;
-      if (loanAmount <= 0) return; // Skip records with invalid loan amounts
-      
-      // Process each metric
-      metrics.forEach(metric => {
-        let value;
-        
-        // Map metric to column and parse value
-        switch (metric) {
-          case 'ltv':
-            value = parseFloat(record[COLUMN_MAP.ltv]) || 0;
-            break;
-          case 'rate':
-            value = parseFloat(record[COLUMN_MAP.rate]) || 0;
-            break;
-          case 'term':
-            value = parseFloat(record[COLUMN_MAP.term]) || 0;
-            break;
-          default:
-            value = parseFloat(record[metric]) || 0;
-        }
-        
-        // Skip invalid values
-        if (isNaN(value) || value <= 0) return;
-        
-        // Update overall metrics
-        const metricData = result.metrics[metric][band];
-        metricData.totalWeight += loanAmount;
-        metricData.count += 1;
-        metricData.weightedSum = (metricData.weightedSum || 0) + (loanAmount * value);
-        metricData.min = Math.min(metricData.min, value);
-        metricData.max = Math.max(metricData.max, value);
-        
-        // Update monthly metrics if needed
-        if (includeMonthly) {
-          const dateField = record[COLUMN_MAP.documentDate];
-          if (dateField) {
-            try {
-              const date = new Date(dateField);
-              if (!isNaN(date.getTime())) {
-                const month = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-                if (months.includes(month)) {
-                  const monthlyMetricData = result.monthly[metric][band][month];
-                  monthlyMetricData.totalWeight += loanAmount;
-                  monthlyMetricData.count += 1;
-                  monthlyMetricData.weightedSum = (monthlyMetricData.weightedSum || 0) + (loanAmount * value);
-                }
-              }
-            } catch (e) {
-              // Skip invalid dates
-            }
-          }
+    return result;
+  }
+  
+  /**
+   * List the periods of a date range
+   * @param {Array<Date|string>} dateRange - [start, end]
+   * @param {string} timeGrain - One of TIME_GRAINS (default 'month')
+   * @returns {Array<string>} Period keys (YYYY-MM for months) from the start to the end, or none if either is missing
+   */
+  static getMonthsInRange(dateRange, timeGrain = 'month') {
+    return dateRange ? getPeriodsInRange(dateRange[0], dateRange[1], timeGrain) : [];
+  }
+  
+  /**
+   * Lay out an aggregateForReport result as report rows: one per band (or rowField value) with
+   * its monthly amounts and counts, total and market share, then a Total row. The data table
+   * and the headless report both use these rows.
+   * @param {Object|null} aggregatedData - Result of aggregateForReport
+   * @returns {Array<Object>} Rows of { premiumBand, amount: { month: value }, count: { month: value }, total, marketShare }
+   */
+  static createReportRows(aggregatedData) {
+    if (!aggregatedData) return [];
+
+    const { premiumBands, months, data, totals, unfilteredTotals, rowField = 'PremiumBand' } = aggregatedData;
+    const byPremiumBand = rowField === 'PremiumBand';
+    const tableData = [];
+
+    // Create a row for each premium band (or rowField value), filtering out 'Unknown'
+    premiumBands.forEach(band => {
+      // Skip the 'Unknown' and '-0.4--0.2' premium bands
+      if (byPremiumBand && (band === 'Unknown' || band === '-0.4--0.2')) return;
+      // Standardize premium band format (convert decimal to basis points if needed)
+      const standardizedBand = byPremiumBand ? standardizePremiumBand(band) : band;
+
+      // Calculate market share as percentage of total lending in this price premium bucket
+      let marketShare = 100; // Default to 100% if no unfiltered totals available
+
+      if (unfilteredTotals && unfilteredTotals.byPremiumBand && unfilteredTotals.byPremiumBand[band] > 0) {
+        // Market share = (filtered amount for this band / unfiltered amount for this band) * 100
+        marketShare = ((totals.byPremiumBand[band] || 0) / unfilteredTotals.byPremiumBand[band]) * 100;
+      } else if (totals.overall > 0) {
+        // Fallback to old calculation if unfiltered totals not available
+        marketShare = ((totals.byPremiumBand[band] || 0) / totals.overall) * 100;
+      }
+
+      const row = {
+        premiumBand: standardizedBand,
+        amount: {},
+        count: {},
+        total: totals.byPremiumBand[band] || 0,
+        marketShare: marketShare
+      };
+
+      // Add data for each month
+      months.forEach(month => {
+        if (data[band] && data[band][month]) {
+          row.amount[month] = data[band][month].amount;
+          row.count[month] = data[band][month].count;
+        } else {
+          row.amount[month] = 0;
+          row.count[month] = 0;
         }
       });
+
+      tableData.push(row);
+    });
+
+    // Add a total row
+    const totalRow = {
+      premiumBand: "Total",
+      amount: {},
+      count: {},
+      total: totals.overall,
+      marketShare: unfilteredTotals && unfilteredTotals.overall > 0 ?
+        (totals.overall / unfilteredTotals.overall) * 100 : 100
+    };
+
+    months.forEach(month => {
+      totalRow.amount[month] = totals.byMonth[month] || 0;
+      totalRow.count[month] = aggregatedData.counts?.byMonth[month] || 0;
     });
+
+    tableData.push(totalRow);
+
+    return tableData;
+  }
+  
+  /**
+   * Calculate market share by lender and premium band, over the whole data and per period
+   * @param {Array} data - Data to analyze
+   * @param {Array} selectedBands - Selected premium bands
+   * @param {Object} options - Options
+   * @param {string} options.lenderLevel - Lender level to report at: 'brand' (default) or 'group' (see LENDER_LEVELS)
+   * @param {string} options.timeGrain - Period length for byPeriod, one of TIME_GRAINS (default 'month')
+   * @returns {Object} Market share analysis: { lenders, lenderTotals, bandTotals, overallTotal, timeGrain, periods, byPeriod },
+   *   where byPeriod holds the { lenderTotals, bandTotals, overallTotal } of each period key in periods
+   */
+  static calculateMarketShare(data, selectedBands, options = {}) {
+    const lenderColumn = getLenderColumn(options.lenderLevel);
+    const { timeGrain = 'month' } = options;
+
+    if (!data || data.length === 0 || !selectedBands || selectedBands.length === 0) {
+      return {
+        lenders: [],
+        lenderTotals: {},
+        bandTotals: {},
+        overallTotal: 0,
+        timeGrain,
+        periods: [],
+        byPeriod: {}
+      };
+    }
     
-    // Calculate weighted averages
-    metrics.forEach(metric => {
-      bands.forEach(band => {
-        const metricData = result.metrics[metric][band];
-        if (metricData.totalWeight > 0) {
-          metricData.weightedAvg = metricData.weightedSum / metricData.totalWeight;
-        }
-        
-        // Clean up infinite values
-        if (metricData.min === Infinity) metricData.min = 0;
-        if (metricData.max === -Infinity) metricData.max = 0;
-      });
+    const filteredData = data.filter(record => 
+      selectedBands.includes(record.PremiumBand)
+    );
+    
+    // Every period lists every lender, so that per-period tables share their rows
+    const lenders = [...new Set(filteredData.map(r => r[lenderColumn]))].sort();
+    const overall = createShareTotals(lenders, selectedBands);
+    const byPeriod = {};
+    
+    // Aggregate data
+    filteredData.forEach(record => {
+      const lender = record[lenderColumn];
+      const band = record.PremiumBand;
+      const loanAmount = parseFloat(record[COLUMN_MAP.loanAmount]) || 0;
+      const ltv = parseFloat(record[COLUMN_MAP.ltv]);
       
-      if (includeMonthly) {
-        bands.forEach(band => {
-          months.forEach(month => {
-            const monthlyMetricData = result.monthly[metric][band][month];
-            if (monthlyMetricData.totalWeight > 0) {
-              monthlyMetricData.weightedAvg = monthlyMetricData.weightedSum / monthlyMetricData.totalWeight;
-            }
-          });
-        });
+      if (lender && selectedBands.includes(band)) {
+        addToShareTotals(overall, lender, band, loanAmount, ltv);
+
+        // Records without a valid date count in the overall totals only
+        const period = toPeriodKey(record[COLUMN_MAP.documentDate], timeGrain);
+        if (period) {
+          byPeriod[period] = byPeriod[period] || createShareTotals(lenders, selectedBands);
+          addToShareTotals(byPeriod[period], lender, band, loanAmount, ltv);
+        }
       }
     });
     
-    return result;
+    // Calculate percentages
+    const periods = Object.keys(byPeriod).sort();
+    addSharePercentages(overall, lenders, selectedBands);
+    periods.forEach(period => addSharePercentages(byPeriod[period], lenders, selectedBands));
+    
+    return {
+      lenders,
+      ...overall,
+      timeGrain,
+      periods,
+      byPeriod
+    };
+  }
+  
+  /**
+   * Calculate weighted averages by premium band
+   * @param {Array} data - Data to analyze
+   * @param {Object} options - Calculation options
+   * @param {Array} options.metrics - Metrics to calculate weighted averages for (e.g., 'ltv', 'rate', 'swapRate', or
+   *   'margin' for the margin of the basis; see PRICING_METRICS), or record columns such as numeric derived fields
+   *   (e.g., 'FeeBps')
+   * @param {boolean} options.includeMonthly - Whether to include monthly breakdowns
+   * @param {string} options.timeGrain - Periods of the monthly breakdowns (default 'month', see TIME_GRAINS)
+   * @param {string} options.basis - Margin basis (see MARGIN_BASES): 'gross' (default) groups by PremiumBand,
+   *   'feeAdjusted' by FeeAdjustedBand, 'curve' by CurveMarginBand
+   * @returns {Object} Weighted averages by premium band: metrics[metric][band] and, with includeMonthly,
+   *   monthly[metric][band][period] are { weightedAvg, totalWeight, count, min, max } (0 without values)
+   */
+  static calculateWeightedAverages(data, options = {}) {
+    return calculateWeightedAveragesOfRows(createRecordReader(data || []), options);
+  }
+  
+  /**
+   * Calculate weighted averages by premium band from the columns of a store. Gives the same result as
+   * calculateWeightedAverages on the same records, but reads only the columns of the metrics.
+   * @param {ColumnarStore} store - Records as columns
+   * @param {Uint32Array|Array<number>|null} indices - Records to analyze, in ascending order (null for all)
+   * @param {Object} options - Calculation options (see calculateWeightedAverages)
+   * @param {Function} options.filter - Records to analyze among the indices: those for which it returns true,
+   *   given a record index (default all)
+   * @returns {Object} Weighted averages by premium band (see calculateWeightedAverages)
+   */
+  static calculateStoreWeightedAverages(store, indices = null, options = {}) {
+    return calculateWeightedAveragesOfRows(createStoreReader(store, indices, options.filter), options);
+  }
+  
+  /**
+   * Calculate the loan-weighted distribution of a metric: percentiles and a histogram.
+   * Percentiles take no interpolation: P50 is the smallest value with at least half of the loan amount at or below it.
+   * @param {Array} data - Data to analyze
+   * @param {Object} options - Calculation options
+   * @param {string} options.metric - DISTRIBUTION_METRICS key (default 'margin') or any numeric record column
+   * @param {string} options.basis - Margin basis of the 'margin' metric (default 'gross', see MARGIN_BASES)
+   * @param {Function} options.filter - Segment to describe: records for which it returns true (default all)
+   * @param {Array<number>} options.percentiles - Percentiles to find (default PERCENTILES)
+   * @param {number} options.binWidth - Histogram bin width (default the metric's; required for other columns)
+   * @param {Array<number>} options.binRange - [min, max] values the histogram must cover, so that segments described
+   *   with the same range (e.g. the market's min and max) have the same bins; bins for values outside are added
+   * @returns {Object} { metric, basis, column, label, binWidth, count, totalWeight, weightedMean, min, max, percentiles,
+   *   histogram } where label names the metric (the basis's label for margins), percentiles maps each percentile to its value (null without values) and histogram lists
+   *   { from, to, count, amount, share } bins, from inclusive, with share the percentage of the loan amount
+   */
+  static calculateDistribution(data, options = {}) {
+    return calculateDistributionOfRows(createRecordReader(data || [], options.filter), options);
+  }
+  
+  /**
+   * Calculate the loan-weighted distribution of a metric from the columns of a store. Gives the same result as
+   * calculateDistribution on the same records, but reads only the loan amount and the metric's column.
+   * @param {ColumnarStore} store - Records as columns
+   * @param {Uint32Array|Array<number>|null} indices - Records to describe, in ascending order (null for all)
+   * @param {Object} options - Calculation options (see calculateDistribution), except that options.filter
+   *   takes a record index (e.g. a ColumnarStore.createMatcher test)
+   * @returns {Object} Distribution (see calculateDistribution)
+   */
+  static calculateStoreDistribution(store, indices = null, options = {}) {
+    return calculateDistributionOfRows(createStoreReader(store, indices, options.filter), options);
   }
   
   /**
    * Group data by month and lender for trend analysis
    * @param {Array} data - Data to analyze
    * @param {Array} selectedBands - Selected premium bands
+   * @param {Object} options - Options
+   * @param {string} options.lenderLevel - Lender level to group by: 'brand' (default) or 'group' (see LENDER_LEVELS)
+   * @param {string} options.timeGrain - Periods to group by (default 'month', see TIME_GRAINS); months are then
+   *   the periods, with their labels (see formatPeriodLabel) and first days
    * @returns {Object} Monthly data by lender
    */
-  static groupByMonthAndLender(data, selectedBands) {
+  static groupByMonthAndLender(data, selectedBands, options = {}) {
+    const lenderColumn = getLenderColumn(options.lenderLevel);
+    const { timeGrain = 'month' } = options;
+
     if (!data || data.length === 0) {
       return {
         months: [],
@@ -638,17 +1335,17 @@ export class DataAggregator {
     const months = [];
     
     filteredData.forEach(record => {
-      const date = new Date(record[COLUMN_MAP.documentDate]);
-      const monthKey = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-      const lender = record[COLUMN_MAP.lender];
+      const monthKey = toPeriodKey(record[COLUMN_MAP.documentDate], timeGrain);
+      if (!monthKey) return;
+      const lender = record[lenderColumn];
       const loanAmount = parseFloat(record[COLUMN_MAP.loanAmount]) || 0;
       
       if (!monthlyData[monthKey]) {
         monthlyData[monthKey] = { lenders: {}, total: 0 };
         months.push({
           key: monthKey,
-          label: date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
-          date: date
+          label: formatPeriodLabel(monthKey, timeGrain),
+          date: getPeriodStart(record[COLUMN_MAP.documentDate], timeGrain)
         });
       }
       
@@ -674,4 +1371,189 @@ export class DataAggregator {
       data: monthlyData
     };
   }
+  
+  /**
+   * Cross-tabulate records by any row and column dimensions. The report, market share and trend
+   * tables are all pivots: premium band by month, lender by premium band, month by lender.
+   *
+   * A dimension is a column name, 'period' or 'lender' (see PIVOT_DIMENSIONS), or an object
+   * { field, values, bins, grain }:
+   * - values fixes the dimension's values, in that order: records with other values are left out,
+   *   and values without records are kept (e.g. every month of the filter's date range)
+   * - bins buckets a numeric column: [{ label, below }], a value going to the first bin whose `below`
+   *   exceeds it; a bin without `below` takes every other value, missing values included
+   * - grain overrides the pivot's time grain for a 'period' dimension
+   *
+   * A measure is 'amount' (the sum of Loan), 'count', or an object by type (see PIVOT_MEASURES):
+   * - { type: 'sum', field } sums a numeric column (missing values count as 0)
+   * - { type: 'weightedAverage', field, weight } averages a numeric column weighted by another
+   *   (default Loan; weight null for a plain mean), leaving out missing values and non-positive weights
+   * - { type: 'share', of, measure } gives a sum or count measure (default 'amount') as a percentage
+   *   of the row, column or total (see SHARE_BASES). For the row totals the column is the whole pivot,
+   *   and for the column totals the row is.
+   * Each measure may set a name for its key in the cells (default e.g. 'weightedAverage:GrossMargin').
+   *
+   * Row and column keys are the values joined by '|' (the value itself for a single dimension).
+   * Rows and columns are the combinations found in the records, each dimension in its own order,
+   * plus every combination of fixed values when all dimensions have them. Every row has a cell
+   * for every column.
+   * @param {Array} data - Records
+   * @param {Object} options - Pivot options
+   * @param {Array} options.rows - Row dimensions
+   * @param {Array} options.columns - Column dimensions (may be empty for a single column keyed '')
+   * @param {Array} options.measures - Measures (default ['amount', 'count'])
+   * @param {string} options.timeGrain - Time grain of 'period' dimensions (default 'month', see TIME_GRAINS)
+   * @param {string} options.lenderLevel - Lender level of 'lender' dimensions (default 'brand', see LENDER_LEVELS)
+   * @param {Function} options.filter - Optional: test a record must pass to be counted
+   * @returns {Object} { rows, columns, measures, timeGrain, cells, rowTotals, columnTotals, total }, where rows
+   *   and columns are lists of { key, values } and cells maps row key -> column key -> measure name -> value
+   * @throws {Error} If a dimension, measure or the time grain is not known
+   */
+  static pivot(data, options = {}) {
+    const {
+      rows = [],
+      columns = [],
+      measures = ['amount', 'count'],
+      timeGrain = 'month',
+      lenderLevel = 'brand',
+      filter = null
+    } = options;
+
+    if (!TIME_GRAINS[timeGrain]) {
+      throw new Error(`Unknown time grain: ${timeGrain} (expected one of ${Object.keys(TIME_GRAINS).join(', ')})`);
+    }
+    const rowDimensions = rows.map(spec => createPivotDimension(spec, timeGrain, lenderLevel));
+    const columnDimensions = columns.map(spec => createPivotDimension(spec, timeGrain, lenderLevel));
+
+    const measureList = measures.map(normalizePivotMeasure);
+    const accumulated = measureList.filter(measure => measure.type !== 'share');
+    const shares = measureList.filter(measure => measure.type === 'share');
+    shares.forEach(share => {
+      const base = accumulated.find(measure => measure.name === share.measure);
+      if (!base || base.type === 'weightedAverage') {
+        throw new Error(`Share measure ${share.name} needs a sum or count measure named ${share.measure}`);
+      }
+    });
+
+    // One accumulator per cell, per row and column total, and for the whole pivot
+    const rowEntries = new Map();
+    const columnEntries = new Map();
+    const cellAccumulators = new Map();
+    const totalAccumulator = createPivotAccumulator(accumulated);
+    const getEntry = (entries, values) => {
+      const key = values.join('|');
+      if (!entries.has(key)) entries.set(key, { key, values, accumulator: createPivotAccumulator(accumulated) });
+      return entries.get(key);
+    };
+    const readValues = (dimensions, record) => {
+      const values = [];
+      for (const dimension of dimensions) {
+        const value = dimension.read(record);
+        if (value === null) return null;
+        values.push(value);
+      }
+      return values;
+    };
+
+    (data || []).forEach(record => {
+      if (filter && !filter(record)) return;
+      const rowValues = readValues(rowDimensions, record);
+      const columnValues = rowValues && readValues(columnDimensions, record);
+      if (!columnValues) return;
+
+      const row = getEntry(rowEntries, rowValues);
+      const column = getEntry(columnEntries, columnValues);
+      const cellKey = `${row.key}\n${column.key}`;
+      if (!cellAccumulators.has(cellKey)) cellAccumulators.set(cellKey, createPivotAccumulator(accumulated));
+
+      [cellAccumulators.get(cellKey), row.accumulator, column.accumulator, totalAccumulator].forEach(accumulator => {
+        accumulatePivotRecord(accumulator, accumulated, record);
+      });
+    });
+
+    // Every combination of fixed values is listed, records or not
+    const listEntries = (dimensions, entries) => {
+      if (dimensions.every(dimension => dimension.values)) {
+        dimensions.reduce((combinations, dimension) => combinations.flatMap(values => dimension.values.map(value => [...values, value])), [[]])
+          .forEach(values => getEntry(entries, values));
+      }
+      const orders = dimensions.map((dimension, index) => {
+        const found = [...new Set(Array.from(entries.values(), entry => entry.values[index]))];
+        return new Map(sortPivotValues(dimension, found).map((value, index) => [value, index]));
+      });
+      return Array.from(entries.values()).sort((a, b) => {
+        for (let index = 0; index < orders.length; index++) {
+          const difference = orders[index].get(a.values[index]) - orders[index].get(b.values[index]);
+          if (difference !== 0) return difference;
+        }
+        return 0;
+      });
+    };
+    const rowList = listEntries(rowDimensions, rowEntries);
+    const columnList = listEntries(columnDimensions, columnEntries);
+
+    const result = {
+      rows: rowList.map(({ key, values }) => ({ key, values })),
+      columns: columnList.map(({ key, values }) => ({ key, values })),
+      measures: measureList.map(measure => measure.name),
+      timeGrain,
+      cells: {},
+      rowTotals: {},
+      columnTotals: {},
+      total: finishPivotAccumulator(totalAccumulator, accumulated)
+    };
+    rowList.forEach(row => {
+      result.rowTotals[row.key] = finishPivotAccumulator(row.accumulator, accumulated);
+      result.cells[row.key] = {};
+      columnList.forEach(column => {
+        const accumulator = cellAccumulators.get(`${row.key}\n${column.key}`) || createPivotAccumulator(accumulated);
+        result.cells[row.key][column.key] = finishPivotAccumulator(accumulator, accumulated);
+      });
+    });
+    columnList.forEach(column => {
+      result.columnTotals[column.key] = finishPivotAccumulator(column.accumulator, accumulated);
+    });
+
+    // Shares, once every total is known
+    shares.forEach(share => {
+      const total = result.total[share.measure];
+      const setShare = (target, row, column) => {
+        target[share.name] = toShare(target[share.measure], share.of === 'row' ? row : share.of === 'column' ? column : total);
+      };
+      rowList.forEach(row => {
+        const rowTotal = result.rowTotals[row.key][share.measure];
+        columnList.forEach(column => {
+          setShare(result.cells[row.key][column.key], rowTotal, result.columnTotals[column.key][share.measure]);
+        });
+        setShare(result.rowTotals[row.key], rowTotal, total);
+      });
+      columnList.forEach(column => {
+        setShare(result.columnTotals[column.key], total, result.columnTotals[column.key][share.measure]);
+      });
+      setShare(result.total, total, total);
+    });
+
+    return result;
+  }
+  
+  /**
+   * Total the records of each source file and load batch
+   * @param {Array} data - Records with lineage columns (see LINEAGE_COLUMNS)
+   * @param {Array<Object>} loadBatches - Load batches (see DataManager.loadBatches); their sources are listed
+   *   even when they contributed no records, in load order
+   * @returns {Array<Object>} { source, label, batch, recordCount, loanAmount, firstDate, lastDate }
+   */
+  static summarizeBySource(data, loadBatches = []) {
+    return summarizeRowsBySource(createRecordReader(data || []), loadBatches);
+  }
+  
+  /**
+   * Total the records of a store by source file and load batch, as summarizeBySource does
+   * @param {ColumnarStore} store - Records with lineage columns, as columns
+   * @param {Array<Object>} loadBatches - Load batches (see summarizeBySource)
+   * @returns {Array<Object>} { source, label, batch, recordCount, loanAmount, firstDate, lastDate }
+   */
+  static summarizeStoreBySource(store, loadBatches = []) {
+    return summarizeRowsBySource(createStoreReader(store), loadBatches);
+  }
 }
@@ -6,7 +6,10 @@
  * It includes optimizations for memory usage and performance, as well as robust error handling.
  */
 
-import { convertMarginBucketToBps } from './ColumnMapper.js';
+import { COLUMN_MAP, DATE_HEADERS, DEDUPLICATION_KEY_FIELDS, LINEAGE_COLUMNS, convertMarginBucketToBps, createColumnRenames } from './ColumnMapper.js';
+import { LenderAliases } from './LenderAliases.js';
+import { createChecksum } from '../utils/checksumUtils.js';
+import { DATE_FORMATS, detectDateFormat, parseDate, toDayKey } from '../utils/dateUtils.js';
 
 /**
  * Logger class for consistent logging across the application
@@ -52,7 +55,8 @@ export class DataLoader {
   // Configuration options for CSV parsing
   static parseConfig = {
     header: true,
-    dynamicTyping: true,
+    // Dates stay as text so dateUtils can read them with the file's declared format
+    dynamicTyping: field => !DATE_HEADERS.has(field),
     skipEmptyLines: true,
     // Chunk size for streaming large files (helps with memory usage)
     chunkSize: 500000, // Process 500KB at a time
@@ -63,11 +67,13 @@ export class DataLoader {
   /**
    * Load and parse a CSV file
    * @param {string} filePath - Path to CSV file
+   * @param {Object} options - Additional options
+   * @param {Function} options.onLoaded - Called with { filePath, rowCount, checksum, byteLength, headers } once parsed
+   * @param {Function} options.onProgress - Called with byte/row progress while the file streams in (see readResponse)
    * @returns {Promise<Array>} Parsed CSV data
    */
-  static async loadCSV(filePath) {
+  static async loadCSV(filePath, options = {}) {
     Logger.info(`Loading CSV file: ${filePath}`);
-    const startTime = performance.now();
     
     try {
       const response = await fetch(filePath);
@@ -76,37 +82,227 @@ export class DataLoader {
         throw new Error(`Failed to load CSV file: ${filePath} (${response.status} ${response.statusText})`);
       }
       
+      return await this.readRecords(response, filePath, options);
+    } catch (error) {
+      Logger.error(`Error loading CSV file ${filePath}:`, error);
+      return [];
+    }
+  }
+  
+  /**
+   * Load and parse a local CSV file (e.g. from a file picker or drop zone)
+   * @param {File} file - File to read
+   * @param {Object} options - Additional options (see loadCSV); onLoaded receives the file name as filePath
+   * @returns {Promise<Array>} Parsed CSV data
+   * @throws {Error} If the file cannot be read
+   */
+  static async loadLocalFile(file, options = {}) {
+    Logger.info(`Reading local CSV file: ${file.name}`);
+    
+    // Wrapping the file in a Response gives the same streaming reader as fetched files
+    const response = new Response(file, { headers: { 'Content-Length': String(file.size) } });
+    return this.readRecords(response, file.name, options);
+  }
+  
+  /**
+   * Read all rows from a CSV response
+   * @param {Response} response - Response to read
+   * @param {string} filePath - Path or name used in stats and log messages
+   * @param {Object} options - Additional options (see loadCSV)
+   * @returns {Promise<Array>} Parsed CSV data
+   * @private
+   */
+  static async readRecords(response, filePath, options = {}) {
+    const { onLoaded, onProgress } = options;
+    const startTime = performance.now();
+    
+    const data = [];
+    const stats = await this.readResponse(response, filePath, {
+      onRows: rows => {
+        for (const row of rows) {
+          data.push(row);
+        }
+      },
+      onProgress
+    });
+    
+    const endTime = performance.now();
+    Logger.info(`CSV parsing complete: ${filePath} (${(stats.byteLength / 1024 / 1024).toFixed(2)} MB, ${data.length} records) in ${((endTime - startTime) / 1000).toFixed(2)}s`);
+    
+    if (onLoaded) {
+      onLoaded({
+        filePath,
+        rowCount: stats.rowCount,
+        checksum: stats.checksum,
+        byteLength: stats.byteLength,
+        headers: stats.headers
+      });
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Read a fetch response incrementally and parse it in row batches.
+   * The body stream is decoded chunk by chunk and cut at row boundaries, so the whole file
+   * is never held as a single string. Falls back to response.text() when the response has
+   * no readable body stream.
+   * @param {Response} response - Successful fetch response for a CSV file
+   * @param {string} filePath - Path of the file (for logging and progress)
+   * @param {Object} options - Reading options
+   * @param {Function} options.onRows - Called (and awaited) with each batch of parsed rows
+   * @param {Function} options.onProgress - Called with { filePath, bytesRead, totalBytes, rowsParsed, etaSeconds }
+   * @returns {Promise<Object>} { rowCount, checksum, byteLength, headers }
+   */
+  static async readResponse(response, filePath, options = {}) {
+    const { onRows, onProgress } = options;
+    const startTime = performance.now();
+    const checksum = createChecksum();
+    // Content-Length is the transfer size, so it is only an estimate for compressed responses
+    const totalBytes = parseInt(response.headers?.get?.('content-length'), 10) || null;
+    let rowCount = 0;
+    let errorCount = 0;
+    let headers = null;
+    
+    const reportProgress = () => {
+      if (!onProgress) return;
+      const elapsedSeconds = (performance.now() - startTime) / 1000;
+      const bytesRead = checksum.byteLength;
+      const etaSeconds = totalBytes && bytesRead > 0 && elapsedSeconds > 0
+        ? Math.max(0, (totalBytes - bytesRead) / (bytesRead / elapsedSeconds))
+        : null;
+      onProgress({ filePath, bytesRead, totalBytes, rowsParsed: rowCount, etaSeconds });
+    };
+    
+    const emitRows = async (csvText) => {
+      const results = this.parseText(csvText);
+      if (results.errors && results.errors.length > 0) {
+        errorCount += results.errors.length;
+        if (results.errors.some(e => e.type === 'Fatal')) {
+          Logger.error('Fatal CSV parsing errors:', results.errors);
+        }
+      }
+      rowCount += results.data.length;
+      if (!headers && results.meta && results.meta.fields) {
+        headers = results.meta.fields;
+      }
+      if (onRows && results.data.length > 0) {
+        await onRows(results.data);
+      }
+      reportProgress();
+    };
+    
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      // No stream support: parse the whole body in one pass
       const csvText = await response.text();
-      Logger.info(`CSV file loaded: ${filePath} (${(csvText.length / 1024 / 1024).toFixed(2)} MB)`);      
+      checksum.updateText(csvText);
+      await emitRows(csvText);
+    } else {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder('utf-8');
+      let headerLine = null;
+      let buffer = '';
       
-      return new Promise((resolve) => {
-        const parseConfig = {
-          ...this.parseConfig,
-          complete: (results) => {
-            if (results.errors && results.errors.length > 0) {
-              if (results.errors.some(e => e.type === 'Fatal')) {
-                Logger.error('Fatal CSV parsing errors:', results.errors);
-              } else {
-                Logger.warn('CSV parsing warnings:', results.errors);
-              }
-            }
-            
-            const endTime = performance.now();
-            Logger.info(`CSV parsing complete: ${results.data.length} records in ${((endTime - startTime) / 1000).toFixed(2)}s`);
-            resolve(results.data);
-          },
-          error: (error) => {
-            Logger.error('CSV parsing error:', error);
-            resolve([]);
+      while (true) {
+        const { done, value } = await reader.read();
+        
+        if (value) {
+          checksum.update(value);
+          buffer += decoder.decode(value, { stream: true });
+        }
+        if (done) {
+          buffer += decoder.decode();
+        }
+        
+        // Split off the header row once, then prepend it to every batch
+        if (headerLine === null) {
+          const headerEnd = this.findRowBoundary(buffer, { last: false });
+          if (headerEnd === -1 && !done) continue;
+          headerLine = headerEnd === -1 ? buffer : buffer.slice(0, headerEnd + 1);
+          buffer = headerEnd === -1 ? '' : buffer.slice(headerEnd + 1);
+        }
+        
+        // Accumulate roughly parseConfig.chunkSize characters before parsing a batch
+        if (!done && buffer.length < this.parseConfig.chunkSize) {
+          reportProgress();
+          continue;
+        }
+        
+        const boundary = done ? buffer.length - 1 : this.findRowBoundary(buffer);
+        if (boundary >= 0) {
+          const batch = buffer.slice(0, boundary + 1);
+          buffer = buffer.slice(boundary + 1);
+          if (batch.trim().length > 0) {
+            await emitRows(headerLine.endsWith('\n') ? headerLine + batch : `${headerLine}\n${batch}`);
           }
-        };
+        }
         
-        Papa.parse(csvText, parseConfig);
-      });
-    } catch (error) {
-      Logger.error(`Error loading CSV file ${filePath}:`, error);
-      return [];
+        if (done) break;
+      }
+      
+      // A file with no data rows still has a header row
+      if (!headers && headerLine) {
+        headers = this.parseText(headerLine).meta.fields || null;
+      }
+    }
+    
+    if (errorCount > 0) {
+      Logger.warn(`CSV parsing warnings for ${filePath}: ${errorCount} rows with errors`);
     }
+    reportProgress();
+    
+    return {
+      rowCount,
+      checksum: checksum.digest(),
+      byteLength: checksum.byteLength,
+      headers: headers || []
+    };
+  }
+  
+  /**
+   * Parse a complete CSV string (header row included) synchronously
+   * @param {string} csvText - CSV text
+   * @returns {Object} Papa Parse results ({ data, errors, meta })
+   * @private
+   */
+  static parseText(csvText) {
+    let parsed = { data: [], errors: [], meta: {} };
+    Papa.parse(csvText, {
+      ...this.parseConfig,
+      complete: results => {
+        parsed = results;
+      },
+      error: error => {
+        Logger.error('CSV parsing error:', error);
+      }
+    });
+    return parsed;
+  }
+  
+  /**
+   * Find a row boundary (a newline that is not inside a quoted field)
+   * @param {string} text - CSV text starting at a row boundary
+   * @param {Object} options - Search options
+   * @param {boolean} options.last - Find the last boundary (default) rather than the first
+   * @returns {number} Index of the newline character, or -1 if there is none
+   * @private
+   */
+  static findRowBoundary(text, options = {}) {
+    const { last = true } = options;
+    let inQuotes = false;
+    let boundary = -1;
+    
+    for (let i = 0; i < text.length; i++) {
+      const charCode = text.charCodeAt(i);
+      if (charCode === 34) { // "
+        inQuotes = !inQuotes;
+      } else if (charCode === 10 && !inQuotes) { // \n
+        boundary = i;
+        if (!last) break;
+      }
+    }
+    
+    return boundary;
   }
   
   /**
@@ -114,35 +310,43 @@ export class DataLoader {
    * @param {Array<string>} filePaths - Array of file paths to load
    * @param {Object} options - Additional options for loading
    * @param {boolean} options.parallel - Whether to load files in parallel (default: true)
-   * @param {boolean} options.progressCallback - Callback function for progress updates
+   * @param {Function} options.progressCallback - Callback for progress updates:
+   *   { current, total, file, stage, bytesRead, totalBytes, rowsParsed, etaSeconds }
+   *   (totalBytes and etaSeconds are null when a server does not send Content-Length)
+   * @param {Function} options.onFileLoaded - Called with per-file stats (see loadCSV)
+   * @param {boolean} options.deduplicate - Remove records duplicated across files (default: false)
+   * @param {Array<string>} options.deduplicationKeyFields - Columns identifying a duplicate (see findDuplicates)
    * @returns {Promise<Array>} Combined and processed data
    */
   static async loadAllYears(filePaths, options = {}) {
-    const { parallel = true, progressCallback } = options;
+    const { parallel = true, progressCallback, onFileLoaded, deduplicate = false, deduplicationKeyFields } = options;
     Logger.info(`Loading ${filePaths.length} data files, parallel: ${parallel}`);
     const startTime = performance.now();
     
+    const tracker = this.createProgressTracker(filePaths, progressCallback);
+    
+    const loadFile = async (file) => {
+      tracker.update(file);
+      const data = await this.loadCSV(file, {
+        onLoaded: onFileLoaded,
+        onProgress: progress => tracker.update(file, progress)
+      });
+      tracker.markDone(file);
+      return data;
+    };
+    
     try {
       let datasets = [];
       
       if (parallel) {
         // Load all files in parallel
-        const loadPromises = filePaths.map(file => this.loadCSV(file));
+        const loadPromises = filePaths.map(file => loadFile(file));
         datasets = await Promise.all(loadPromises);
       } else {
         // Load files sequentially to reduce memory pressure
         datasets = [];
         for (let i = 0; i < filePaths.length; i++) {
-          if (progressCallback) {
-            progressCallback({
-              current: i,
-              total: filePaths.length,
-              file: filePaths[i],
-              stage: 'loading'
-            });
-          }
-          
-          const data = await this.loadCSV(filePaths[i]);
+          const data = await loadFile(filePaths[i]);
           datasets.push(data);
         }
       }
@@ -151,11 +355,15 @@ export class DataLoader {
         progressCallback({
           current: filePaths.length,
           total: filePaths.length,
-          stage: 'processing'
+          stage: 'processing',
+          rowsParsed: datasets.reduce((sum, dataset) => sum + dataset.length, 0)
         });
       }
       
-      const result = this.combineAndProcess(datasets);
+      const result = this.combineAndProcess(datasets, {
+        deduplicateRecords: deduplicate,
+        deduplicationKeyFields
+      });
       
       const endTime = performance.now();
       Logger.info(`All data loaded and processed in ${((endTime - startTime) / 1000).toFixed(2)}s`);
@@ -167,16 +375,95 @@ export class DataLoader {
     }
   }
   
+  /**
+   * Combine per-file progress updates into a single progressCallback report
+   * @param {Array<string>} filePaths - Files being loaded
+   * @param {Function} progressCallback - Callback receiving combined progress (see loadAllYears)
+   * @returns {Object} Tracker with update(file, progress) and markDone(file) methods
+   */
+  static createProgressTracker(filePaths, progressCallback) {
+    const startTime = performance.now();
+    const fileProgress = new Map(filePaths.map(file => [file, { bytesRead: 0, totalBytes: null, rowsParsed: 0, done: false }]));
+    
+    const report = (file) => {
+      if (!progressCallback) return;
+      
+      let bytesRead = 0;
+      let totalBytes = 0;
+      let rowsParsed = 0;
+      let filesDone = 0;
+      for (const progress of fileProgress.values()) {
+        bytesRead += progress.bytesRead;
+        rowsParsed += progress.rowsParsed;
+        if (progress.done) filesDone++;
+        totalBytes = totalBytes !== null && progress.totalBytes !== null ? totalBytes + progress.totalBytes : null;
+      }
+      
+      const elapsedSeconds = (performance.now() - startTime) / 1000;
+      const etaSeconds = totalBytes && bytesRead > 0 && elapsedSeconds > 0
+        ? Math.max(0, (totalBytes - bytesRead) / (bytesRead / elapsedSeconds))
+        : null;
+      
+      progressCallback({
+        current: filesDone,
+        total: filePaths.length,
+        file,
+        stage: 'loading',
+        bytesRead,
+        totalBytes,
+        rowsParsed,
+        etaSeconds
+      });
+    };
+    
+    return {
+      update(file, progress) {
+        if (progress && fileProgress.has(file)) {
+          const { bytesRead, totalBytes, rowsParsed } = progress;
+          Object.assign(fileProgress.get(file), { bytesRead, totalBytes, rowsParsed });
+        }
+        report(file);
+      },
+      markDone(file) {
+        if (fileProgress.has(file)) fileProgress.get(file).done = true;
+        report(file);
+      }
+    };
+  }
+  
+  /**
+   * Compare two records by DocumentDate (oldest first)
+   * @param {Object} a - First record
+   * @param {Object} b - Second record
+   * @returns {number} Comparison result
+   */
+  static compareByDocumentDate(a, b) {
+    // Calendar days are Dates (records without a date sort first)
+    const timeA = a.DocumentDate instanceof Date ? a.DocumentDate.getTime() : 0;
+    const timeB = b.DocumentDate instanceof Date ? b.DocumentDate.getTime() : 0;
+    return timeA - timeB;
+  }
+  
   /**
    * Combine and process multiple datasets
    * @param {Array<Array>} datasets - Array of datasets to combine
    * @param {Object} options - Processing options
    * @param {boolean} options.deduplicateRecords - Whether to remove duplicate records (default: false)
+   * @param {Array<string>} options.deduplicationKeyFields - Columns identifying a duplicate (see deduplicateRecords)
    * @param {boolean} options.validateData - Whether to validate data integrity (default: true)
-   * @returns {Array} Combined and processed data
+   * @param {Object} options.columnMapping - Source header by COLUMN_MAP field (see ColumnMapper.resolveColumnMapping);
+   *   rows are renamed to the COLUMN_MAP columns before anything else. Default: the rows already use them.
+   * @param {Object} options.lenderAliases - Alias table replacing raw BaseLender names with canonical ones (see LenderAliases.normalize)
+   * @param {string} options.dateFormat - Format of DocumentDate, one of DATE_FORMATS (default: 'auto', detected from the whole column)
+   * @param {DataQualityReport} options.qualityReport - Collector for data quality statistics (optional)
+   * @param {string} options.source - Source file stored in every record's SourceFile column (optional, see LINEAGE_COLUMNS)
+   * @returns {Array} Combined and processed data, with DocumentDate as a calendar day (see dateUtils) or null
    */
   static combineAndProcess(datasets, options = {}) {
-    const { deduplicateRecords = false, validateData = true } = options;
+    const { deduplicateRecords = false, deduplicationKeyFields, validateData = true, columnMapping = null, lenderAliases = null, dateFormat = 'auto', qualityReport = null, source = null } = options;
+    if (!DATE_FORMATS.includes(dateFormat)) {
+      throw new Error(`Unknown date format: ${dateFormat} (expected one of ${DATE_FORMATS.join(', ')})`);
+    }
     const startTime = performance.now();
     Logger.info(`Combining ${datasets.length} datasets with ${datasets.reduce((sum, dataset) => sum + dataset.length, 0)} total records`);
     
@@ -189,18 +476,54 @@ export class DataLoader {
       }
     }
     
+    // Rename the source headers to the COLUMN_MAP columns
+    const renames = columnMapping ? createColumnRenames(columnMapping) : [];
+    if (renames.length > 0) {
+      for (const record of combined) {
+        if (!record || typeof record !== 'object') continue;
+        for (const [header, column] of renames) {
+          if (header in record) {
+            record[column] = record[header];
+            delete record[header];
+          }
+        }
+      }
+    }
+    
     Logger.info(`Combined ${combined.length} records, processing...`);
     
+    // Decide day-first or month-first once for the whole column, never row by row
+    const dateDetection = dateFormat === 'auto'
+      ? detectDateFormat(combined.map(record => record && record[COLUMN_MAP.documentDate]))
+      : null;
+    const effectiveDateFormat = dateDetection ? dateDetection.format : dateFormat;
+    if (dateDetection && dateDetection.conflicting) {
+      Logger.warn(`DocumentDate mixes day-first and month-first values (${dateDetection.dayFirstCount} vs ${dateDetection.monthFirstCount}); reading as ${effectiveDateFormat}`);
+    } else if (dateDetection && dateDetection.ambiguous) {
+      Logger.warn(`DocumentDate format is ambiguous; assuming ${effectiveDateFormat}`);
+    }
+    if (qualityReport) {
+      qualityReport.recordDateFormat({
+        declared: dateFormat,
+        format: effectiveDateFormat,
+        ambiguous: Boolean(dateDetection && dateDetection.ambiguous),
+        conflicting: Boolean(dateDetection && dateDetection.conflicting)
+      });
+    }
+    
     // Process the combined data
     let invalidRecords = 0;
     let processedRecords = 0;
+    const validRecords = [];
     
     for (let i = 0; i < combined.length; i++) {
       const record = combined[i];
+      if (qualityReport) qualityReport.observeRow(record);
       
       // Skip invalid records if validation is enabled
       if (validateData && !this.isValidRecord(record)) {
         invalidRecords++;
+        if (qualityReport) qualityReport.recordDropped('invalid');
         continue;
       }
       
@@ -213,35 +536,57 @@ export class DataLoader {
         }
       }
       
-      // Convert date strings to consistent format if needed
-      if (record.DocumentDate) {
-        const date = new Date(record.DocumentDate);
-        if (!isNaN(date.getTime())) {
-          record.DocumentDate = date.toISOString().split('T')[0];
+      // Replace raw lender names with canonical ones
+      const rawLender = record[COLUMN_MAP.lender];
+      if (lenderAliases && typeof rawLender === 'string') {
+        const lender = LenderAliases.resolve(rawLender, lenderAliases);
+        if (lender !== rawLender) {
+          record[COLUMN_MAP.lender] = lender;
+          if (qualityReport) qualityReport.recordLenderAlias(rawLender, lender);
         }
       }
       
+      // Convert dates to calendar days
+      const rawDate = record[COLUMN_MAP.documentDate];
+      if (rawDate !== undefined) {
+        const date = parseDate(rawDate, effectiveDateFormat);
+        // Missing dates are counted as nulls; only text that is not a date is an issue
+        if (!date && qualityReport && rawDate !== null && String(rawDate).trim() !== '') {
+          qualityReport.recordUnparseableDate(rawDate, i + 1);
+        }
+        record[COLUMN_MAP.documentDate] = date;
+      }
+      
+      if (source) {
+        record[LINEAGE_COLUMNS.source] = source;
+      }
+      
       // Ensure numeric fields are properly typed
-      this.ensureNumericFields(record);
+      const failedFields = this.ensureNumericFields(record);
+      if (qualityReport) {
+        failedFields.forEach(field => qualityReport.recordCoercionFailure(field, record[field], i + 1));
+        qualityReport.checkRecord(record, i + 1);
+      }
       
+      validRecords.push(record);
       processedRecords++;
     }
     
-    // Remove invalid records if any were found during processing
+    // Invalid records were skipped above
     if (invalidRecords > 0) {
       Logger.warn(`Removed ${invalidRecords} invalid records`);
     }
     
     // Deduplicate records if enabled
-    let finalRecords = combined;
+    let finalRecords = validRecords;
     if (deduplicateRecords) {
       const beforeCount = finalRecords.length;
-      finalRecords = this.deduplicateRecords(finalRecords);
+      finalRecords = this.deduplicateRecords(finalRecords, { keyFields: deduplicationKeyFields });
       Logger.info(`Deduplicated ${beforeCount - finalRecords.length} records`);
     }
     
     // Sort by date
-    finalRecords.sort((a, b) => new Date(a.DocumentDate) - new Date(b.DocumentDate));
+    finalRecords.sort(this.compareByDocumentDate);
     
     const endTime = performance.now();
     Logger.info(`Processing complete: ${finalRecords.length} records in ${((endTime - startTime) / 1000).toFixed(2)}s`);
@@ -252,10 +597,12 @@ export class DataLoader {
   /**
    * Ensure numeric fields are properly typed
    * @param {Object} record - Data record to process
+   * @returns {Array<string>} Fields holding text that could not be converted (left unchanged)
    * @private
    */
   static ensureNumericFields(record) {
     const numericFields = ['LTV', 'Loan', 'InitialRate', 'SwapRate', 'GrossMargin', 'Flat_Fees', 'Percentage_fees'];
+    const failedFields = [];
     
     numericFields.forEach(field => {
       if (record[field] !== undefined && record[field] !== null) {
@@ -268,10 +615,14 @@ export class DataLoader {
           // Only assign if it's a valid number
           if (!isNaN(parsedValue)) {
             record[field] = parsedValue;
+          } else if (record[field].trim() !== '') {
+            failedFields.push(field);
           }
         }
       }
     });
+    
+    return failedFields;
   }
   
   /**
@@ -309,28 +660,75 @@ export class DataLoader {
   /**
    * Remove duplicate records from a dataset
    * @param {Array} records - Array of records to deduplicate
+   * @param {Object} options - Options (see findDuplicates)
    * @returns {Array} Deduplicated records
-   * @private
    */
-  static deduplicateRecords(records) {
-    // Create a Map to track unique records by a composite key
-    const uniqueRecords = new Map();
+  static deduplicateRecords(records, options = {}) {
+    return this.findDuplicates(records, options).records;
+  }
+  
+  /**
+   * Remove duplicate records, reporting what was removed.
+   * The first record with each key is kept; later ones are removed.
+   * @param {Array} records - Array of records to deduplicate
+   * @param {Object} options - Deduplication options
+   * @param {Array<string>} options.keyFields - Column names forming the duplicate key
+   *   (default: DEDUPLICATION_KEY_FIELDS mapped through COLUMN_MAP)
+   * @param {number} options.sampleSize - Number of removed records to include in the sample (default: 10)
+   * @returns {Object} { records, keyFields, removedCount, removedLoanVolume, sample: [{ row, values }] }
+   */
+  static findDuplicates(records, options = {}) {
+    const {
+      keyFields = DEDUPLICATION_KEY_FIELDS.map(key => COLUMN_MAP[key]),
+      sampleSize = 10
+    } = options;
     
-    // Fields to use for generating a unique key
-    const keyFields = ['Provider', 'Product_Name', 'Rate', 'DocumentDate'];
+    const seenKeys = new Set();
+    const kept = [];
+    const sample = [];
+    let removedLoanVolume = 0;
     
-    for (const record of records) {
-      // Generate a unique key for this record
-      const key = keyFields.map(field => record[field]).join('|');
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const key = keyFields.map(field => this.normalizeKeyValue(record[field])).join('|');
       
-      // Only keep the record if we haven't seen this key before
-      if (!uniqueRecords.has(key)) {
-        uniqueRecords.set(key, record);
+      if (!seenKeys.has(key)) {
+        seenKeys.add(key);
+        kept.push(record);
+        continue;
+      }
+      
+      const loan = record[COLUMN_MAP.loanAmount];
+      if (typeof loan === 'number' && !isNaN(loan)) removedLoanVolume += loan;
+      
+      if (sample.length < sampleSize) {
+        sample.push({
+          row: i + 1,
+          values: Object.fromEntries(keyFields.map(field => [field, this.normalizeKeyValue(record[field])]))
+        });
       }
     }
     
-    // Convert the Map values back to an array
-    return Array.from(uniqueRecords.values());
+    return {
+      records: kept,
+      keyFields,
+      removedCount: records.length - kept.length,
+      removedLoanVolume,
+      sample
+    };
+  }
+  
+  /**
+   * Normalise a value for use in a duplicate key, so the same date or name
+   * compares equal whether it is held as a Date, a string or with stray spaces
+   * @param {*} value - Field value
+   * @returns {string} Key component
+   * @private
+   */
+  static normalizeKeyValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return toDayKey(value);
+    return String(value).trim();
   }
   
   /**
@@ -338,9 +736,11 @@ export class DataLoader {
    * @param {string} filePath - Path to CSV file
    * @param {Function} processChunk - Function to process each chunk of data
    * @param {Object} options - Additional options
+   * @param {Function} options.onProgress - Progress callback (see readResponse)
    * @returns {Promise<Array>} Processed data
    */
   static async streamProcess(filePath, processChunk, options = {}) {
+    const { onProgress } = options;
     Logger.info(`Stream processing file: ${filePath}`);
     const startTime = performance.now();
     
@@ -351,44 +751,31 @@ export class DataLoader {
         throw new Error(`Failed to load CSV file: ${filePath} (${response.status} ${response.statusText})`);
       }
       
-      const csvText = await response.text();
-      Logger.info(`CSV file loaded: ${filePath} (${(csvText.length / 1024 / 1024).toFixed(2)} MB)`);      
-      
-      return new Promise((resolve) => {
-        const results = [];
-        let rowCount = 0;
-        
-        const parseConfig = {
-          ...this.parseConfig,
-          chunk: async (chunk, parser) => {
-            rowCount += chunk.data.length;
-            Logger.debug(`Processing chunk: ${chunk.data.length} rows (total: ${rowCount})`);            
+      const results = [];
+      const stats = await this.readResponse(response, filePath, {
+        onRows: async rows => {
+          Logger.debug(`Processing chunk: ${rows.length} rows`);
+          
+          try {
+            // Process this chunk of data
+            const processedChunk = await processChunk(rows);
             
-            try {
-              // Process this chunk of data
-              const processedChunk = await processChunk(chunk.data);
-              
-              // Add processed results to our collection
-              if (Array.isArray(processedChunk)) {
-                results.push(...processedChunk);
+            // Add processed results to our collection
+            if (Array.isArray(processedChunk)) {
+              for (const record of processedChunk) {
+                results.push(record);
               }
-            } catch (error) {
-              Logger.error('Error processing chunk:', error);
             }
-          },
-          complete: () => {
-            const endTime = performance.now();
-            Logger.info(`Stream processing complete: ${rowCount} rows in ${((endTime - startTime) / 1000).toFixed(2)}s`);
-            resolve(results);
-          },
-          error: (error) => {
-            Logger.error('CSV parsing error during streaming:', error);
-            resolve(results);
+          } catch (error) {
+            Logger.error('Error processing chunk:', error);
           }
-        };
-        
-        Papa.parse(csvText, parseConfig);
+        },
+        onProgress
       });
+      
+      const endTime = performance.now();
+      Logger.info(`Stream processing complete: ${stats.rowCount} rows in ${((endTime - startTime) / 1000).toFixed(2)}s`);
+      return results;
     } catch (error) {
       Logger.error(`Error stream processing CSV file ${filePath}:`, error);
       return [];
@@ -6,89 +6,253 @@
  * It serves as the central point for data access throughout the application.
  */
 
-import { DataLoader } from './DataLoader.js';
 import { DataAggregator } from './DataAggregator.js';
-import { COLUMN_MAP, convertMarginBucketToBps } from './ColumnMapper.js';
-import { sortPremiumBands, standardizePremiumBand } from '../utils/sortUtils.js';
+import { DatasetManifest } from './DatasetManifest.js';
+import { DatasetCache } from './DatasetCache.js';
+import { DataService } from './DataService.js';
+import { DataLoader } from './DataLoader.js';
+import { DataQualityReport } from './DataQualityReport.js';
+import { ColumnMappingStore } from './ColumnMappingStore.js';
+import { LenderAliases } from './LenderAliases.js';
+import { LenderGroups } from './LenderGroups.js';
+import { OutlierDetector, DEFAULT_OUTLIER_SETTINGS } from './OutlierDetector.js';
+import { DerivedFields } from './DerivedFields.js';
+import { PremiumBands, DEFAULT_BAND_SETTINGS } from './PremiumBands.js';
+import { RecordProcessor } from './RecordProcessor.js';
+import { ColumnarStore } from './ColumnarStore.js';
+import { SwapCurve, DEFAULT_SWAP_CURVE_SETTINGS } from './SwapCurve.js';
+import { COLUMN_MAP, DEDUPLICATION_KEY_FIELDS, LENDER_LEVELS, LINEAGE_COLUMNS } from './ColumnMapper.js';
+import { sortPremiumBands } from '../utils/sortUtils.js';
+import { isValidDay, parseDate, toMonthKey, toPeriodKey } from '../utils/dateUtils.js';
+import { checksumText } from '../utils/checksumUtils.js';
+
+// Helper function to find the positions of some of the records, listed in the same order, among the records
+function findPositions(records, subset) {
+  const positions = new Uint32Array(subset.length);
+  let position = 0;
+  subset.forEach((record, index) => {
+    while (records[position] !== record) position++;
+    positions[index] = position++;
+  });
+  return positions;
+}
 
 export class DataManager {
   /**
    * Create a new DataManager instance
    * @param {StateManager} stateManager - The application state manager
+   * @param {DataService} dataService - Worker-backed data service (created if not given)
+   * @param {DatasetCache} datasetCache - Persistent cache of processed files (created if not given)
+   * @param {ColumnMappingStore} columnMappingStore - Saved column mappings by dataset (created if not given)
    */
-  constructor(stateManager) {
+  constructor(stateManager, dataService = new DataService(), datasetCache = new DatasetCache(), columnMappingStore = new ColumnMappingStore()) {
     this.stateManager = stateManager;
-    this.rawData = [];
+    this.dataService = dataService;
+    this.datasetCache = datasetCache;
+    this.columnMappingStore = columnMappingStore;
+    // The processed records as columns (see ColumnarStore): what the filters, aggregations, views and
+    // exports read. The query worker holds a copy.
+    this.store = new ColumnarStore();
+    // Every loaded record as loaded, before deduplication, as columns; the store is derived from it.
+    // Records are rebuilt as objects from it only while they are processed (see commitRecords).
+    this.sourceStore = new ColumnarStore();
+    this.deduplication = {
+      enabled: false,
+      keyFields: DEDUPLICATION_KEY_FIELDS.map(key => COLUMN_MAP[key]),
+      result: null
+    };
+    // Positions in sourceStore of the records after deduplication, and of the store's records: the
+    // screened ones minus the quarantined outliers not included
+    this.screenedPositions = new Uint32Array(0);
+    this.datasetPositions = new Uint32Array(0);
+    this.outliers = {
+      settings: OutlierDetector.normalizeSettings(DEFAULT_OUTLIER_SETTINGS),
+      // Flagged records ({ record, reasons, included, position }, position in sourceStore) in record order
+      quarantine: [],
+      summary: null
+    };
+    // Width and origin of the premium bands records are bucketed into (see PremiumBands)
+    this.bandSettings = PremiumBands.normalizeSettings(DEFAULT_BAND_SETTINGS);
+    // Daily swap curve the curve derived fields are joined to, or null (see SwapCurve)
+    this.swapCurve = null;
+    this.swapCurveSettings = SwapCurve.normalizeSettings(DEFAULT_SWAP_CURVE_SETTINGS);
     this.processedData = null;
     this.isLoading = false;
     this.lastUpdated = null;
+    this.manifest = null;
+    this.datasetValidation = [];
+    this.importedFiles = [];
+    // Imports in the order they were made ({ files, mode, dateFormat }), replayed when a mapping changes
+    this.importBatches = [];
+    this.columnMappings = [];
+    // Load batches still in the data ({ id, kind, mode, loadedAt, sources }); records carry their id in LoadBatch
+    this.loadBatches = [];
+    this.nextLoadBatchId = 1;
+    // Lender alias table applied while processing (see LenderAliases)
+    this.lenderAliases = {};
+    // Lender hierarchy giving each record its LenderGroup (see LenderGroups)
+    this.lenderGroups = {};
+    this.qualitySources = [];
+    this.qualityReport = null;
     this.unfilteredTotals = {
       byPremiumBand: {},
       overall: 0
     };
+    // What data.aggregated was built from ({ filterKey, filterDateRange, optionsKey, staleDays }),
+    // so that appending records re-aggregates only their periods; null when it must be rebuilt
+    this.aggregationBasis = null;
   }
   
   /**
-   * Data file paths - using files from the data directory
-   * These can be updated as new data files become available
+   * Location of the dataset manifest.
+   * Every dataset listed in the manifest is loaded; new files only need a manifest entry.
+   */
+  static MANIFEST_PATH = DatasetManifest.DEFAULT_PATH;
+  
+  /**
+   * Location of the lender alias table
+   */
+  static LENDER_ALIASES_PATH = LenderAliases.DEFAULT_PATH;
+  
+  /**
+   * Location of the lender hierarchy
    */
-  static DATA_FILES = [
-    'data/mortgage-data-2024.csv',
-    'data/mortgage-data-2025.csv'
-  ];
+  static LENDER_GROUPS_PATH = LenderGroups.DEFAULT_PATH;
+  
+  /**
+   * Location of the daily swap curve
+   */
+  static SWAP_CURVE_PATH = SwapCurve.DEFAULT_PATH;
   
   /**
    * Load and process all data files
    * @param {Object} options - Loading options
    * @param {boolean} options.forceReload - Force reload even if data is already loaded
+   * @param {boolean} options.bypassCache - Download and parse every file even if it is cached
    * @param {Function} options.progressCallback - Callback for loading progress updates
-   * @returns {Promise<Array>} Raw data array
+   * @param {Object} options.deduplication - Deduplication settings to use from now on (see setDeduplication)
+   * @returns {Promise<ColumnarStore>} The processed records (see store)
    */
   async loadAllData(options = {}) {
-    const { forceReload = false, progressCallback } = options;
+    const { forceReload = false, bypassCache = false, progressCallback, deduplication } = options;
     
     // Skip loading if already loaded and not forced to reload
-    if (this.rawData.length > 0 && !forceReload) {
+    if (this.store.length > 0 && !forceReload) {
       console.info('Using cached data. Set forceReload=true to reload from source.');
-      return this.rawData;
+      return this.store;
+    }
+    
+    if (deduplication) {
+      this.updateDeduplicationSettings(deduplication);
     }
     
     try {
       this.isLoading = true;
       this.stateManager.setState('ui.loading', true);
       
-      // Filter out non-existent files
-      const filesToLoad = [];
-      for (const file of DataManager.DATA_FILES) {
+      // Discover dataset files from the manifest
+      this.manifest = await DatasetManifest.load(DataManager.MANIFEST_PATH);
+      this.stateManager.setState('data.manifest', this.manifest);
+      
+      // A broken alias table should not stop the data loading; names are then used as they are
+      try {
+        this.lenderAliases = await LenderAliases.load(DataManager.LENDER_ALIASES_PATH);
+      } catch (error) {
+        console.error('[DataManager] Ignoring the lender alias table:', error);
+        this.lenderAliases = {};
+      }
+      
+      // Likewise a broken hierarchy leaves every lender in its own group
+      try {
+        this.lenderGroups = await LenderGroups.load(DataManager.LENDER_GROUPS_PATH);
+      } catch (error) {
+        console.error('[DataManager] Ignoring the lender hierarchy:', error);
+        this.lenderGroups = {};
+      }
+      
+      // Without a curve the curve columns are empty; a curve imported from the panel is kept
+      if (!this.swapCurve || this.swapCurve.origin !== 'import') {
         try {
-          const response = await fetch(file, { method: 'HEAD' });
-          if (response.ok) {
-            filesToLoad.push(file);
-            console.info(`Found data file: ${file}`);
-          } else {
-            console.warn(`File not found: ${file}`);
-          }
-        } catch (e) {
-          console.warn(`Error checking file ${file}:`, e);
+          this.swapCurve = await SwapCurve.load(DataManager.SWAP_CURVE_PATH);
+        } catch (error) {
+          console.error('[DataManager] Ignoring the swap curve:', error);
+          this.swapCurve = null;
         }
       }
       
+      const filesToLoad = this.manifest.datasets.map(dataset => dataset.path);
+      
       if (filesToLoad.length === 0) {
-        throw new Error('No valid data files found to load');
+        throw new Error(`No datasets listed in ${DataManager.MANIFEST_PATH}`);
       }
       
       console.info(`Loading ${filesToLoad.length} data files: ${filesToLoad.join(', ')}`);
       
-      // Load data from CSV files
-      this.rawData = await DataLoader.loadAllYears(filesToLoad, {
+      // Each file is read with its declared date format and its saved (or detected) column mapping
+      const fileProcessOptions = {};
+      this.manifest.datasets.forEach(dataset => {
+        fileProcessOptions[dataset.path] = {
+          dateFormat: dataset.dateFormat,
+          columnMapping: this.getSavedColumnMapping(dataset.path, dataset.columnProfile)
+        };
+      });
+      
+      // Versions (ETag or checksum) key the persistent cache, so changed files are re-parsed.
+      // How a file is read is part of the version: changing it changes the processed records.
+      const versions = {};
+      if (this.datasetCache.isAvailable) {
+        await Promise.all(this.manifest.datasets.map(async (dataset) => {
+          const version = await DatasetCache.resolveVersion(dataset);
+          versions[dataset.path] = version && DataManager.createProcessingVersion(version, { lenderAliases: this.lenderAliases, ...fileProcessOptions[dataset.path] });
+        }));
+      }
+      
+      // Load data from the cache or CSV files, collecting per-file stats for manifest validation
+      const fileStats = {};
+      const records = await this.dataService.load(filesToLoad, {
         progressCallback,
-        parallel: true
+        processOptions: { lenderAliases: this.lenderAliases },
+        fileProcessOptions,
+        cache: this.datasetCache.isAvailable ? this.datasetCache : null,
+        versions,
+        readCache: !bypassCache,
+        onFileLoaded: stats => {
+          fileStats[stats.filePath] = stats;
+        }
       });
       
-      console.info(`Loaded ${this.rawData.length} records from ${filesToLoad.length} files`);
+      console.info(`Loaded ${records.length} records from ${filesToLoad.length} files`);
+      
+      // The months the files' rows cover, checked against the periods in the manifest
+      DataManager.addParsedMonths(fileStats, records);
       
-      // Process data
-      this.processData();
+      this.loadBatches = [this.createLoadBatch(records, {
+        kind: 'dataset',
+        mode: 'replace',
+        sources: this.manifest.datasets.map(dataset => ({ source: dataset.path, label: dataset.label }))
+      })];
+      this.sourceStore = ColumnarStore.fromRecords(records);
+      this.stateManager.setState('data.loadBatches', this.loadBatches);
+      
+      // Check parsed files against the manifest metadata
+      this.datasetValidation = DatasetManifest.validate(this.manifest, fileStats);
+      this.datasetValidation
+        .filter(result => result.status !== 'ok')
+        .forEach(result => console.warn(`[DataManager] Dataset ${result.file}: ${result.issues.join('; ')}`));
+      this.stateManager.setState('data.datasetValidation', this.datasetValidation);
+      
+      // A fresh load drops any locally imported files
+      this.importedFiles = [];
+      this.importBatches = [];
+      this.stateManager.setState('data.importedFiles', this.importedFiles);
+      
+      this.columnMappings = this.manifest.datasets.map(dataset => this.describeColumnMapping(dataset.path, dataset.label, 'dataset', fileStats[dataset.path]));
+      this.stateManager.setState('data.columnMappings', this.columnMappings);
+      
+      this.setQualitySources(filesToLoad.map(path => fileStats[path] && fileStats[path].quality));
+      
+      // Deduplicate, process and publish the records
+      await this.commitRecords(records);
       
       // Update last loaded timestamp
       this.lastUpdated = new Date();
@@ -96,7 +260,7 @@ export class DataManager {
       this.stateManager.setState('ui.loading', false);
       this.isLoading = false;
       
-      return this.rawData;
+      return this.store;
     } catch (error) {
       this.stateManager.setState('ui.loading', false);
       this.isLoading = false;
@@ -106,65 +270,457 @@ export class DataManager {
   }
   
   /**
-   * Process raw data and update state
-   * @private
+   * Add the months of the earliest and latest DocumentDate of each file's records to its stats
+   * @param {Object} fileStats - Map of file path to stats, updated with { firstMonth, lastMonth }
+   * @param {Array} records - Loaded records, with their source file
    */
-  processData() {
-    if (!this.rawData || this.rawData.length === 0) return;
+  static addParsedMonths(fileStats, records) {
+    const ranges = new Map();
+    records.forEach(record => {
+      const date = record[COLUMN_MAP.documentDate];
+      if (!isValidDay(date)) return;
+      
+      const time = date.getTime();
+      const range = ranges.get(record[LINEAGE_COLUMNS.source]);
+      if (!range) {
+        ranges.set(record[LINEAGE_COLUMNS.source], { first: date, last: date });
+      } else if (time < range.first.getTime()) {
+        range.first = date;
+      } else if (time > range.last.getTime()) {
+        range.last = date;
+      }
+    });
     
-    // Ensure all records have PremiumBand field and valid dates
-    this.rawData.forEach(record => {
-      // Add PremiumBand if missing
-      if (record.GrossMarginBucket && !record.PremiumBand) {
-        record.PremiumBand = convertMarginBucketToBps(record.GrossMarginBucket);
+    ranges.forEach(({ first, last }, source) => {
+      if (!fileStats[source]) return;
+      fileStats[source].firstMonth = toMonthKey(first);
+      fileStats[source].lastMonth = toMonthKey(last);
+    });
+  }
+  
+  /**
+   * Import local CSV files through the same processing pipeline as the repository files
+   * @param {Array<File>} files - CSV files chosen or dropped by the user
+   * @param {Object} options - Import options
+   * @param {string} options.mode - 'append' to add to the loaded data, 'replace' to discard it
+   * @param {string} options.dateFormat - DocumentDate format of the files (one of DATE_FORMATS, default 'auto')
+   * @param {Function} options.progressCallback - Callback for loading progress updates
+   * @returns {Promise<Array>} Imported file summaries ({ name, size, rowCount, recordCount, checksum, mode, importedAt })
+   */
+  async importLocalFiles(files, options = {}) {
+    const { mode = 'append', dateFormat = 'auto', progressCallback } = options;
+    
+    if (!files || files.length === 0) return [];
+    if (mode !== 'append' && mode !== 'replace') {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    
+    try {
+      this.isLoading = true;
+      this.stateManager.setState('ui.loading', true);
+      
+      const fileProcessOptions = {};
+      files.forEach(file => {
+        fileProcessOptions[file.name] = { columnMapping: this.getSavedColumnMapping(file.name) };
+      });
+      
+      const imported = await this.dataService.importFiles(files, { progressCallback, processOptions: { dateFormat, lenderAliases: this.lenderAliases }, fileProcessOptions });
+      const importedAt = new Date();
+      const summaries = imported.files.map(({ quality, columnMapping, ...file }) => ({ ...file, mode, importedAt }));
+      const importedQuality = imported.files.map(file => file.quality);
+      const importedMappings = imported.files.map(file => this.describeColumnMapping(file.name, file.name, 'import', file));
+      const loadBatch = this.createLoadBatch(imported.records, {
+        kind: 'import',
+        mode,
+        sources: imported.files.map(file => ({ source: file.name, label: file.name }))
+      });
+      
+      if (mode === 'replace') {
+        this.sourceStore = ColumnarStore.fromRecords(imported.records);
+        this.importedFiles = summaries;
+        // The repository datasets are no longer part of the loaded data
+        this.datasetValidation = [];
+        this.stateManager.setState('data.datasetValidation', this.datasetValidation);
+        this.setQualitySources(importedQuality);
+        this.importBatches = [{ files, mode, dateFormat }];
+        this.columnMappings = importedMappings;
+        this.loadBatches = [loadBatch];
+      } else {
+        this.importedFiles = this.importedFiles.concat(summaries);
+        this.setQualitySources(this.qualitySources.concat(importedQuality));
+        this.importBatches = this.importBatches.concat([{ files, mode, dateFormat }]);
+        this.columnMappings = this.columnMappings.concat(importedMappings);
+        this.loadBatches = this.loadBatches.concat([loadBatch]);
       }
       
-      // Standardize premium band format (convert decimal to basis points)
-      if (record.PremiumBand) {
-        record.PremiumBand = standardizePremiumBand(record.PremiumBand);
+      console.info(`[DataManager] Imported ${imported.records.length} records from ${files.length} local file(s) (${mode})`);
+      this.stateManager.setState('data.importedFiles', this.importedFiles);
+      this.stateManager.setState('data.columnMappings', this.columnMappings);
+      this.stateManager.setState('data.loadBatches', this.loadBatches);
+      
+      if (mode === 'replace') {
+        await this.commitRecords(imported.records);
+      } else {
+        await this.appendRecords(imported.records);
       }
+      this.lastUpdated = importedAt;
       
-      // Validate and normalize date format
-      const dateField = record[COLUMN_MAP.documentDate];
-      if (dateField) {
-        let parsedDate;
-        
-        // Handle different date formats
-        if (typeof dateField === 'string') {
-          if (dateField.includes('-')) {
-            // YYYY-MM-DD format
-            parsedDate = new Date(dateField);
-          } else if (dateField.includes('/')) {
-            // DD/MM/YYYY or MM/DD/YYYY format
-            const parts = dateField.split('/');
-            if (parts.length === 3) {
-              // Try DD/MM/YYYY format first
-              parsedDate = new Date(`${parts[2]}-${parts[1]}-${parts[0]}`);
-              if (isNaN(parsedDate.getTime())) {
-                // Try MM/DD/YYYY format if DD/MM/YYYY failed
-                parsedDate = new Date(`${parts[2]}-${parts[0]}-${parts[1]}`);
-              }
-            }
-          } else {
-            // Try standard parsing
-            parsedDate = new Date(dateField);
-          }
-        } else if (typeof dateField === 'number') { // e.g., timestamp
-          parsedDate = new Date(dateField);
-        } else if (dateField instanceof Date) { // Already a Date object
-          parsedDate = dateField; // No change needed
-        } else {
-          // If it's some other type or unparseable, make it an invalid date
-          parsedDate = new Date(NaN); 
-        }
-
-        // Store the Date object (or an Invalid Date if parsing failed)
-        record[COLUMN_MAP.documentDate] = parsedDate;
+      return summaries;
+    } finally {
+      this.stateManager.setState('ui.loading', false);
+      this.isLoading = false;
+    }
+  }
+  
+  /**
+   * Change deduplication settings and rebuild the dataset from the loaded records
+   * @param {Object} settings - Deduplication settings
+   * @param {boolean} settings.enabled - Remove duplicate records
+   * @param {Array<string>} settings.keyFields - Column names identifying a duplicate
+   * @returns {Promise<Object|null>} Deduplication result (see DataLoader.findDuplicates), or null when disabled
+   */
+  async setDeduplication(settings) {
+    this.updateDeduplicationSettings(settings);
+    
+    if (this.sourceStore.length === 0) {
+      return null;
+    }
+    
+    try {
+      this.isLoading = true;
+      this.stateManager.setState('ui.loading', true);
+      await this.commitRecords();
+      return this.deduplication.result;
+    } finally {
+      this.stateManager.setState('ui.loading', false);
+      this.isLoading = false;
+    }
+  }
+  
+  /**
+   * Change outlier detection settings and screen the loaded records again.
+   * Every flagged record starts out excluded.
+   * @param {Object} settings - Settings to merge into the current ones (see OutlierDetector.normalizeSettings)
+   * @returns {Promise<Object>} Quarantine summary (see OutlierDetector.summarize)
+   */
+  async setOutlierSettings(settings) {
+    const normalized = OutlierDetector.normalizeSettings({
+      ...this.outliers.settings,
+      ...settings,
+      rules: { ...this.outliers.settings.rules, ...settings.rules }
+    });
+    this.outliers = { ...this.outliers, settings: normalized };
+    
+    if (this.sourceStore.length === 0) {
+      this.stateManager.setState('data.outliers', this.outliers);
+      return null;
+    }
+    
+    try {
+      this.isLoading = true;
+      this.stateManager.setState('ui.loading', true);
+      await this.commitRecords();
+      return this.outliers.summary;
+    } finally {
+      this.stateManager.setState('ui.loading', false);
+      this.isLoading = false;
+    }
+  }
+  
+  /**
+   * Include quarantined records in the data, or exclude them again
+   * @param {Object} inclusion - Whether to include each entry, by quarantine index
+   * @returns {Promise<Object>} Quarantine summary (see OutlierDetector.summarize)
+   */
+  async setQuarantineInclusion(inclusion) {
+    const quarantine = this.outliers.quarantine.map((entry, index) => (
+      index in inclusion ? { ...entry, included: Boolean(inclusion[index]) } : entry
+    ));
+    this.outliers = { ...this.outliers, quarantine };
+    
+    try {
+      this.isLoading = true;
+      this.stateManager.setState('ui.loading', true);
+      await this.publishRecords();
+      return this.outliers.summary;
+    } finally {
+      this.stateManager.setState('ui.loading', false);
+      this.isLoading = false;
+    }
+  }
+  
+  /**
+   * Validate and store deduplication settings
+   * @param {Object} settings - Settings to merge into the current ones
+   * @private
+   */
+  updateDeduplicationSettings(settings) {
+    const { enabled = this.deduplication.enabled, keyFields = this.deduplication.keyFields } = settings;
+    
+    if (enabled && (!Array.isArray(keyFields) || keyFields.length === 0)) {
+      throw new Error('Deduplication needs at least one key field');
+    }
+    
+    this.deduplication = { ...this.deduplication, enabled, keyFields: [...keyFields] };
+    this.stateManager.setState('data.deduplication', this.deduplication);
+  }
+  
+  /**
+   * Derive the dataset from the loaded records (removing duplicates if enabled, and quarantining
+   * outliers), process it and mirror it into the query worker for filtering and aggregation
+   * @param {Array|null} loaded - The records sourceStore was just built from, if they are at hand;
+   *   otherwise they are rebuilt from it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async commitRecords(loaded = null) {
+    const records = loaded || this.sourceStore.getRecords();
+    let screened = records;
+    if (this.deduplication.enabled) {
+      const { records: kept, ...result } = DataLoader.findDuplicates(records, { keyFields: this.deduplication.keyFields });
+      screened = kept;
+      this.deduplication = { ...this.deduplication, result };
+      console.info(`[DataManager] Removed ${result.removedCount} duplicate records on ${result.keyFields.join(', ')}`);
+    } else {
+      this.deduplication = { ...this.deduplication, result: null };
+    }
+    this.screenedPositions = findPositions(records, screened);
+    this.stateManager.setState('data.deduplication', this.deduplication);
+    
+    const flagged = OutlierDetector.detect(screened, this.outliers.settings);
+    const flaggedPositions = findPositions(screened, flagged.map(entry => entry.record));
+    this.outliers = {
+      ...this.outliers,
+      quarantine: flagged.map((entry, index) => ({ ...entry, included: false, position: this.screenedPositions[flaggedPositions[index]] }))
+    };
+    if (flagged.length > 0) {
+      console.info(`[DataManager] Quarantined ${flagged.length} outlier records`);
+    }
+    
+    await this.publishRecords();
+  }
+  
+  /**
+   * Make the dataset the screened records minus the quarantined ones not included,
+   * then process it and mirror it into the query worker
+   * @returns {Promise<void>}
+   * @private
+   */
+  async publishRecords() {
+    this.updateDatasetPositions();
+    this.processData(this.sourceStore.getRecords(this.datasetPositions));
+    this.aggregationBasis = null;
+    await this.dataService.setDataset(this.store);
+  }
+  
+  /**
+   * Set the dataset's positions to the screened records minus the quarantined ones not included
+   * @private
+   */
+  updateDatasetPositions() {
+    const excluded = new Set(this.outliers.quarantine.filter(entry => !entry.included).map(entry => entry.position));
+    this.datasetPositions = excluded.size > 0
+      ? this.screenedPositions.filter(position => !excluded.has(position))
+      : this.screenedPositions;
+    
+    this.outliers = { ...this.outliers, summary: OutlierDetector.summarize(this.outliers.quarantine) };
+    this.stateManager.setState('data.outliers', this.outliers);
+    this.publishQualityReport();
+  }
+  
+  /**
+   * Add newly loaded records after the loaded ones without processing the loaded ones again.
+   * Duplicates of loaded records are dropped from the new ones, outliers are screened again
+   * in the months the new records fall in (the statistical tests compare records of the same
+   * lender and month), and only the new records are prepared and sent to the query worker.
+   * Filters are kept, except that a date range reaching the first or last day of the data
+   * is widened to the new data; the next aggregation re-aggregates only the changed periods.
+   * @param {Array} records - Loaded records, tagged with their load batch
+   * @returns {Promise<void>}
+   * @private
+   */
+  async appendRecords(records) {
+    if (this.store.length === 0) {
+      this.sourceStore = this.sourceStore.concat(ColumnarStore.fromRecords(records));
+      await this.commitRecords();
+      return;
+    }
+    
+    const previousPositions = this.datasetPositions;
+    const previousRange = this.store.getRange(COLUMN_MAP.documentDate);
+    const screenedCount = this.screenedPositions.length;
+    this.sourceStore = this.sourceStore.concat(ColumnarStore.fromRecords(records));
+    
+    // Loaded records come first, so deduplication only ever drops new ones. It reads only the key
+    // columns and the loan amount, so only those are rebuilt.
+    if (this.deduplication.enabled) {
+      const { keyFields } = this.deduplication;
+      const keyRecords = this.sourceStore.getRecords(null, [...new Set([...keyFields, COLUMN_MAP.loanAmount])]);
+      const { records: kept, ...result } = DataLoader.findDuplicates(keyRecords, { keyFields });
+      this.screenedPositions = findPositions(keyRecords, kept);
+      this.deduplication = { ...this.deduplication, result };
+      console.info(`[DataManager] Removed ${result.removedCount} duplicate records on ${result.keyFields.join(', ')}`);
+    } else {
+      this.screenedPositions = Uint32Array.from({ length: this.sourceStore.length }, (_, position) => position);
+    }
+    this.stateManager.setState('data.deduplication', this.deduplication);
+    
+    const added = this.screenedPositions.slice(screenedCount);
+    const months = new Set(Array.from(added, position => toMonthKey(this.sourceStore.getValue(COLUMN_MAP.documentDate, position))).filter(Boolean));
+    this.screenOutliers(added, months);
+    this.updateDatasetPositions();
+    
+    // Records of the loaded data only leave or join it if the new statistics changed their quarantine
+    const isAppended = previousPositions.every((position, index) => this.datasetPositions[index] === position);
+    if (isAppended) {
+      const appendedRecords = this.sourceStore.getRecords(this.datasetPositions.subarray(previousPositions.length));
+      RecordProcessor.prepare(appendedRecords, this.getProcessingContext());
+      const appended = ColumnarStore.fromRecords(appendedRecords);
+      this.store = this.store.concat(appended);
+      await this.dataService.appendDataset(appended, this.store);
+      if (this.aggregationBasis) {
+        appendedRecords
+          .map(record => record[COLUMN_MAP.documentDate])
+          .forEach(day => isValidDay(day) && this.aggregationBasis.staleDays.add(day.getTime()));
       }
+      console.info(`[DataManager] Appended ${appendedRecords.length} records in ${months.size} month(s)`);
+    } else {
+      const datasetRecords = this.sourceStore.getRecords(this.datasetPositions);
+      RecordProcessor.prepare(datasetRecords, this.getProcessingContext());
+      this.updateStore(datasetRecords);
+      await this.dataService.setDataset(this.store);
+      this.aggregationBasis = null;
+    }
+    
+    this.publishProcessedData();
+    this.widenDateRange(previousRange);
+  }
+  
+  /**
+   * Screen the new records and the loaded records of their months for outliers again.
+   * Quarantined records elsewhere are untouched, and records that stay quarantined keep
+   * their inclusion.
+   * @param {Uint32Array} added - Positions in sourceStore of the new screened records
+   * @param {Set<string>} months - Months (YYYY-MM) of the new records
+   * @private
+   */
+  screenOutliers(added, months) {
+    // Records share a few hundred days at most, so months are worked out once per day
+    const times = this.sourceStore.readNumbers(COLUMN_MAP.documentDate);
+    const monthKeys = new Map();
+    const monthOf = position => {
+      const time = times[position];
+      if (!monthKeys.has(time)) monthKeys.set(time, isNaN(time) ? null : toMonthKey(new Date(time)));
+      return monthKeys.get(time);
+    };
+    const addedSet = new Set(added);
+    const isRescreened = position => addedSet.has(position) || months.has(monthOf(position));
+    
+    const positions = this.screenedPositions.filter(isRescreened);
+    const rescreened = this.sourceStore.getRecords(positions);
+    const flagged = OutlierDetector.detect(rescreened, this.outliers.settings);
+    const flaggedPositions = findPositions(rescreened, flagged.map(entry => entry.record));
+    
+    const included = new Set(this.outliers.quarantine.filter(entry => entry.included).map(entry => entry.position));
+    const entries = new Map(this.outliers.quarantine
+      .filter(entry => !isRescreened(entry.position))
+      .map(entry => [entry.position, entry]));
+    flagged.forEach((entry, index) => {
+      const position = positions[flaggedPositions[index]];
+      entries.set(position, { ...entry, included: included.has(position), position });
     });
     
+    // The quarantine lists records in record order
+    const quarantine = Array.from(entries.keys()).sort((a, b) => a - b).map(position => entries.get(position));
+    this.outliers = { ...this.outliers, quarantine };
+    if (flagged.length > 0) {
+      console.info(`[DataManager] Quarantined ${flagged.length} outlier records in ${months.size} month(s)`);
+    }
+  }
+  
+  /**
+   * Widen the date range filter after records were appended: an end on the first or last day
+   * of the previous data moves to that of the new data, an end the user moved is kept
+   * @param {Array<Date>|null} previousRange - [first, last] day of the data before the append
+   * @private
+   */
+  widenDateRange(previousRange) {
+    const range = this.store.getRange(COLUMN_MAP.documentDate);
+    const current = this.stateManager.state.filters?.dateRange;
+    if (!range) return;
+    
+    if (!previousRange || !current || !current[0] || !current[1]) {
+      this.stateManager.setState('filters.dateRange', range);
+      return;
+    }
+    
+    const isSameDay = (value, day) => parseDate(value)?.getTime() === day.getTime();
+    const widened = [
+      isSameDay(current[0], previousRange[0]) ? range[0] : current[0],
+      isSameDay(current[1], previousRange[1]) ? range[1] : current[1]
+    ];
+    if (widened[0] !== current[0] || widened[1] !== current[1]) {
+      // No loaded record lies beyond the previous data, so the aggregation of the narrower
+      // range holds for the widened one in every month without appended records
+      const basis = this.aggregationBasis;
+      if (basis && basis.filterDateRange && basis.filterDateRange.every((day, end) => isSameDay(current[end], day))) {
+        basis.filterDateRange = widened.map(day => parseDate(day));
+      }
+      this.stateManager.setState('filters.dateRange', widened);
+    }
+  }
+  
+  /**
+   * Start a load batch and tag its records with its id
+   * @param {Array} records - Records loaded in the batch
+   * @param {Object} batch - { kind: 'dataset' or 'import', mode, sources: [{ source, label }] }
+   * @returns {Object} The batch, with its id and load time
+   * @private
+   */
+  createLoadBatch(records, batch) {
+    const loadBatch = { id: this.nextLoadBatchId++, loadedAt: new Date(), ...batch };
+    records.forEach(record => {
+      record[LINEAGE_COLUMNS.batch] = loadBatch.id;
+    });
+    return loadBatch;
+  }
+  
+  /**
+   * Rebuild the data quality report from per-file summaries
+   * @param {Array<Object>} sources - Quality summaries of the loaded files (see DataQualityReport.summary)
+   * @private
+   */
+  setQualitySources(sources) {
+    this.qualitySources = sources.filter(Boolean);
+    this.publishQualityReport();
+  }
+  
+  /**
+   * Publish the data quality report: the per-file summaries merged, with the outcome of outlier screening
+   * @private
+   */
+  publishQualityReport() {
+    this.qualityReport = { ...DataQualityReport.merge(this.qualitySources), outliers: this.outliers.summary };
+    this.stateManager.setState('data.qualityReport', this.qualityReport);
+  }
+  
+  /**
+   * Process the dataset's records, encode them as the store and update state
+   * @param {Array} records - Records of the dataset, rebuilt from sourceStore; they are processed in place
+   * @private
+   */
+  processData(records) {
+    if (records.length === 0) {
+      this.store = new ColumnarStore();
+      return;
+    }
+    
+    // Groups, dates, bands and derived fields (see RecordProcessor, shared with the report script)
+    RecordProcessor.prepare(records, this.getProcessingContext());
+    this.updateStore(records);
+    
     // Log a sample of records to verify date processing
-    console.info('Sample of processed records:', this.rawData.slice(0, 5).map(r => ({
+    console.info('Sample of processed records:', records.slice(0, 5).map(r => ({
       date: r[COLUMN_MAP.documentDate],
       band: r.PremiumBand,
       amount: r[COLUMN_MAP.loanAmount]
@@ -172,110 +728,184 @@ export class DataManager {
     
     // Count records by year to verify data distribution
     const yearCounts = {};
-    this.rawData.forEach(record => {
+    records.forEach(record => {
       const dateField = record[COLUMN_MAP.documentDate];
-      if (dateField) {
-        const year = new Date(dateField).getFullYear();
-        if (!isNaN(year)) {
-          yearCounts[year] = (yearCounts[year] || 0) + 1;
-        }
+      if (isValidDay(dateField)) {
+        const year = dateField.getUTCFullYear();
+        yearCounts[year] = (yearCounts[year] || 0) + 1;
       }
     });
     console.info('Records by year:', yearCounts);
     
-    // Set raw data in state
-    this.stateManager.setState('data.raw', this.rawData);
-    
-    // Set filtered data initially to all data
-    this.stateManager.setState('data.filtered', this.rawData);
+    this.publishProcessedData();
     
     // Determine date range from data
-    this.setDateRangeFromData(this.rawData);
+    this.setDateRangeFromData(this.store);
     
     // Aggregate data
-    // this.aggregateData(this.rawData); // Cascade: Commented out to prevent initial aggregation
-    
-    // Extract and set available premium bands
-    const premiumBands = [...new Set(this.rawData
-      .map(record => record.PremiumBand)
-      .filter(Boolean))]
-      .sort((a, b) => {
-        const aNum = parseInt(a.split('-')[0]);
-        const bNum = parseInt(b.split('-')[0]);
-        return aNum - bNum;
-      });
-    
-    this.stateManager.setState('data.availablePremiumBands', premiumBands);
+    // this.aggregateData(); // Cascade: Commented out to prevent initial aggregation
   }
   
   /**
-   * Set date range in state based on data
-   * @param {Array} data - Raw data array
+   * Publish the processed records and what the filters offer: bands, swap curve comparison
+   * and per-source totals
+   * @private
    */
-  setDateRangeFromData(data) {
-    if (!data || data.length === 0) return;
+  publishProcessedData() {
+    this.publishBands();
+    this.publishSwapCurve();
     
-    // Initialize with the first date
-    let minTimestamp = Infinity;
-    let maxTimestamp = -Infinity;
+    // Set the records in state, as columns
+    this.stateManager.setState('data.raw', this.store);
     
-    // Iterate through the data to find min and max dates
-    // This is more efficient than using Math.min/max with spread for large datasets
-    for (const record of data) {
-      const dateField = record[COLUMN_MAP.documentDate];
-      if (!dateField) continue;
-      
-      const timestamp = new Date(dateField).getTime();
-      if (!isNaN(timestamp)) {
-        if (timestamp < minTimestamp) minTimestamp = timestamp;
-        if (timestamp > maxTimestamp) maxTimestamp = timestamp;
-      }
-    }
+    // Filtered data is initially every record (see FilterManager.applyFilters)
+    this.stateManager.setState('data.filtered', null);
     
-    // Create Date objects from the timestamps
-    const minDate = new Date(minTimestamp);
-    const maxDate = new Date(maxTimestamp);
+    // What each file contributes after deduplication
+    this.stateManager.setState('data.sourceSummary', DataAggregator.summarizeStoreBySource(this.store, this.loadBatches));
+  }
+  
+  /**
+   * Settings the last processing step depends on (see RecordProcessor.prepare)
+   * @returns {Object} { lenderGroups, bandSettings, swapCurve, swapCurveSettings }
+   * @private
+   */
+  getProcessingContext() {
+    return {
+      lenderGroups: this.lenderGroups,
+      bandSettings: this.bandSettings,
+      swapCurve: this.swapCurve,
+      swapCurveSettings: this.swapCurveSettings
+    };
+  }
+  
+  /**
+   * Encode the dataset's records as columns once they are final
+   * @param {Array} records - Processed records of the dataset
+   * @private
+   */
+  updateStore(records) {
+    this.store = ColumnarStore.fromRecords(records);
+    console.info(`[DataManager] Columnar store: ${this.store.length} records in ${this.store.columnNames.length} columns, ${(this.store.byteLength / 1048576).toFixed(1)} MB`);
+  }
+  
+  /**
+   * Publish the band settings and the premium bands found in the store
+   * @private
+   */
+  publishBands() {
+    const premiumBands = sortPremiumBands(this.store.getDistinctValues('PremiumBand')
+      .filter(band => band !== 'Unknown'));
     
-    // Set date range in state (only if valid dates were found)
-    if (isFinite(minTimestamp) && isFinite(maxTimestamp)) {
-      this.stateManager.setState('filters.dateRange', [minDate, maxDate]);
-    }
+    this.stateManager.setState('data.bandSettings', this.bandSettings);
+    this.stateManager.setState('data.availablePremiumBands', premiumBands);
   }
   
   /**
-   * Aggregate data and store in state
-   * @param {Array} data - Data to aggregate
-   * @param {Object} options - Aggregation options
-   * @returns {Object} Aggregated data
+   * Publish the swap curve, its join settings and how the supplied SwapRate compares with it
+   * @private
+   */
+  publishSwapCurve() {
+    this.stateManager.setState('data.swapCurve', {
+      curve: this.swapCurve ? SwapCurve.describe(this.swapCurve) : null,
+      settings: this.swapCurveSettings,
+      comparison: this.swapCurve ? SwapCurve.compare(this.store) : null
+    });
+  }
+  
+  /**
+   * Recompute bands and derived fields of the loaded records after a setting they depend on
+   * changed, and mirror them into the query worker. Filters and selections are kept; callers
+   * re-run the filters to refresh the views.
+   * @returns {Promise<void>}
+   * @private
    */
-  aggregateData(data, options = {}) {
-    if (!data) {
-      console.warn('No data provided to aggregateData. Using rawData from state.');
-      data = this.stateManager.state.data.raw || [];
+  async recomputeRecords() {
+    if (this.store.length === 0) {
+      this.stateManager.setState('data.bandSettings', this.bandSettings);
+      this.publishSwapCurve();
+      return;
     }
     
-    const filterPremiumBandsLogic = record => {
-      if (record.PremiumBand === 'Unknown' || record.PremiumBand === '-0.4--0.2') return false;
-      if (record.PremiumBand) {
-        const parts = String(record.PremiumBand).split('-'); // Ensure it's a string
-        if (parts.length >= 1) {
-          const lowerBoundString = parts[0].trim();
-          const lowerBound = parseFloat(lowerBoundString);
-          if (!isNaN(lowerBound) && lowerBound >= 540) {
-            return false; // Exclude if lower bound is 540 or more
-          }
-        }
-      }
-      return true;
-    };
-
-    const filteredDataForAggregation = data.filter(filterPremiumBandsLogic);
+    try {
+      this.isLoading = true;
+      this.stateManager.setState('ui.loading', true);
+      // The processed records are rebuilt from the store, as bands and derived fields need whole records
+      const records = this.store.getRecords();
+      RecordProcessor.applyBands(records, this.getProcessingContext());
+      this.updateStore(records);
+      this.aggregationBasis = null;
+      this.publishBands();
+      this.publishSwapCurve();
+      this.stateManager.setState('data.raw', this.store);
+      await this.dataService.setDataset(this.store);
+    } finally {
+      this.stateManager.setState('ui.loading', false);
+      this.isLoading = false;
+    }
+  }
+  
+  /**
+   * Change the premium band width or origin and re-bucket the loaded records
+   * @param {Object} settings - Settings to merge into the current ones (see PremiumBands.normalizeSettings)
+   * @returns {Promise<Object>} The new settings
+   */
+  async setBandSettings(settings) {
+    this.bandSettings = PremiumBands.normalizeSettings({ ...this.bandSettings, ...settings });
+    await this.recomputeRecords();
+    return this.bandSettings;
+  }
+  
+  /**
+   * Replace the swap curve with a local file and join the loaded records to it.
+   * The imported curve is kept when the datasets are reloaded.
+   * @param {File} file - Curve CSV chosen by the user (see SwapCurve)
+   * @returns {Promise<Object>} Curve description (see SwapCurve.describe)
+   * @throws {Error} If the file is not a valid curve; the current curve is then kept
+   */
+  async importSwapCurve(file) {
+    this.swapCurve = SwapCurve.parse(await file.text(), { source: file.name, origin: 'import' });
+    await this.recomputeRecords();
+    return SwapCurve.describe(this.swapCurve);
+  }
+  
+  /**
+   * Change how records are joined to the swap curve (e.g. its lag) and join them again
+   * @param {Object} settings - Settings to merge into the current ones (see SwapCurve.normalizeSettings)
+   * @returns {Promise<Object>} The new settings
+   */
+  async setSwapCurveSettings(settings) {
+    this.swapCurveSettings = SwapCurve.normalizeSettings({ ...this.swapCurveSettings, ...settings });
+    await this.recomputeRecords();
+    return this.swapCurveSettings;
+  }
+  
+  /**
+   * Set date range in state based on data
+   * @param {ColumnarStore} store - Records as columns
+   */
+  setDateRangeFromData(store) {
+    // Scanning the DocumentDate column is much cheaper than reading every record
+    const range = store.getRange(COLUMN_MAP.documentDate);
     
-    if (filteredDataForAggregation.length === 0) {
-      console.warn('Data for aggregation is empty after premium band filtering.');
-      this.stateManager.setState('data.aggregated', null); // Clear aggregated data
-      return null;
+    // Set date range in state (only if valid dates were found)
+    if (range) {
+      this.stateManager.setState('filters.dateRange', range);
     }
+  }
+  
+  /**
+   * Aggregate records of the store in the query worker and store the result in state
+   * @param {Uint32Array|null} indices - Positions in the store of the records to aggregate, e.g. those the
+   *   filters keep (null for all); the worker holds the records, so only the positions are sent
+   * @param {Object} options - Aggregation options
+   * @param {string} options.rowField - Column to use as table rows (default: ui.tableRowField)
+   * @param {string} options.timeGrain - Periods of the table columns (default: ui.timeGrain, see TIME_GRAINS)
+   * @param {AbortSignal} options.signal - Signal to cancel the aggregation
+   * @returns {Promise<Object>} Aggregated data
+   */
+  async aggregateData(indices = null, options = {}) {
+    const { signal, ...restOptions } = options;
     
     // Retrieve current dateRange filter from state
     const currentFilters = this.stateManager.state.filters;
@@ -285,45 +915,36 @@ export class DataManager {
 
     // Merge existing options with the filterDateRange
     const aggregationOptions = {
-      ...options,
-      sampleSize: options.sampleSize !== undefined ? options.sampleSize : 0, // Default to 0 (all data) if not specified
-      filterDateRange // Pass the date range from filters
+      ...restOptions,
+      sampleSize: restOptions.sampleSize !== undefined ? restOptions.sampleSize : 0, // Default to 0 (all data) if not specified
+      rowField: restOptions.rowField || this.stateManager.state.ui?.tableRowField || 'PremiumBand',
+      timeGrain: restOptions.timeGrain || this.stateManager.state.ui?.timeGrain || 'month'
     };
     
-    // Log aggregation start
-    console.info(`Starting data aggregation with ${filteredDataForAggregation.length} records (after premium band filter)`);
     const startTime = performance.now();
     
-    // Calculate unfiltered totals for market share calculation if we have date range filters
-    // but no other filters applied
-    if (filterDateRange && this.rawData.length > 0) {
-      // Apply only date range filter to get the total for each premium band
-      let dateFilteredRawData = this.rawData.filter(record => {
-        const recordDate = new Date(record[COLUMN_MAP.documentDate]);
-        return recordDate >= filterDateRange[0] && recordDate <= filterDateRange[1];
-      });
-
-      dateFilteredRawData = dateFilteredRawData.filter(filterPremiumBandsLogic);
-      
-      // Calculate totals by premium band for the date range
-      this.unfilteredTotals = { byPremiumBand: {}, overall: 0 };
-      dateFilteredRawData.forEach(record => {
-        const band = record.PremiumBand;
-        const amount = parseFloat(record[COLUMN_MAP.loanAmount]) || 0;
-        
-        if (band) {
-          this.unfilteredTotals.byPremiumBand[band] = (this.unfilteredTotals.byPremiumBand[band] || 0) + amount;
-          this.unfilteredTotals.overall += amount;
-        }
-      });
-      
-      console.debug('[DataManager] Calculated unfiltered totals for market share (after premium band filter):', this.unfilteredTotals);
+    let aggregatedData;
+    const previous = this.stateManager.state.data.aggregated;
+    const months = this.getMonthsToReaggregate(currentFilters, aggregationOptions);
+    if (months) {
+      const update = await this.dataService.aggregate({ indices, filterDateRange, options: { ...aggregationOptions, months } }, { signal });
+      aggregatedData = DataAggregator.mergeReportMonths(previous, update, filterDateRange);
+      console.info(`[DataManager] Re-aggregated ${months.length} period(s): ${months.join(', ')}`);
+    } else {
+      aggregatedData = await this.dataService.aggregate({ indices, filterDateRange, options: aggregationOptions }, { signal });
     }
+    this.aggregationBasis = aggregatedData ? this.createAggregationBasis(currentFilters, aggregationOptions) : null;
     
-    // Perform aggregation
-    const aggregatedData = DataAggregator.aggregateByPremiumBandAndMonth(filteredDataForAggregation, aggregationOptions);
+    if (!aggregatedData) {
+      this.stateManager.setState('data.aggregated', null); // Clear aggregated data
+      return null;
+    }
     
-    // Add unfiltered totals to the aggregated data for market share calculation
+    // Keep unfiltered totals for market share calculation
+    if (aggregatedData.unfilteredTotals) {
+      this.unfilteredTotals = aggregatedData.unfilteredTotals;
+      console.debug('[DataManager] Calculated unfiltered totals for market share (after premium band filter):', this.unfilteredTotals);
+    }
     aggregatedData.unfilteredTotals = this.unfilteredTotals;
     
     // Update state
@@ -337,14 +958,65 @@ export class DataManager {
   }
   
   /**
-   * Apply filters to data
+   * Describe what an aggregation of the loaded dataset was built from
+   * @param {Object} filters - Filters it applied
+   * @param {Object} options - Aggregation options
+   * @returns {Object} { filterKey, filterDateRange, optionsKey, staleDays }
+   * @private
+   */
+  createAggregationBasis(filters, options) {
+    const { dateRange = null, ...otherFilters } = filters || {};
+    return {
+      filterKey: JSON.stringify(otherFilters),
+      filterDateRange: dateRange && dateRange[0] && dateRange[1] ? [parseDate(dateRange[0]), parseDate(dateRange[1])] : null,
+      // Sorted keys, so that the same options given in another order (e.g. by FilterManager.reaggregate) match
+      optionsKey: JSON.stringify(options, Object.keys(options).sort()),
+      // Days (timestamps) whose records changed since (see appendRecords)
+      staleDays: new Set()
+    };
+  }
+  
+  /**
+   * Work out which periods of data.aggregated need aggregating again for these filters and options.
+   * Periods are reusable when only records of other periods were appended since, and only the date
+   * range of the filters changed: then the periods whose records changed, the periods entering the
+   * range and the periods at either end of a moved range are aggregated again.
+   * @param {Object} filters - Filters to apply
+   * @param {Object} options - Aggregation options
+   * @returns {Array<string>|null} Periods (keys of options.timeGrain) to aggregate again, or null to aggregate everything
+   * @private
+   */
+  getMonthsToReaggregate(filters, options) {
+    const basis = this.aggregationBasis;
+    const previous = this.stateManager.state.data.aggregated;
+    if (!basis || !previous || !previous.unfilteredTotals?.byMonth || options.sampleSize > 0) return null;
+    
+    const current = this.createAggregationBasis(filters, options);
+    if (current.filterKey !== basis.filterKey || current.optionsKey !== basis.optionsKey) return null;
+    if (!current.filterDateRange || !basis.filterDateRange) return null;
+    
+    const { timeGrain } = options;
+    const months = new Set(Array.from(basis.staleDays, time => toPeriodKey(new Date(time), timeGrain)));
+    current.filterDateRange.forEach((day, end) => {
+      if (day.getTime() !== basis.filterDateRange[end].getTime()) {
+        months.add(toPeriodKey(day, timeGrain));
+        months.add(toPeriodKey(basis.filterDateRange[end], timeGrain));
+      }
+    });
+    
+    const reportMonths = DataAggregator.getMonthsInRange(current.filterDateRange, timeGrain);
+    return reportMonths.filter(month => months.has(month) || !previous.months.includes(month));
+  }
+  
+  /**
+   * Apply filters to data in the query worker
    * @param {Object} filters - Filter criteria
-   * @returns {Array} Filtered data
+   * @returns {Promise<Uint32Array>} Positions in the store of the matching records
    */
-  applyFilters(filters) {
-    if (!this.rawData || this.rawData.length === 0) {
+  async applyFilters(filters) {
+    if (this.store.length === 0) {
       console.warn('Cannot apply filters: No raw data available');
-      return [];
+      return new Uint32Array(0);
     }
     
     // Store filters in state
@@ -366,113 +1038,17 @@ export class DataManager {
     }
     console.debug('[DataManager.applyFilters] Applying filters:', JSON.stringify(loggableFilters));
     
-    // Apply filters to raw data
-    const filteredData = this.filterData(this.rawData, filters);
-    console.info(`Applied filters: ${filteredData.length} records match criteria`);
+    // Apply filters in the query worker; it returns the positions of matching records
+    const indices = await this.dataService.filter(filters);
+    console.info(`Applied filters: ${indices.length} records match criteria`);
     
     // Store filtered data in state
-    this.stateManager.setState('data.filtered', filteredData);
+    this.stateManager.setState('data.filtered', indices);
     
     // Aggregate filtered data
-    this.aggregateData(filteredData);
+    await this.aggregateData(indices);
     
-    return filteredData;
-  }
-  
-  /**
-   * Filter data based on criteria
-   * @param {Array} data - Data to filter
-   * @param {Object} filters - Filter criteria
-   * @returns {Array} Filtered data
-   * @private
-   */
-  filterData(data, filters) {
-    console.log(`[DataManager.filterData ENTRY] Called. ${data ? data.length : '0'} records. First PremiumBand: ${data && data[0] ? data[0].PremiumBand : 'N/A'}. Filters:`, JSON.stringify(filters));
-
-    if (!data || !filters) return data || [];
-    
-    return data.filter(record => {
-      // Always filter out Unknown and -0.4--0.2 premium bands
-      if (record.PremiumBand === 'Unknown' || record.PremiumBand === '-0.4--0.2') return false;
-      
-      // Filter out premium bands where the lower bound is >= 540
-      if (record.PremiumBand) {
-        // Direct log for a specific problematic band
-        if (record.PremiumBand === '540-560') {
-          console.log(`[DataManager.filterData] Encountered '540-560' directly.`);
-        }
-
-        const parts = record.PremiumBand.split('-');
-        if (parts.length >= 1) {
-          const lowerBoundString = parts[0].trim();
-          const lowerBound = parseFloat(lowerBoundString);
-
-          if (!isNaN(lowerBound)) {
-            if (lowerBound >= 540) {
-              console.log(`[DataManager.filterData] Attempting to EXCLUDE band: ${record.PremiumBand}, Parsed Lower bound: ${lowerBound}`);
-              return false; // Exclude if lower bound is 540 or more
-            }
-          } else {
-            // Log if parsing to float results in NaN
-            console.log(`[DataManager.filterData] NaN for band: ${record.PremiumBand}, lowerBoundString: '${lowerBoundString}'`);
-          }
-        }
-      }
-      
-      // Date range filter
-      if (filters.dateRange && filters.dateRange[0] && filters.dateRange[1]) {
-        const recordDate = record[COLUMN_MAP.documentDate]; // This is now a Date object (or Invalid Date)
-        // Check if recordDate is a valid Date object
-        if (!(recordDate instanceof Date) || isNaN(recordDate.getTime())) {
-          return false; // Skip if record date is invalid or not a Date object
-        }
-        if (recordDate < filters.dateRange[0] || recordDate > filters.dateRange[1]) {
-          return false;
-        }
-      }
-      
-      // Lender filter
-      if (filters.lenders && filters.lenders.length > 0) {
-        if (!filters.lenders.includes(record[COLUMN_MAP.lender])) {
-          return false;
-        }
-      }
-      
-      // LTV filter
-      if (filters.ltvRange && filters.ltvRange !== 'all') {
-        const ltv = parseFloat(record[COLUMN_MAP.ltv]);
-        if (isNaN(ltv)) return false;
-        
-        if (filters.ltvRange === 'below-80' && ltv >= 80) return false;
-        if (filters.ltvRange === 'above-80' && ltv < 80) return false;
-        if (filters.ltvRange === 'above-85' && ltv <= 85) return false;
-        if (filters.ltvRange === 'above-90' && ltv <= 90) return false;
-      }
-      
-      // Premium band filter
-      if (filters.premiumBands && filters.premiumBands.length > 0) {
-        if (!record.PremiumBand || !filters.premiumBands.includes(record.PremiumBand)) {
-          return false;
-        }
-      }
-      
-      // Purchase type filter
-      if (filters.purchaseTypes && filters.purchaseTypes.length > 0) {
-        // Debug logging for purchase type filter
-        if (record.id && record.id < 5) { // Only log a few records to avoid console spam
-          console.log(`[DataManager.filterData] Purchase type check - Record: ${record.id}, PurchaseType: '${record[COLUMN_MAP.purchaseType]}', Allowed types:`, filters.purchaseTypes);
-        }
-        
-        // Skip 'all_purchase_types' as it's a UI-only value
-        if (filters.purchaseTypes.includes('all_purchase_types')) {
-          // If 'all_purchase_types' is selected, don't filter by purchase type
-        } else if (!filters.purchaseTypes.includes(record[COLUMN_MAP.purchaseType])) {
-          return false;
-        }
-      }
-      
-      return true;
-    });
+    return indices;
   }
   
   /**
@@ -481,12 +1057,25 @@ export class DataManager {
    * @returns {Array} Array of unique values
    */
   getUniqueValues(columnKey) {
-    if (!this.rawData || !COLUMN_MAP[columnKey]) return [];
+    if (!COLUMN_MAP[columnKey]) return [];
     
-    const columnName = COLUMN_MAP[columnKey];
-    const uniqueValues = [...new Set(this.rawData.map(record => record[columnName]))];
-    
-    return uniqueValues.filter(Boolean).sort();
+    return this.store.getDistinctValues(COLUMN_MAP[columnKey]).filter(Boolean).sort();
+  }
+  
+  /**
+   * List the columns written when records are exported: the CSV columns, the columns added
+   * while loading and processing, then the derived fields
+   * @returns {Array<string>} Column names
+   */
+  getExportColumns() {
+    return [
+      ...new Set(Object.values(COLUMN_MAP)),
+      'PremiumBand',
+      LENDER_LEVELS.group.column,
+      LINEAGE_COLUMNS.source,
+      LINEAGE_COLUMNS.batch,
+      ...DerivedFields.getColumns()
+    ];
   }
   
   /**
@@ -494,55 +1083,137 @@ export class DataManager {
    * @returns {Object} Data statistics
    */
   getDataStats() {
-    if (!this.rawData || this.rawData.length === 0) {
+    if (this.store.length === 0) {
       return {
         recordCount: 0,
         lenderCount: 0,
         dateRange: [null, null],
-        lastUpdated: null
+        lastUpdated: null,
+        datasets: this.datasetValidation
       };
     }
     
     const lenders = this.getUniqueValues('lender');
-    const dates = this.rawData.map(record => new Date(record[COLUMN_MAP.documentDate]));
-    
     return {
-      recordCount: this.rawData.length,
+      recordCount: this.store.length,
       lenderCount: lenders.length,
-      dateRange: [
-        new Date(Math.min(...dates)),
-        new Date(Math.max(...dates))
-      ],
-      lastUpdated: this.lastUpdated
+      dateRange: this.store.getRange(COLUMN_MAP.documentDate) || [null, null],
+      lastUpdated: this.lastUpdated,
+      datasets: this.datasetValidation
     };
   }
   
   /**
-   * Reload data from source
+   * Get the mapping a source should be read with
+   * @param {string} source - Dataset path or imported file name
+   * @param {string} declaredProfile - Profile declared in the manifest (optional)
+   * @returns {Object|null} Saved mapping, the declared profile, or null to detect it
+   * @private
+   */
+  getSavedColumnMapping(source, declaredProfile = null) {
+    return this.columnMappingStore.get(source) || (declaredProfile ? { profile: declaredProfile } : null);
+  }
+  
+  /**
+   * Describe how a loaded source was mapped, for the column mapping panel
+   * @param {string} source - Dataset path or imported file name
+   * @param {string} label - Display name
+   * @param {string} origin - 'dataset' or 'import'
+   * @param {Object} stats - File stats with headers and columnMapping (undefined if the file failed to load)
+   * @returns {Object} { source, label, origin, saved, headers, profile, detected, columns, missing, unmappedHeaders }
+   * @private
+   */
+  describeColumnMapping(source, label, origin, stats) {
+    return {
+      source,
+      label,
+      origin,
+      saved: this.columnMappingStore.get(source) !== null,
+      headers: (stats && stats.headers) || [],
+      ...(stats && stats.columnMapping)
+    };
+  }
+  
+  /**
+   * Build the cache version of a file from its content version and how it is read
+   * @param {string} version - ETag or checksum
+   * @param {Object} processOptions - { dateFormat, columnMapping, lenderAliases }
+   * @returns {string} Cache version
+   */
+  static createProcessingVersion(version, { dateFormat = 'auto', columnMapping = null, lenderAliases = {} } = {}) {
+    const mapping = columnMapping ? `#columns:${checksumText(JSON.stringify(columnMapping))}` : '';
+    const aliases = Object.keys(lenderAliases).length > 0 ? `#aliases:${checksumText(JSON.stringify(lenderAliases))}` : '';
+    return `${version}#date:${dateFormat}${mapping}${aliases}`;
+  }
+  
+  /**
+   * Save the column mapping of a source and re-process the loaded data with it.
+   * Repository files that are unaffected load from the cache; local imports are read again.
+   * @param {string} source - Dataset path or imported file name
+   * @param {Object|null} mapping - { profile, columns } (see ColumnMapper.resolveColumnMapping), or null to detect it
+   * @param {Object} options - Options
+   * @param {Function} options.progressCallback - Callback for loading progress updates
+   * @returns {Promise<ColumnarStore>} The processed records (see store)
+   */
+  async setColumnMapping(source, mapping, options = {}) {
+    const { progressCallback } = options;
+    this.columnMappingStore.set(source, mapping);
+    
+    const importBatches = this.importBatches;
+    await this.loadAllData({ forceReload: true, progressCallback });
+    for (const batch of importBatches) {
+      await this.importLocalFiles(batch.files, { ...batch, progressCallback });
+    }
+    
+    return this.store;
+  }
+  
+  /**
+   * Reload data
    * @param {Function} progressCallback - Callback for loading progress updates
-   * @returns {Promise<Array>} Raw data array
+   * @param {Object} options - Reload options
+   * @param {boolean} options.fromSource - Ignore cached files and download everything again
+   * @returns {Promise<ColumnarStore>} The processed records (see store)
    */
-  async reloadData(progressCallback) {
-    return this.loadAllData({ forceReload: true, progressCallback });
+  async reloadData(progressCallback, options = {}) {
+    const { fromSource = false } = options;
+    return this.loadAllData({ forceReload: true, bypassCache: fromSource, progressCallback });
+  }
+  
+  /**
+   * Remove all cached dataset files. Loaded data is kept; the next load parses every file again.
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    if (!this.datasetCache.isAvailable) return;
+    
+    await this.datasetCache.clear();
+    console.info('[DataManager] Dataset cache cleared');
+    
+    // Loaded datasets no longer have a cached copy
+    this.datasetValidation = this.datasetValidation.map(result => ({ ...result, cachedAt: null }));
+    this.stateManager.setState('data.datasetValidation', this.datasetValidation);
   }
   
   /**
-   * Calculate weighted averages for metrics by premium band
-   * @param {Array} data - Data to analyze
-   * @param {Object} options - Calculation options
+   * Calculate weighted averages for metrics by premium band, from the store's columns
+   * @param {Uint32Array|null} indices - Positions in the store of the records to analyze (null for all)
+   * @param {Object} options - Calculation options (see DataAggregator.calculateStoreWeightedAverages)
    * @param {Array} options.metrics - Metrics to calculate (default: ['ltv', 'rate', 'term'])
    * @param {boolean} options.includeMonthly - Whether to include monthly breakdowns
-   * @returns {Object} Weighted averages by premium band
+   * @param {string} options.timeGrain - Periods of the monthly breakdowns (default 'month', see TIME_GRAINS)
+   * @param {Function} options.filter - Records to analyze among the indices, given a record index (default all)
+   * @returns {Object|null} Weighted averages by premium band, or null without records
    */
-  calculateWeightedAverages(data, options = {}) {
-    if (!data || data.length === 0) return null;
+  calculateWeightedAverages(indices = null, options = {}) {
+    if (this.store.length === 0 || (indices && indices.length === 0)) return null;
     
     // Log calculation start
     console.info(`Starting weighted average calculation for ${options.metrics?.join(', ') || 'default metrics'}`);
     const startTime = performance.now();
     
     // Perform calculation
-    const weightedAverages = DataAggregator.calculateWeightedAverages(data, options);
+    const weightedAverages = DataAggregator.calculateStoreWeightedAverages(this.store, indices, options);
     
     // Update state
     this.stateManager.setState('data.weightedAverages', weightedAverages);
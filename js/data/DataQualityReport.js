@@ -0,0 +1,353 @@
+/**
+ * DataQualityReport.js
+ * Collects data quality statistics while records are processed
+ *
+ * A collector is created per source file and passed to DataLoader.combineAndProcess,
+ * which reports every raw row, dropped row, failed conversion and out-of-range value to it.
+ * Collectors produce plain-object summaries, so they can be returned from the data worker,
+ * cached with the file, and merged into one report for the loaded dataset.
+ */
+
+import { COLUMN_MAP } from './ColumnMapper.js';
+import { toCsvField } from '../utils/exportUtils.js';
+
+/**
+ * Maximum number of example values kept per issue
+ */
+const MAX_EXAMPLES = 5;
+
+/**
+ * Checks run on every processed record: id -> { label, field, test(value) }
+ */
+export const RANGE_CHECKS = {
+  ltvOutOfRange: {
+    label: 'LTV outside 0-100',
+    field: COLUMN_MAP.ltv,
+    test: value => typeof value === 'number' && (value < 0 || value > 100)
+  },
+  nonPositiveLoan: {
+    label: 'Loan amount zero or negative',
+    field: COLUMN_MAP.loanAmount,
+    test: value => typeof value === 'number' && value <= 0
+  }
+};
+
+/**
+ * Create an empty issue counter
+ * @returns {Object} { count, examples }
+ */
+function createIssue() {
+  return { count: 0, examples: [] };
+}
+
+/**
+ * Count an issue, keeping the first few examples
+ * @param {Object} issue - Issue counter
+ * @param {Object} example - Example to keep ({ row, value })
+ */
+function countIssue(issue, example) {
+  issue.count++;
+  if (issue.examples.length < MAX_EXAMPLES) {
+    issue.examples.push(example);
+  }
+}
+
+/**
+ * Add one issue counter into another
+ * @param {Object} target - Issue counter to add to
+ * @param {Object} source - Issue counter to add
+ */
+function mergeIssue(target, source) {
+  target.count += source.count;
+  for (const example of source.examples) {
+    if (target.examples.length >= MAX_EXAMPLES) break;
+    target.examples.push(example);
+  }
+}
+
+export class DataQualityReport {
+  /**
+   * Create a collector for one source file
+   * @param {string} source - Source file path or name
+   */
+  constructor(source) {
+    this.source = source;
+    this.totalRows = 0;
+    this.keptRows = 0;
+    this.droppedRows = {};
+    this.dateFormat = null;
+    this.lenderAliases = {};
+    this.columns = {};
+    this.coercionFailures = {};
+    this.unparseableDates = createIssue();
+    this.rangeIssues = Object.fromEntries(Object.keys(RANGE_CHECKS).map(id => [id, createIssue()]));
+  }
+
+  /**
+   * Record a raw row before processing: counts null and blank values per column
+   * @param {Object} record - Raw parsed row
+   */
+  observeRow(record) {
+    this.totalRows++;
+    if (!record || typeof record !== 'object') return;
+
+    for (const column in record) {
+      const stats = this.columns[column] || (this.columns[column] = { nulls: 0, blanks: 0, seen: 0 });
+      const value = record[column];
+      stats.seen++;
+      if (value === null || value === undefined) {
+        stats.nulls++;
+      } else if (typeof value === 'string' && value.trim() === '') {
+        stats.blanks++;
+      }
+    }
+  }
+
+  /**
+   * Record a dropped row
+   * @param {string} reason - Why the row was dropped (e.g. 'invalid')
+   */
+  recordDropped(reason) {
+    this.droppedRows[reason] = (this.droppedRows[reason] || 0) + 1;
+  }
+
+  /**
+   * Record how DocumentDate was read for this source
+   * @param {Object} dateFormat - { declared, format, ambiguous, conflicting } (see dateUtils.detectDateFormat)
+   */
+  recordDateFormat(dateFormat) {
+    this.dateFormat = { ...dateFormat };
+  }
+
+  /**
+   * Record a lender name replaced by its canonical name
+   * @param {string} rawName - Name in the source
+   * @param {string} lender - Canonical name
+   */
+  recordLenderAlias(rawName, lender) {
+    const names = this.lenderAliases[lender] || (this.lenderAliases[lender] = {});
+    names[rawName] = (names[rawName] || 0) + 1;
+  }
+
+  /**
+   * Record a value that could not be converted to the expected type
+   * @param {string} field - Column name
+   * @param {*} value - Raw value
+   * @param {number} row - Row number within the source (1-based, excluding the header)
+   */
+  recordCoercionFailure(field, value, row) {
+    countIssue(this.coercionFailures[field] || (this.coercionFailures[field] = createIssue()), { row, value });
+  }
+
+  /**
+   * Record a date that could not be parsed
+   * @param {*} value - Raw value
+   * @param {number} row - Row number within the source
+   */
+  recordUnparseableDate(value, row) {
+    countIssue(this.unparseableDates, { row, value });
+  }
+
+  /**
+   * Run the range checks against a processed record that is being kept
+   * @param {Object} record - Processed record
+   * @param {number} row - Row number within the source
+   */
+  checkRecord(record, row) {
+    this.keptRows++;
+    for (const id in RANGE_CHECKS) {
+      const { field, test } = RANGE_CHECKS[id];
+      if (test(record[field])) {
+        countIssue(this.rangeIssues[id], { row, value: record[field] });
+      }
+    }
+  }
+
+  /**
+   * Summarise the collected statistics
+   * @returns {Object} Plain-object summary (structured-cloneable)
+   */
+  summary() {
+    return {
+      sources: [{
+        source: this.source,
+        totalRows: this.totalRows,
+        keptRows: this.keptRows,
+        droppedRows: { ...this.droppedRows },
+        dateFormat: this.dateFormat && { ...this.dateFormat }
+      }],
+      totalRows: this.totalRows,
+      columns: Object.fromEntries(Object.entries(this.columns).map(([column, stats]) => [column, { ...stats }])),
+      coercionFailures: Object.fromEntries(Object.entries(this.coercionFailures).map(([field, issue]) => [field, { count: issue.count, examples: [...issue.examples] }])),
+      unparseableDates: { count: this.unparseableDates.count, examples: [...this.unparseableDates.examples] },
+      lenderAliases: Object.fromEntries(Object.entries(this.lenderAliases).map(([lender, names]) => [lender, { ...names }])),
+      rangeIssues: Object.fromEntries(Object.entries(this.rangeIssues).map(([id, issue]) => [id, { count: issue.count, examples: [...issue.examples] }]))
+    };
+  }
+
+  /**
+   * Merge per-source summaries into one report
+   * @param {Array<Object>} summaries - Summaries from summary() (or earlier merges)
+   * @returns {Object} Merged report
+   */
+  static merge(summaries) {
+    const merged = {
+      sources: [],
+      totalRows: 0,
+      columns: {},
+      coercionFailures: {},
+      unparseableDates: createIssue(),
+      lenderAliases: {},
+      rangeIssues: Object.fromEntries(Object.keys(RANGE_CHECKS).map(id => [id, createIssue()]))
+    };
+
+    for (const summary of summaries) {
+      if (!summary) continue;
+
+      merged.sources.push(...summary.sources);
+      merged.totalRows += summary.totalRows;
+
+      for (const [column, stats] of Object.entries(summary.columns)) {
+        const target = merged.columns[column] || (merged.columns[column] = { nulls: 0, blanks: 0, seen: 0 });
+        target.nulls += stats.nulls;
+        target.blanks += stats.blanks;
+        target.seen += stats.seen;
+      }
+
+      for (const [field, issue] of Object.entries(summary.coercionFailures)) {
+        mergeIssue(merged.coercionFailures[field] || (merged.coercionFailures[field] = createIssue()), issue);
+      }
+
+      mergeIssue(merged.unparseableDates, summary.unparseableDates);
+
+      for (const [lender, names] of Object.entries(summary.lenderAliases || {})) {
+        const target = merged.lenderAliases[lender] || (merged.lenderAliases[lender] = {});
+        for (const [rawName, count] of Object.entries(names)) {
+          target[rawName] = (target[rawName] || 0) + count;
+        }
+      }
+
+      for (const [id, issue] of Object.entries(summary.rangeIssues)) {
+        if (merged.rangeIssues[id]) mergeIssue(merged.rangeIssues[id], issue);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Per-column null and blank rates. A column missing from some rows counts those rows as null.
+   * @param {Object} report - Merged report
+   * @returns {Array<Object>} [{ column, nulls, blanks, nullRate, blankRate }] sorted by column name
+   */
+  static getColumnRates(report) {
+    return Object.keys(report.columns).sort().map(column => {
+      const stats = report.columns[column];
+      const nulls = stats.nulls + (report.totalRows - stats.seen);
+      return {
+        column,
+        nulls,
+        blanks: stats.blanks,
+        nullRate: report.totalRows > 0 ? (nulls / report.totalRows) * 100 : 0,
+        blankRate: report.totalRows > 0 ? (stats.blanks / report.totalRows) * 100 : 0
+      };
+    });
+  }
+
+  /**
+   * List every issue with its count
+   * @param {Object} report - Merged report
+   * @returns {Array<Object>} [{ issue, field, count, examples }]
+   */
+  static getIssues(report) {
+    const issues = Object.entries(report.coercionFailures).map(([field, issue]) => ({
+      issue: 'Not a number',
+      field,
+      ...issue
+    }));
+
+    issues.push({ issue: 'Unparseable date', field: COLUMN_MAP.documentDate, ...report.unparseableDates });
+
+    for (const [id, issue] of Object.entries(report.rangeIssues)) {
+      issues.push({ issue: RANGE_CHECKS[id].label, field: RANGE_CHECKS[id].field, ...issue });
+    }
+
+    return issues;
+  }
+
+  /**
+   * List the lenders whose raw names were merged
+   * @param {Object} report - Merged report
+   * @returns {Array<Object>} [{ lender, names: [{ name, count }] }] sorted by lender, names by count
+   */
+  static getLenderMerges(report) {
+    return Object.keys(report.lenderAliases || {}).sort().map(lender => ({
+      lender,
+      names: Object.entries(report.lenderAliases[lender])
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count)
+    }));
+  }
+
+  /**
+   * Describe how a source's dates were read, e.g. "DD/MM/YYYY (assumed, ambiguous)"
+   * @param {Object} dateFormat - Date format entry of a source
+   * @returns {string} Description
+   */
+  static describeDateFormat(dateFormat) {
+    if (!dateFormat) return '-';
+    const notes = [];
+    if (dateFormat.declared === 'auto') notes.push(dateFormat.ambiguous ? 'assumed, ambiguous' : 'detected');
+    if (dateFormat.conflicting) notes.push('conflicting values');
+    return notes.length > 0 ? `${dateFormat.format} (${notes.join(', ')})` : dateFormat.format;
+  }
+
+  /**
+   * Export a report as CSV (one row per metric)
+   * @param {Object} report - Merged report
+   * @returns {string} CSV text
+   */
+  static toCSV(report) {
+    const rows = [['section', 'source', 'field', 'metric', 'count', 'rate_pct', 'examples']];
+
+    for (const source of report.sources) {
+      rows.push(['source', source.source, '', 'rows', source.totalRows, '', '']);
+      rows.push(['source', source.source, '', 'kept', source.keptRows, '', '']);
+      for (const [reason, count] of Object.entries(source.droppedRows)) {
+        rows.push(['source', source.source, '', `dropped (${reason})`, count, '', '']);
+      }
+      if (source.dateFormat) {
+        rows.push(['source', source.source, COLUMN_MAP.documentDate, `date format ${this.describeDateFormat(source.dateFormat)}`, '', '', '']);
+      }
+    }
+
+    for (const rate of this.getColumnRates(report)) {
+      rows.push(['column', '', rate.column, 'null', rate.nulls, rate.nullRate.toFixed(2), '']);
+      rows.push(['column', '', rate.column, 'blank', rate.blanks, rate.blankRate.toFixed(2), '']);
+    }
+
+    for (const merge of this.getLenderMerges(report)) {
+      for (const { name, count } of merge.names) {
+        rows.push(['lender', '', COLUMN_MAP.lender, `"${name}" -> ${merge.lender}`, count, '', '']);
+      }
+    }
+
+    for (const issue of this.getIssues(report)) {
+      const rate = report.totalRows > 0 ? ((issue.count / report.totalRows) * 100).toFixed(2) : '';
+      const examples = issue.examples.map(example => `row ${example.row}: ${example.value}`).join('; ');
+      rows.push(['issue', '', issue.field, issue.issue, issue.count, rate, examples]);
+    }
+
+    // Outcome of outlier screening (added by DataManager, see OutlierDetector.summarize)
+    if (report.outliers) {
+      const rate = count => (report.totalRows > 0 ? ((count / report.totalRows) * 100).toFixed(2) : '');
+      rows.push(['outlier', '', '', 'quarantined', report.outliers.flaggedCount, rate(report.outliers.flaggedCount), '']);
+      rows.push(['outlier', '', '', 'included after review', report.outliers.includedCount, rate(report.outliers.includedCount), '']);
+      for (const reason of report.outliers.reasons) {
+        rows.push(['outlier', '', reason.field, reason.label, reason.count, rate(reason.count), `${reason.includedCount} included`]);
+      }
+    }
+
+    return rows.map(row => row.map(toCsvField).join(',')).join('\n');
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * DataService.js
+ * Worker-backed data service for loading, filtering and aggregation
+ *
+ * CSV files are parsed in parallel across a WorkerPool. The processed dataset is
+ * then mirrored into one dedicated query worker as columns (see ColumnarStore), so
+ * filter and aggregate requests only send criteria in and small results (matching
+ * indices, aggregates) back.
+ * Every call accepts an AbortSignal; when Web Workers are unavailable the same
+ * task handlers run on the page instead.
+ */
+
+import { DataLoader } from './DataLoader.js';
+import { ColumnarStore } from './ColumnarStore.js';
+import { WorkerPool, TaskCancelledError } from '../workers/WorkerPool.js';
+import { createTaskContext, runDataTask } from '../workers/dataTasks.js';
+
+/**
+ * Worker slot that holds the dataset for filter and aggregate tasks
+ */
+const QUERY_WORKER = 0;
+
+export class DataService {
+  /**
+   * Create a new DataService instance
+   * @param {Object} options - Service options
+   * @param {boolean} options.useWorkers - Run tasks in Web Workers (default: when supported)
+   * @param {number} options.poolSize - Number of workers (default: see WorkerPool)
+   */
+  constructor(options = {}) {
+    const { useWorkers = WorkerPool.isSupported(), poolSize } = options;
+
+    this.pool = useWorkers
+      ? new WorkerPool(new URL('../workers/dataWorker.js', import.meta.url), poolSize ? { size: poolSize } : {})
+      : null;
+    this.inlineContext = createTaskContext();
+    this.dataset = new ColumnarStore();
+    this.datasetVersion = 0;
+    this.queryWorkerVersion = null;
+
+    if (this.pool) {
+      // A terminated query worker loses its copy of the dataset
+      this.pool.onWorkerReset = slotIndex => {
+        if (slotIndex === QUERY_WORKER) this.queryWorkerVersion = null;
+      };
+    }
+
+    console.info(`[DataService] Using ${this.pool ? `${this.pool.size} worker(s)` : 'inline processing (Web Workers unavailable)'}`);
+  }
+
+  /**
+   * Run a task on the pool, or inline when workers are unavailable
+   * @param {string} type - Task type (see dataTasks.js)
+   * @param {Object} payload - Task payload
+   * @param {Object} options - Task options ({ signal, onProgress, workerIndex })
+   * @returns {Promise<*>} Task result
+   * @private
+   */
+  async run(type, payload, options = {}) {
+    if (this.pool) {
+      return this.pool.run(type, payload, options);
+    }
+
+    // Inline tasks cannot be interrupted, but a cancelled request never resolves with stale results
+    const { signal, onProgress } = options;
+    if (signal && signal.aborted) throw new TaskCancelledError();
+    const result = await runDataTask(this.inlineContext, type, payload, { onProgress });
+    if (signal && signal.aborted) throw new TaskCancelledError();
+    return result;
+  }
+
+  /**
+   * Load, parse and process CSV files in parallel
+   * @param {Array<string>} filePaths - Files to load
+   * @param {Object} options - Loading options
+   * @param {Function} options.progressCallback - Progress callback (see DataLoader.loadAllYears)
+   * @param {Function} options.onFileLoaded - Called with per-file stats (see DataLoader.loadCSV), plus cachedAt for cache hits
+   * @param {Object} options.processOptions - Options for DataLoader.combineAndProcess
+   * @param {Object} options.fileProcessOptions - Processing options by file path, overriding processOptions
+   *   (e.g. { dateFormat, columnMapping } declared for that file)
+   * @param {DatasetCache} options.cache - Cache of processed files (optional)
+   * @param {Object} options.versions - Cache version (ETag or checksum) by file path
+   * @param {boolean} options.readCache - Use cached files when available (default: true); parsed files are cached either way
+   * @param {AbortSignal} options.signal - Signal to cancel loading
+   * @returns {Promise<Array>} Combined records sorted by date
+   */
+  async load(filePaths, options = {}) {
+    const { progressCallback, onFileLoaded, processOptions = {}, fileProcessOptions = {}, cache = null, versions = {}, readCache = true, signal } = options;
+    const startTime = performance.now();
+    const tracker = DataLoader.createProgressTracker(filePaths, progressCallback);
+
+    const results = await Promise.all(filePaths.map(async (filePath) => {
+      const version = versions[filePath] || null;
+
+      if (cache && readCache) {
+        const cached = await cache.get(filePath, version);
+        if (cached) {
+          console.info(`[DataService] ${filePath} loaded from cache (${cached.records.length} records)`);
+          tracker.markDone(filePath);
+          if (onFileLoaded) onFileLoaded({ ...cached.stats, cachedAt: cached.cachedAt });
+          return cached.records;
+        }
+      }
+
+      tracker.update(filePath);
+      const result = await this.run('load', { filePath, processOptions: { ...processOptions, ...fileProcessOptions[filePath] } }, {
+        signal,
+        onProgress: progress => tracker.update(filePath, progress)
+      });
+      tracker.markDone(filePath);
+      if (result.stats && onFileLoaded) onFileLoaded(result.stats);
+
+      // Only complete files are cached, so a failed download is retried next time
+      if (cache && result.stats) {
+        await cache.put(filePath, version, result);
+      }
+      return result.records;
+    }));
+
+    if (progressCallback) {
+      progressCallback({
+        current: filePaths.length,
+        total: filePaths.length,
+        stage: 'processing',
+        rowsParsed: results.reduce((sum, records) => sum + records.length, 0)
+      });
+    }
+
+    // Each file arrives sorted, so this is a cheap merge of sorted runs
+    const records = [];
+    for (const fileRecords of results) {
+      for (const record of fileRecords) {
+        records.push(record);
+      }
+    }
+    records.sort(DataLoader.compareByDocumentDate);
+
+    console.info(`[DataService] Loaded ${records.length} records from ${filePaths.length} files in ${((performance.now() - startTime) / 1000).toFixed(2)}s`);
+    return records;
+  }
+
+  /**
+   * Read, parse and process local CSV files (e.g. dropped onto the page) in parallel
+   * @param {Array<File>} files - Files to import
+   * @param {Object} options - Import options
+   * @param {Function} options.progressCallback - Progress callback (see DataLoader.loadAllYears)
+   * @param {Object} options.processOptions - Options for DataLoader.combineAndProcess
+   * @param {Object} options.fileProcessOptions - Processing options by file name, overriding processOptions
+   * @param {AbortSignal} options.signal - Signal to cancel the import
+   * @returns {Promise<Object>} { records sorted by date, files: [{ name, size, rowCount, recordCount, checksum, quality, columnMapping }] }
+   * @throws {Error} If any file cannot be read
+   */
+  async importFiles(files, options = {}) {
+    const { progressCallback, processOptions = {}, fileProcessOptions = {}, signal } = options;
+    const names = files.map(file => file.name);
+    const tracker = DataLoader.createProgressTracker(names, progressCallback);
+
+    const results = await Promise.all(files.map(async (file) => {
+      tracker.update(file.name);
+      const result = await this.run('loadFile', { file, processOptions: { ...processOptions, ...fileProcessOptions[file.name] } }, {
+        signal,
+        onProgress: progress => tracker.update(file.name, progress)
+      });
+      tracker.markDone(file.name);
+      return { file, ...result };
+    }));
+
+    const records = [];
+    for (const result of results) {
+      for (const record of result.records) {
+        records.push(record);
+      }
+    }
+    records.sort(DataLoader.compareByDocumentDate);
+
+    return {
+      records,
+      files: results.map(({ file, records: fileRecords, stats }) => ({
+        name: file.name,
+        size: file.size,
+        rowCount: stats.rowCount,
+        recordCount: fileRecords.length,
+        checksum: stats.checksum,
+        quality: stats.quality,
+        columnMapping: stats.columnMapping
+      }))
+    };
+  }
+
+  /**
+   * Set the dataset that filter and aggregate requests run against.
+   * Indices returned by filter() refer to positions in this dataset.
+   * @param {ColumnarStore|Array} dataset - Processed records as columns, or as records to encode (see ColumnarStore)
+   * @param {Object} options - Options ({ signal })
+   * @returns {Promise<void>}
+   */
+  async setDataset(dataset, options = {}) {
+    this.dataset = dataset instanceof ColumnarStore ? dataset : ColumnarStore.fromRecords(dataset);
+    this.datasetVersion++;
+    await this.syncDataset(options);
+  }
+
+  /**
+   * Add records to the end of the dataset. Indices of the records already there are unchanged.
+   * If the query worker holds the dataset as it was, only the added records are sent to it.
+   * @param {ColumnarStore} appended - Added records as columns
+   * @param {ColumnarStore} dataset - The dataset with the added records (see ColumnarStore.concat)
+   * @param {Object} options - Options ({ signal })
+   * @returns {Promise<void>}
+   */
+  async appendDataset(appended, dataset, options = {}) {
+    const baseVersion = this.datasetVersion;
+    this.dataset = dataset;
+    this.datasetVersion++;
+    
+    if (this.queryWorkerVersion !== baseVersion) {
+      await this.syncDataset(options);
+      return;
+    }
+    
+    const version = this.datasetVersion;
+    await this.run('appendDataset', { store: appended, baseVersion, version }, { ...options, workerIndex: QUERY_WORKER });
+    this.queryWorkerVersion = version;
+  }
+
+  /**
+   * Make sure the query worker holds the current dataset
+   * @param {Object} options - Options ({ signal })
+   * @returns {Promise<void>}
+   * @private
+   */
+  async syncDataset(options = {}) {
+    if (this.queryWorkerVersion === this.datasetVersion) return;
+
+    const version = this.datasetVersion;
+    await this.run('setDataset', { store: this.dataset, version }, { ...options, workerIndex: QUERY_WORKER });
+    this.queryWorkerVersion = version;
+  }
+
+  /**
+   * Find records matching the filters
+   * @param {Object} filters - Filter criteria (see FilterManager)
+   * @param {Object} options - Options ({ signal })
+   * @returns {Promise<Uint32Array>} Indices of matching records in the dataset
+   */
+  async filter(filters, options = {}) {
+    await this.syncDataset(options);
+    return this.run('filter', { filters }, { ...options, workerIndex: QUERY_WORKER });
+  }
+
+  /**
+   * Aggregate records for the premium band report
+   * @param {Object} request - Aggregation request
+   * @param {Uint32Array|null} request.indices - Records to aggregate (null for the whole dataset)
+   * @param {Array<Date>} request.filterDateRange - Date range from the filters
+   * @param {Object} request.options - Options for DataAggregator.aggregateByPremiumBandAndMonth
+   * @param {Object} options - Options ({ signal })
+   * @returns {Promise<Object|null>} Aggregated data
+   */
+  async aggregate(request, options = {}) {
+    await this.syncDataset(options);
+    return this.run('aggregate', request, { ...options, workerIndex: QUERY_WORKER });
+  }
+
+  /**
+   * Stop all workers
+   */
+  terminate() {
+    if (this.pool) this.pool.terminate();
+  }
+}
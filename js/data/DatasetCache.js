@@ -0,0 +1,196 @@
+/**
+ * DatasetCache.js
+ * IndexedDB cache of parsed and processed dataset files
+ *
+ * Entries are keyed by file path plus a version string: the server's ETag, or the
+ * manifest checksum when the server sends no ETag. A changed file therefore misses
+ * the cache and is re-parsed. Bump CACHE_FORMAT_VERSION whenever the shape of processed
+ * records changes; opening the database at a new version drops every cached entry.
+ */
+
+/**
+ * Version of the cached record format (used as the IndexedDB database version)
+ */
+export const CACHE_FORMAT_VERSION = 5;
+
+const DATASET_STORE = 'datasets';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+export class DatasetCache {
+  /**
+   * Create a new DatasetCache instance. The database is opened on first use.
+   * @param {Object} options - Cache options
+   * @param {string} options.dbName - IndexedDB database name
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default: the global one)
+   */
+  constructor(options = {}) {
+    const {
+      dbName = 'mortgage-brain-datasets',
+      indexedDB = typeof globalThis.indexedDB !== 'undefined' ? globalThis.indexedDB : null
+    } = options;
+
+    this.dbName = dbName;
+    this.indexedDB = indexedDB;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check whether the cache can be used in this environment
+   * @returns {boolean} True if IndexedDB is available
+   */
+  get isAvailable() {
+    return this.indexedDB !== null;
+  }
+
+  /**
+   * Build the key for a cached file
+   * @param {string} filePath - File path
+   * @param {string} version - ETag or checksum
+   * @returns {string} Cache key
+   */
+  static createKey(filePath, version) {
+    return `${filePath}@${version}`;
+  }
+
+  /**
+   * Work out the version of a dataset file without downloading it
+   * @param {Object} dataset - Normalized manifest entry (see DatasetManifest.normalize)
+   * @returns {Promise<string|null>} ETag, manifest checksum, or null if the file cannot be versioned
+   */
+  static async resolveVersion(dataset) {
+    try {
+      const response = await fetch(dataset.path, { method: 'HEAD', cache: 'no-cache' });
+      const etag = response.ok ? response.headers.get('ETag') : null;
+      if (etag) return `etag:${etag}`;
+    } catch (error) {
+      console.warn(`[DatasetCache] Could not check ${dataset.path}:`, error);
+    }
+
+    return dataset.checksum || null;
+  }
+
+  /**
+   * Open (creating or upgrading if necessary) the database
+   * @returns {Promise<IDBDatabase>} Database
+   * @private
+   */
+  open() {
+    if (!this.isAvailable) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      const request = this.indexedDB.open(this.dbName, CACHE_FORMAT_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Records cached in an older format cannot be reused
+        if (db.objectStoreNames.contains(DATASET_STORE)) {
+          db.deleteObjectStore(DATASET_STORE);
+        }
+        const store = db.createObjectStore(DATASET_STORE, { keyPath: 'key' });
+        store.createIndex('filePath', 'filePath', { unique: false });
+      };
+
+      this.dbPromise = requestToPromise(request).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Read a cached file
+   * @param {string} filePath - File path
+   * @param {string} version - ETag or checksum
+   * @returns {Promise<Object|null>} Cached { records, stats, cachedAt }, or null on a miss
+   */
+  async get(filePath, version) {
+    if (!version) return null;
+
+    try {
+      const db = await this.open();
+      const transaction = db.transaction(DATASET_STORE, 'readonly');
+      const entry = await requestToPromise(transaction.objectStore(DATASET_STORE).get(DatasetCache.createKey(filePath, version)));
+      return entry || null;
+    } catch (error) {
+      console.warn(`[DatasetCache] Could not read ${filePath} from cache:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a parsed file, replacing any other versions of it
+   * @param {string} filePath - File path
+   * @param {string} version - ETag or checksum
+   * @param {Object} entry - Data to cache
+   * @param {Array} entry.records - Processed records
+   * @param {Object} entry.stats - File stats (see DataLoader.loadCSV)
+   * @returns {Promise<boolean>} True if the file was cached
+   */
+  async put(filePath, version, { records, stats }) {
+    if (!version) return false;
+
+    try {
+      const db = await this.open();
+      const transaction = db.transaction(DATASET_STORE, 'readwrite');
+      const store = transaction.objectStore(DATASET_STORE);
+
+      const staleKeys = await requestToPromise(store.index('filePath').getAllKeys(filePath));
+      staleKeys.forEach(key => store.delete(key));
+
+      store.put({
+        key: DatasetCache.createKey(filePath, version),
+        filePath,
+        version,
+        records,
+        stats,
+        cachedAt: new Date()
+      });
+
+      await transactionToPromise(transaction);
+      return true;
+    } catch (error) {
+      // Quota errors and the like only cost a re-parse next time
+      console.warn(`[DatasetCache] Could not cache ${filePath}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove every cached file
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction(DATASET_STORE, 'readwrite');
+    transaction.objectStore(DATASET_STORE).clear();
+    await transactionToPromise(transaction);
+  }
+}
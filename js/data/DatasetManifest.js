@@ -0,0 +1,169 @@
+/**
+ * DatasetManifest.js
+ * Loads and validates the dataset manifest (data/manifest.json)
+ *
+ * The manifest lists every dataset file the application should load, together with
+ * the period it covers, the schema version it was exported with and the expected
+ * row count and checksum. Adding a new month or year is a data drop: add the CSV to
+ * data/ and a matching entry to the manifest.
+ */
+
+import { DATE_FORMATS } from '../utils/dateUtils.js';
+import { MAPPING_PROFILES } from './ColumnMapper.js';
+
+/**
+ * Schema versions this build knows how to process
+ */
+export const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+export class DatasetManifest {
+  /**
+   * Default location of the manifest file
+   */
+  static DEFAULT_PATH = 'data/manifest.json';
+
+  /**
+   * Fetch and normalise the manifest
+   * @param {string} manifestPath - Path to manifest.json
+   * @returns {Promise<Object>} Normalised manifest
+   * @throws {Error} If the manifest cannot be fetched or is malformed
+   */
+  static async load(manifestPath = DatasetManifest.DEFAULT_PATH) {
+    const response = await fetch(manifestPath, { cache: 'no-cache' });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load dataset manifest: ${manifestPath} (${response.status} ${response.statusText})`);
+    }
+
+    const json = await response.json();
+    return this.normalize(json, manifestPath);
+  }
+
+  /**
+   * Validate the raw manifest structure and resolve dataset paths
+   * @param {Object} json - Parsed manifest.json contents
+   * @param {string} manifestPath - Path the manifest was loaded from (used to resolve file paths)
+   * @returns {Object} Normalised manifest
+   * @throws {Error} If the manifest is malformed
+   */
+  static normalize(json, manifestPath = DatasetManifest.DEFAULT_PATH) {
+    if (!json || !Array.isArray(json.datasets)) {
+      throw new Error('Invalid dataset manifest: expected a "datasets" array');
+    }
+
+    const baseDir = manifestPath.includes('/')
+      ? manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1)
+      : '';
+
+    const datasets = json.datasets
+      .filter(entry => entry && entry.enabled !== false)
+      .map((entry, index) => {
+        if (!entry.file || typeof entry.file !== 'string') {
+          throw new Error(`Invalid dataset manifest: entry ${index} has no "file"`);
+        }
+
+        const schemaVersion = entry.schemaVersion !== undefined ? Number(entry.schemaVersion) : 1;
+        if (!SUPPORTED_SCHEMA_VERSIONS.includes(schemaVersion)) {
+          console.warn(`[DatasetManifest] ${entry.file} declares unsupported schema version ${entry.schemaVersion}`);
+        }
+
+        let dateFormat = entry.dateFormat || 'auto';
+        if (!DATE_FORMATS.includes(dateFormat)) {
+          console.warn(`[DatasetManifest] ${entry.file} declares unknown date format ${entry.dateFormat}; detecting it instead`);
+          dateFormat = 'auto';
+        }
+
+        let columnProfile = entry.columnProfile || null;
+        if (columnProfile && !MAPPING_PROFILES[columnProfile]) {
+          console.warn(`[DatasetManifest] ${entry.file} declares unknown column profile ${entry.columnProfile}; detecting it instead`);
+          columnProfile = null;
+        }
+
+        return {
+          file: entry.file,
+          path: `${baseDir}${entry.file}`,
+          label: entry.label || entry.file,
+          period: {
+            start: entry.period?.start || null,
+            end: entry.period?.end || null
+          },
+          schemaVersion,
+          dateFormat,
+          columnProfile,
+          rowCount: Number.isInteger(entry.rowCount) ? entry.rowCount : null,
+          checksum: entry.checksum || null
+        };
+      });
+
+    return {
+      manifestVersion: json.manifestVersion || 1,
+      generatedAt: json.generatedAt || null,
+      datasets
+    };
+  }
+
+  /**
+   * Compare what was actually loaded against the manifest
+   * @param {Object} manifest - Normalised manifest
+   * @param {Object} fileStats - Map of dataset path to { rowCount, checksum, byteLength, cachedAt, firstMonth, lastMonth },
+   *   firstMonth and lastMonth being the months ('YYYY-MM') of the earliest and latest parsed DocumentDate
+   * @returns {Array<Object>} Validation result per dataset
+   */
+  static validate(manifest, fileStats = {}) {
+    if (!manifest || !manifest.datasets) return [];
+
+    return manifest.datasets.map(dataset => {
+      const stats = fileStats[dataset.path];
+      const result = {
+        file: dataset.file,
+        path: dataset.path,
+        label: dataset.label,
+        period: dataset.period,
+        schemaVersion: dataset.schemaVersion,
+        expectedRowCount: dataset.rowCount,
+        expectedChecksum: dataset.checksum,
+        rowCount: stats ? stats.rowCount : null,
+        checksum: stats ? stats.checksum : null,
+        byteLength: stats ? stats.byteLength : null,
+        cachedAt: stats && stats.cachedAt ? stats.cachedAt : null,
+        firstMonth: stats && stats.firstMonth ? stats.firstMonth : null,
+        lastMonth: stats && stats.lastMonth ? stats.lastMonth : null,
+        status: 'ok',
+        issues: []
+      };
+
+      if (!stats) {
+        result.status = 'error';
+        result.issues.push('File could not be loaded');
+        return result;
+      }
+
+      if (!SUPPORTED_SCHEMA_VERSIONS.includes(dataset.schemaVersion)) {
+        result.issues.push(`Unsupported schema version ${dataset.schemaVersion}`);
+      }
+
+      if (dataset.rowCount !== null && dataset.rowCount !== stats.rowCount) {
+        result.issues.push(`Expected ${dataset.rowCount.toLocaleString()} rows, parsed ${stats.rowCount.toLocaleString()}`);
+      }
+
+      if (dataset.checksum && stats.checksum && dataset.checksum !== stats.checksum) {
+        result.issues.push(`Checksum mismatch (expected ${dataset.checksum}, got ${stats.checksum})`);
+      }
+
+      // Month keys compare as text
+      const { start, end } = dataset.period;
+      if (start && stats.firstMonth && stats.firstMonth < start) {
+        result.issues.push(`Rows from ${stats.firstMonth}, before the period start ${start}`);
+      }
+      if (end && stats.lastMonth && stats.lastMonth > end) {
+        result.issues.push(`Rows up to ${stats.lastMonth}, after the period end ${end}`);
+      }
+
+      if (result.issues.length > 0) {
+        result.status = 'warning';
+      }
+
+      return result;
+    });
+  }
+}
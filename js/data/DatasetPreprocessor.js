@@ -0,0 +1,102 @@
+/**
+ * DatasetPreprocessor.js
+ * Turns processed records into compact per-year dataset files and their manifest
+ *
+ * scripts/preprocess-data.js cleans raw extracts offline with the pipeline the browser runs
+ * (the loadFile data task: column mapping, DataLoader.combineAndProcess and its validation,
+ * lender aliases), then deduplicates them like DataManager. This module lays the result out
+ * for the repository: one file per calendar year, in the current column profile with ISO dates,
+ * plus manifest entries carrying each file's row count and checksum. Loading the files again
+ * leaves every record as it was written.
+ */
+
+import { COLUMN_MAP } from './ColumnMapper.js';
+import { SUPPORTED_SCHEMA_VERSIONS } from './DatasetManifest.js';
+import { recordsToCSV } from '../utils/exportUtils.js';
+import { checksumText } from '../utils/checksumUtils.js';
+import { isValidDay, toMonthKey } from '../utils/dateUtils.js';
+
+/**
+ * Columns written to the preprocessed files, in order: the record columns of the current profile.
+ * Bands, groups, lineage and derived fields are left out; the browser computes them on load.
+ */
+export const PREPROCESSED_COLUMNS = [...new Set(Object.values(COLUMN_MAP))];
+
+/**
+ * Default file name prefix: files are named <prefix>-<year>.csv, like the repository datasets
+ */
+export const DEFAULT_FILE_PREFIX = 'mortgage-data';
+
+export class DatasetPreprocessor {
+  /**
+   * Group records by the calendar year of their DocumentDate
+   * @param {Array} records - Processed records
+   * @returns {Object} { years: Map of year -> records (ascending years), undatedCount }
+   */
+  static splitByYear(records) {
+    const byYear = new Map();
+    let undatedCount = 0;
+
+    records.forEach(record => {
+      const date = record[COLUMN_MAP.documentDate];
+      if (!isValidDay(date)) {
+        undatedCount++;
+        return;
+      }
+      const year = date.getUTCFullYear();
+      if (!byYear.has(year)) byYear.set(year, []);
+      byYear.get(year).push(record);
+    });
+
+    const years = new Map([...byYear.entries()].sort(([a], [b]) => a - b));
+    return { years, undatedCount };
+  }
+
+  /**
+   * Build the per-year files. Records without a DocumentDate cannot be placed in a year and are left out.
+   * @param {Array} records - Processed records, in DocumentDate order
+   * @param {Object} options - Options
+   * @param {string} options.filePrefix - File name prefix (default DEFAULT_FILE_PREFIX)
+   * @returns {Object} { datasets: [{ file, csv, entry }], undatedCount } where entry is the file's manifest entry
+   */
+  static buildDatasets(records, options = {}) {
+    const { filePrefix = DEFAULT_FILE_PREFIX } = options;
+    const { years, undatedCount } = this.splitByYear(records);
+
+    const datasets = [...years.entries()].map(([year, yearRecords]) => {
+      const file = `${filePrefix}-${year}.csv`;
+      const csv = `${recordsToCSV(yearRecords, PREPROCESSED_COLUMNS)}\n`;
+      const months = yearRecords.map(record => toMonthKey(record[COLUMN_MAP.documentDate])).sort();
+      return {
+        file,
+        csv,
+        entry: {
+          file,
+          label: String(year),
+          period: { start: months[0], end: months[months.length - 1] },
+          schemaVersion: SUPPORTED_SCHEMA_VERSIONS[SUPPORTED_SCHEMA_VERSIONS.length - 1],
+          dateFormat: 'YYYY-MM-DD',
+          columnProfile: 'current',
+          rowCount: yearRecords.length,
+          checksum: checksumText(csv)
+        }
+      };
+    });
+
+    return { datasets, undatedCount };
+  }
+
+  /**
+   * Build the manifest listing the files (see DatasetManifest)
+   * @param {Array<Object>} entries - Manifest entries from buildDatasets
+   * @param {Date} generatedAt - Time the files were generated
+   * @returns {Object} Manifest
+   */
+  static buildManifest(entries, generatedAt = new Date()) {
+    return {
+      manifestVersion: 1,
+      generatedAt: generatedAt.toISOString(),
+      datasets: entries
+    };
+  }
+}
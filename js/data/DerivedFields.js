@@ -0,0 +1,298 @@
+/**
+ * DerivedFields.js
+ * Registry of record columns computed from other columns
+ *
+ * Derived fields are computed once per record when DataManager processes the data, and are
+ * stored on the record under their column name. From then on they behave like columns read
+ * from the CSV: they can be filtered on (filters.derivedFields), used as table rows
+ * (the rowField aggregation option), averaged (calculateWeightedAverages) and exported.
+ */
+
+import { COLUMN_MAP } from './ColumnMapper.js';
+import { PremiumBands } from './PremiumBands.js';
+import { SwapCurve } from './SwapCurve.js';
+import { comparePremiumBands } from '../utils/sortUtils.js';
+
+/**
+ * Mortgage term, in years, the monthly payment is worked out over. The extracts only give the
+ * tie-in period (Term), not the full term, so a typical 25-year repayment mortgage is assumed.
+ */
+export const MONTHLY_PAYMENT_TERM_YEARS = 25;
+
+/**
+ * Loan size bands in ascending order: a loan falls in the first band whose max it is below
+ */
+export const LOAN_SIZE_BANDS = [
+  { label: 'Under £125k', max: 125000 },
+  { label: '£125k-£250k', max: 250000 },
+  { label: '£250k-£500k', max: 500000 },
+  { label: '£500k-£1m', max: 1000000 },
+  { label: '£1m and over', max: Infinity }
+];
+
+/**
+ * Read a numeric column, or null if it is missing or not a number
+ * @param {Object} record - Record
+ * @param {string} column - Column name
+ * @returns {number|null} Value
+ */
+function readNumber(record, column) {
+  const value = parseFloat(record[column]);
+  return isFinite(value) ? value : null;
+}
+
+/**
+ * Fee spread over the tie-in period: the fee in basis points of the loan per year of Term (in months).
+ * A record without fee columns counts as having no fee.
+ * @param {Object} record - Record
+ * @returns {number|null} Basis points per year, or null if a fee cannot be spread (no loan or tie-in period)
+ */
+function amortiseFee(record) {
+  const loan = readNumber(record, COLUMN_MAP.loanAmount);
+  if (!(loan > 0)) return null;
+  const fee = (readNumber(record, COLUMN_MAP.flatFees) || 0) +
+    ((readNumber(record, COLUMN_MAP.percentageFees) || 0) / 100) * loan;
+  if (fee === 0) return 0;
+  const months = readNumber(record, COLUMN_MAP.tieInPeriod);
+  if (!(months > 0)) return null;
+  return ((fee / loan) * 10000) / (months / 12);
+}
+
+/**
+ * Fee-adjusted margin in percent: GrossMargin plus the amortised fee
+ * @param {Object} record - Record
+ * @returns {number|null} Margin, or null if either part is missing
+ */
+function feeAdjustedMargin(record) {
+  const margin = readNumber(record, COLUMN_MAP.grossMargin);
+  const fee = amortiseFee(record);
+  return margin === null || fee === null ? null : margin + fee / 100;
+}
+
+/**
+ * Derived fields: column -> { label, type, unit, compute(record, context) }.
+ * type is 'number' or 'category'; categories list their values in display order,
+ * or give a compare function when the values depend on the data.
+ * compute returns null when the inputs are missing. context holds settings some fields
+ * depend on: { bandSettings, swapCurve, swapCurveSettings } (see PremiumBands and SwapCurve).
+ * Fields are computed in the order listed, so a field can read one listed before it.
+ */
+export const DERIVED_FIELDS = {
+  RateOverSwap: {
+    label: 'InitialRate - SwapRate',
+    type: 'number',
+    unit: '%',
+    compute: record => {
+      const rate = readNumber(record, COLUMN_MAP.initialRate);
+      const swap = readNumber(record, COLUMN_MAP.swapRate);
+      return rate === null || swap === null ? null : rate - swap;
+    }
+  },
+  FeeBps: {
+    label: 'Fee (bps of loan)',
+    type: 'number',
+    unit: 'bps',
+    // Flat_Fees is in pounds and Percentage_fees a percentage of the loan; a missing one counts as no fee
+    compute: record => {
+      const loan = readNumber(record, COLUMN_MAP.loanAmount);
+      const flat = readNumber(record, COLUMN_MAP.flatFees);
+      const percentage = readNumber(record, COLUMN_MAP.percentageFees);
+      if (!(loan > 0) || (flat === null && percentage === null)) return null;
+      const fee = (flat || 0) + ((percentage || 0) / 100) * loan;
+      return (fee / loan) * 10000;
+    }
+  },
+  MonthlyPayment: {
+    label: 'Monthly payment',
+    type: 'number',
+    unit: '£',
+    // Capital and interest at InitialRate over MONTHLY_PAYMENT_TERM_YEARS
+    compute: record => {
+      const loan = readNumber(record, COLUMN_MAP.loanAmount);
+      const rate = readNumber(record, COLUMN_MAP.initialRate);
+      if (!(loan > 0) || rate === null || rate < 0) return null;
+      const payments = MONTHLY_PAYMENT_TERM_YEARS * 12;
+      const monthlyRate = rate / 100 / 12;
+      if (monthlyRate === 0) return loan / payments;
+      return (loan * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -payments));
+    }
+  },
+  AmortisedFeeBps: {
+    label: 'Fee per year of tie-in',
+    type: 'number',
+    unit: 'bps',
+    compute: amortiseFee
+  },
+  FeeAdjustedMargin: {
+    label: 'Fee-adjusted margin',
+    type: 'number',
+    unit: '%',
+    compute: feeAdjustedMargin
+  },
+  FeeAdjustedBand: {
+    label: 'Fee-adjusted band',
+    type: 'category',
+    compare: comparePremiumBands,
+    // Banded like PremiumBand, with the same width and origin
+    compute: (record, context) => PremiumBands.toBand(feeAdjustedMargin(record), context.bandSettings)
+  },
+  CurveSwapRate: {
+    label: 'Curve swap rate',
+    type: 'number',
+    unit: '%',
+    // Null for every record when no swap curve is loaded
+    compute: (record, context) => (context.swapCurve ? SwapCurve.rateFor(context.swapCurve, record, context.swapCurveSettings) : null)
+  },
+  CurveMargin: {
+    label: 'Curve margin (InitialRate - curve swap)',
+    type: 'number',
+    unit: '%',
+    compute: record => {
+      const rate = readNumber(record, COLUMN_MAP.initialRate);
+      return rate === null || record.CurveSwapRate === null ? null : rate - record.CurveSwapRate;
+    }
+  },
+  CurveMarginBand: {
+    label: 'Curve margin band',
+    type: 'category',
+    compare: comparePremiumBands,
+    compute: (record, context) => PremiumBands.toBand(record.CurveMargin, context.bandSettings)
+  },
+  SwapRateDifference: {
+    label: 'SwapRate - curve swap',
+    type: 'number',
+    unit: 'bps',
+    compute: record => {
+      const swap = readNumber(record, COLUMN_MAP.swapRate);
+      return swap === null || record.CurveSwapRate === null ? null : (swap - record.CurveSwapRate) * 100;
+    }
+  },
+  LoanSizeBand: {
+    label: 'Loan size band',
+    type: 'category',
+    values: LOAN_SIZE_BANDS.map(band => band.label),
+    compute: record => {
+      const loan = readNumber(record, COLUMN_MAP.loanAmount);
+      if (loan === null) return null;
+      return LOAN_SIZE_BANDS.find(band => loan < band.max).label;
+    }
+  }
+};
+
+/**
+ * Margins premium bands and weighted averages can be based on: id -> { label, marginColumn, bandColumn }.
+ * The fee-adjusted basis lets a low-rate, high-fee product be compared with a high-rate, no-fee one;
+ * the curve basis measures margins against the loaded swap curve instead of the supplied SwapRate.
+ */
+export const MARGIN_BASES = {
+  gross: { label: 'GrossMargin', marginColumn: COLUMN_MAP.grossMargin, bandColumn: 'PremiumBand' },
+  feeAdjusted: { label: 'Fee-adjusted margin', marginColumn: 'FeeAdjustedMargin', bandColumn: 'FeeAdjustedBand' },
+  curve: { label: 'Curve margin', marginColumn: 'CurveMargin', bandColumn: 'CurveMarginBand' }
+};
+
+export class DerivedFields {
+  /**
+   * Compute every derived field of the records, in place
+   * @param {Array} records - Processed records
+   * @param {Object} context - Settings the fields depend on (see DERIVED_FIELDS)
+   * @returns {Array} The same records
+   */
+  static apply(records, context = {}) {
+    const fields = Object.entries(DERIVED_FIELDS);
+    (records || []).forEach(record => {
+      for (const [column, field] of fields) {
+        record[column] = field.compute(record, context);
+      }
+    });
+    return records;
+  }
+
+  /**
+   * List the derived columns of a type
+   * @param {string} type - 'number' or 'category' (all when omitted)
+   * @returns {Array<string>} Column names
+   */
+  static getColumns(type = null) {
+    return Object.keys(DERIVED_FIELDS).filter(column => !type || DERIVED_FIELDS[column].type === type);
+  }
+
+  /**
+   * Find the margin basis whose bands are the table rows, so that margins are described on the basis the user chose
+   * @param {string} rowField - Table row column (ui.tableRowField)
+   * @returns {string} MARGIN_BASES key, 'gross' unless the rows are the bands of another basis
+   */
+  static getMarginBasis(rowField) {
+    return Object.keys(MARGIN_BASES).find(basis => MARGIN_BASES[basis].bandColumn === rowField) || 'gross';
+  }
+
+  /**
+   * Order the values of a categorical derived field
+   * @param {string} column - Derived column
+   * @param {Array<string>} values - Values to order
+   * @returns {Array<string>|null} Ordered copy, or null if the column is not a categorical derived field
+   */
+  static sortValues(column, values) {
+    const field = DERIVED_FIELDS[column];
+    if (!field || field.type !== 'category') return null;
+    if (field.compare) return [...values].sort(field.compare);
+    return [...values].sort((a, b) => field.values.indexOf(a) - field.values.indexOf(b));
+  }
+
+  /**
+   * Keep the conditions that restrict something, dropping unknown columns and empty ranges
+   * @param {Object} conditions - Column -> { min, max } for numbers (either may be null), or { values } for categories
+   * @returns {Array<Array>} [column, condition] pairs
+   */
+  static getActiveConditions(conditions) {
+    return Object.entries(conditions || {}).filter(([column, condition]) => {
+      const field = DERIVED_FIELDS[column];
+      if (!field || !condition) return false;
+      if (field.type === 'category') return Array.isArray(condition.values) && condition.values.length > 0;
+      return Number.isFinite(condition.min) || Number.isFinite(condition.max);
+    });
+  }
+
+  /**
+   * Build a predicate testing records against derived field conditions.
+   * A record whose value is missing fails every condition on that field; both range ends are included.
+   * @param {Object} conditions - See getActiveConditions
+   * @returns {Function|null} Predicate, or null if no condition is active
+   */
+  static createFilter(conditions) {
+    const checks = this.getActiveConditions(conditions).map(([column, condition]) => {
+      if (DERIVED_FIELDS[column].type === 'category') {
+        const values = new Set(condition.values);
+        return record => values.has(record[column]);
+      }
+      const min = Number.isFinite(condition.min) ? condition.min : -Infinity;
+      const max = Number.isFinite(condition.max) ? condition.max : Infinity;
+      return record => {
+        const value = record[column];
+        return typeof value === 'number' && value >= min && value <= max;
+      };
+    });
+
+    return checks.length > 0 ? record => checks.every(check => check(record)) : null;
+  }
+
+  /**
+   * Build the same filter over a columnar store
+   * @param {ColumnarStore} store - Records as columns (see ColumnarStore)
+   * @param {Object} conditions - See getActiveConditions
+   * @returns {Function|null} Test taking a record index, or null if no condition is active
+   */
+  static createIndexFilter(store, conditions) {
+    const checks = this.getActiveConditions(conditions).map(([column, condition]) => {
+      if (DERIVED_FIELDS[column].type === 'category') {
+        return store.createMatcher(column, condition.values);
+      }
+      const min = Number.isFinite(condition.min) ? condition.min : -Infinity;
+      const max = Number.isFinite(condition.max) ? condition.max : Infinity;
+      // Derived numbers are numbers or null, so only a number column holds values to test
+      const values = store.getKind(column) === 'number' ? store.readNumbers(column) : null;
+      return index => values !== null && values[index] >= min && values[index] <= max;
+    });
+
+    return checks.length > 0 ? index => checks.every(check => check(index)) : null;
+  }
+}
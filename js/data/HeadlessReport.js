@@ -0,0 +1,234 @@
+/**
+ * HeadlessReport.js
+ * Runs the premium band and market share reports outside the page, from a JSON report spec
+ *
+ * scripts/report.js loads and prepares the records as the page does (see RecordProcessor), then
+ * hands them here. Filtering, aggregation and the report rows use the same functions as the
+ * query worker and the data table, so a report matches what the page shows for the same filters.
+ */
+
+import { COLUMN_MAP, DEDUPLICATION_KEY_FIELDS, LENDER_LEVELS } from './ColumnMapper.js';
+import { ColumnarStore } from './ColumnarStore.js';
+import { DataAggregator, ROW_DIMENSIONS } from './DataAggregator.js';
+import { OutlierDetector } from './OutlierDetector.js';
+import { PremiumBands } from './PremiumBands.js';
+import { SwapCurve } from './SwapCurve.js';
+import { FilterManager } from '../filters/FilterManager.js';
+import { sortPremiumBands } from '../utils/sortUtils.js';
+import { toCsvField } from '../utils/exportUtils.js';
+import { TIME_GRAINS, isValidDay, parseDate, toDayKey } from '../utils/dateUtils.js';
+
+/**
+ * Output formats of the report script
+ */
+export const REPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Filters a spec starts from: the page's filters before the user changes any.
+ * dateRange null means the full range of the data, as the page sets it on load.
+ */
+export const DEFAULT_REPORT_FILTERS = {
+  dateRange: null,
+  lenders: ['all_lenders'],
+  lenderLevel: 'brand',
+  ltvRange: 'all',
+  purchaseTypes: ['all_purchase_types'],
+  sources: ['all_sources'],
+  derivedFields: {}
+};
+
+export class HeadlessReport {
+  /**
+   * Validate a report spec, filling in defaults
+   * @param {Object} spec - Report spec as read from JSON
+   * @param {Object} spec.filters - Filter criteria, as the filter panel sets them (merged into DEFAULT_REPORT_FILTERS).
+   *   dateRange is [start, end] as YYYY-MM-DD strings or Dates.
+   * @param {string} spec.rowField - Rows of the premium band report (default 'PremiumBand', see ROW_DIMENSIONS)
+   * @param {string} spec.timeGrain - Columns of the premium band report: week, month (default), quarter, year or
+   *   financialYear (see TIME_GRAINS)
+   * @param {Array<string>|null} spec.premiumBands - Bands of the market share report (default: every visible band in the data)
+   * @param {Object} spec.bandSettings - Premium band settings (see PremiumBands.normalizeSettings)
+   * @param {Object} spec.swapCurve - { lagDays } swap curve join settings (see SwapCurve.normalizeSettings)
+   * @param {Object} spec.deduplication - { enabled, keyFields } as in the Datasets panel (default: off)
+   * @param {Object} spec.outliers - Outlier settings (see OutlierDetector.normalizeSettings; default: on, as on the page)
+   * @returns {Object} Complete spec; the swap curve settings are returned as swapCurveSettings
+   * @throws {Error} If a field has the wrong type or an unknown value
+   */
+  static normalizeSpec(spec = {}) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error('Report spec must be a JSON object');
+    }
+
+    const filters = { ...DEFAULT_REPORT_FILTERS, ...spec.filters };
+    if (!LENDER_LEVELS[filters.lenderLevel]) {
+      throw new Error(`Unknown lender level: ${filters.lenderLevel} (expected one of ${Object.keys(LENDER_LEVELS).join(', ')})`);
+    }
+    ['lenders', 'purchaseTypes', 'sources'].forEach(name => {
+      if (!Array.isArray(filters[name])) {
+        throw new Error(`filters.${name} must be an array`);
+      }
+    });
+    if (filters.dateRange !== null) {
+      const range = Array.isArray(filters.dateRange) ? filters.dateRange.map(value => parseDate(value)) : [];
+      if (range.length !== 2 || !range.every(isValidDay) || range[0] > range[1]) {
+        throw new Error('filters.dateRange must be [start, end] as YYYY-MM-DD dates');
+      }
+      filters.dateRange = range;
+    }
+
+    const rowField = spec.rowField || 'PremiumBand';
+    if (!ROW_DIMENSIONS[rowField]) {
+      throw new Error(`Unknown row field: ${rowField} (expected one of ${Object.keys(ROW_DIMENSIONS).join(', ')})`);
+    }
+
+    const timeGrain = spec.timeGrain || 'month';
+    if (!TIME_GRAINS[timeGrain]) {
+      throw new Error(`Unknown time grain: ${timeGrain} (expected one of ${Object.keys(TIME_GRAINS).join(', ')})`);
+    }
+
+    const premiumBands = spec.premiumBands ?? null;
+    if (premiumBands !== null && !Array.isArray(premiumBands)) {
+      throw new Error('premiumBands must be an array of band labels');
+    }
+
+    // As on the page: duplicates are kept unless asked for, outliers are quarantined by default
+    const { enabled = false, keyFields = DEDUPLICATION_KEY_FIELDS.map(key => COLUMN_MAP[key]) } = spec.deduplication || {};
+    if (enabled && (!Array.isArray(keyFields) || keyFields.length === 0)) {
+      throw new Error('Deduplication needs at least one key field');
+    }
+
+    return {
+      filters,
+      rowField,
+      timeGrain,
+      premiumBands: premiumBands && [...premiumBands],
+      bandSettings: PremiumBands.normalizeSettings(spec.bandSettings),
+      swapCurveSettings: SwapCurve.normalizeSettings(spec.swapCurve),
+      deduplication: { enabled: Boolean(enabled), keyFields: [...keyFields] },
+      outliers: OutlierDetector.normalizeSettings(spec.outliers)
+    };
+  }
+
+  /**
+   * Filter and aggregate the records
+   * @param {Array} records - Prepared records (see RecordProcessor.prepare)
+   * @param {Object} spec - Complete spec (see normalizeSpec)
+   * @returns {Object} { filters, recordCount, filteredCount, aggregated, rows, premiumBands, marketShare };
+   *   aggregated is null and rows empty if no filtered record is reportable
+   */
+  static run(records, spec) {
+    // Filtered and aggregated over columns, as in the query worker (see dataTasks)
+    const store = ColumnarStore.fromRecords(records);
+    const filters = { ...spec.filters, dateRange: spec.filters.dateRange || store.getRange(COLUMN_MAP.documentDate) };
+
+    const indices = FilterManager.getActiveFilters(filters).size > 0 ? FilterManager.filterIndices(store, filters) : null;
+    const filtered = indices ? Array.from(indices, index => records[index]) : records;
+
+    const aggregated = DataAggregator.aggregateStoreForReport(store, indices, {
+      sampleSize: 0,
+      rowField: spec.rowField,
+      timeGrain: spec.timeGrain,
+      filterDateRange: filters.dateRange
+    });
+
+    const premiumBands = spec.premiumBands
+      || sortPremiumBands([...new Set(filtered.map(record => record.PremiumBand))].filter(band => PremiumBands.isVisible(band)));
+    const marketShare = DataAggregator.calculateMarketShare(filtered, premiumBands, {
+      lenderLevel: filters.lenderLevel,
+      timeGrain: spec.timeGrain
+    });
+
+    return {
+      filters,
+      recordCount: records.length,
+      filteredCount: filtered.length,
+      aggregated,
+      rows: DataAggregator.createReportRows(aggregated),
+      premiumBands,
+      marketShare
+    };
+  }
+
+  /**
+   * Write the premium band report as CSV: one line per row, amount and count per period,
+   * then the total and the market share in percent
+   * @param {Object} report - Result of run
+   * @returns {string} CSV text
+   */
+  static bandReportToCSV(report) {
+    const months = report.aggregated ? report.aggregated.months : [];
+    const header = [
+      ROW_DIMENSIONS[report.aggregated?.rowField || 'PremiumBand'].label,
+      ...months.flatMap(month => [`${month} Amount`, `${month} Count`]),
+      'Total',
+      'Market Share %'
+    ];
+    const lines = [header, ...report.rows.map(row => [
+      row.premiumBand,
+      ...months.flatMap(month => [row.amount[month], row.count[month]]),
+      row.total,
+      row.marketShare
+    ])];
+    return lines.map(line => line.map(toCsvField).join(',')).join('\n');
+  }
+
+  /**
+   * Write the market share report as CSV: one line per lender with its amount and share of
+   * each band, then its total and overall share; a Total line closes the table
+   * @param {Object} report - Result of run
+   * @returns {string} CSV text
+   */
+  static marketShareToCSV(report) {
+    const { premiumBands, marketShare } = report;
+    const header = [
+      LENDER_LEVELS[report.filters.lenderLevel].label,
+      ...premiumBands.flatMap(band => [`${band} Amount`, `${band} Share %`, `${band} LTV<80 Amount`, `${band} LTV>=80 Amount`]),
+      'Total',
+      'Share %'
+    ];
+    const lines = [header, ...marketShare.lenders.map(lender => {
+      const totals = marketShare.lenderTotals[lender];
+      return [
+        lender,
+        ...premiumBands.flatMap(band => [totals[band], totals[`${band}_pct`], totals[`${band}_below80`], totals[`${band}_above80`]]),
+        totals.total,
+        totals.percentage
+      ];
+    })];
+    lines.push([
+      'Total',
+      ...premiumBands.flatMap(band => [
+        marketShare.bandTotals[band],
+        marketShare.bandTotals[band] > 0 ? 100 : 0,
+        marketShare.bandTotals[`${band}_below80`],
+        marketShare.bandTotals[`${band}_above80`]
+      ]),
+      marketShare.overallTotal,
+      marketShare.overallTotal > 0 ? 100 : 0
+    ]);
+    return lines.map(line => line.map(toCsvField).join(',')).join('\n');
+  }
+
+  /**
+   * Describe the report as plain JSON, with dates written as YYYY-MM-DD
+   * @param {Object} report - Result of run
+   * @param {Object} details - Extra fields to record (e.g. the datasets read)
+   * @returns {Object} JSON-ready report
+   */
+  static toJSON(report, details = {}) {
+    const { aggregated } = report;
+    return {
+      ...details,
+      filters: { ...report.filters, dateRange: report.filters.dateRange && report.filters.dateRange.map(toDayKey) },
+      recordCount: report.recordCount,
+      filteredCount: report.filteredCount,
+      premiumBandReport: {
+        rowField: aggregated ? aggregated.rowField : null,
+        timeGrain: aggregated ? aggregated.timeGrain : null,
+        months: aggregated ? aggregated.months : [],
+        rows: report.rows
+      },
+      marketShare: { premiumBands: report.premiumBands, ...report.marketShare }
+    };
+  }
+}
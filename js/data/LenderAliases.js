@@ -0,0 +1,102 @@
+/**
+ * LenderAliases.js
+ * Loads the lender alias table (data/lender-aliases.json) and resolves raw lender names
+ *
+ * Extracts name the same lender in different ways (trading names, spelling, case,
+ * stray spaces). The alias table lists each canonical lender with the raw names that
+ * mean it. DataLoader.combineAndProcess replaces every raw BaseLender with its canonical
+ * name, so a lender shows up once in tables and filters; the names it merged are kept in
+ * the data quality report.
+ *
+ * The normalised table is a plain object (lookup key -> canonical name), so it can be
+ * sent to the data worker and hashed into the dataset cache version.
+ */
+
+export class LenderAliases {
+  /**
+   * Default location of the alias table
+   */
+  static DEFAULT_PATH = 'data/lender-aliases.json';
+
+  /**
+   * Fetch and normalise the alias table. A missing table means no aliases.
+   * @param {string} path - Path to the alias table
+   * @returns {Promise<Object>} Alias table (see normalize)
+   * @throws {Error} If the table exists but is malformed
+   */
+  static async load(path = LenderAliases.DEFAULT_PATH) {
+    const response = await fetch(path, { cache: 'no-cache' });
+
+    if (response.status === 404) {
+      console.info(`[LenderAliases] No alias table at ${path}; lender names are used as they are`);
+      return {};
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to load lender aliases: ${path} (${response.status} ${response.statusText})`);
+    }
+
+    return this.normalize(await response.json());
+  }
+
+  /**
+   * Validate the raw alias table and build the lookup
+   * @param {Object} json - Parsed alias table: { lenders: [{ name, aliases: [...] }] }
+   * @returns {Object} Lookup key (see createKey) -> canonical name
+   * @throws {Error} If the table is malformed or maps one alias to two lenders
+   */
+  static normalize(json) {
+    if (!json || !Array.isArray(json.lenders)) {
+      throw new Error('Invalid lender aliases: expected a "lenders" array');
+    }
+
+    const table = {};
+    const add = (alias, name) => {
+      const key = this.createKey(alias);
+      if (table[key] && table[key] !== name) {
+        throw new Error(`Invalid lender aliases: "${alias}" is listed for both ${table[key]} and ${name}`);
+      }
+      table[key] = name;
+    };
+
+    json.lenders.forEach((entry, index) => {
+      if (!entry || !entry.name || typeof entry.name !== 'string') {
+        throw new Error(`Invalid lender aliases: entry ${index} has no "name"`);
+      }
+
+      const name = this.cleanName(entry.name);
+      add(name, name);
+      (entry.aliases || []).forEach(alias => add(String(alias), name));
+    });
+
+    return table;
+  }
+
+  /**
+   * Tidy a lender name: trims it and collapses runs of whitespace
+   * @param {string} name - Raw name
+   * @returns {string} Tidied name
+   */
+  static cleanName(name) {
+    return name.trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Build the lookup key of a name; names differing only in case or spacing share a key
+   * @param {string} name - Raw name
+   * @returns {string} Lookup key
+   */
+  static createKey(name) {
+    return this.cleanName(name).toLowerCase();
+  }
+
+  /**
+   * Resolve a raw lender name
+   * @param {*} name - Raw BaseLender value
+   * @param {Object} table - Alias table (see normalize)
+   * @returns {*} Canonical name, the tidied name if it has no alias, or the value itself if it is not text
+   */
+  static resolve(name, table) {
+    if (typeof name !== 'string') return name;
+    return table[this.createKey(name)] || this.cleanName(name);
+  }
+}
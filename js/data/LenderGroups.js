@@ -0,0 +1,85 @@
+/**
+ * LenderGroups.js
+ * Loads the lender hierarchy (data/lender-groups.json) and resolves the group of each lender
+ *
+ * Several brands can belong to one banking group. The hierarchy lists each group with its
+ * brands (canonical lender names, after aliases are applied). DataManager stores the group
+ * of every record in LenderGroup, so tables, filters and charts can work at brand or group
+ * level (see LENDER_LEVELS in ColumnMapper). A lender not listed in any group is its own group.
+ *
+ * The normalised hierarchy is a plain object (lookup key -> group name), like the alias table.
+ */
+
+import { LenderAliases } from './LenderAliases.js';
+
+export class LenderGroups {
+  /**
+   * Default location of the hierarchy
+   */
+  static DEFAULT_PATH = 'data/lender-groups.json';
+
+  /**
+   * Fetch and normalise the hierarchy. A missing hierarchy means every lender is its own group.
+   * @param {string} path - Path to the hierarchy
+   * @returns {Promise<Object>} Hierarchy (see normalize)
+   * @throws {Error} If the hierarchy exists but is malformed
+   */
+  static async load(path = LenderGroups.DEFAULT_PATH) {
+    const response = await fetch(path, { cache: 'no-cache' });
+
+    if (response.status === 404) {
+      console.info(`[LenderGroups] No lender hierarchy at ${path}; every lender is its own group`);
+      return {};
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to load lender groups: ${path} (${response.status} ${response.statusText})`);
+    }
+
+    return this.normalize(await response.json());
+  }
+
+  /**
+   * Validate the raw hierarchy and build the lookup
+   * @param {Object} json - Parsed hierarchy: { groups: [{ name, lenders: [...] }] }
+   * @returns {Object} Lookup key (see LenderAliases.createKey) -> group name
+   * @throws {Error} If the hierarchy is malformed or puts one lender in two groups
+   */
+  static normalize(json) {
+    if (!json || !Array.isArray(json.groups)) {
+      throw new Error('Invalid lender groups: expected a "groups" array');
+    }
+
+    const table = {};
+
+    json.groups.forEach((entry, index) => {
+      if (!entry || !entry.name || typeof entry.name !== 'string') {
+        throw new Error(`Invalid lender groups: entry ${index} has no "name"`);
+      }
+      if (!Array.isArray(entry.lenders)) {
+        throw new Error(`Invalid lender groups: ${entry.name} has no "lenders" array`);
+      }
+
+      const name = LenderAliases.cleanName(entry.name);
+      entry.lenders.forEach(lender => {
+        const key = LenderAliases.createKey(String(lender));
+        if (table[key] && table[key] !== name) {
+          throw new Error(`Invalid lender groups: "${lender}" is listed in both ${table[key]} and ${name}`);
+        }
+        table[key] = name;
+      });
+    });
+
+    return table;
+  }
+
+  /**
+   * Resolve the group of a lender
+   * @param {*} lender - Canonical BaseLender value
+   * @param {Object} table - Hierarchy (see normalize)
+   * @returns {*} Group name, or the lender itself if it is in no group
+   */
+  static resolve(lender, table) {
+    if (typeof lender !== 'string') return lender;
+    return table[LenderAliases.createKey(lender)] || lender;
+  }
+}
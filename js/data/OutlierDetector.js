@@ -0,0 +1,278 @@
+/**
+ * OutlierDetector.js
+ * Flags implausible records before they reach aggregation
+ *
+ * Two kinds of test run on every record. Rules are fixed thresholds (a loan above the
+ * maximum, an LTV above 100, an InitialRate of 0, a GrossMargin far outside the band range).
+ * Statistical tests compare a value with the other records of the same lender and month,
+ * using the median absolute deviation (MAD) or the interquartile range (IQR), which are not
+ * dragged about by the outliers themselves.
+ *
+ * Flagged records go to a quarantine (see DataManager): they are left out of every view
+ * until a user reviews them and includes them again.
+ */
+
+import { COLUMN_MAP } from './ColumnMapper.js';
+import { toMonthKey } from '../utils/dateUtils.js';
+
+/**
+ * Threshold rules: id -> { label, field, test(value, rules) }.
+ * A rule whose threshold is null in the settings is not applied.
+ */
+export const OUTLIER_RULES = {
+  loanNotPositive: {
+    label: 'Loan zero or negative',
+    field: COLUMN_MAP.loanAmount,
+    test: value => value <= 0
+  },
+  loanAboveMax: {
+    label: 'Loan above maximum',
+    field: COLUMN_MAP.loanAmount,
+    test: (value, rules) => rules.maxLoan !== null && value > rules.maxLoan
+  },
+  ltvAboveMax: {
+    label: 'LTV above maximum',
+    field: COLUMN_MAP.ltv,
+    test: (value, rules) => rules.maxLtv !== null && value > rules.maxLtv
+  },
+  initialRateAtOrBelowMin: {
+    label: 'InitialRate at or below minimum',
+    field: COLUMN_MAP.initialRate,
+    test: (value, rules) => rules.minInitialRate !== null && value <= rules.minInitialRate
+  },
+  grossMarginOutOfRange: {
+    label: 'GrossMargin outside range',
+    field: COLUMN_MAP.grossMargin,
+    test: (value, rules) => (rules.minGrossMargin !== null && value < rules.minGrossMargin) ||
+      (rules.maxGrossMargin !== null && value > rules.maxGrossMargin)
+  }
+};
+
+/**
+ * Statistical methods: id -> { label, defaultThreshold }. The threshold is the modified
+ * z-score for MAD, and the number of IQRs beyond the quartiles for IQR.
+ */
+export const OUTLIER_METHODS = {
+  none: { label: 'Rules only', defaultThreshold: null },
+  mad: { label: 'Median absolute deviation', defaultThreshold: 5 },
+  iqr: { label: 'Interquartile range', defaultThreshold: 3 }
+};
+
+/**
+ * Numeric columns the statistical tests can be run on
+ */
+export const OUTLIER_FIELDS = [
+  COLUMN_MAP.loanAmount,
+  COLUMN_MAP.ltv,
+  COLUMN_MAP.initialRate,
+  COLUMN_MAP.swapRate,
+  COLUMN_MAP.grossMargin
+];
+
+/**
+ * Default settings. Loan sizes are skewed, so by default only the pricing columns are tested
+ * statistically; the loan rules catch impossible amounts.
+ */
+export const DEFAULT_OUTLIER_SETTINGS = {
+  enabled: true,
+  rules: {
+    maxLoan: 10000000,
+    maxLtv: 100,
+    minInitialRate: 0,
+    minGrossMargin: -1,
+    maxGrossMargin: 6
+  },
+  method: 'mad',
+  threshold: OUTLIER_METHODS.mad.defaultThreshold,
+  fields: [COLUMN_MAP.initialRate, COLUMN_MAP.grossMargin],
+  // Lender-months with fewer values than this are too small to judge
+  minGroupSize: 20
+};
+
+/**
+ * Median of sorted numbers, or a quantile with linear interpolation
+ * @param {Array<number>} sorted - Numbers in ascending order
+ * @param {number} q - Quantile (0-1)
+ * @returns {number} Quantile value
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+export class OutlierDetector {
+  /**
+   * Validate settings, filling in defaults
+   * @param {Object} settings - Settings to merge into the defaults
+   * @returns {Object} Complete settings
+   * @throws {Error} If the method, threshold or fields are invalid
+   */
+  static normalizeSettings(settings = {}) {
+    const method = settings.method || DEFAULT_OUTLIER_SETTINGS.method;
+    if (!OUTLIER_METHODS[method]) {
+      throw new Error(`Unknown outlier method: ${method} (expected one of ${Object.keys(OUTLIER_METHODS).join(', ')})`);
+    }
+
+    const threshold = settings.threshold ?? OUTLIER_METHODS[method].defaultThreshold;
+    if (method !== 'none' && !(threshold > 0)) {
+      throw new Error('Outlier threshold must be a positive number');
+    }
+
+    const fields = settings.fields || DEFAULT_OUTLIER_SETTINGS.fields;
+    const unknownField = fields.find(field => !OUTLIER_FIELDS.includes(field));
+    if (unknownField) {
+      throw new Error(`Outliers cannot be tested on ${unknownField}`);
+    }
+
+    return {
+      enabled: settings.enabled ?? DEFAULT_OUTLIER_SETTINGS.enabled,
+      rules: { ...DEFAULT_OUTLIER_SETTINGS.rules, ...settings.rules },
+      method,
+      threshold,
+      fields: [...fields],
+      minGroupSize: settings.minGroupSize ?? DEFAULT_OUTLIER_SETTINGS.minGroupSize
+    };
+  }
+
+  /**
+   * Find the outliers among records
+   * @param {Array} records - Processed records
+   * @param {Object} settings - Settings (see normalizeSettings)
+   * @returns {Array<Object>} { record, reasons } per flagged record, in record order;
+   *   reasons are rule ids or "<method>:<field>" (see describeReason)
+   */
+  static detect(records, settings = DEFAULT_OUTLIER_SETTINGS) {
+    const { enabled, rules, method, threshold, fields, minGroupSize } = this.normalizeSettings(settings);
+    if (!enabled || !records || records.length === 0) return [];
+
+    const reasons = new Map();
+    const flag = (index, reason) => {
+      if (!reasons.has(index)) reasons.set(index, []);
+      reasons.get(index).push(reason);
+    };
+
+    records.forEach((record, index) => {
+      for (const [id, rule] of Object.entries(OUTLIER_RULES)) {
+        const value = record[rule.field];
+        if (typeof value === 'number' && !isNaN(value) && rule.test(value, rules)) {
+          flag(index, id);
+        }
+      }
+    });
+
+    if (method !== 'none') {
+      for (const group of this.groupByLenderAndMonth(records).values()) {
+        for (const field of fields) {
+          this.testGroup(records, group, field, method, threshold, minGroupSize)
+            .forEach(index => flag(index, `${method}:${field}`));
+        }
+      }
+    }
+
+    return Array.from(reasons.keys())
+      .sort((a, b) => a - b)
+      .map(index => ({ record: records[index], reasons: reasons.get(index) }));
+  }
+
+  /**
+   * Group record indices by lender and calendar month
+   * @param {Array} records - Processed records
+   * @returns {Map<string, Array<number>>} Indices by "lender|YYYY-MM"
+   * @private
+   */
+  static groupByLenderAndMonth(records) {
+    const groups = new Map();
+    records.forEach((record, index) => {
+      const month = toMonthKey(record[COLUMN_MAP.documentDate]);
+      if (!month) return;
+      const key = `${record[COLUMN_MAP.lender]}|${month}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    });
+    return groups;
+  }
+
+  /**
+   * Test one field within one lender-month
+   * @param {Array} records - Processed records
+   * @param {Array<number>} group - Indices of the group's records
+   * @param {string} field - Column to test
+   * @param {string} method - 'mad' or 'iqr'
+   * @param {number} threshold - Method threshold (see OUTLIER_METHODS)
+   * @param {number} minGroupSize - Fewest values worth testing
+   * @returns {Array<number>} Indices of the outliers
+   * @private
+   */
+  static testGroup(records, group, field, method, threshold, minGroupSize) {
+    const values = group
+      .map(index => [index, records[index][field]])
+      .filter(([, value]) => typeof value === 'number' && !isNaN(value));
+    if (values.length < minGroupSize) return [];
+
+    const sorted = values.map(([, value]) => value).sort((a, b) => a - b);
+    let isOutlier;
+
+    if (method === 'mad') {
+      const median = quantile(sorted, 0.5);
+      const mad = quantile(sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b), 0.5);
+      // Most values identical: no spread to measure against
+      if (mad === 0) return [];
+      // 0.6745 scales the MAD to a standard deviation for normal data (modified z-score)
+      isOutlier = value => Math.abs(0.6745 * (value - median) / mad) > threshold;
+    } else {
+      const q1 = quantile(sorted, 0.25);
+      const q3 = quantile(sorted, 0.75);
+      const iqr = q3 - q1;
+      if (iqr === 0) return [];
+      isOutlier = value => value < q1 - threshold * iqr || value > q3 + threshold * iqr;
+    }
+
+    return values.filter(([, value]) => isOutlier(value)).map(([index]) => index);
+  }
+
+  /**
+   * Describe a reason
+   * @param {string} reason - Rule id or "<method>:<field>"
+   * @returns {Object} { label, field }
+   */
+  static describeReason(reason) {
+    if (OUTLIER_RULES[reason]) {
+      return { label: OUTLIER_RULES[reason].label, field: OUTLIER_RULES[reason].field };
+    }
+    const [method, field] = reason.split(':');
+    return { label: `${field} unusual for lender and month (${method.toUpperCase()})`, field };
+  }
+
+  /**
+   * Summarise a quarantine for the data quality report
+   * @param {Array<Object>} quarantine - Entries { record, reasons, included }
+   * @returns {Object} { flaggedCount, includedCount, flaggedLoanVolume, reasons: [{ reason, label, field, count, includedCount }] }
+   */
+  static summarize(quarantine) {
+    const reasons = new Map();
+    let includedCount = 0;
+    let flaggedLoanVolume = 0;
+
+    quarantine.forEach(entry => {
+      if (entry.included) includedCount++;
+      flaggedLoanVolume += parseFloat(entry.record[COLUMN_MAP.loanAmount]) || 0;
+      entry.reasons.forEach(reason => {
+        if (!reasons.has(reason)) {
+          reasons.set(reason, { reason, ...this.describeReason(reason), count: 0, includedCount: 0 });
+        }
+        const summary = reasons.get(reason);
+        summary.count++;
+        if (entry.included) summary.includedCount++;
+      });
+    });
+
+    return {
+      flaggedCount: quarantine.length,
+      includedCount,
+      flaggedLoanVolume,
+      reasons: Array.from(reasons.values()).sort((a, b) => b.count - a.count)
+    };
+  }
+}
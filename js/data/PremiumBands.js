@@ -0,0 +1,96 @@
+/**
+ * PremiumBands.js
+ * Buckets margins into premium bands
+ *
+ * Bands are computed from the numeric GrossMargin rather than taken from the supplied
+ * GrossMarginBucket, so their width and origin can be chosen. A band is labelled with its
+ * bounds in basis points, e.g. "120-140"; band edges fall on origin + k * width.
+ */
+
+import { COLUMN_MAP } from './ColumnMapper.js';
+import { parsePremiumBandRange } from '../utils/sortUtils.js';
+
+/**
+ * Band widths users can choose, in basis points
+ */
+export const BAND_WIDTHS = [10, 20, 25, 50];
+
+/**
+ * Default settings: 20bps bands starting at 0, the grid of the supplied GrossMarginBucket
+ */
+export const DEFAULT_BAND_SETTINGS = {
+  width: 20,
+  origin: 0
+};
+
+/**
+ * Lower bounds of the bands offered for selection (e.g. in market share), in basis points:
+ * from min up to, but not including, max
+ */
+export const VISIBLE_BAND_RANGE = {
+  min: -20,
+  max: 540
+};
+
+export class PremiumBands {
+  /**
+   * Validate settings, filling in defaults. The origin is reduced to the first edge at or above 0,
+   * since origins a whole number of widths apart give the same bands.
+   * @param {Object} settings - { width, origin } in basis points
+   * @returns {Object} Complete settings
+   * @throws {Error} If the width is not one of BAND_WIDTHS or the origin is not a number
+   */
+  static normalizeSettings(settings = {}) {
+    const width = Number(settings.width ?? DEFAULT_BAND_SETTINGS.width);
+    if (!BAND_WIDTHS.includes(width)) {
+      throw new Error(`Band width must be one of ${BAND_WIDTHS.join(', ')} bps`);
+    }
+
+    const origin = Number(settings.origin ?? DEFAULT_BAND_SETTINGS.origin);
+    if (!Number.isFinite(origin)) {
+      throw new Error('Band origin must be a number of basis points');
+    }
+
+    return { width, origin: ((origin % width) + width) % width };
+  }
+
+  /**
+   * Put a margin in its band
+   * @param {number|null} margin - Margin in percent (as GrossMargin)
+   * @param {Object} settings - Band settings (see normalizeSettings)
+   * @returns {string|null} Band label, or null without a margin
+   */
+  static toBand(margin, settings = DEFAULT_BAND_SETTINGS) {
+    if (margin === null || margin === undefined || !isFinite(margin)) return null;
+    const { width, origin } = settings;
+    // Rounded first so that e.g. 1.4% (139.99999...bps) lands in 140-160
+    const bps = Math.round(margin * 100 * 1e6) / 1e6;
+    const lower = origin + Math.floor((bps - origin) / width) * width;
+    return `${lower}-${lower + width}`;
+  }
+
+  /**
+   * Set the PremiumBand of each record from its GrossMargin, in place.
+   * Records without a GrossMargin get 'Unknown', which reports leave out.
+   * @param {Array} records - Processed records
+   * @param {Object} settings - Band settings (see normalizeSettings)
+   * @returns {Array} The same records
+   */
+  static assign(records, settings = DEFAULT_BAND_SETTINGS) {
+    (records || []).forEach(record => {
+      const margin = parseFloat(record[COLUMN_MAP.grossMargin]);
+      record.PremiumBand = this.toBand(isNaN(margin) ? null : margin, settings) || 'Unknown';
+    });
+    return records;
+  }
+
+  /**
+   * Check whether a band is offered for selection (see VISIBLE_BAND_RANGE)
+   * @param {string} band - Band label
+   * @returns {boolean} True if the band's lower bound is in range
+   */
+  static isVisible(band) {
+    const { min } = parsePremiumBandRange(band);
+    return !isNaN(min) && min >= VISIBLE_BAND_RANGE.min && min < VISIBLE_BAND_RANGE.max;
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * RecordProcessor.js
+ * The last processing step before records are analysed, shared by the page and the Node scripts
+ *
+ * DataLoader.combineAndProcess reads each file; once the files are combined, deduplicated and
+ * screened, this step resolves lender groups, bands the margins and computes the derived fields.
+ * DataManager.processData runs it in the browser and scripts/report.js runs it headless, so
+ * both see the same records.
+ */
+
+import { COLUMN_MAP, LENDER_LEVELS } from './ColumnMapper.js';
+import { DerivedFields } from './DerivedFields.js';
+import { LenderGroups } from './LenderGroups.js';
+import { PremiumBands, DEFAULT_BAND_SETTINGS } from './PremiumBands.js';
+import { DEFAULT_SWAP_CURVE_SETTINGS } from './SwapCurve.js';
+import { isValidDay, parseDate } from '../utils/dateUtils.js';
+
+export class RecordProcessor {
+  /**
+   * Complete the records for analysis, in place
+   * @param {Array} records - Combined records
+   * @param {Object} context - Settings the processing depends on
+   * @param {Object} context.lenderGroups - Lender hierarchy (see LenderGroups.normalize)
+   * @param {Object} context.bandSettings - Premium band settings (see PremiumBands.normalizeSettings)
+   * @param {Object|null} context.swapCurve - Swap curve (see SwapCurve.normalize), or null for none
+   * @param {Object} context.swapCurveSettings - Swap curve join settings (see SwapCurve.normalizeSettings)
+   * @returns {Array} The same records
+   */
+  static prepare(records, context = {}) {
+    const { lenderGroups = {} } = context;
+
+    records.forEach(record => {
+      // Group is derived here rather than in the worker, so editing the hierarchy needs no re-parse
+      record[LENDER_LEVELS.group.column] = LenderGroups.resolve(record[COLUMN_MAP.lender], lenderGroups);
+
+      // DocumentDate is parsed to a calendar day by DataLoader.combineAndProcess; this only
+      // covers records that bypassed it. Unparseable dates become null (see dateUtils).
+      const dateField = record[COLUMN_MAP.documentDate];
+      if (!isValidDay(dateField)) {
+        record[COLUMN_MAP.documentDate] = parseDate(dateField);
+      }
+    });
+
+    // Bands and derived fields are computed last, after every input column is final
+    return this.applyBands(records, context);
+  }
+
+  /**
+   * Bucket the records into premium bands and recompute the derived fields (some depend on
+   * the bands or the swap curve), in place. Enough on its own when only those settings change.
+   * @param {Array} records - Prepared records
+   * @param {Object} context - See prepare
+   * @returns {Array} The same records
+   */
+  static applyBands(records, context = {}) {
+    const {
+      bandSettings = DEFAULT_BAND_SETTINGS,
+      swapCurve = null,
+      swapCurveSettings = DEFAULT_SWAP_CURVE_SETTINGS
+    } = context;
+
+    PremiumBands.assign(records, bandSettings);
+    return DerivedFields.apply(records, { bandSettings, swapCurve, swapCurveSettings });
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * SwapCurve.js
+ * Loads a daily swap curve (data/swap-curve.csv) and looks up the swap rate of each record
+ *
+ * SwapRate arrives pre-joined on each record. A separate curve lets it be checked, and margins
+ * be recomputed against another swap reference. The curve file has a Date column and one column
+ * per tenor, named like 1Y, 2Y, 5Y or 18M, holding rates in percent:
+ *
+ *   Date,1Y,2Y,3Y,5Y
+ *   2025-01-02,4.61,4.32,4.18,4.05
+ *
+ * A record is joined to the curve by DocumentDate, moved back by the lag in business days,
+ * and by its tie-in period (Term, in months), interpolating linearly between tenors.
+ * The normalised curve is a plain object (see normalize), so it can be posted to workers.
+ */
+
+import { COLUMN_MAP } from './ColumnMapper.js';
+import { ColumnarStore } from './ColumnarStore.js';
+import { detectDateFormat, isValidDay, parseDate, toDayKey } from '../utils/dateUtils.js';
+
+/**
+ * Default join settings: swaps from the completion date itself
+ */
+export const DEFAULT_SWAP_CURVE_SETTINGS = {
+  lagDays: 0
+};
+
+/**
+ * Longest lag users can choose, in business days
+ */
+export const MAX_SWAP_CURVE_LAG_DAYS = 60;
+
+/**
+ * Oldest curve observation used for a day, in calendar days. Curves skip weekends and bank
+ * holidays, so a day without an observation takes the latest one before it, up to this age.
+ */
+export const MAX_SWAP_CURVE_AGE_DAYS = 7;
+
+/**
+ * A supplied SwapRate within this many basis points of the curve counts as agreeing with it
+ */
+export const SWAP_RATE_TOLERANCE_BPS = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TENOR = /^(\d+(?:\.\d+)?)\s*([YM])$/i;
+
+export class SwapCurve {
+  /**
+   * Default location of the curve
+   */
+  static DEFAULT_PATH = 'data/swap-curve.csv';
+
+  /**
+   * Fetch and normalise the curve. A missing curve is not an error: records then have no curve columns.
+   * @param {string} path - Path to the curve
+   * @returns {Promise<Object|null>} Curve (see normalize), or null if there is none
+   * @throws {Error} If the curve exists but is malformed
+   */
+  static async load(path = SwapCurve.DEFAULT_PATH) {
+    const response = await fetch(path, { cache: 'no-cache' });
+
+    if (response.status === 404) {
+      console.info(`[SwapCurve] No swap curve at ${path}; curve margins are not computed`);
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to load swap curve: ${path} (${response.status} ${response.statusText})`);
+    }
+
+    return this.parse(await response.text(), { source: path, origin: 'dataset' });
+  }
+
+  /**
+   * Parse curve CSV text
+   * @param {string} csvText - CSV text, header row included
+   * @param {Object} details - { source, origin } stored with the curve
+   * @returns {Object} Curve (see normalize)
+   * @throws {Error} If the curve is malformed
+   */
+  static parse(csvText, details = {}) {
+    const { data } = Papa.parse(csvText, { header: true, skipEmptyLines: true, transformHeader: header => header.trim() });
+    return this.normalize(data, details);
+  }
+
+  /**
+   * Read a tenor column name
+   * @param {string} label - Column name, e.g. '5Y' or '18M'
+   * @returns {number|null} Tenor in months, or null if the column is not a tenor
+   */
+  static parseTenor(label) {
+    const match = TENOR.exec(String(label).trim());
+    if (!match) return null;
+    const months = Number(match[1]) * (match[2].toUpperCase() === 'Y' ? 12 : 1);
+    return months > 0 ? months : null;
+  }
+
+  /**
+   * Validate parsed curve rows and build the curve
+   * @param {Array<Object>} rows - Rows keyed by column name
+   * @param {Object} details - { source, origin } stored with the curve
+   * @returns {Object} { source, origin, tenors, days, rates }: tenors in months, ascending; days as
+   *   timestamps, ascending; rates[i][j] the rate on days[i] for tenors[j], or null
+   * @throws {Error} If there is no Date column, no tenor column, or no dated row
+   */
+  static normalize(rows, details = {}) {
+    const columns = Object.keys(rows[0] || {});
+    const dateColumn = columns.find(column => column.toLowerCase() === 'date');
+    if (!dateColumn) {
+      throw new Error('Invalid swap curve: expected a "Date" column');
+    }
+
+    const tenorColumns = columns
+      .map(column => ({ column, months: this.parseTenor(column) }))
+      .filter(tenor => tenor.months !== null)
+      .sort((a, b) => a.months - b.months);
+    if (tenorColumns.length === 0) {
+      throw new Error('Invalid swap curve: expected tenor columns such as 1Y, 2Y or 18M');
+    }
+
+    // Numeric dates are read as one column, like DocumentDate
+    const { format } = detectDateFormat(rows.map(row => row[dateColumn]));
+    const byDay = new Map();
+    rows.forEach(row => {
+      const day = parseDate(row[dateColumn], format);
+      if (!isValidDay(day)) return;
+      byDay.set(day.getTime(), tenorColumns.map(({ column }) => {
+        const rate = parseFloat(row[column]);
+        return isFinite(rate) ? rate : null;
+      }));
+    });
+    if (byDay.size === 0) {
+      throw new Error('Invalid swap curve: no row has a valid date');
+    }
+
+    const days = [...byDay.keys()].sort((a, b) => a - b);
+    return {
+      source: details.source || '',
+      origin: details.origin || 'dataset',
+      tenors: tenorColumns.map(tenor => tenor.months),
+      days,
+      rates: days.map(day => byDay.get(day))
+    };
+  }
+
+  /**
+   * Validate join settings, filling in defaults
+   * @param {Object} settings - { lagDays }
+   * @returns {Object} Complete settings
+   * @throws {Error} If the lag is not a whole number of business days in range
+   */
+  static normalizeSettings(settings = {}) {
+    const lagDays = Number(settings.lagDays ?? DEFAULT_SWAP_CURVE_SETTINGS.lagDays);
+    if (!Number.isInteger(lagDays) || lagDays < 0 || lagDays > MAX_SWAP_CURVE_LAG_DAYS) {
+      throw new Error(`Swap curve lag must be a whole number of business days from 0 to ${MAX_SWAP_CURVE_LAG_DAYS}`);
+    }
+    return { lagDays };
+  }
+
+  /**
+   * Move a day back by business days (Monday to Friday; bank holidays count as business days)
+   * @param {Date} day - Calendar day
+   * @param {number} count - Business days to move back
+   * @returns {Date} Calendar day
+   */
+  static subtractBusinessDays(day, count) {
+    let time = day.getTime();
+    let remaining = count;
+    while (remaining > 0) {
+      time -= DAY_MS;
+      const weekday = new Date(time).getUTCDay();
+      if (weekday !== 0 && weekday !== 6) remaining--;
+    }
+    return new Date(time);
+  }
+
+  /**
+   * Find the observation used for a day: the latest on or before it, up to MAX_SWAP_CURVE_AGE_DAYS old
+   * @param {Object} curve - Curve (see normalize)
+   * @param {Date} day - Calendar day
+   * @returns {number} Index into curve.days, or -1 if there is none
+   */
+  static findObservation(curve, day) {
+    const time = day.getTime();
+    let low = 0;
+    let high = curve.days.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (curve.days[middle] <= time) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found !== -1 && time - curve.days[found] <= MAX_SWAP_CURVE_AGE_DAYS * DAY_MS ? found : -1;
+  }
+
+  /**
+   * Interpolate an observation's rate for a tie-in period. Periods outside the curve's tenors have no rate.
+   * @param {Object} curve - Curve (see normalize)
+   * @param {number} index - Index into curve.days
+   * @param {number} months - Tie-in period in months
+   * @returns {number|null} Rate in percent
+   */
+  static interpolate(curve, index, months) {
+    const { tenors } = curve;
+    const rates = curve.rates[index];
+    if (months < tenors[0] || months > tenors[tenors.length - 1]) return null;
+
+    const upper = tenors.findIndex(tenor => tenor >= months);
+    if (tenors[upper] === months) return rates[upper];
+    const lower = upper - 1;
+    if (rates[lower] === null || rates[upper] === null) return null;
+    const weight = (months - tenors[lower]) / (tenors[upper] - tenors[lower]);
+    return rates[lower] + weight * (rates[upper] - rates[lower]);
+  }
+
+  /**
+   * Look up the curve swap rate of a record
+   * @param {Object} curve - Curve (see normalize)
+   * @param {Object} record - Record with DocumentDate and Term
+   * @param {Object} settings - Join settings (see normalizeSettings)
+   * @returns {number|null} Rate in percent, or null if the record cannot be joined
+   */
+  static rateFor(curve, record, settings = DEFAULT_SWAP_CURVE_SETTINGS) {
+    const day = record[COLUMN_MAP.documentDate];
+    const months = parseFloat(record[COLUMN_MAP.tieInPeriod]);
+    if (!curve || !isValidDay(day) || !(months > 0)) return null;
+
+    const index = this.findObservation(curve, this.subtractBusinessDays(day, settings.lagDays));
+    return index === -1 ? null : this.interpolate(curve, index, months);
+  }
+
+  /**
+   * Describe a curve for display
+   * @param {Object} curve - Curve (see normalize)
+   * @returns {Object} { source, origin, firstDay, lastDay, dayCount, tenors }, days as YYYY-MM-DD and tenors as labels
+   */
+  static describe(curve) {
+    return {
+      source: curve.source,
+      origin: curve.origin,
+      firstDay: toDayKey(new Date(curve.days[0])),
+      lastDay: toDayKey(new Date(curve.days[curve.days.length - 1])),
+      dayCount: curve.days.length,
+      tenors: curve.tenors.map(months => (months % 12 === 0 ? `${months / 12}Y` : `${months}M`))
+    };
+  }
+
+  /**
+   * Compare the supplied SwapRate with the curve, from the SwapRateDifference derived field
+   * @param {Array|ColumnarStore} data - Records with derived fields, or the store holding them as columns
+   * @returns {Object} { recordCount, joinedCount, comparedCount, agreeingCount,
+   *   meanDifferenceBps, meanAbsoluteDifferenceBps, maxAbsoluteDifferenceBps } (means are null without comparisons)
+   */
+  static compare(data) {
+    // Only two columns are read, so records are encoded as just those
+    const store = data instanceof ColumnarStore ? data : ColumnarStore.fromRecords(data, ['CurveSwapRate', 'SwapRateDifference']);
+    const curveRates = store.readNumbers('CurveSwapRate');
+    const differences = store.readNumbers('SwapRateDifference');
+    let joinedCount = 0;
+    let comparedCount = 0;
+    let agreeingCount = 0;
+    let sum = 0;
+    let absoluteSum = 0;
+    let maxAbsolute = null;
+
+    for (let index = 0; index < store.length; index++) {
+      if (isNaN(curveRates[index])) continue;
+      joinedCount++;
+      const difference = differences[index];
+      if (isNaN(difference)) continue;
+      comparedCount++;
+      sum += difference;
+      absoluteSum += Math.abs(difference);
+      maxAbsolute = Math.max(maxAbsolute ?? 0, Math.abs(difference));
+      // Rates are given to a few decimals; the epsilon absorbs the floating-point error of the difference
+      if (Math.abs(difference) <= SWAP_RATE_TOLERANCE_BPS + 1e-9) agreeingCount++;
+    }
+
+    return {
+      recordCount: store.length,
+      joinedCount,
+      comparedCount,
+      agreeingCount,
+      meanDifferenceBps: comparedCount > 0 ? sum / comparedCount : null,
+      meanAbsoluteDifferenceBps: comparedCount > 0 ? absoluteSum / comparedCount : null,
+      maxAbsoluteDifferenceBps: maxAbsolute
+    };
+  }
+}
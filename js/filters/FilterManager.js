@@ -6,8 +6,33 @@
  * and efficient application of filters to the dataset.
  */
 
-import { COLUMN_MAP, formatDate } from '../data/ColumnMapper.js';
+import { COLUMN_MAP, LINEAGE_COLUMNS, formatDate, getLenderColumn } from '../data/ColumnMapper.js';
+import { DERIVED_FIELDS, DerivedFields } from '../data/DerivedFields.js';
 import { sortPremiumBands } from '../utils/sortUtils.js';
+import { createDay, isValidDay, parseDate } from '../utils/dateUtils.js';
+
+/**
+ * Test an LTV against the LTV range filter
+ * @param {number} ltv - LTV (NaN if missing)
+ * @param {string} range - LTV range filter value
+ * @returns {boolean} True if the LTV is in the range
+ */
+function matchesLtvRange(ltv, range) {
+  if (isNaN(ltv)) return false;
+  
+  switch (range) {
+    case 'below-80':
+      return ltv < 80;
+    case 'above-80':
+      return ltv >= 80;
+    case 'above-85':
+      return ltv >= 85;
+    case 'above-90':
+      return ltv >= 90;
+    default:
+      return true;
+  }
+}
 
 export class FilterManager {
   /**
@@ -20,6 +45,9 @@ export class FilterManager {
     this.dataManager = dataManager;
     this.activeFilters = new Set();
     this.lastFilterTime = 0;
+    this.pendingController = null;
+    // The last filter run: { filters, store, indices } (see reaggregate)
+    this.lastResult = null;
     this._gettingFilterOptions = false;
     
     // Subscribe to filter changes
@@ -37,11 +65,19 @@ export class FilterManager {
   }
   
   /**
-   * Apply filters to data
+   * Apply filters to data.
+   * Filtering and aggregation run in the data worker; starting a new run cancels any run still in flight.
+   * data.filtered is set to the positions of the matching records in data.raw (see ColumnarStore), or to
+   * null for every record when no filter is active.
    * @param {Object} filters - Filter criteria
-   * @returns {Array} Filtered data
+   * @returns {Promise<Uint32Array|null>} Positions of the matching records (null for every record)
    */
   async applyFilters(filters) {
+    this.cancel();
+    const controller = new AbortController();
+    this.pendingController = controller;
+    const { signal } = controller;
+    
     try {
       // Track start time for performance monitoring
       const startTime = performance.now();
@@ -49,169 +85,292 @@ export class FilterManager {
       // Update active filters set for performance optimization
       this.updateActiveFilters(filters);
       
-      let dataToAggregate;
+      const store = this.stateManager.state.data.raw;
+      let indices = null;
 
-      // If no active filters, return all data
-      if (this.activeFilters.size === 0) {
-        const allData = this.stateManager.state.data.raw || [];
-        this.stateManager.setState('data.filtered', allData);
-        dataToAggregate = allData;
-      } else {
-        // Apply filters
-        const rawData = this.stateManager.state.data.raw;
-        const filteredData = this.filterData(rawData, filters);
-        
-        // Update state with filtered data
-        this.stateManager.setState('data.filtered', filteredData);
-        dataToAggregate = filteredData;
+      // If no active filters, every record is kept
+      if (this.activeFilters.size > 0) {
+        // Apply filters in the worker; it returns the positions of matching records
+        indices = await this.dataManager.dataService.filter(filters, { signal });
       }
       
+      // Update state with filtered data
+      this.lastResult = { filters, store, indices };
+      this.stateManager.setState('data.filtered', indices);
+      
       // Re-aggregate the data to update the table view
       if (this.dataManager && typeof this.dataManager.aggregateData === 'function') {
-        await this.dataManager.aggregateData(dataToAggregate); // Await the aggregation
+        await this.dataManager.aggregateData(indices, { signal }); // Await the aggregation
       } else {
         console.error('FilterManager: DataManager or aggregateData method not available.');
       }
       
       // Log performance metrics
       const endTime = performance.now();
-      console.debug(`Filtering applied in ${(endTime - startTime).toFixed(2)}ms. Filtered ${this.stateManager.state.data.raw?.length || 0} to ${dataToAggregate.length} records.`);
+      const recordCount = store ? store.length : 0;
+      console.debug(`Filtering applied in ${(endTime - startTime).toFixed(2)}ms. Filtered ${recordCount} to ${indices ? indices.length : recordCount} records.`);
       
       // Update UI state to reflect filtering is complete
       this.stateManager.setState('ui.filteringComplete', true);
       this.stateManager.setState('ui.filtersChangedPendingApply', false);
       
-      return dataToAggregate; // Return the data that was aggregated
+      return indices; // Return the positions of the records that were aggregated
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.info('[FilterManager] Filter run cancelled.');
+        // Only clear the busy state if no newer run has started
+        if (this.pendingController === null) {
+          this.stateManager.setState('ui.isApplyingFilters', false);
+        }
+        return new Uint32Array(0);
+      }
       console.error('Error applying filters:', error);
       this.stateManager.setState('ui.filtersChangedPendingApply', false); // Reset pending state on error
-      return [];
+      return new Uint32Array(0);
+    } finally {
+      if (this.pendingController === controller) {
+        this.pendingController = null;
+      }
+    }
+  }
+  
+  /**
+   * Aggregate the records of the last applied filters again, e.g. with other table rows or periods.
+   * The query worker aggregates them from their positions, as after applyFilters; if the loaded data
+   * has changed since, the last filters are applied again.
+   * @param {Object} options - Aggregation options (see DataManager.aggregateData), e.g. { rowField } or { timeGrain }
+   * @returns {Promise<Object|null>} Aggregated data (null if cancelled by a newer run)
+   */
+  async reaggregate(options = {}) {
+    if (!this.lastResult || this.lastResult.store !== this.stateManager.state.data.raw) {
+      await this.applyFilters(this.lastResult ? this.lastResult.filters : this.stateManager.state.filters);
+      return this.stateManager.state.data.aggregated;
+    }
+    
+    this.cancel();
+    const controller = new AbortController();
+    this.pendingController = controller;
+    
+    try {
+      return await this.dataManager.aggregateData(this.lastResult.indices, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.info('[FilterManager] Re-aggregation cancelled.');
+        return null;
+      }
+      throw error;
+    } finally {
+      if (this.pendingController === controller) {
+        this.pendingController = null;
+      }
     }
   }
   
+  /**
+   * Cancel the filter run in flight, if any
+   * @returns {boolean} True if a run was cancelled
+   */
+  cancel() {
+    if (!this.pendingController) return false;
+    const controller = this.pendingController;
+    this.pendingController = null;
+    controller.abort();
+    return true;
+  }
+  
   /**
    * Update the set of active filters
    * @param {Object} filters - Current filter state
    * @private
    */
   updateActiveFilters(filters) {
-    this.activeFilters.clear();
+    this.activeFilters = FilterManager.getActiveFilters(filters);
+    
+    // Update filter count in state for UI indicators
+    this.stateManager.setState('ui.activeFilterCount', this.activeFilters.size);
+  }
+  
+  /**
+   * Determine which filters are active
+   * @param {Object} filters - Filter criteria
+   * @returns {Set<string>} Names of the active filters
+   */
+  static getActiveFilters(filters) {
+    const activeFilters = new Set();
+    if (!filters) return activeFilters;
     
     // Check which filters are active
     if (filters.dateRange && filters.dateRange[0] && filters.dateRange[1]) {
-      this.activeFilters.add('dateRange');
+      activeFilters.add('dateRange');
     }
     
     // Only consider lenders filter active if there are selected lenders and 'all_lenders' is not among them
     if (filters.lenders && filters.lenders.length > 0 && !filters.lenders.includes('all_lenders')) {
-      this.activeFilters.add('lenders');
+      activeFilters.add('lenders');
     }
     
     if (filters.ltvRange && filters.ltvRange !== 'all') {
-      this.activeFilters.add('ltvRange');
+      activeFilters.add('ltvRange');
     }
     
     // Premium bands filter is no longer used
     
     // Only consider purchase types filter active if there are selected types and 'all_purchase_types' is not among them
     if (filters.purchaseTypes && filters.purchaseTypes.length > 0 && !filters.purchaseTypes.includes('all_purchase_types')) {
-      this.activeFilters.add('purchaseTypes');
+      activeFilters.add('purchaseTypes');
     }
     
-    // Update filter count in state for UI indicators
-    this.stateManager.setState('ui.activeFilterCount', this.activeFilters.size);
+    // Only consider the source filter active if 'all_sources' is not among the selected files
+    if (filters.sources && filters.sources.length > 0 && !filters.sources.includes('all_sources')) {
+      activeFilters.add('sources');
+    }
+    
+    // Derived field conditions without a bound or value restrict nothing
+    if (DerivedFields.getActiveConditions(filters.derivedFields).length > 0) {
+      activeFilters.add('derivedFields');
+    }
+    
+    return activeFilters;
   }
   
   /**
-   * Filter data based on criteria
-   * @param {Array} data - Data to filter
+   * Build a predicate that tests a single record against the filter criteria.
+   * This is pure (no state access) so it can also run inside the data worker.
    * @param {Object} filters - Filter criteria
-   * @returns {Array} Filtered data
-   * @private
+   * @param {Set<string>} activeFilters - Active filters (defaults to getActiveFilters(filters))
+   * @returns {Function} Predicate taking a record and returning true if it matches
    */
-  filterData(data, filters) {
-    if (!data || !Array.isArray(data)) return [];
-    if (!filters) return data;
-
-    // Apply each filter in sequence
-    let filteredData = [...data]; // Create a copy to avoid modifying original
+  static createRecordPredicate(filters, activeFilters = FilterManager.getActiveFilters(filters)) {
+    const checks = [];
     
     // Date range filter
-    if (this.activeFilters.has('dateRange') && filters.dateRange && 
-        filters.dateRange[0] && filters.dateRange[1]) {
-      const startDate = new Date(filters.dateRange[0]);
-      const endDate = new Date(filters.dateRange[1]);
-      
-      // Set time to include the entire day
-      startDate.setHours(0, 0, 0, 0);
-      endDate.setHours(23, 59, 59, 999);
+    if (activeFilters.has('dateRange')) {
+      // Records and bounds are both calendar days, so the range includes both end days
+      const startTime = parseDate(filters.dateRange[0])?.getTime() ?? -Infinity;
+      const endTime = parseDate(filters.dateRange[1])?.getTime() ?? Infinity;
       
-      filteredData = filteredData.filter(record => {
-        const recordDate = new Date(record[COLUMN_MAP.documentDate]);
-        return recordDate >= startDate && recordDate <= endDate;
+      checks.push(record => {
+        const recordDate = record[COLUMN_MAP.documentDate];
+        if (!isValidDay(recordDate)) return false;
+        const time = recordDate.getTime();
+        return time >= startTime && time <= endTime;
       });
     }
     
-    // Lender filter - only apply if 'all_lenders' is not selected
-    if (this.activeFilters.has('lenders') && filters.lenders && 
-        filters.lenders.length > 0 && !filters.lenders.includes('all_lenders')) {
-      filteredData = filteredData.filter(record => {
-        return filters.lenders.includes(record[COLUMN_MAP.lender]);
-      });
+    // Lender filter - only apply if 'all_lenders' is not selected.
+    // The selected names are brands or groups depending on the lender level.
+    if (activeFilters.has('lenders')) {
+      const lenders = new Set(filters.lenders);
+      const lenderColumn = getLenderColumn(filters.lenderLevel);
+      checks.push(record => lenders.has(record[lenderColumn]));
     }
     
     // LTV range filter
-    if (this.activeFilters.has('ltvRange') && filters.ltvRange && filters.ltvRange !== 'all') {
-      filteredData = filteredData.filter(record => {
-        const ltv = parseFloat(record[COLUMN_MAP.ltv]);
-        
-        if (isNaN(ltv)) return false;
-        
-        switch (filters.ltvRange) {
-          case 'below-80':
-            return ltv < 80;
-          case 'above-80':
-            return ltv >= 80;
-          case 'above-85':
-            return ltv >= 85;
-          case 'above-90':
-            return ltv >= 90;
-          default:
-            return true;
-        }
-      });
+    if (activeFilters.has('ltvRange')) {
+      checks.push(record => matchesLtvRange(parseFloat(record[COLUMN_MAP.ltv]), filters.ltvRange));
     }
     
     // Purchase types filter - only apply if 'all_purchase_types' is not selected
-    if (this.activeFilters.has('purchaseTypes') && filters.purchaseTypes && 
-        filters.purchaseTypes.length > 0 && !filters.purchaseTypes.includes('all_purchase_types')) {
+    if (activeFilters.has('purchaseTypes')) {
+      const purchaseTypes = new Set(filters.purchaseTypes);
+      checks.push(record => purchaseTypes.has(record[COLUMN_MAP.purchaseType]));
+    }
+    
+    // Source filter - only apply if 'all_sources' is not selected
+    if (activeFilters.has('sources')) {
+      const sources = new Set(filters.sources);
+      checks.push(record => sources.has(record[LINEAGE_COLUMNS.source]));
+    }
+    
+    // Derived field filter (see DerivedFields.createFilter)
+    if (activeFilters.has('derivedFields')) {
+      checks.push(DerivedFields.createFilter(filters.derivedFields));
+    }
+    
+    return record => checks.every(check => check(record));
+  }
+  
+  /**
+   * Build a predicate that tests a record of a columnar store against the filter criteria.
+   * It matches exactly the records createRecordPredicate matches, but reads the columns
+   * instead of record objects; like it, it is pure so it can run inside the data worker.
+   * @param {ColumnarStore} store - Records as columns
+   * @param {Object} filters - Filter criteria
+   * @param {Set<string>} activeFilters - Active filters (defaults to getActiveFilters(filters))
+   * @returns {Function} Predicate taking a record index and returning true if the record matches
+   */
+  static createIndexPredicate(store, filters, activeFilters = FilterManager.getActiveFilters(filters)) {
+    const checks = [];
+    
+    // Date range filter; records without a date are NaN and fail both comparisons
+    if (activeFilters.has('dateRange')) {
+      const startTime = parseDate(filters.dateRange[0])?.getTime() ?? -Infinity;
+      const endTime = parseDate(filters.dateRange[1])?.getTime() ?? Infinity;
+      const times = store.readNumbers(COLUMN_MAP.documentDate);
+      checks.push(index => times[index] >= startTime && times[index] <= endTime);
+    }
+    
+    if (activeFilters.has('lenders')) {
+      checks.push(store.createMatcher(getLenderColumn(filters.lenderLevel), filters.lenders));
+    }
+    
+    if (activeFilters.has('ltvRange')) {
+      const ltvs = store.readNumbers(COLUMN_MAP.ltv);
+      checks.push(index => matchesLtvRange(ltvs[index], filters.ltvRange));
+    }
+    
+    if (activeFilters.has('purchaseTypes')) {
+      checks.push(store.createMatcher(COLUMN_MAP.purchaseType, filters.purchaseTypes));
+    }
+    
+    if (activeFilters.has('sources')) {
+      checks.push(store.createMatcher(LINEAGE_COLUMNS.source, filters.sources));
+    }
+    
+    if (activeFilters.has('derivedFields')) {
+      checks.push(DerivedFields.createIndexFilter(store, filters.derivedFields));
+    }
+    
+    return index => checks.every(check => check(index));
+  }
+  
+  /**
+   * Find the records of a columnar store matching the filter criteria
+   * @param {ColumnarStore} store - Records as columns
+   * @param {Object} filters - Filter criteria
+   * @returns {Uint32Array} Indices of the matching records, in ascending order
+   */
+  static filterIndices(store, filters) {
+    const predicate = FilterManager.createIndexPredicate(store, filters);
+    const matches = new Uint32Array(store.length);
+    let matchCount = 0;
+    
+    for (let i = 0; i < store.length; i++) {
+      if (predicate(i)) {
+        matches[matchCount++] = i;
+      }
+    }
+    
+    return matches.slice(0, matchCount);
+  }
+  
+  /**
+   * Filter data based on criteria
+   * @param {Array} data - Data to filter
+   * @param {Object} filters - Filter criteria
+   * @returns {Array} Filtered data
+   * @private
+   */
+  filterData(data, filters) {
+    if (!data || !Array.isArray(data)) return [];
+    if (!filters) return data;
+    
+    if (this.activeFilters.has('purchaseTypes')) {
       console.log(`[FilterManager.filterData] Applying purchase type filter with values:`, filters.purchaseTypes);
-      
-      // Log the first few unique purchase types found in the data for debugging
-      const uniquePurchaseTypes = new Set();
-      filteredData.slice(0, 100).forEach(record => {
-        if (record[COLUMN_MAP.purchaseType]) {
-          uniquePurchaseTypes.add(record[COLUMN_MAP.purchaseType]);
-        }
-      });
-      console.log(`[FilterManager.filterData] Unique purchase types in data:`, Array.from(uniquePurchaseTypes));
-      
-      filteredData = filteredData.filter(record => {
-        const purchaseType = record[COLUMN_MAP.purchaseType];
-        const included = filters.purchaseTypes.includes(purchaseType);
-        
-        // Log some sample records for debugging
-        if (record.id && record.id < 5) {
-          console.log(`[FilterManager.filterData] Record ${record.id} purchase type '${purchaseType}' ${included ? 'matches' : 'does not match'} filter`);
-        }
-        
-        return included;
-      });
-      
-      console.log(`[FilterManager.filterData] After purchase type filter: ${filteredData.length} records remain`);
     }
     
-    return filteredData;
+    const predicate = FilterManager.createRecordPredicate(filters, this.activeFilters);
+    return data.filter(predicate);
   }
   
   /**
@@ -246,8 +405,11 @@ export class FilterManager {
     this.stateManager.setState('filters', {
       dateRange: [defaultOptions.dateRange.min, defaultOptions.dateRange.max],
       lenders: ['all_lenders'], // Select 'All Lenders' by default
+      lenderLevel: this.stateManager.state.filters.lenderLevel || 'brand',
       ltvRange: 'all',
-      purchaseTypes: ['all_purchase_types'] // Select 'All Purchase Types' by default
+      purchaseTypes: ['all_purchase_types'], // Select 'All Purchase Types' by default
+      sources: ['all_sources'],
+      derivedFields: {}
     });
     
     // Reset the UI state for filters
@@ -255,7 +417,9 @@ export class FilterManager {
   }
   
   /**
-   * Get available filter options based on current data
+   * Get available filter options based on the loaded data.
+   * Values are read from every loaded record (DataManager's columnar store) rather than a sample,
+   * so values that only appear in appended files are offered too.
    * @returns {Object} Filter options
    */
   getFilterOptions() {
@@ -264,92 +428,52 @@ export class FilterManager {
       return this.getDefaultFilterOptions();
     }
     try {
-      const data = this.stateManager.state.data.filtered || this.stateManager.state.data.raw;
+      const store = this.dataManager && this.dataManager.store;
       
-      if (!data || !Array.isArray(data) || data.length === 0) {
+      if (!store || store.length === 0) {
         return this.getDefaultFilterOptions();
       }
       
-      // Extract dates for date range - use a sample of data for large datasets
-      const maxSampleSize = 10000; // Limit sample size for performance
-      const dataSample = data.length > maxSampleSize ? data.slice(0, maxSampleSize) : data;
+      // Date pickers span the loaded data
+      const range = store.getRange(COLUMN_MAP.documentDate);
+      const dateRange = range
+        ? { min: range[0], max: range[1], formatted: { min: formatDate(range[0], 'short'), max: formatDate(range[1], 'short') } }
+        : this.getDefaultFilterOptions().dateRange;
       
-      // Debug log to check date values in the data
-      console.debug('Date range calculation - sample data:', dataSample.slice(0, 5).map(r => ({
-        date: r[COLUMN_MAP.documentDate],
-        parsed: new Date(r[COLUMN_MAP.documentDate])
-      })));
+      console.debug(`Date range calculated: ${dateRange.min.toISOString()} to ${dateRange.max.toISOString()}`);
       
-      const dates = dataSample
-        .map(r => {
-          const dateStr = r[COLUMN_MAP.documentDate];
-          if (!dateStr) return null;
-          
-          // Try different date formats
-          let date;
-          if (typeof dateStr === 'string') {
-            if (dateStr.includes('-')) {
-              // YYYY-MM-DD format
-              date = new Date(dateStr);
-            } else if (dateStr.includes('/')) {
-              // DD/MM/YYYY or MM/DD/YYYY format
-              const parts = dateStr.split('/');
-              if (parts.length === 3) {
-                // Try DD/MM/YYYY format first
-                date = new Date(`${parts[2]}-${parts[1]}-${parts[0]}`);
-                if (isNaN(date.getTime())) {
-                  // Try MM/DD/YYYY format if DD/MM/YYYY failed
-                  date = new Date(`${parts[2]}-${parts[0]}-${parts[1]}`);
-                }
-              }
-            } else {
-              // Try standard parsing
-              date = new Date(dateStr);
-            }
-          } else {
-            date = new Date(dateStr);
-          }
-          
-          return isNaN(date.getTime()) ? null : date;
-        })
-        .filter(Boolean);
-      
-      // Ensure we include 2025 in the date range even if no records have 2025 dates
-      const minDate = dates.length > 0 ? new Date(Math.min(...dates)) : new Date('2024-01-01');
-      let maxDate = dates.length > 0 ? new Date(Math.max(...dates)) : new Date();
-      
-      // Force maxDate to include at least May 2025
-      const may2025 = new Date('2025-05-31');
-      if (maxDate < may2025) {
-        maxDate = may2025;
-      }
-      
-      console.debug(`Date range calculated: ${minDate.toISOString()} to ${maxDate.toISOString()}`);
-      
-      // Get unique lenders - limit to first 100 for performance
-      const lenders = [...new Set(dataSample.map(r => r[COLUMN_MAP.lender]))]
+      // Get unique lenders (brands or groups, as the level is set) - limit to first 100 for performance
+      const lenderColumn = getLenderColumn(this.stateManager.state.filters.lenderLevel);
+      const lenders = store.getDistinctValues(lenderColumn)
         .filter(Boolean)
         .slice(0, 100)
         .sort();
       
       // Get unique purchase types
-      const purchaseTypes = [...new Set(dataSample.map(r => r[COLUMN_MAP.purchaseType]))]
+      const purchaseTypes = store.getDistinctValues(COLUMN_MAP.purchaseType)
         .filter(Boolean)
         .sort();
       
       // Get unique premium bands - with safeguards for invalid data
-      const premiumBandsSet = new Set();
-      dataSample.forEach(r => {
-        if (r.PremiumBand && typeof r.PremiumBand === 'string') {
-          premiumBandsSet.add(r.PremiumBand);
-        }
-      });
+      const premiumBands = store.getDistinctValues('PremiumBand').filter(band => typeof band === 'string');
+      
+      // Values of categorical derived fields that depend on the data (e.g. fee-adjusted bands)
+      const derivedFieldValues = {};
+      DerivedFields.getColumns('category')
+        .filter(column => !DERIVED_FIELDS[column].values)
+        .forEach(column => {
+          const values = store.getDistinctValues(column).filter(Boolean);
+          derivedFieldValues[column] = DerivedFields.sortValues(column, values);
+        });
+      
       return {
-        lenders: Array.from(lenders).sort(),
-        purchaseTypes: Array.from(purchaseTypes).sort(),
-        premiumBands: sortPremiumBands(Array.from(premiumBandsSet)),
+        lenders,
+        purchaseTypes,
+        sources: this.getSourceOptions(),
+        derivedFieldValues,
+        premiumBands: sortPremiumBands(premiumBands),
         ltvRanges: this.getDefaultFilterOptions().ltvRanges,
-        dateRange: this.getDefaultFilterOptions().dateRange
+        dateRange
       };
     } catch (error) {
       console.error('Error getting filter options:', error);
@@ -359,6 +483,22 @@ export class FilterManager {
     }
   }
   
+  /**
+   * Get the loaded source files for the source filter.
+   * Taken from the per-source summary rather than a sample, so files with few records are listed too.
+   * @returns {Array<Object>} { value, label } per source file, in load order
+   */
+  getSourceOptions() {
+    const summary = this.stateManager.state.data.sourceSummary || [];
+    const options = new Map();
+    summary.forEach(({ source, label }) => {
+      if (source && !options.has(source)) {
+        options.set(source, { value: source, label });
+      }
+    });
+    return Array.from(options.values());
+  }
+  
   /**
    * Get default filter options.
    * This can be used as a fallback or for initializing filters.
@@ -366,12 +506,14 @@ export class FilterManager {
    */
   getDefaultFilterOptions() {
     // Set default date range to include all of 2024 and 2025 data
-    const minDate = new Date('2024-01-01');
-    const maxDate = new Date('2025-05-31');
+    const minDate = createDay(2024, 1, 1);
+    const maxDate = createDay(2025, 5, 31);
     
     return {
       lenders: ['all_lenders'],
       purchaseTypes: ['all_purchase_types'],
+      sources: [],
+      derivedFieldValues: {},
       ltvRanges: [
         { value: 'all', label: 'All LTV' },
         { value: 'below-80', label: 'Below 80%' },
@@ -14,13 +14,18 @@ export class StateManager {
       filters: {
         dateRange: [null, null],
         lenders: [],
+        lenderLevel: 'brand',
         ltvRange: 'all',
-        purchaseTypes: ['all_purchase_types']
+        purchaseTypes: ['all_purchase_types'],
+        sources: ['all_sources'],
+        derivedFields: {}
       },
       ui: {
         loading: false,
         selectedView: 'table',
-        selectedPremiumBands: []
+        selectedPremiumBands: [],
+        tableRowField: 'PremiumBand',
+        timeGrain: 'month'
       }
     };
     this.subscribers = new Map();
@@ -154,19 +159,24 @@ export class StateManager {
       this.state = {
         data: {
           raw: this.state.data.raw, // Keep raw data
-          filtered: this.state.data.raw,
+          filtered: null, // Every record
           aggregated: null
         },
         filters: {
           dateRange: [null, null],
           lenders: [],
+          lenderLevel: 'brand',
           ltvRange: 'all',
-          purchaseTypes: ['all_purchase_types']
+          purchaseTypes: ['all_purchase_types'],
+          sources: ['all_sources'],
+          derivedFields: {}
         },
         ui: {
           loading: false,
           selectedView: 'table',
-          selectedPremiumBands: []
+          selectedPremiumBands: [],
+          tableRowField: 'PremiumBand',
+          timeGrain: 'month'
         }
       };
       this.notifySubscribers('*');
@@ -176,13 +186,18 @@ export class StateManager {
         'filters': {
           dateRange: [null, null],
           lenders: [],
+          lenderLevel: 'brand',
           ltvRange: 'all',
-          purchaseTypes: ['all_purchase_types']
+          purchaseTypes: ['all_purchase_types'],
+          sources: ['all_sources'],
+          derivedFields: {}
         },
         'ui': {
           loading: false,
           selectedView: 'table',
-          selectedPremiumBands: []
+          selectedPremiumBands: [],
+          tableRowField: 'PremiumBand',
+          timeGrain: 'month'
         }
       };
       
@@ -0,0 +1,90 @@
+/**
+ * checksumUtils.js
+ * Incremental checksum helpers used to verify dataset files against the manifest
+ *
+ * Checksums are 32-bit FNV-1a hashes over the UTF-8 bytes of a file, written as
+ * "fnv1a32:<8 hex digits>". They are cheap to compute incrementally, so the same
+ * value can be produced from a whole string, from streamed byte chunks or offline.
+ */
+
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * Prefix written in front of every checksum string
+ */
+export const CHECKSUM_ALGORITHM = 'fnv1a32';
+
+/**
+ * Create an incremental checksum
+ * @returns {Object} Checksum with update(bytes), updateText(text), digest() and a running byteLength
+ */
+export function createChecksum() {
+  let hash = FNV_OFFSET_BASIS;
+
+  const checksum = {
+    byteLength: 0,
+
+    /**
+     * Add raw bytes to the checksum
+     * @param {Uint8Array} bytes - Bytes to add
+     */
+    update(bytes) {
+      for (let i = 0; i < bytes.length; i++) {
+        addByte(bytes[i]);
+      }
+    },
+
+    /**
+     * Add a string to the checksum, encoded as UTF-8
+     * @param {string} text - Text to add
+     */
+    updateText(text) {
+      for (const char of text) {
+        const codePoint = char.codePointAt(0);
+        if (codePoint < 0x80) {
+          addByte(codePoint);
+        } else if (codePoint < 0x800) {
+          addByte(0xc0 | (codePoint >> 6));
+          addByte(0x80 | (codePoint & 0x3f));
+        } else if (codePoint < 0x10000) {
+          addByte(0xe0 | (codePoint >> 12));
+          addByte(0x80 | ((codePoint >> 6) & 0x3f));
+          addByte(0x80 | (codePoint & 0x3f));
+        } else {
+          addByte(0xf0 | (codePoint >> 18));
+          addByte(0x80 | ((codePoint >> 12) & 0x3f));
+          addByte(0x80 | ((codePoint >> 6) & 0x3f));
+          addByte(0x80 | (codePoint & 0x3f));
+        }
+      }
+    },
+
+    /**
+     * Get the checksum string for everything added so far
+     * @returns {string} Checksum (e.g., "fnv1a32:0f3a9c21")
+     */
+    digest() {
+      return `${CHECKSUM_ALGORITHM}:${hash.toString(16).padStart(8, '0')}`;
+    }
+  };
+
+  const addByte = byte => {
+    hash ^= byte;
+    hash = Math.imul(hash, FNV_PRIME) >>> 0;
+    checksum.byteLength++;
+  };
+
+  return checksum;
+}
+
+/**
+ * Compute the checksum of a complete string
+ * @param {string} text - File contents
+ * @returns {string} Checksum string
+ */
+export function checksumText(text) {
+  const checksum = createChecksum();
+  checksum.updateText(text || '');
+  return checksum.digest();
+}
@@ -0,0 +1,344 @@
+/**
+ * dateUtils.js
+ * The single date-parsing policy for DocumentDate and other calendar days
+ *
+ * A calendar day is represented everywhere as a Date at 00:00 UTC on that day.
+ * Reading it with the UTC getters (or toDayKey/toMonthKey) gives the same day in
+ * every time zone, in workers and after a round trip through IndexedDB, so month
+ * bucketing and date-range filters always agree. Weeks, quarters and financial
+ * years (see TIME_GRAINS) are bucketed from the same UTC day.
+ *
+ * Numeric dates are read with a declared format per source file. With the 'auto'
+ * format the whole column is inspected first (detectDateFormat): a value such as
+ * 31/01/2025 settles day-first, 01/31/2025 settles month-first, and a column with
+ * no deciding value is ambiguous and falls back to DEFAULT_AMBIGUOUS_DATE_FORMAT.
+ */
+
+/**
+ * Supported date formats. 'auto' detects the format from the whole column.
+ */
+export const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+/**
+ * Format assumed when a column cannot tell day-first from month-first (the extracts are UK data)
+ */
+export const DEFAULT_AMBIGUOUS_DATE_FORMAT = 'DD/MM/YYYY';
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/;
+const NUMERIC_DATE = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{2,4})(?:[T ].*)?$/;
+const NAMED_MONTH_DATE = /^(\d{1,2})[\s/-]([A-Za-z]{3,})\.?[\s/-](\d{2,4})$/;
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Create a calendar day
+ * @param {number} year - Full year (two-digit years are read as 20xx)
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Date|null} Day at 00:00 UTC, or null if the day does not exist
+ */
+export function createDay(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  // Date.UTC rolls 31/02 over into March; such days do not exist
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Check whether a value is a valid calendar day
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a valid Date
+ */
+export function isValidDay(value) {
+  return value instanceof Date && !isNaN(value.getTime());
+}
+
+/**
+ * Parse a date value into a calendar day
+ * @param {string|Date|number} value - Date string, Date, or timestamp in milliseconds
+ * @param {string} format - One of DATE_FORMATS; decides how numeric day/month strings are read
+ * @returns {Date|null} Day at 00:00 UTC, or null if the value is not a date
+ */
+export function parseDate(value, format = 'auto') {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return createDay(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+
+  // Year-first dates are unambiguous; any time part is ignored so the day is the one written
+  const iso = ISO_DATE.exec(text);
+  if (iso) {
+    return createDay(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const numeric = NUMERIC_DATE.exec(text);
+  if (numeric) {
+    const [first, second, third] = numeric.slice(1, 4).map(Number);
+    if (numeric[1].length === 4) {
+      return createDay(first, second, third); // YYYY/MM/DD
+    }
+    const resolvedFormat = format === 'auto' ? detectDateFormat([text]).format : format;
+    return resolvedFormat === 'MM/DD/YYYY'
+      ? createDay(third, first, second)
+      : createDay(third, second, first);
+  }
+
+  const named = NAMED_MONTH_DATE.exec(text);
+  if (named) {
+    const month = MONTH_NAMES.indexOf(named[2].slice(0, 3).toLowerCase());
+    return month === -1 ? null : createDay(Number(named[3]), month + 1, Number(named[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Work out whether a column of numeric dates is day-first or month-first
+ * @param {Iterable<*>} values - Every value in the column
+ * @returns {Object} { format, ambiguous, conflicting, dayFirstCount, monthFirstCount }
+ *   format is the detected format, or DEFAULT_AMBIGUOUS_DATE_FORMAT when nothing decides it;
+ *   conflicting is true when some values only make sense day-first and others only month-first
+ */
+export function detectDateFormat(values) {
+  let numericCount = 0;
+  let dayFirstCount = 0;
+  let monthFirstCount = 0;
+
+  for (const value of values) {
+    if (typeof value !== 'string') continue;
+    const match = NUMERIC_DATE.exec(value.trim());
+    if (!match || match[1].length === 4) continue;
+
+    numericCount++;
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    if (first > 12 && second <= 12) dayFirstCount++;
+    if (second > 12 && first <= 12) monthFirstCount++;
+  }
+
+  const conflicting = dayFirstCount > 0 && monthFirstCount > 0;
+  let format = DEFAULT_AMBIGUOUS_DATE_FORMAT;
+  if (numericCount === 0) {
+    format = 'YYYY-MM-DD';
+  } else if (!conflicting && monthFirstCount > 0) {
+    format = 'MM/DD/YYYY';
+  } else if (!conflicting && dayFirstCount > 0) {
+    format = 'DD/MM/YYYY';
+  }
+
+  return {
+    format,
+    ambiguous: numericCount > 0 && dayFirstCount === 0 && monthFirstCount === 0,
+    conflicting,
+    dayFirstCount,
+    monthFirstCount
+  };
+}
+
+/**
+ * Format a calendar day as YYYY-MM-DD
+ * @param {Date} date - Calendar day
+ * @returns {string} Day key ('' for invalid dates)
+ */
+export function toDayKey(date) {
+  if (!isValidDay(date)) return '';
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format the month of a calendar day as YYYY-MM
+ * @param {Date} date - Calendar day
+ * @returns {string} Month key ('' for invalid dates)
+ */
+export function toMonthKey(date) {
+  if (!isValidDay(date)) return '';
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the first day of the month after a calendar day's month
+ * @param {Date} date - Calendar day
+ * @returns {Date} First day of the following month
+ */
+export function nextMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Time grains calendar days can be bucketed by: grain -> { label }. Period keys sort in time order:
+ * - week: weeks start on Monday, keyed by that day (2025-01-06)
+ * - month: 2025-01, the month key
+ * - quarter: calendar quarters (2025-Q1)
+ * - year: calendar years (2025)
+ * - financialYear: UK financial years, 1 April to 31 March (FY2024-25)
+ */
+export const TIME_GRAINS = {
+  week: { label: 'Weekly' },
+  month: { label: 'Monthly' },
+  quarter: { label: 'Quarterly' },
+  year: { label: 'Calendar year' },
+  financialYear: { label: 'Financial year' }
+};
+
+const MONTHS_PER_PERIOD = { month: 1, quarter: 3, year: 12, financialYear: 12 };
+
+/**
+ * Check a time grain
+ * @param {string} grain - Time grain
+ * @throws {Error} If the grain is not one of TIME_GRAINS
+ */
+function assertTimeGrain(grain) {
+  if (!TIME_GRAINS[grain]) {
+    throw new Error(`Unknown time grain: ${grain} (expected one of ${Object.keys(TIME_GRAINS).join(', ')})`);
+  }
+}
+
+/**
+ * Get the first day of the period a calendar day is in
+ * @param {Date} date - Calendar day
+ * @param {string} grain - One of TIME_GRAINS (default 'month')
+ * @returns {Date|null} First day of the period, or null for invalid dates
+ * @throws {Error} If the grain is unknown
+ */
+export function getPeriodStart(date, grain = 'month') {
+  assertTimeGrain(grain);
+  if (!isValidDay(date)) return null;
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (grain) {
+    case 'week':
+      return new Date(Date.UTC(year, month, date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+    case 'quarter':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'year':
+      return new Date(Date.UTC(year, 0, 1));
+    case 'financialYear':
+      return new Date(Date.UTC(month < 3 ? year - 1 : year, 3, 1));
+    default:
+      return new Date(Date.UTC(year, month, 1));
+  }
+}
+
+/**
+ * Get the first day of the period after the one a calendar day is in
+ * @param {Date} date - Calendar day
+ * @param {string} grain - One of TIME_GRAINS (default 'month')
+ * @returns {Date|null} First day of the following period, or null for invalid dates
+ */
+export function nextPeriod(date, grain = 'month') {
+  const start = getPeriodStart(date, grain);
+  if (!start) return null;
+  if (grain === 'week') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 7));
+  }
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + MONTHS_PER_PERIOD[grain], 1));
+}
+
+/**
+ * Format the period of a calendar day as its key
+ * @param {Date} date - Calendar day
+ * @param {string} grain - One of TIME_GRAINS (default 'month', where the key is the month key)
+ * @returns {string} Period key ('' for invalid dates)
+ * @throws {Error} If the grain is unknown
+ */
+export function toPeriodKey(date, grain = 'month') {
+  const start = getPeriodStart(date, grain);
+  if (!start) return '';
+  const year = start.getUTCFullYear();
+  switch (grain) {
+    case 'week':
+      return toDayKey(start);
+    case 'quarter':
+      return `${year}-Q${start.getUTCMonth() / 3 + 1}`;
+    case 'year':
+      return String(year);
+    case 'financialYear':
+      return `FY${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+    default:
+      return toMonthKey(start);
+  }
+}
+
+/**
+ * Read a period key back as the first day of the period
+ * @param {string} key - Period key (see toPeriodKey)
+ * @param {string} grain - One of TIME_GRAINS (default 'month')
+ * @returns {Date|null} First day of the period, or null if the key is not one of the grain
+ */
+export function parsePeriodKey(key, grain = 'month') {
+  assertTimeGrain(grain);
+  const patterns = {
+    week: /^(\d{4})-(\d{2})-(\d{2})$/,
+    month: /^(\d{4})-(\d{2})$/,
+    quarter: /^(\d{4})-Q([1-4])$/,
+    year: /^(\d{4})$/,
+    financialYear: /^FY(\d{4})-\d{2}$/
+  };
+  const match = patterns[grain].exec(String(key));
+  if (!match) return null;
+  const year = Number(match[1]);
+  switch (grain) {
+    case 'week':
+      return createDay(year, Number(match[2]), Number(match[3]));
+    case 'quarter':
+      return createDay(year, (Number(match[2]) - 1) * 3 + 1, 1);
+    case 'year':
+      return createDay(year, 1, 1);
+    case 'financialYear':
+      return createDay(year, 4, 1);
+    default:
+      return createDay(year, Number(match[2]), 1);
+  }
+}
+
+/**
+ * List the periods from a start day to an end day
+ * @param {Date|string} start - First day (parsed with parseDate)
+ * @param {Date|string} end - Last day (parsed with parseDate)
+ * @param {string} grain - One of TIME_GRAINS (default 'month')
+ * @returns {Array<string>} Keys of every period overlapping the range, in order (none if either day is missing)
+ */
+export function getPeriodsInRange(start, end, grain = 'month') {
+  const startDay = parseDate(start);
+  const endDay = parseDate(end);
+  assertTimeGrain(grain);
+  if (!startDay || !endDay) return [];
+
+  const periods = [];
+  for (let day = getPeriodStart(startDay, grain); day <= endDay; day = nextPeriod(day, grain)) {
+    periods.push(toPeriodKey(day, grain));
+  }
+  return periods;
+}
+
+/**
+ * Format a period key for display: w/c 06 Jan 25, Jan 25, Q1 2025, 2025 or FY 2024/25
+ * @param {string} key - Period key (see toPeriodKey)
+ * @param {string} grain - One of TIME_GRAINS (default 'month')
+ * @returns {string} Label, or the key itself if it is not one of the grain
+ */
+export function formatPeriodLabel(key, grain = 'month') {
+  const start = parsePeriodKey(key, grain);
+  if (!start) return String(key);
+  const year = start.getUTCFullYear();
+  switch (grain) {
+    case 'week':
+      return `w/c ${start.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: '2-digit', timeZone: 'UTC' })}`;
+    case 'quarter':
+      return `Q${start.getUTCMonth() / 3 + 1} ${year}`;
+    case 'year':
+      return String(year);
+    case 'financialYear':
+      return `FY ${year}/${String((year + 1) % 100).padStart(2, '0')}`;
+    default:
+      return start.toLocaleDateString('en-GB', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+  }
+}
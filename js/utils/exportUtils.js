@@ -0,0 +1,64 @@
+/**
+ * exportUtils.js
+ * Helpers for exporting generated content as file downloads
+ */
+
+import { isValidDay, toDayKey } from './dateUtils.js';
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value - Value to quote
+ * @returns {string} CSV field
+ */
+export function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export records as CSV, one column per name given. Calendar days are written as YYYY-MM-DD.
+ * @param {Array<Object>} records - Records
+ * @param {Array<string>} columns - Columns to write, in order
+ * @returns {string} CSV text
+ */
+export function recordsToCSV(records, columns) {
+  const lines = [columns.map(toCsvField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => {
+      const value = record[column];
+      return toCsvField(isValidDay(value) ? toDayKey(value) : value);
+    }).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Download text content as a file
+ * @param {string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type (default: CSV)
+ */
+export function downloadFile(content, fileName, mimeType = 'text/csv;charset=utf-8') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Build a file name stamped with today's date, e.g. "data-quality-2025-06-01.csv"
+ * @param {string} baseName - Name without extension
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export function datedFileName(baseName, extension) {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${baseName}-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.${extension}`;
+}
@@ -56,3 +56,16 @@ export function formatNumber(value, decimals = 0) {
     maximumFractionDigits: decimals
   }).format(value);
 }
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
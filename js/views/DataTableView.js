@@ -3,11 +3,15 @@
  * Renders mortgage data in a tabular format using the DataTable component
  * 
  * This view handles the display of aggregated mortgage data in a table format,
- * showing premium bands as rows and months as columns, with totals and market share.
+ * showing premium bands as rows and months (or another time grain) as columns, with totals and market share.
  */
 
 import { DataTable } from '../components/DataTable.js';
 import { COLUMN_MAP, formatDate } from '../data/ColumnMapper.js';
+import { ROW_DIMENSIONS } from '../data/DataAggregator.js';
+import { BAND_WIDTHS } from '../data/PremiumBands.js';
+import { TIME_GRAINS } from '../utils/dateUtils.js';
+import { datedFileName, downloadFile, recordsToCSV } from '../utils/exportUtils.js';
 
 export class DataTableView {
   /**
@@ -15,11 +19,16 @@ export class DataTableView {
    * @param {HTMLElement} container - Container element for the table
    * @param {Object} dataManager - DataManager instance
    * @param {Object} stateManager - StateManager instance
+   * @param {Object} actions - View actions
+   * @param {Function} actions.onBandSettingsChange - Called (and awaited) with { width, origin } when the premium bands change
+   * @param {Function} actions.onReaggregate - Called (and awaited) with aggregation options, e.g. { rowField }, to aggregate
+   *   the filtered records again (see FilterManager.reaggregate)
    */
-  constructor(container, dataManager, stateManager) {
+  constructor(container, dataManager, stateManager, actions = {}) {
     this.container = container;
     this.dataManager = dataManager;
     this.stateManager = stateManager;
+    this.actions = actions;
     this.dataTable = null;
     this.rawDataTable = null;
     this.isInitialized = false;
@@ -198,8 +207,140 @@ export class DataTableView {
    * @private
    */
   createViewControls() {
-    // View controls have been removed as requested
+    // The aggregated/raw view buttons have been removed as requested
     // The view is now permanently set to 'aggregated'
+    
+    // Row selector: premium bands or a categorical derived field
+    const controls = document.createElement('div');
+    controls.className = 'table-view-controls';
+    
+    const label = document.createElement('label');
+    label.textContent = 'Rows ';
+    
+    const select = document.createElement('select');
+    select.className = 'select table-row-field';
+    const rowField = this.stateManager.getState('ui.tableRowField') || 'PremiumBand';
+    Object.entries(ROW_DIMENSIONS).forEach(([column, dimension]) => {
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = dimension.label;
+      option.selected = column === rowField;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => this.setRowField(select.value));
+    
+    label.appendChild(select);
+    controls.appendChild(label);
+    
+    // Column periods: weeks, months, quarters, calendar or financial years
+    const grainLabel = document.createElement('label');
+    grainLabel.textContent = 'Periods ';
+    const grainSelect = document.createElement('select');
+    grainSelect.className = 'select table-time-grain';
+    const timeGrain = this.stateManager.getState('ui.timeGrain') || 'month';
+    Object.entries(TIME_GRAINS).forEach(([grain, { label: grainName }]) => {
+      const option = document.createElement('option');
+      option.value = grain;
+      option.textContent = grainName;
+      option.selected = grain === timeGrain;
+      grainSelect.appendChild(option);
+    });
+    grainSelect.addEventListener('change', () => this.setTimeGrain(grainSelect.value));
+    grainLabel.appendChild(grainSelect);
+    controls.appendChild(grainLabel);
+    
+    // Premium band width and origin, in basis points
+    const { width, origin } = this.dataManager.bandSettings;
+    const widthLabel = document.createElement('label');
+    widthLabel.textContent = 'Band width ';
+    const widthSelect = document.createElement('select');
+    widthSelect.className = 'select band-width';
+    BAND_WIDTHS.forEach(bandWidth => {
+      const option = document.createElement('option');
+      option.value = bandWidth;
+      option.textContent = `${bandWidth}bps`;
+      option.selected = bandWidth === width;
+      widthSelect.appendChild(option);
+    });
+    widthLabel.appendChild(widthSelect);
+    controls.appendChild(widthLabel);
+    
+    const originLabel = document.createElement('label');
+    originLabel.textContent = 'Origin (bps) ';
+    const originInput = document.createElement('input');
+    originInput.type = 'number';
+    originInput.step = 'any';
+    originInput.className = 'band-origin';
+    originInput.value = origin;
+    originLabel.appendChild(originInput);
+    controls.appendChild(originLabel);
+    
+    const applyBands = () => this.setBandSettings({ width: Number(widthSelect.value), origin: Number(originInput.value) || 0 });
+    widthSelect.addEventListener('change', applyBands);
+    originInput.addEventListener('change', applyBands);
+    
+    this.bandControls = [widthSelect, originInput];
+    this.container.appendChild(controls);
+  }
+  
+  /**
+   * Re-bucket the premium bands, disabling the band controls until the views are refreshed
+   * @param {Object} settings - { width, origin } in basis points
+   * @private
+   */
+  async setBandSettings(settings) {
+    if (!this.actions.onBandSettingsChange) return;
+    
+    this.bandControls.forEach(control => { control.disabled = true; });
+    try {
+      await this.actions.onBandSettingsChange(settings);
+    } catch (error) {
+      console.error('[DataTableView] Changing the premium bands failed:', error);
+    } finally {
+      const { width, origin } = this.dataManager.bandSettings;
+      const [widthSelect, originInput] = this.bandControls;
+      widthSelect.value = width;
+      originInput.value = origin;
+      this.bandControls.forEach(control => { control.disabled = false; });
+    }
+  }
+  
+  /**
+   * Use another column as table rows and re-aggregate the filtered data
+   * @param {string} rowField - ROW_DIMENSIONS column
+   * @private
+   */
+  async setRowField(rowField) {
+    this.stateManager.setState('ui.tableRowField', rowField);
+    await this.reaggregate({ rowField });
+  }
+  
+  /**
+   * Bucket the table columns by another time grain and re-aggregate the filtered data
+   * @param {string} timeGrain - One of TIME_GRAINS
+   * @private
+   */
+  async setTimeGrain(timeGrain) {
+    this.stateManager.setState('ui.timeGrain', timeGrain);
+    await this.reaggregate({ timeGrain });
+  }
+  
+  /**
+   * Aggregate the filtered records again with other options, in the query worker like a filter run
+   * @param {Object} options - Aggregation options, e.g. { rowField } or { timeGrain }
+   * @private
+   */
+  async reaggregate(options) {
+    const data = this.stateManager.state.data.filtered || this.stateManager.state.data.raw;
+    if (!data || data.length === 0 || !this.actions.onReaggregate) return;
+    
+    this.stateManager.setState('ui.isApplyingFilters', true);
+    try {
+      await this.actions.onReaggregate(options);
+    } catch (error) {
+      console.error(`[DataTableView] Re-aggregating by ${Object.keys(options).join(', ')} failed:`, error);
+      this.stateManager.setState('ui.isApplyingFilters', false);
+    }
   }
   
   /**
@@ -275,4 +416,15 @@ export class DataTableView {
       this.dataTable.table.download("csv", "mortgage_data_aggregated.csv");
     }
   }
+  
+  /**
+   * Export the filtered records to CSV, including their derived fields. Only the exported records
+   * are rebuilt from the loaded columns, and only with the exported columns.
+   */
+  exportRecordsCSV() {
+    const { raw: store, filtered } = this.stateManager.state.data;
+    const columns = this.dataManager.getExportColumns();
+    const records = store ? store.getRecords(filtered, columns) : [];
+    downloadFile(recordsToCSV(records, columns), datedFileName('mortgage-records', 'csv'));
+  }
 }
@@ -0,0 +1,290 @@
+/**
+ * DistributionView.js
+ * Renders the loan-weighted distribution of margin, rate or LTV for the selected lenders and the market
+ *
+ * The selected lenders are the records of the applied filters; the market is the records of the same filters
+ * without the lender filter. Both are described from the columns of the loaded records by
+ * DataAggregator.calculateStoreDistribution, with percentiles per segment (and per selected lender) and a
+ * histogram on shared bins. Margins are those of the basis whose bands
+ * are the data table's rows (see DerivedFields.getMarginBasis).
+ */
+
+import { getLenderColumn } from '../data/ColumnMapper.js';
+import { DataAggregator, DISTRIBUTION_METRICS, PERCENTILES } from '../data/DataAggregator.js';
+import { DerivedFields, MARGIN_BASES } from '../data/DerivedFields.js';
+import { FilterManager } from '../filters/FilterManager.js';
+import { escapeHtml, formatNumber } from '../utils/formatUtils.js';
+
+export class DistributionView {
+  /**
+   * Create a new DistributionView instance
+   * @param {HTMLElement} container - Container element for the view
+   * @param {Object} dataManager - DataManager instance
+   * @param {Object} stateManager - StateManager instance
+   */
+  constructor(container, dataManager, stateManager) {
+    this.container = container;
+    this.dataManager = dataManager;
+    this.stateManager = stateManager;
+    this.metric = 'margin';
+    this.filters = { ...this.stateManager.state.filters };
+    this.segments = null;
+    this.distributions = null;
+    this.isStale = true;
+    this.calculation = 0;
+    this.message = null;
+
+    // The filtered data is set when filters are applied: keep those filters, as the filter panel may change them
+    // before they are applied again
+    this.stateManager.subscribe('data.filtered', () => {
+      this.filters = { ...this.stateManager.state.filters };
+      this.isStale = true;
+      if (!this.container.classList.contains('hidden')) this.activateView();
+    });
+
+    // Margins follow the basis of the table rows
+    this.stateManager.subscribe('ui.tableRowField', () => {
+      if (this.getBasis() === this.distributions?.market.basis) return;
+      this.describeSegments();
+      if (!this.container.classList.contains('hidden')) this.render();
+    });
+
+    this.container.addEventListener('change', event => {
+      if (event.target.classList.contains('distribution-metric')) {
+        this.metric = event.target.value;
+        this.describeSegments();
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Activates the view, gathering the segments again if the filtered data changed while it was hidden.
+   * Called when the tab for this view becomes active.
+   */
+  async activateView() {
+    if (!this.isStale) {
+      this.render();
+      return;
+    }
+
+    this.isStale = false;
+    const calculation = ++this.calculation;
+    this.message = null;
+    this.render();
+    try {
+      const segments = await this.gatherSegments();
+      // A later change of the filtered data has started another calculation
+      if (calculation !== this.calculation) return;
+      this.segments = segments;
+      this.describeSegments();
+    } catch (error) {
+      if (calculation !== this.calculation) return;
+      console.error('[DistributionView] Gathering the market records failed:', error);
+      this.segments = null;
+      this.distributions = null;
+      this.message = error.message;
+    }
+    this.render();
+  }
+
+  /**
+   * Find the selected lenders' records and the market's: the applied filters without the lender filter
+   * @returns {Promise<Object>} { store, selected, market, lenders, lenderColumn }, where selected and market are
+   *   positions of records in the store (null for every record) and lenders is null without a lender filter
+   * @private
+   */
+  async gatherSegments() {
+    // Before any data is loaded, the data manager's store is empty
+    const store = this.stateManager.state.data.raw || this.dataManager.store;
+    const selected = this.stateManager.state.data.filtered || null;
+    if (!FilterManager.getActiveFilters(this.filters).has('lenders')) {
+      return { store, selected, market: selected, lenders: null, lenderColumn: null };
+    }
+
+    const marketFilters = { ...this.filters, lenders: ['all_lenders'] };
+    const market = FilterManager.getActiveFilters(marketFilters).size > 0
+      ? await this.dataManager.dataService.filter(marketFilters)
+      : null;
+    return {
+      store,
+      selected,
+      market,
+      lenders: this.filters.lenders,
+      lenderColumn: getLenderColumn(this.filters.lenderLevel)
+    };
+  }
+
+  /**
+   * Get the margin basis of the data table's rows
+   * @returns {string} MARGIN_BASES key
+   * @private
+   */
+  getBasis() {
+    return DerivedFields.getMarginBasis(this.stateManager.getState('ui.tableRowField'));
+  }
+
+  /**
+   * Describe the segments for the chosen metric, on the bins of the market
+   * @private
+   */
+  describeSegments() {
+    if (!this.segments) return;
+
+    const { store, selected, market, lenders, lenderColumn } = this.segments;
+    const { metric } = this;
+    const basis = this.getBasis();
+    // Records in the reportable bands of the basis
+    const { bandColumn } = MARGIN_BASES[basis];
+    const isReportable = DataAggregator.createReportableMatcher(store, bandColumn);
+    const marketDistribution = DataAggregator.calculateStoreDistribution(store, market, { metric, basis, filter: isReportable });
+    if (!lenders) {
+      this.distributions = { market: marketDistribution, selected: null, lenders: [] };
+      return;
+    }
+
+    const binRange = [marketDistribution.min, marketDistribution.max];
+    this.distributions = {
+      market: marketDistribution,
+      selected: DataAggregator.calculateStoreDistribution(store, selected, { metric, basis, filter: isReportable, binRange }),
+      // Each lender on its own when several are selected
+      lenders: lenders.length > 1
+        ? lenders.map(lender => {
+          const isLender = store.createMatcher(lenderColumn, [lender]);
+          return {
+            lender,
+            distribution: DataAggregator.calculateStoreDistribution(store, selected, {
+              metric,
+              basis,
+              filter: index => isLender(index) && isReportable(index),
+              binRange
+            })
+          };
+        })
+        : []
+    };
+  }
+
+  /**
+   * Render the percentiles of a segment as a table row
+   * @param {string} label - Segment name
+   * @param {Object} distribution - See DataAggregator.calculateDistribution
+   * @param {Function} format - Value formatter
+   * @returns {string} HTML
+   * @private
+   */
+  renderPercentileRow(label, distribution, format) {
+    const value = number => (number === null ? '-' : format(number));
+    return `
+      <tr>
+        <td>${escapeHtml(label)}</td>
+        <td class="text-right">${formatNumber(distribution.count)}</td>
+        ${PERCENTILES.map(percentile => `<td class="text-right">${value(distribution.percentiles[percentile])}</td>`).join('')}
+        <td class="text-right">${value(distribution.weightedMean)}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Render the histogram of the market, with the selected lenders' bars alongside
+   * @param {Object} market - Market distribution
+   * @param {Object|null} selected - Selected lenders' distribution, on the same bins
+   * @param {Function} format - Value formatter
+   * @returns {string} HTML
+   * @private
+   */
+  renderHistogram(market, selected, format) {
+    const bins = selected ? selected.histogram : market.histogram;
+    const marketBins = new Map(market.histogram.map(bin => [bin.from, bin]));
+    const largestShare = Math.max(...bins.map(bin => Math.max(bin.share, marketBins.get(bin.from)?.share || 0)), 0);
+    const bar = (share, className) => `
+      <div class="distribution-bar ${className}" style="width: ${largestShare > 0 ? (share / largestShare) * 100 : 0}%"
+        title="${formatNumber(share, 1)}% of the loan amount"></div>
+    `;
+
+    return `
+      <table class="dataset-table distribution-histogram">
+        <thead>
+          <tr>
+            <th>${market.label}</th>
+            <th class="text-right">Market</th>
+            ${selected ? '<th class="text-right">Selected lenders</th>' : ''}
+            <th class="distribution-bars">
+              <span class="distribution-key distribution-bar-market"></span> Market
+              ${selected ? '<span class="distribution-key distribution-bar-selected"></span> Selected lenders' : ''}
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          ${bins.map(bin => {
+            const marketShare = marketBins.get(bin.from)?.share || 0;
+            return `
+              <tr>
+                <td>${format(bin.from)} to ${format(bin.to)}</td>
+                <td class="text-right">${formatNumber(marketShare, 1)}%</td>
+                ${selected ? `<td class="text-right">${formatNumber(bin.share, 1)}%</td>` : ''}
+                <td class="distribution-bars">
+                  ${bar(marketShare, 'distribution-bar-market')}
+                  ${selected ? bar(bin.share, 'distribution-bar-selected') : ''}
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Render the view
+   */
+  render() {
+    const metric = DISTRIBUTION_METRICS[this.metric];
+    const format = value => `${formatNumber(value, metric.decimals)}${metric.unit}`;
+    const basisLabel = MARGIN_BASES[this.getBasis()].label;
+    const options = Object.entries(DISTRIBUTION_METRICS)
+      .map(([key, { label }]) => `<option value="${key}" ${key === this.metric ? 'selected' : ''}>${key === 'margin' ? basisLabel : label}</option>`)
+      .join('');
+    const distributions = this.distributions;
+
+    let content;
+    if (this.message) {
+      content = `<p class="import-message import-message-error">${escapeHtml(this.message)}</p>`;
+    } else if (this.isStale || !distributions) {
+      content = '<p class="text-muted">Calculating...</p>';
+    } else if (distributions.market.count === 0) {
+      content = '<p class="no-data-message">No data to display</p>';
+    } else {
+      const { market, selected, lenders } = distributions;
+      content = `
+        <p class="text-muted">
+          ${market.label}, loan-weighted: the median is the value with half of the loan amount at or below it.
+          ${selected ? 'The market is the applied filters without the lender filter.' : 'Select lenders in the filters to compare them with the market.'}
+        </p>
+        <table class="dataset-table distribution-percentiles">
+          <thead>
+            <tr>
+              <th>Segment</th>
+              <th class="text-right">Loans</th>
+              ${PERCENTILES.map(percentile => `<th class="text-right">${percentile === 50 ? 'Median' : `P${percentile}`}</th>`).join('')}
+              <th class="text-right">Mean</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.renderPercentileRow('Market', market, format)}
+            ${selected ? this.renderPercentileRow('Selected lenders', selected, format) : ''}
+            ${lenders.map(({ lender, distribution }) => this.renderPercentileRow(lender, distribution, format)).join('')}
+          </tbody>
+        </table>
+        ${this.renderHistogram(market, selected, format)}
+      `;
+    }
+
+    this.container.innerHTML = `
+      <div class="table-view-controls">
+        <label>Metric <select class="select distribution-metric">${options}</select></label>
+      </div>
+      ${content}
+    `;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * PricingView.js
+ * Renders the loan-weighted pricing metrics of the filtered data
+ *
+ * This view shows one metric at a time (initial rate, swap rate, gross margin, LTV or term), with premium bands
+ * as rows and the periods of the time grain as columns. Each cell holds the loan-weighted average with the range
+ * of the values, so pricing can be followed alongside the volumes of the data table. Bands and margins are those
+ * of the basis whose bands are the data table's rows (see DerivedFields.getMarginBasis).
+ */
+
+import { DataAggregator, PRICING_METRICS, ROW_DIMENSIONS } from '../data/DataAggregator.js';
+import { DerivedFields, MARGIN_BASES } from '../data/DerivedFields.js';
+import { formatPeriodLabel } from '../utils/dateUtils.js';
+import { formatNumber } from '../utils/formatUtils.js';
+
+export class PricingView {
+  /**
+   * Create a new PricingView instance
+   * @param {HTMLElement} container - Container element for the view
+   * @param {Object} dataManager - DataManager instance
+   * @param {Object} stateManager - StateManager instance
+   */
+  constructor(container, dataManager, stateManager) {
+    this.container = container;
+    this.dataManager = dataManager;
+    this.stateManager = stateManager;
+    this.metric = 'rate';
+    this.averages = null;
+    this.isStale = true;
+
+    // Recalculate when the filters, the time grain or the margin basis change, straight away only if the view is showing
+    const invalidate = () => {
+      this.isStale = true;
+      if (!this.container.classList.contains('hidden')) this.activateView();
+    };
+    this.stateManager.subscribe('data.filtered', invalidate);
+    this.stateManager.subscribe('ui.timeGrain', invalidate);
+    this.stateManager.subscribe('ui.tableRowField', () => {
+      const basis = DerivedFields.getMarginBasis(this.stateManager.getState('ui.tableRowField'));
+      if (basis !== this.averages?.basis) invalidate();
+    });
+
+    this.container.addEventListener('change', event => {
+      if (event.target.classList.contains('pricing-metric')) {
+        this.metric = event.target.value;
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Activates the view, recalculating the averages if the filtered data changed while it was hidden.
+   * Called when the tab for this view becomes active.
+   */
+  activateView() {
+    if (this.isStale) {
+      this.calculate();
+      this.isStale = false;
+    }
+    this.render();
+  }
+
+  /**
+   * Calculate the weighted averages of the filtered records in reportable bands of the margin basis,
+   * from the columns of the loaded records
+   * @private
+   */
+  calculate() {
+    // Before any data is loaded, the data manager's store is empty
+    const store = this.stateManager.state.data.raw || this.dataManager.store;
+    const filtered = this.stateManager.state.data.filtered || null;
+    const basis = DerivedFields.getMarginBasis(this.stateManager.getState('ui.tableRowField'));
+    const { bandColumn } = MARGIN_BASES[basis];
+
+    this.averages = this.dataManager.calculateWeightedAverages(filtered, {
+      metrics: Object.keys(PRICING_METRICS),
+      includeMonthly: true,
+      basis,
+      timeGrain: this.stateManager.getState('ui.timeGrain') || 'month',
+      filter: DataAggregator.createReportableMatcher(store, bandColumn)
+    });
+  }
+
+  /**
+   * Render a weighted average with its range
+   * @param {Object} cell - { weightedAvg, count, min, max } of calculateWeightedAverages
+   * @param {Object} metric - PRICING_METRICS entry
+   * @returns {string} HTML
+   * @private
+   */
+  renderCell(cell, metric) {
+    if (!cell || cell.count === 0) return '<td class="text-right text-muted">-</td>';
+
+    const format = value => `${formatNumber(value, metric.decimals)}${metric.unit}`;
+    return `
+      <td class="text-right" title="Loans: ${formatNumber(cell.count)}">
+        ${format(cell.weightedAvg)}
+        <div class="text-muted">${format(cell.min)} to ${format(cell.max)}</div>
+      </td>
+    `;
+  }
+
+  /**
+   * Render the view
+   */
+  render() {
+    const averages = this.averages;
+    const basis = MARGIN_BASES[averages ? averages.basis : 'gross'];
+    // The margin is labelled as its basis
+    const labelOf = key => (key === 'margin' ? basis.label : PRICING_METRICS[key].label);
+    const metric = { ...PRICING_METRICS[this.metric], label: labelOf(this.metric) };
+    const options = Object.keys(PRICING_METRICS)
+      .map(key => `<option value="${key}" ${key === this.metric ? 'selected' : ''}>${labelOf(key)}</option>`)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="table-view-controls">
+        <label>Metric <select class="select pricing-metric">${options}</select></label>
+      </div>
+      ${!averages || averages.premiumBands.length === 0 ? '<p class="no-data-message">No data to display</p>' : `
+        <p class="text-muted">${metric.label} of the filtered data, loan-weighted, with the lowest and highest values.</p>
+        <div class="pricing-table-container">
+          <table class="dataset-table pricing-table">
+            <thead>
+              <tr>
+                <th>${ROW_DIMENSIONS[basis.bandColumn].label}</th>
+                ${averages.months.map(period => `<th class="text-right">${formatPeriodLabel(period, averages.timeGrain)}</th>`).join('')}
+                <th class="text-right">All periods</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${averages.premiumBands.map(band => `
+                <tr>
+                  <td>${band}</td>
+                  ${averages.months.map(period => this.renderCell(averages.monthly[this.metric][band][period], metric)).join('')}
+                  ${this.renderCell(averages.metrics[this.metric][band], metric)}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+    `;
+  }
+}
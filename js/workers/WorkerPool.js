@@ -0,0 +1,245 @@
+/**
+ * WorkerPool.js
+ * Small pool of module Web Workers with a request/response message protocol
+ *
+ * Messages sent to a worker:   { id, type, payload }
+ * Messages sent back:          { id, status: 'progress', progress }
+ *                              { id, status: 'done', result }
+ *                              { id, status: 'error', error: { name, message } }
+ *
+ * Tasks can be pinned to a worker slot (so a worker can keep state such as a loaded
+ * dataset between tasks) and cancelled with an AbortSignal. Cancelling a running task
+ * terminates its worker, which is the only way to stop synchronous work in a worker.
+ */
+
+/**
+ * Error used to reject cancelled tasks (name matches DOMException's AbortError)
+ */
+export class TaskCancelledError extends Error {
+  constructor(message = 'Task cancelled') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+export class WorkerPool {
+  /**
+   * Create a new WorkerPool instance. Workers are started lazily.
+   * @param {URL|string} workerUrl - Module worker script
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Number of workers (default: cores - 1, between 1 and 4)
+   */
+  constructor(workerUrl, options = {}) {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    const { size = Math.max(1, Math.min(4, cores - 1)) } = options;
+
+    this.workerUrl = workerUrl;
+    this.slots = Array.from({ length: size }, () => ({ worker: null, task: null }));
+    this.queue = [];
+    this.nextTaskId = 1;
+
+    // Called with the slot index whenever a worker is terminated and replaced
+    this.onWorkerReset = null;
+  }
+
+  /**
+   * Check whether module workers can be used in this environment
+   * @returns {boolean} True if Web Workers are available
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Number of workers in the pool
+   * @returns {number} Pool size
+   */
+  get size() {
+    return this.slots.length;
+  }
+
+  /**
+   * Run a task on a worker
+   * @param {string} type - Task type (see dataTasks.js)
+   * @param {Object} payload - Task payload (must be structured-cloneable)
+   * @param {Object} options - Task options
+   * @param {AbortSignal} options.signal - Signal to cancel the task
+   * @param {Function} options.onProgress - Called with progress messages from the worker
+   * @param {number} options.workerIndex - Pin the task to this worker slot
+   * @param {Array<Transferable>} options.transfer - Objects to transfer rather than copy
+   * @returns {Promise<*>} Task result
+   */
+  run(type, payload, options = {}) {
+    const { signal, onProgress, workerIndex = null, transfer = [] } = options;
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new TaskCancelledError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: this.nextTaskId++,
+        type,
+        payload,
+        transfer,
+        workerIndex,
+        onProgress,
+        resolve,
+        reject,
+        signal,
+        onAbort: null
+      };
+
+      if (signal) {
+        task.onAbort = () => this.cancelTask(task);
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Start queued tasks on idle workers
+   * @private
+   */
+  dispatch() {
+    for (let i = 0; i < this.queue.length; i++) {
+      const task = this.queue[i];
+      const slotIndex = task.workerIndex !== null
+        ? (this.slots[task.workerIndex].task ? -1 : task.workerIndex)
+        : this.slots.findIndex(slot => !slot.task);
+
+      if (slotIndex === -1) continue;
+
+      this.queue.splice(i, 1);
+      i--;
+
+      const slot = this.slots[slotIndex];
+      slot.task = task;
+      task.slotIndex = slotIndex;
+      this.getWorker(slotIndex).postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    }
+  }
+
+  /**
+   * Get (starting if necessary) the worker for a slot
+   * @param {number} slotIndex - Slot index
+   * @returns {Worker} Worker instance
+   * @private
+   */
+  getWorker(slotIndex) {
+    const slot = this.slots[slotIndex];
+    if (slot.worker) return slot.worker;
+
+    const worker = new Worker(this.workerUrl, { type: 'module' });
+    worker.addEventListener('message', event => this.handleMessage(slotIndex, event.data));
+    worker.addEventListener('error', event => {
+      event.preventDefault();
+      console.error(`[WorkerPool] Worker ${slotIndex} failed:`, event.message);
+      this.resetWorker(slotIndex, new Error(event.message || 'Worker error'));
+    });
+
+    slot.worker = worker;
+    return worker;
+  }
+
+  /**
+   * Handle a message from a worker
+   * @param {number} slotIndex - Slot the message came from
+   * @param {Object} message - Message data
+   * @private
+   */
+  handleMessage(slotIndex, message) {
+    const slot = this.slots[slotIndex];
+    const task = slot.task;
+    if (!task || task.id !== message.id) return;
+
+    if (message.status === 'progress') {
+      if (task.onProgress) task.onProgress(message.progress);
+      return;
+    }
+
+    slot.task = null;
+    this.settle(task);
+
+    if (message.status === 'done') {
+      task.resolve(message.result);
+    } else {
+      const error = new Error(message.error?.message || 'Worker task failed');
+      error.name = message.error?.name || 'Error';
+      task.reject(error);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Cancel a queued or running task
+   * @param {Object} task - Task to cancel
+   * @private
+   */
+  cancelTask(task) {
+    const queueIndex = this.queue.indexOf(task);
+    if (queueIndex !== -1) {
+      this.queue.splice(queueIndex, 1);
+      this.settle(task);
+      task.reject(new TaskCancelledError());
+      return;
+    }
+
+    if (task.slotIndex !== undefined && this.slots[task.slotIndex].task === task) {
+      this.resetWorker(task.slotIndex, new TaskCancelledError());
+    }
+  }
+
+  /**
+   * Terminate a slot's worker, rejecting its running task
+   * @param {number} slotIndex - Slot index
+   * @param {Error} reason - Error used to reject the running task
+   * @private
+   */
+  resetWorker(slotIndex, reason) {
+    const slot = this.slots[slotIndex];
+    const task = slot.task;
+
+    if (slot.worker) {
+      slot.worker.terminate();
+      slot.worker = null;
+    }
+    slot.task = null;
+
+    if (task) {
+      this.settle(task);
+      task.reject(reason);
+    }
+
+    if (this.onWorkerReset) this.onWorkerReset(slotIndex);
+    this.dispatch();
+  }
+
+  /**
+   * Remove a finished task's abort listener
+   * @param {Object} task - Finished task
+   * @private
+   */
+  settle(task) {
+    if (task.signal && task.onAbort) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+  }
+
+  /**
+   * Terminate all workers and reject outstanding tasks
+   */
+  terminate() {
+    this.queue.splice(0).forEach(task => {
+      this.settle(task);
+      task.reject(new TaskCancelledError('Worker pool terminated'));
+    });
+    this.slots.forEach((slot, index) => {
+      if (slot.worker || slot.task) this.resetWorker(index, new TaskCancelledError('Worker pool terminated'));
+    });
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * dataTasks.js
+ * Task handlers for the data worker message protocol
+ *
+ * The same handlers run inside dataWorker.js and, where Web Workers are not
+ * available, directly on the page through DataService's inline fallback.
+ *
+ * Tasks:
+ *   load          { filePath, processOptions }          -> { records, stats }
+ *   loadFile      { file, processOptions }              -> { records, stats }
+ *   setDataset    { store, version }                    -> { version, recordCount }
+ *   appendDataset { store, baseVersion, version }       -> { version, recordCount }
+ *   filter        { filters }                           -> Uint32Array of matching record indices
+ *   aggregate     { indices, filterDateRange, options } -> report aggregation (see DataAggregator.aggregateForReport)
+ */
+
+import { DataLoader } from '../data/DataLoader.js';
+import { DataAggregator } from '../data/DataAggregator.js';
+import { FilterManager } from '../filters/FilterManager.js';
+import { DataQualityReport } from '../data/DataQualityReport.js';
+import { ColumnarStore } from '../data/ColumnarStore.js';
+import { resolveColumnMapping } from '../data/ColumnMapper.js';
+
+/**
+ * Create the per-worker state the handlers operate on
+ * @returns {Object} Task context holding the current dataset, as columns (see ColumnarStore)
+ */
+export function createTaskContext() {
+  return {
+    dataset: new ColumnarStore(),
+    datasetVersion: null
+  };
+}
+
+/**
+ * Process the rows of one file, attaching its data quality summary and column mapping to the file stats
+ * @param {Array} rows - Parsed rows
+ * @param {Object|null} stats - File stats from DataLoader (null if the file failed to load)
+ * @param {Object} processOptions - Options for DataLoader.combineAndProcess, except that columnMapping
+ *   is a saved mapping ({ profile, columns }, or null to detect it), resolved against the file's header row
+ * @returns {Object} { records, stats }
+ */
+function processFile(rows, stats, processOptions) {
+  const { columnMapping = null, ...options } = processOptions;
+  const mapping = resolveColumnMapping(columnMapping, stats ? stats.headers : null);
+  const qualityReport = stats ? new DataQualityReport(stats.filePath) : null;
+  const records = DataLoader.combineAndProcess([rows], { ...options, columnMapping: mapping.columns, qualityReport, source: stats ? stats.filePath : null });
+  return {
+    records,
+    stats: stats && { ...stats, quality: qualityReport.summary(), columnMapping: mapping }
+  };
+}
+
+export const DATA_TASKS = {
+  /**
+   * Fetch, parse and process one CSV file
+   */
+  async load(context, { filePath, processOptions = {} }, { onProgress } = {}) {
+    let stats = null;
+    const rows = await DataLoader.loadCSV(filePath, {
+      onLoaded: fileStats => {
+        stats = fileStats;
+      },
+      onProgress
+    });
+    return processFile(rows, stats, processOptions);
+  },
+
+  /**
+   * Read, parse and process one local CSV file
+   */
+  async loadFile(context, { file, processOptions = {} }, { onProgress } = {}) {
+    let stats = null;
+    const rows = await DataLoader.loadLocalFile(file, {
+      onLoaded: fileStats => {
+        stats = fileStats;
+      },
+      onProgress
+    });
+    return processFile(rows, stats, processOptions);
+  },
+
+  /**
+   * Replace the dataset that filter and aggregate tasks operate on
+   */
+  setDataset(context, { store, version }) {
+    context.dataset = ColumnarStore.revive(store);
+    context.datasetVersion = version;
+    return { version, recordCount: context.dataset.length };
+  },
+
+  /**
+   * Add records to the end of the dataset, which must be the version they were added to
+   */
+  appendDataset(context, { store, baseVersion, version }) {
+    if (context.datasetVersion !== baseVersion) {
+      throw new Error(`Cannot append to dataset version ${baseVersion}: the worker holds version ${context.datasetVersion}`);
+    }
+    context.dataset = context.dataset.concat(ColumnarStore.revive(store));
+    context.datasetVersion = version;
+    return { version, recordCount: context.dataset.length };
+  },
+
+  /**
+   * Find the indices of records matching the filters
+   */
+  filter(context, { filters }) {
+    return FilterManager.filterIndices(context.dataset, filters);
+  },
+
+  /**
+   * Aggregate the selected records for the premium band report
+   */
+  aggregate(context, { indices = null, filterDateRange = null, options = {} }) {
+    return DataAggregator.aggregateStoreForReport(context.dataset, indices, { ...options, filterDateRange });
+  }
+};
+
+/**
+ * Run a task against a context
+ * @param {Object} context - Task context
+ * @param {string} type - Task type
+ * @param {Object} payload - Task payload
+ * @param {Object} hooks - Optional hooks ({ onProgress })
+ * @returns {Promise<*>} Task result
+ */
+export async function runDataTask(context, type, payload, hooks = {}) {
+  const handler = DATA_TASKS[type];
+  if (!handler) {
+    throw new Error(`Unknown data task: ${type}`);
+  }
+  return handler(context, payload || {}, hooks);
+}
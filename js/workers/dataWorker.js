@@ -0,0 +1,32 @@
+/**
+ * dataWorker.js
+ * Module worker entry point for parsing, filtering and aggregation
+ *
+ * Receives { id, type, payload } messages from WorkerPool and answers with
+ * progress, done or error messages for the same id.
+ */
+
+import Papa from 'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/+esm';
+import { createTaskContext, runDataTask } from './dataTasks.js';
+
+// DataLoader expects Papa as a global, as it is on the page
+self.Papa = Papa;
+
+const context = createTaskContext();
+
+self.addEventListener('message', async (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    const result = await runDataTask(context, type, payload, {
+      onProgress: progress => self.postMessage({ id, status: 'progress', progress })
+    });
+
+    // Typed array results (e.g. filter indices) are transferred instead of copied
+    const transfer = ArrayBuffer.isView(result) ? [result.buffer] : [];
+    self.postMessage({ id, status: 'done', result }, transfer);
+  } catch (error) {
+    console.error(`[dataWorker] Task ${type} failed:`, error);
+    self.postMessage({ id, status: 'error', error: { name: error.name, message: error.message } });
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * cliUtils.js
+ * Helpers for running the browser data modules from Node command-line scripts
+ *
+ * The scripts reuse the browser pipeline as it is: files are read through the same loadFile
+ * data task the worker runs, so records come out exactly as the page would see them.
+ */
+
+import { openAsBlob } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import Papa from 'papaparse';
+import { createTaskContext, runDataTask } from '../js/workers/dataTasks.js';
+import { LenderAliases } from '../js/data/LenderAliases.js';
+
+// DataLoader expects Papa as a global, as it is on the page
+globalThis.Papa = Papa;
+
+/**
+ * Silence the informational logging of the data modules unless asked for it.
+ * Warnings and errors are always shown.
+ * @param {boolean} verbose - Keep info and debug messages
+ */
+export function configureLogging(verbose) {
+  if (!verbose) {
+    console.info = () => {};
+    console.debug = () => {};
+  }
+}
+
+/**
+ * Read a JSON file, or return a fallback if it does not exist
+ * @param {string} path - File path
+ * @param {*} fallback - Value returned for a missing file
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} If the file exists but cannot be read or parsed
+ */
+export async function readJSON(path, fallback = undefined) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && fallback !== undefined) return fallback;
+    throw new Error(`Cannot read ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Load a lender alias table; a missing table means names are used as they are
+ * @param {string|null} path - Path to the table, or null for none
+ * @returns {Promise<Object>} Alias table (see LenderAliases.normalize)
+ */
+export async function loadLenderAliases(path) {
+  if (!path) return {};
+  return LenderAliases.normalize(await readJSON(path, { lenders: [] }));
+}
+
+/**
+ * Read and process CSV files through the loadFile data task. Each file is named by the path given,
+ * so SourceFile holds the same path the page reads the file from (e.g. data/mortgage-data-2025.csv).
+ * @param {Array<string>} paths - CSV file paths
+ * @param {Object|Function} processOptions - loadFile processing options (see dataTasks), or a function
+ *   returning them for a path
+ * @returns {Promise<Array<Object>>} { path, records, stats } per file, in order
+ */
+export async function loadCSVFiles(paths, processOptions = {}) {
+  const context = createTaskContext();
+  const results = [];
+  for (const path of paths) {
+    const file = new File([await openAsBlob(path)], path, { type: 'text/csv' });
+    const options = typeof processOptions === 'function' ? processOptions(path) : processOptions;
+    const { records, stats } = await runDataTask(context, 'loadFile', { file, processOptions: options });
+    results.push({ path, records, stats });
+  }
+  return results;
+}
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * preprocess-data.js
+ * Cleans raw extracts offline into compact per-year repository datasets plus a manifest
+ *
+ * Usage: node scripts/preprocess-data.js [options] <raw.csv>...
+ *
+ * Every file goes through the browser pipeline (see cliUtils.loadCSVFiles): column mapping,
+ * DataLoader.combineAndProcess validation and conversions, lender aliases. The records are then
+ * deduplicated like the Datasets panel does and written by DatasetPreprocessor.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { configureLogging, loadCSVFiles, loadLenderAliases } from './cliUtils.js';
+import { DataLoader } from '../js/data/DataLoader.js';
+import { DataQualityReport } from '../js/data/DataQualityReport.js';
+import { DatasetPreprocessor, DEFAULT_FILE_PREFIX } from '../js/data/DatasetPreprocessor.js';
+import { LenderAliases } from '../js/data/LenderAliases.js';
+import { COLUMN_MAP, DEDUPLICATION_KEY_FIELDS, MAPPING_PROFILES } from '../js/data/ColumnMapper.js';
+import { DATE_FORMATS } from '../js/utils/dateUtils.js';
+
+const USAGE = `Usage: node scripts/preprocess-data.js [options] <raw.csv>...
+
+Options:
+  -o, --out <dir>             Output directory for the yearly files and manifest.json (default: data)
+      --prefix <name>         File name prefix: <prefix>-<year>.csv (default: ${DEFAULT_FILE_PREFIX})
+      --date-format <format>  DocumentDate format of the raw files: ${DATE_FORMATS.join(', ')} (default: auto)
+      --profile <profile>     Column profile of the raw files: ${Object.keys(MAPPING_PROFILES).join(', ')} (default: detected per file)
+      --aliases <file>        Lender alias table (default: ${LenderAliases.DEFAULT_PATH})
+      --key-fields <columns>  Comma-separated columns identifying a duplicate (default: ${DEDUPLICATION_KEY_FIELDS.map(key => COLUMN_MAP[key]).join(',')})
+      --keep-duplicates       Do not remove duplicate records
+      --quality-report <file> Write the data quality report of the raw files as CSV
+  -v, --verbose               Show the processing log
+  -h, --help                  Show this help`;
+
+/**
+ * Read and check the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options and input paths
+ * @throws {Error} If an option is unknown or invalid
+ */
+function readOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: 'data' },
+      prefix: { type: 'string', default: DEFAULT_FILE_PREFIX },
+      'date-format': { type: 'string', default: 'auto' },
+      profile: { type: 'string' },
+      aliases: { type: 'string', default: LenderAliases.DEFAULT_PATH },
+      'key-fields': { type: 'string' },
+      'keep-duplicates': { type: 'boolean', default: false },
+      'quality-report': { type: 'string' },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length === 0) {
+    throw new Error('No input files given');
+  }
+  if (!DATE_FORMATS.includes(values['date-format'])) {
+    throw new Error(`Unknown date format: ${values['date-format']} (expected one of ${DATE_FORMATS.join(', ')})`);
+  }
+  if (values.profile && !MAPPING_PROFILES[values.profile]) {
+    throw new Error(`Unknown column profile: ${values.profile} (expected one of ${Object.keys(MAPPING_PROFILES).join(', ')})`);
+  }
+
+  const keyFields = values['key-fields']
+    ? values['key-fields'].split(',').map(field => field.trim()).filter(Boolean)
+    : DEDUPLICATION_KEY_FIELDS.map(key => COLUMN_MAP[key]);
+  if (keyFields.length === 0) {
+    throw new Error('Deduplication needs at least one key field');
+  }
+
+  return {
+    inputs: positionals,
+    outDir: values.out,
+    filePrefix: values.prefix,
+    dateFormat: values['date-format'],
+    profile: values.profile || null,
+    aliasesPath: values.aliases,
+    keyFields,
+    deduplicate: !values['keep-duplicates'],
+    qualityReportPath: values['quality-report'] || null,
+    verbose: values.verbose
+  };
+}
+
+async function main() {
+  const options = readOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  configureLogging(options.verbose);
+
+  const lenderAliases = await loadLenderAliases(options.aliasesPath);
+  const files = await loadCSVFiles(options.inputs, {
+    dateFormat: options.dateFormat,
+    columnMapping: options.profile ? { profile: options.profile } : null,
+    lenderAliases
+  });
+
+  // A file missing a required column would silently contribute nothing
+  const unreadable = files.filter(({ stats }) => stats.columnMapping.missing.length > 0);
+  if (unreadable.length > 0) {
+    throw new Error(unreadable.map(({ path, stats }) => (
+      `${path} (${stats.columnMapping.profile} profile) has no ${stats.columnMapping.missing.map(field => COLUMN_MAP[field]).join(', ')} column`
+    )).join('\n'));
+  }
+
+  // Files are combined in the order given, so the first copy of a duplicate is kept
+  let records = files.flatMap(file => file.records);
+  let removedCount = 0;
+  if (options.deduplicate) {
+    const result = DataLoader.findDuplicates(records, { keyFields: options.keyFields });
+    records = result.records;
+    removedCount = result.removedCount;
+  }
+  records.sort(DataLoader.compareByDocumentDate);
+
+  const { datasets, undatedCount } = DatasetPreprocessor.buildDatasets(records, { filePrefix: options.filePrefix });
+  if (datasets.length === 0) {
+    throw new Error('No records with a valid DocumentDate; nothing written');
+  }
+
+  await mkdir(options.outDir, { recursive: true });
+  for (const dataset of datasets) {
+    await writeFile(join(options.outDir, dataset.file), dataset.csv);
+  }
+  const manifest = DatasetPreprocessor.buildManifest(datasets.map(dataset => dataset.entry));
+  await writeFile(join(options.outDir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const quality = DataQualityReport.merge(files.map(({ stats }) => stats.quality));
+  if (options.qualityReportPath) {
+    await writeFile(options.qualityReportPath, DataQualityReport.toCSV(quality));
+  }
+
+  files.forEach(({ path, records: fileRecords, stats }) => {
+    console.log(`${path}: ${stats.rowCount} rows, ${fileRecords.length} valid records (${stats.columnMapping.profile} profile)`);
+  });
+  if (removedCount > 0) console.log(`Removed ${removedCount} duplicate records on ${options.keyFields.join(', ')}`);
+  if (undatedCount > 0) console.log(`Left out ${undatedCount} records without a valid DocumentDate`);
+  datasets.forEach(({ file, entry }) => {
+    console.log(`Wrote ${join(options.outDir, file)}: ${entry.rowCount} records, ${entry.period.start} to ${entry.period.end}`);
+  });
+  console.log(`Wrote ${join(options.outDir, 'manifest.json')}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  console.error('Run with --help for usage.');
+  process.exitCode = 1;
+});
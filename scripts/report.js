@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * report.js
+ * Runs the premium band and market share reports without the page, from a JSON report spec
+ *
+ * Usage: node scripts/report.js [options]
+ *
+ * The datasets listed in the manifest are read through the browser pipeline (see
+ * cliUtils.loadCSVFiles), deduplicated and screened for outliers as DataManager does, and
+ * prepared by RecordProcessor. HeadlessReport then filters and aggregates them with the
+ * functions behind the page, so the numbers match the page for the same filters and settings.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { configureLogging, loadCSVFiles, loadLenderAliases, readJSON } from './cliUtils.js';
+import { DataLoader } from '../js/data/DataLoader.js';
+import { DatasetManifest } from '../js/data/DatasetManifest.js';
+import { HeadlessReport, REPORT_FORMATS } from '../js/data/HeadlessReport.js';
+import { LenderAliases } from '../js/data/LenderAliases.js';
+import { LenderGroups } from '../js/data/LenderGroups.js';
+import { OutlierDetector } from '../js/data/OutlierDetector.js';
+import { RecordProcessor } from '../js/data/RecordProcessor.js';
+import { SwapCurve } from '../js/data/SwapCurve.js';
+
+const USAGE = `Usage: node scripts/report.js [options]
+
+Options:
+  -s, --spec <file>       Report spec (JSON): filters, rowField, timeGrain, premiumBands,
+                          bandSettings, swapCurve, deduplication, outliers (default: the page's defaults)
+  -m, --manifest <file>   Dataset manifest (default: ${DatasetManifest.DEFAULT_PATH})
+  -f, --format <format>   Output format: ${REPORT_FORMATS.join(', ')} (default: csv)
+  -o, --out <dir>         Output directory (default: reports)
+      --aliases <file>    Lender alias table (default: ${LenderAliases.DEFAULT_PATH})
+      --groups <file>     Lender hierarchy (default: ${LenderGroups.DEFAULT_PATH})
+      --curve <file>      Swap curve (default: ${SwapCurve.DEFAULT_PATH})
+  -v, --verbose           Show the processing log
+  -h, --help              Show this help`;
+
+/**
+ * Read and check the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ * @throws {Error} If an option is unknown or invalid
+ */
+function readOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      spec: { type: 'string', short: 's' },
+      manifest: { type: 'string', short: 'm', default: DatasetManifest.DEFAULT_PATH },
+      format: { type: 'string', short: 'f', default: 'csv' },
+      out: { type: 'string', short: 'o', default: 'reports' },
+      aliases: { type: 'string', default: LenderAliases.DEFAULT_PATH },
+      groups: { type: 'string', default: LenderGroups.DEFAULT_PATH },
+      curve: { type: 'string', default: SwapCurve.DEFAULT_PATH },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+  if (!REPORT_FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format: ${values.format} (expected one of ${REPORT_FORMATS.join(', ')})`);
+  }
+
+  return {
+    specPath: values.spec || null,
+    manifestPath: values.manifest,
+    format: values.format,
+    outDir: values.out,
+    aliasesPath: values.aliases,
+    groupsPath: values.groups,
+    curvePath: values.curve,
+    verbose: values.verbose
+  };
+}
+
+/**
+ * Read the swap curve; like the page, a missing curve leaves the curve columns empty
+ * @param {string} path - Path to the curve
+ * @returns {Promise<Object|null>} Curve (see SwapCurve.normalize), or null if there is none
+ */
+async function loadSwapCurve(path) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Cannot read ${path}: ${error.message}`);
+  }
+  return SwapCurve.parse(text, { source: path, origin: 'dataset' });
+}
+
+async function main() {
+  const options = readOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  configureLogging(options.verbose);
+
+  const spec = HeadlessReport.normalizeSpec(options.specPath ? await readJSON(options.specPath) : {});
+  const manifest = DatasetManifest.normalize(await readJSON(options.manifestPath), options.manifestPath);
+  if (manifest.datasets.length === 0) {
+    throw new Error(`No datasets listed in ${options.manifestPath}`);
+  }
+
+  const lenderAliases = await loadLenderAliases(options.aliasesPath);
+  const lenderGroups = LenderGroups.normalize(await readJSON(options.groupsPath, { groups: [] }));
+  const swapCurve = await loadSwapCurve(options.curvePath);
+
+  // Each file is read with its declared date format and profile, as DataManager.loadAllData does
+  const byPath = new Map(manifest.datasets.map(dataset => [dataset.path, dataset]));
+  const files = await loadCSVFiles([...byPath.keys()], path => ({
+    dateFormat: byPath.get(path).dateFormat,
+    columnMapping: byPath.get(path).columnProfile ? { profile: byPath.get(path).columnProfile } : null,
+    lenderAliases
+  }));
+
+  const fileStats = Object.fromEntries(files.map(({ path, stats }) => [path, stats]));
+  DatasetManifest.validate(manifest, fileStats)
+    .filter(result => result.status !== 'ok')
+    .forEach(result => console.warn(`Dataset ${result.file}: ${result.issues.join('; ')}`));
+
+  // Deduplicate and quarantine outliers as DataManager.commitRecords does; quarantined records are left out
+  let records = files.flatMap(file => file.records);
+  const loadedCount = records.length;
+  if (spec.deduplication.enabled) {
+    records = DataLoader.findDuplicates(records, { keyFields: spec.deduplication.keyFields }).records;
+  }
+  const flagged = new Set(OutlierDetector.detect(records, spec.outliers).map(entry => entry.record));
+  if (flagged.size > 0) {
+    records = records.filter(record => !flagged.has(record));
+  }
+
+  RecordProcessor.prepare(records, {
+    lenderGroups,
+    bandSettings: spec.bandSettings,
+    swapCurve,
+    swapCurveSettings: spec.swapCurveSettings
+  });
+  const report = HeadlessReport.run(records, spec);
+
+  await mkdir(options.outDir, { recursive: true });
+  const written = [];
+  if (options.format === 'json') {
+    const json = HeadlessReport.toJSON(report, {
+      generatedAt: new Date().toISOString(),
+      datasets: manifest.datasets.map(dataset => dataset.path),
+      quarantinedCount: flagged.size
+    });
+    written.push(join(options.outDir, 'report.json'));
+    await writeFile(written[0], `${JSON.stringify(json, null, 2)}\n`);
+  } else {
+    written.push(join(options.outDir, 'premium-band-report.csv'), join(options.outDir, 'market-share.csv'));
+    await writeFile(written[0], `${HeadlessReport.bandReportToCSV(report)}\n`);
+    await writeFile(written[1], `${HeadlessReport.marketShareToCSV(report)}\n`);
+  }
+
+  console.log(`Read ${loadedCount} records from ${files.length} files; quarantined ${flagged.size} outliers`);
+  console.log(`${report.filteredCount} records match the filters`);
+  if (!report.aggregated) console.log('No reportable records: the premium band report is empty');
+  written.forEach(path => console.log(`Wrote ${path}`));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  console.error('Run with --help for usage.');
+  process.exitCode = 1;
+});
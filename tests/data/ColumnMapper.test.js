@@ -0,0 +1,51 @@
+/**
+ * ColumnMapper.test.js
+ * Tests for column mapping profiles
+ */
+
+import { DataLoader } from '../../js/data/DataLoader.js';
+import { detectMappingProfile, resolveColumnMapping } from '../../js/data/ColumnMapper.js';
+import { toDayKey } from '../../js/utils/dateUtils.js';
+
+const currentHeaders = ['DocumentDate', 'BaseLender', 'Product_Name', 'InitialRate', 'Loan', 'LTV', 'Term', 'PurchaseType'];
+const legacyHeaders = ['Timestamp', 'Provider', 'Product_Name', 'Rate', 'Period', 'Loan', 'LTV', 'GrossMarginBucket'];
+
+describe('ColumnMapper', () => {
+  describe('detectMappingProfile', () => {
+    test('should detect the profile from the header row', () => {
+      expect(detectMappingProfile(currentHeaders)).toMatchObject({ profile: 'current', missing: [] });
+      expect(detectMappingProfile(legacyHeaders)).toMatchObject({ profile: 'legacy', missing: [] });
+    });
+
+    test('should report the required fields an unknown layout lacks', () => {
+      expect(detectMappingProfile(['Lender', 'Loan', 'DocumentDate']).missing).toEqual(['lender']);
+    });
+  });
+
+  describe('resolveColumnMapping', () => {
+    test('should apply saved overrides on top of the profile', () => {
+      const mapping = resolveColumnMapping({ profile: 'current', columns: { lender: 'Lender', swapRate: null } }, ['Lender', 'Loan', 'DocumentDate', 'Extra']);
+
+      expect(mapping.detected).toBe(false);
+      expect(mapping.columns.lender).toBe('Lender');
+      expect(mapping.columns).not.toHaveProperty('swapRate');
+      expect(mapping.missing).toEqual([]);
+      expect(mapping.unmappedHeaders).toEqual(['Extra']);
+    });
+
+    test('should detect the profile when none is saved', () => {
+      expect(resolveColumnMapping(null, legacyHeaders)).toMatchObject({ profile: 'legacy', detected: true });
+    });
+  });
+
+  test('combineAndProcess should rename legacy headers to the record columns', () => {
+    const rows = [{ Timestamp: '2024-03-05', Provider: 'Bank A', Rate: '4.5', Period: 24, Loan: 200000, LTV: 75 }];
+
+    const [record] = DataLoader.combineAndProcess([rows], { columnMapping: resolveColumnMapping(null, legacyHeaders).columns });
+
+    expect(record).toMatchObject({ BaseLender: 'Bank A', InitialRate: 4.5, Term: 24, Loan: 200000 });
+    expect(toDayKey(record.DocumentDate)).toBe('2024-03-05');
+    expect(record).not.toHaveProperty('Provider');
+    expect(record).not.toHaveProperty('Timestamp');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * ColumnarStore.test.js
+ * Tests for the columnar store and the filtering and aggregation that scan it
+ */
+
+import { ColumnarStore } from '../../js/data/ColumnarStore.js';
+import { DataAggregator } from '../../js/data/DataAggregator.js';
+import { RecordProcessor } from '../../js/data/RecordProcessor.js';
+import { FilterManager } from '../../js/filters/FilterManager.js';
+import { createDay } from '../../js/utils/dateUtils.js';
+
+const lenders = ['Bank A', 'Bank B', 'Bank C'];
+const purchaseTypes = ['Purchase', 'Remortgage'];
+
+// Day i of the records: November 2024 to March 2025
+const dayOf = i => {
+  const month = 10 + (i % 5);
+  return createDay(2024 + Math.floor(month / 12), (month % 12) + 1, 1 + (i % 27));
+};
+
+// Deterministic records covering every filter, with a few gaps and an odd value
+const records = RecordProcessor.prepare(Array.from({ length: 120 }, (_, i) => ({
+  DocumentDate: i % 29 === 0 ? null : dayOf(i),
+  BaseLender: lenders[i % 3],
+  Loan: 100000 + ((i * 7919) % 400000) + 0.1,
+  LTV: i % 17 === 0 ? 'n/a' : 55 + (i % 40),
+  Term: i % 2 === 0 ? 24 : 60,
+  InitialRate: 4 + (i % 11) / 10,
+  SwapRate: 3.8,
+  GrossMargin: i % 23 === 0 ? null : 0.2 + (i % 13) / 10,
+  Flat_Fees: i % 4 === 0 ? 999 : 0,
+  PurchaseType: purchaseTypes[i % 2],
+  SourceFile: i < 60 ? 'data/a.csv' : 'data/b.csv'
+})));
+
+describe('ColumnarStore', () => {
+  const store = ColumnarStore.fromRecords(records);
+
+  test('should store numbers, days and categories by their values', () => {
+    expect(store.length).toBe(records.length);
+    expect(store.getKind('Loan')).toBe('number');
+    expect(store.getKind('DocumentDate')).toBe('date');
+    expect(store.getKind('BaseLender')).toBe('category');
+    // One text value makes the whole column a category
+    expect(store.getKind('LTV')).toBe('category');
+    expect(store.columns.BaseLender.codes).toBeInstanceOf(Uint8Array);
+    expect(store.columns.BaseLender.dictionary).toEqual([null, ...lenders]);
+  });
+
+  test('should give back the record values', () => {
+    [0, 1, 17, 29, 46].forEach(index => {
+      const record = store.getRecord(index);
+      expect(record.BaseLender).toBe(records[index].BaseLender);
+      expect(record.Loan).toBe(records[index].Loan);
+      expect(record.LTV).toBe(records[index].LTV);
+      expect(record.DocumentDate).toEqual(records[index].DocumentDate);
+      expect(record.PremiumBand).toBe(records[index].PremiumBand);
+    });
+    expect(store.getValue('DocumentDate', 0)).toBeNull();
+    expect(store.getValue('Missing', 0)).toBeNull();
+  });
+
+  test('getRecords should rebuild the selected records with the selected columns', () => {
+    const rebuilt = store.getRecords(Uint32Array.of(1, 46), ['BaseLender', 'DocumentDate', 'Missing']);
+    expect(rebuilt).toEqual([1, 46].map(index => ({
+      BaseLender: records[index].BaseLender,
+      DocumentDate: records[index].DocumentDate,
+      Missing: null
+    })));
+    expect(store.getRecords()).toHaveLength(records.length);
+    expect(store.getRecords()[17]).toEqual(store.getRecord(17));
+  });
+
+  test('should read columns as numbers, distinct values and ranges', () => {
+    const ltv = store.readNumbers('LTV');
+    expect(ltv[1]).toBe(56);
+    expect(ltv[17]).toBeNaN();
+    expect(store.getDistinctValues('PurchaseType')).toEqual(purchaseTypes);
+    const times = records.filter(record => record.DocumentDate).map(record => record.DocumentDate.getTime());
+    expect(store.getRange('DocumentDate')).toEqual([new Date(Math.min(...times)), new Date(Math.max(...times))]);
+    expect(store.getRange('BaseLender')).toBeNull();
+  });
+
+  test('should be restored from its fields, as a worker receives it', () => {
+    const revived = ColumnarStore.revive({ length: store.length, columns: { ...store.columns } });
+    expect(revived).toBeInstanceOf(ColumnarStore);
+    expect(revived.getRecord(5)).toEqual(store.getRecord(5));
+    expect(ColumnarStore.revive(store)).toBe(store);
+  });
+
+  test('concat should give the store of the joined records', () => {
+    const first = [
+      { Loan: 100, LTV: 60, BaseLender: 'Bank A', DocumentDate: createDay(2025, 1, 2) },
+      { Loan: 200, LTV: 70, BaseLender: 'Bank B', DocumentDate: null }
+    ];
+    // A text LTV turns the column into categories, a new column and a column with no values
+    const second = [
+      { Loan: 300, LTV: 'n/a', BaseLender: 'Bank C', DocumentDate: null, Notes: 'late' },
+      { Loan: 400, LTV: 80, BaseLender: 'Bank A', DocumentDate: null }
+    ];
+
+    const joined = ColumnarStore.fromRecords(first).concat(ColumnarStore.fromRecords(second));
+    const expected = ColumnarStore.fromRecords([...first, ...second]);
+
+    expect(joined.length).toBe(4);
+    expect(joined.getKind('LTV')).toBe('category');
+    expect(joined.getKind('DocumentDate')).toBe('date');
+    expect(joined.columns.BaseLender.dictionary).toEqual([null, 'Bank A', 'Bank B', 'Bank C']);
+    [0, 1, 2, 3].forEach(index => {
+      expect(joined.getRecord(index)).toEqual(expected.getRecord(index));
+    });
+  });
+
+  test('filterIndices should match the record predicate', () => {
+    const filterSets = [
+      { dateRange: [createDay(2024, 12, 1), createDay(2025, 2, 15)] },
+      { lenders: ['Bank A', 'Bank C'] },
+      { ltvRange: 'above-80' },
+      { ltvRange: 'below-80', purchaseTypes: ['Remortgage'] },
+      { sources: ['data/b.csv'], lenders: ['Bank B'] },
+      { derivedFields: { FeeBps: { min: 10, max: null }, LoanSizeBand: { values: ['£250k-£500k'] } } },
+      { dateRange: ['2025-01-01', '2025-01-31'], lenders: ['all_lenders'], ltvRange: 'all' }
+    ];
+
+    filterSets.forEach(filters => {
+      const predicate = FilterManager.createRecordPredicate(filters);
+      const expected = records.flatMap((record, index) => (predicate(record) ? [index] : []));
+      const indices = FilterManager.filterIndices(store, filters);
+      expect(indices).toBeInstanceOf(Uint32Array);
+      expect(Array.from(indices)).toEqual(expected);
+    });
+  });
+
+  test('aggregateStoreForReport should equal aggregateForReport', () => {
+    const filterDateRange = [createDay(2024, 12, 1), createDay(2025, 3, 31)];
+    const filters = { dateRange: filterDateRange, lenders: ['Bank B'] };
+    const indices = FilterManager.filterIndices(store, filters);
+    const filtered = Array.from(indices, index => records[index]);
+
+    ['PremiumBand', 'LoanSizeBand'].forEach(rowField => {
+      ['month', 'week', 'financialYear'].forEach(timeGrain => {
+        const options = { rowField, timeGrain, filterDateRange };
+        expect(DataAggregator.aggregateStoreForReport(store, indices, options))
+          .toEqual(DataAggregator.aggregateForReport(filtered, records, options));
+      });
+    });
+
+    // Without a date range the months come from the data
+    expect(DataAggregator.aggregateStoreForReport(store, null, {}))
+      .toEqual(DataAggregator.aggregateForReport(records, records, {}));
+  });
+
+  test('mergeReportMonths should replace months with an aggregation of just those months', () => {
+    const range = [createDay(2024, 12, 1), createDay(2025, 3, 31)];
+    const options = { filterDateRange: range, rowField: 'PremiumBand' };
+    const indices = FilterManager.filterIndices(store, { dateRange: range, lenders: ['Bank A'] });
+
+    // An earlier aggregation up to February, then March added to the range
+    const previous = DataAggregator.aggregateStoreForReport(store, indices, { ...options, filterDateRange: [range[0], createDay(2025, 2, 28)] });
+    const update = DataAggregator.aggregateStoreForReport(store, indices, { ...options, months: ['2025-03'] });
+    expect(update.months).toEqual(['2025-03']);
+
+    const merged = DataAggregator.mergeReportMonths(previous, update, range);
+    const full = DataAggregator.aggregateStoreForReport(store, indices, options);
+    expect(merged.months).toEqual(full.months);
+    expect(merged.premiumBands).toEqual(full.premiumBands);
+    expect(merged.counts).toEqual(full.counts);
+    full.premiumBands.forEach(band => {
+      full.months.forEach(month => {
+        expect(merged.data[band][month].amount).toBeCloseTo(full.data[band][month].amount, 6);
+      });
+      expect(merged.totals.byPremiumBand[band]).toBeCloseTo(full.totals.byPremiumBand[band], 6);
+    });
+    Object.entries(full.unfilteredTotals.byPremiumBand).forEach(([band, amount]) => {
+      expect(merged.unfilteredTotals.byPremiumBand[band]).toBeCloseTo(amount, 6);
+    });
+    expect(merged.unfilteredTotals.overall).toBeCloseTo(full.unfilteredTotals.overall, 6);
+  });
+
+  test('the pricing and distribution calculations should equal those on the records', () => {
+    const indices = FilterManager.filterIndices(store, { lenders: ['Bank A', 'Bank C'] });
+    const filtered = Array.from(indices, index => records[index]);
+    const isReportable = DataAggregator.createReportableMatcher(store, 'FeeAdjustedBand');
+    const options = { metrics: ['rate', 'ltv', 'margin', 'FeeBps'], includeMonthly: true, basis: 'feeAdjusted', timeGrain: 'quarter' };
+
+    expect(DataAggregator.calculateStoreWeightedAverages(store, indices, { ...options, filter: isReportable }))
+      .toEqual(DataAggregator.calculateWeightedAverages(
+        filtered.filter(record => DataAggregator.isReportablePremiumBand(record.FeeAdjustedBand)),
+        options
+      ));
+
+    const isBankA = store.createMatcher('BaseLender', ['Bank A']);
+    expect(DataAggregator.calculateStoreDistribution(store, indices, { metric: 'margin', filter: isBankA, binRange: [0, 2] }))
+      .toEqual(DataAggregator.calculateDistribution(filtered, { metric: 'margin', filter: record => record.BaseLender === 'Bank A', binRange: [0, 2] }));
+    expect(DataAggregator.calculateStoreDistribution(store, null, { metric: 'ltv' }))
+      .toEqual(DataAggregator.calculateDistribution(records, { metric: 'ltv' }));
+
+    expect(DataAggregator.summarizeStoreBySource(store)).toEqual(DataAggregator.summarizeBySource(records));
+  });
+
+  test('aggregateStoreForReport should return null when nothing is reportable', () => {
+    const unknown = ColumnarStore.fromRecords([{ PremiumBand: 'Unknown', Loan: 1 }]);
+    expect(DataAggregator.aggregateStoreForReport(unknown, null, {})).toBeNull();
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * DataAggregator.test.js
+ * Tests for the pivot engine against the report, market share and trend aggregations it generalizes,
+ * and for the weighted pricing metrics and distributions
+ */
+
+import { DataAggregator } from '../../js/data/DataAggregator.js';
+import { RecordProcessor } from '../../js/data/RecordProcessor.js';
+import { createDay, toPeriodKey } from '../../js/utils/dateUtils.js';
+
+const lenders = ['Bank A', 'Bank B', 'Bank C'];
+
+// Deterministic records over five months, with a missing date and a missing LTV
+const records = RecordProcessor.prepare(Array.from({ length: 90 }, (_, i) => ({
+  DocumentDate: i === 13 ? null : createDay(2025, 1 + (i % 5), 1 + (i % 28)),
+  BaseLender: lenders[(i * 7) % 3],
+  Loan: 100000 + ((i * 7919) % 400000),
+  LTV: i % 19 === 0 ? null : 55 + (i % 40),
+  InitialRate: 4 + (i % 11) / 10,
+  SwapRate: 3.5 + (i % 7) / 10,
+  GrossMargin: 0.2 + (i % 13) / 10,
+  PurchaseType: i % 2 === 0 ? 'Purchase' : 'Remortgage'
+})));
+
+describe('DataAggregator', () => {
+  describe('pivot', () => {
+    test('should reproduce aggregateByPremiumBandAndMonth', () => {
+      const filterDateRange = [createDay(2024, 12, 1), createDay(2025, 5, 31)];
+      const expected = DataAggregator.aggregateByPremiumBandAndMonth(records, { filterDateRange });
+      const pivot = DataAggregator.pivot(records, {
+        rows: ['PremiumBand'],
+        columns: [{ field: 'period', values: expected.months }],
+        measures: [
+          'amount',
+          'count',
+          { name: 'avgLoanSize', type: 'weightedAverage', field: 'Loan', weight: null },
+          { name: 'marketShare', type: 'share', of: 'column' }
+        ]
+      });
+
+      expect(pivot.rows.map(row => row.key)).toEqual(expected.premiumBands);
+      // December 2024 has no records but is in the date range
+      expect(pivot.columns.map(column => column.key)).toEqual(expected.months);
+      expected.premiumBands.forEach(band => {
+        expected.months.forEach(month => {
+          const cell = pivot.cells[band][month];
+          expect(cell.amount).toBe(expected.data[band][month].amount);
+          expect(cell.count).toBe(expected.data[band][month].count);
+          expect(cell.avgLoanSize ?? 0).toBeCloseTo(expected.data[band][month].avgLoanSize, 6);
+          expect(cell.marketShare).toBeCloseTo(expected.metrics.marketShare[band][month], 10);
+        });
+        expect(pivot.rowTotals[band].amount).toBe(expected.totals.byPremiumBand[band]);
+        expect(pivot.rowTotals[band].count).toBe(expected.counts.byPremiumBand[band]);
+      });
+      expected.months.forEach(month => {
+        expect(pivot.columnTotals[month].amount).toBe(expected.totals.byMonth[month]);
+      });
+      expect(pivot.total.amount).toBe(expected.totals.overall);
+      expect(pivot.total.count).toBe(expected.counts.overall);
+    });
+
+    test('should reproduce calculateMarketShare, including its LTV split', () => {
+      const selectedBands = ['80-100', '100-120', '120-140', '900-920'];
+      const expected = DataAggregator.calculateMarketShare(records, selectedBands);
+      const band = { field: 'PremiumBand', values: selectedBands };
+      const pivot = DataAggregator.pivot(records, {
+        rows: ['lender'],
+        columns: [band],
+        measures: ['amount', { name: 'bandShare', type: 'share', of: 'column' }, { name: 'share', type: 'share', of: 'total' }]
+      });
+      // Missing LTVs fall in the last bin, as calculateMarketShare counts them as 80% and above
+      const byLtv = DataAggregator.pivot(records, {
+        rows: ['lender'],
+        columns: [band, { field: 'LTV', bins: [{ label: 'below80', below: 80 }, { label: 'above80' }] }],
+        measures: ['amount']
+      });
+
+      expect(pivot.rows.map(row => row.key)).toEqual(expected.lenders);
+      // A selected band without records is kept
+      expect(pivot.columns.map(column => column.key)).toEqual(selectedBands);
+      expect(byLtv.columns).toHaveLength(selectedBands.length * 2);
+      expected.lenders.forEach(lender => {
+        const totals = expected.lenderTotals[lender];
+        selectedBands.forEach(selected => {
+          expect(pivot.cells[lender][selected].amount).toBe(totals[selected]);
+          expect(pivot.cells[lender][selected].bandShare).toBeCloseTo(totals[`${selected}_pct`], 10);
+          expect(byLtv.cells[lender][`${selected}|below80`].amount).toBe(totals[`${selected}_below80`]);
+          expect(byLtv.cells[lender][`${selected}|above80`].amount).toBe(totals[`${selected}_above80`]);
+        });
+        expect(pivot.rowTotals[lender].amount).toBe(totals.total);
+        expect(pivot.rowTotals[lender].share).toBeCloseTo(totals.percentage, 10);
+      });
+      selectedBands.forEach(selected => {
+        expect(pivot.columnTotals[selected].amount).toBe(expected.bandTotals[selected]);
+        expect(byLtv.columnTotals[`${selected}|below80`].amount).toBe(expected.bandTotals[`${selected}_below80`]);
+      });
+      expect(pivot.total.amount).toBe(expected.overallTotal);
+    });
+
+    test('should reproduce groupByMonthAndLender', () => {
+      const selectedBands = ['100-120', '120-140'];
+      const expected = DataAggregator.groupByMonthAndLender(records, selectedBands, { lenderLevel: 'group' });
+      const pivot = DataAggregator.pivot(records, {
+        rows: ['period'],
+        columns: ['lender'],
+        measures: ['amount', { name: 'pct', type: 'share', of: 'row' }],
+        lenderLevel: 'group',
+        filter: record => selectedBands.includes(record.PremiumBand)
+      });
+
+      expect(pivot.rows.map(row => row.key)).toEqual(expected.months.map(month => month.key));
+      expected.months.forEach(({ key }) => {
+        const { lenders: amounts, total } = expected.data[key];
+        Object.keys(amounts).filter(name => !name.endsWith('_pct')).forEach(lender => {
+          expect(pivot.cells[key][lender].amount).toBe(amounts[lender]);
+          expect(pivot.cells[key][lender].pct).toBeCloseTo(amounts[`${lender}_pct`], 10);
+        });
+        expect(pivot.rowTotals[key].amount).toBe(total);
+      });
+    });
+
+    test('should cross-tabulate new dimensions and measures by time grain', () => {
+      const pivot = DataAggregator.pivot(records, {
+        rows: ['PurchaseType', 'lender'],
+        columns: [{ field: 'period', grain: 'quarter' }],
+        measures: ['count', { type: 'weightedAverage', field: 'InitialRate' }, { type: 'share', of: 'row', measure: 'count' }]
+      });
+
+      expect(pivot.columns.map(column => column.key)).toEqual(['2025-Q1', '2025-Q2']);
+      expect(pivot.rows[0]).toEqual({ key: 'Purchase|Bank A', values: ['Purchase', 'Bank A'] });
+      expect(pivot.measures).toEqual(['count', 'weightedAverage:InitialRate', 'share:row:count']);
+
+      const matching = records.filter(record => record.PurchaseType === 'Remortgage' && record.BaseLender === 'Bank B'
+        && toPeriodKey(record.DocumentDate, 'quarter') === '2025-Q2');
+      const loan = matching.reduce((sum, record) => sum + record.Loan, 0);
+      const rate = matching.reduce((sum, record) => sum + record.Loan * record.InitialRate, 0) / loan;
+      const cell = pivot.cells['Remortgage|Bank B']['2025-Q2'];
+      expect(cell.count).toBe(matching.length);
+      expect(cell['weightedAverage:InitialRate']).toBeCloseTo(rate, 10);
+      expect(cell['share:row:count']).toBeCloseTo(matching.length / pivot.rowTotals['Remortgage|Bank B'].count * 100, 10);
+      // The record without a date is in no period
+      expect(pivot.total.count).toBe(records.length - 1);
+      expect(pivot.total['share:row:count']).toBe(100);
+    });
+
+    test('should reject unknown time grains and measures', () => {
+      expect(() => DataAggregator.pivot(records, { rows: ['period'], timeGrain: 'fortnight' })).toThrow('Unknown time grain');
+      expect(() => DataAggregator.pivot(records, { measures: [{ type: 'median', field: 'Loan' }] })).toThrow('Unknown pivot measure');
+      expect(() => DataAggregator.pivot(records, { measures: [{ type: 'share', of: 'row', measure: 'count' }] }))
+        .toThrow('needs a sum or count measure');
+    });
+  });
+
+  describe('calculateMarketShare', () => {
+    test('should give the shares of each period of the time grain', () => {
+      // The undated record is in the 20-40 band
+      const selectedBands = ['20-40', '80-100', '100-120'];
+      const result = DataAggregator.calculateMarketShare(records, selectedBands, { timeGrain: 'quarter' });
+      const inBands = records.filter(record => selectedBands.includes(record.PremiumBand));
+      const pivot = DataAggregator.pivot(inBands, {
+        rows: ['lender'],
+        columns: ['period'],
+        timeGrain: 'quarter',
+        measures: ['amount', { name: 'share', type: 'share', of: 'column' }]
+      });
+
+      expect(result.timeGrain).toBe('quarter');
+      expect(result.periods).toEqual(['2025-Q1', '2025-Q2']);
+      result.periods.forEach(period => {
+        const { lenderTotals, bandTotals, overallTotal } = result.byPeriod[period];
+        expect(overallTotal).toBe(pivot.columnTotals[period].amount);
+        result.lenders.forEach(lender => {
+          expect(lenderTotals[lender].total).toBe(pivot.cells[lender][period].amount);
+          expect(lenderTotals[lender].percentage).toBeCloseTo(pivot.cells[lender][period].share, 10);
+        });
+        expect(selectedBands.reduce((sum, band) => sum + bandTotals[band], 0)).toBe(overallTotal);
+      });
+
+      // The undated record counts only in the overall totals
+      const undated = inBands.filter(record => !toPeriodKey(record.DocumentDate, 'quarter'));
+      const periodTotal = result.periods.reduce((sum, period) => sum + result.byPeriod[period].overallTotal, 0);
+      expect(undated).toHaveLength(1);
+      expect(periodTotal).toBe(result.overallTotal - undated[0].Loan);
+    });
+  });
+
+  describe('calculateWeightedAverages', () => {
+    test('should average the pricing metrics by band and period, with their ranges', () => {
+      const result = DataAggregator.calculateWeightedAverages(records, {
+        metrics: ['rate', 'swapRate', 'margin', 'ltv'],
+        includeMonthly: true,
+        timeGrain: 'quarter'
+      });
+      expect(result.months).toEqual(['2025-Q1', '2025-Q2']);
+      expect(result.timeGrain).toBe('quarter');
+
+      const band = result.premiumBands[0];
+      const inBand = records.filter(record => record.PremiumBand === band);
+      const weighted = (column, matching) => matching.reduce((sum, record) => sum + record.Loan * record[column], 0)
+        / matching.reduce((sum, record) => sum + record.Loan, 0);
+
+      expect(result.metrics.rate[band].weightedAvg).toBeCloseTo(weighted('InitialRate', inBand), 10);
+      expect(result.metrics.swapRate[band].weightedAvg).toBeCloseTo(weighted('SwapRate', inBand), 10);
+      expect(result.metrics.margin[band].count).toBe(inBand.length);
+
+      const inQuarter = inBand.filter(record => toPeriodKey(record.DocumentDate, 'quarter') === '2025-Q2');
+      const cell = result.monthly.rate[band]['2025-Q2'];
+      expect(cell.weightedAvg).toBeCloseTo(weighted('InitialRate', inQuarter), 10);
+      expect(cell.min).toBe(Math.min(...inQuarter.map(record => record.InitialRate)));
+      expect(cell.max).toBe(Math.max(...inQuarter.map(record => record.InitialRate)));
+
+      // Missing LTVs are left out
+      const withLtv = inBand.filter(record => record.LTV !== null);
+      expect(result.metrics.ltv[band].count).toBe(withLtv.length);
+      expect(result.metrics.ltv[band].weightedAvg).toBeCloseTo(weighted('LTV', withLtv), 10);
+    });
+
+    test('should order negative premium bands first', () => {
+      const result = DataAggregator.calculateWeightedAverages([
+        { PremiumBand: '20-40', Loan: 100, InitialRate: 4 },
+        { PremiumBand: '0-20', Loan: 100, InitialRate: 3.5 },
+        { PremiumBand: '-20-0', Loan: 100, InitialRate: 3 }
+      ], { metrics: ['rate'] });
+      expect(result.premiumBands).toEqual(['-20-0', '0-20', '20-40']);
+    });
+  });
+
+  describe('calculateDistribution', () => {
+    test('should give loan-weighted percentiles and a histogram', () => {
+      const data = [
+        { Loan: 100, GrossMargin: 1, BaseLender: 'Bank A' },
+        { Loan: 100, GrossMargin: 2, BaseLender: 'Bank A' },
+        { Loan: 100, GrossMargin: 3, BaseLender: 'Bank B' },
+        { Loan: 700, GrossMargin: 4, BaseLender: 'Bank B' },
+        { Loan: 500, GrossMargin: null, BaseLender: 'Bank B' },
+        { Loan: 0, GrossMargin: 9, BaseLender: 'Bank B' }
+      ];
+      const result = DataAggregator.calculateDistribution(data, { metric: 'margin', binWidth: 1 });
+
+      expect(result.count).toBe(4);
+      expect(result.totalWeight).toBe(1000);
+      expect(result.weightedMean).toBeCloseTo(3.4, 10);
+      // Three quarters of the loan amount is at 4
+      expect(result.percentiles).toEqual({ 10: 1, 25: 3, 50: 4, 75: 4, 90: 4 });
+      expect(result.histogram.map(bin => [bin.from, bin.to, bin.count, bin.share])).toEqual([
+        [1, 2, 1, 10], [2, 3, 1, 10], [3, 4, 1, 10], [4, 5, 1, 70]
+      ]);
+
+      // A segment on the bins of the whole data
+      const bankA = DataAggregator.calculateDistribution(data, {
+        metric: 'margin',
+        binWidth: 1,
+        filter: record => record.BaseLender === 'Bank A',
+        binRange: [result.min, result.max]
+      });
+      expect(bankA.percentiles[50]).toBe(1);
+      expect(bankA.histogram.map(bin => bin.from)).toEqual([1, 2, 3, 4]);
+      expect(bankA.histogram.map(bin => bin.share)).toEqual([50, 50, 0, 0]);
+    });
+
+    test('should bin rates and LTVs by their default widths', () => {
+      const rate = DataAggregator.calculateDistribution(records, { metric: 'rate' });
+      expect(rate.histogram[0].from).toBe(4);
+      expect(rate.histogram.map(bin => bin.to)).toContain(4.75);
+      expect(rate.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(records.length);
+
+      // Missing LTVs are left out
+      const ltv = DataAggregator.calculateDistribution(records, { metric: 'ltv' });
+      expect(ltv.count).toBe(records.filter(record => record.LTV !== null).length);
+      expect(ltv.histogram.every(bin => bin.from % 5 === 0)).toBe(true);
+      expect(ltv.percentiles[10]).toBeLessThanOrEqual(ltv.percentiles[50]);
+      expect(ltv.percentiles[50]).toBeLessThanOrEqual(ltv.percentiles[90]);
+    });
+
+    test('should describe the margin of the chosen basis', () => {
+      const gross = DataAggregator.calculateDistribution(records, { metric: 'margin' });
+      const feeAdjusted = DataAggregator.calculateDistribution(records, { metric: 'margin', basis: 'feeAdjusted' });
+      const values = records.map(record => record.FeeAdjustedMargin).filter(value => typeof value === 'number' && !isNaN(value));
+
+      expect(gross.column).toBe('GrossMargin');
+      expect(feeAdjusted.column).toBe('FeeAdjustedMargin');
+      expect(feeAdjusted.label).toBe('Fee-adjusted margin');
+      expect(feeAdjusted.count).toBe(values.length);
+      expect(feeAdjusted.min).toBe(Math.min(...values));
+      expect(() => DataAggregator.calculateDistribution(records, { basis: 'net' })).toThrow('Unknown margin basis');
+    });
+
+    test('should describe an empty segment and need a bin width for other columns', () => {
+      const empty = DataAggregator.calculateDistribution(records, { filter: () => false });
+      expect(empty.count).toBe(0);
+      expect(empty.percentiles[50]).toBeNull();
+      expect(empty.histogram).toEqual([]);
+      expect(() => DataAggregator.calculateDistribution(records, { metric: 'SwapRate' })).toThrow('needs a positive binWidth');
+    });
+  });
+});
@@ -5,6 +5,14 @@
 
 import { DataLoader } from '../../js/data/DataLoader.js';
 import { convertMarginBucketToBps } from '../../js/data/ColumnMapper.js';
+import { checksumText } from '../../js/utils/checksumUtils.js';
+import { toDayKey } from '../../js/utils/dateUtils.js';
+import RealPapa from 'papaparse';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom does not provide the text encoding APIs used for streamed responses
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
 
 // Mock the fetch API
 global.fetch = jest.fn();
@@ -148,6 +156,29 @@ describe('DataLoader', () => {
   });
 
   describe('combineAndProcess', () => {
+    test('should read numeric dates with the format detected from the whole column', () => {
+      const dataset = [
+        { ...mockParsedData[0], DocumentDate: '03/04/2025' },
+        { ...mockParsedData[1], DocumentDate: '04/13/2025' }
+      ];
+
+      const result = DataLoader.combineAndProcess([dataset]);
+
+      expect(result.map(record => toDayKey(record.DocumentDate))).toEqual(['2025-03-04', '2025-04-13']);
+    });
+
+    test('should read numeric dates with a declared format', () => {
+      const dataset = [{ ...mockParsedData[0], DocumentDate: '03/04/2025' }];
+
+      const result = DataLoader.combineAndProcess([dataset], { dateFormat: 'DD/MM/YYYY' });
+
+      expect(toDayKey(result[0].DocumentDate)).toBe('2025-04-03');
+    });
+
+    test('should reject an unknown date format', () => {
+      expect(() => DataLoader.combineAndProcess([[]], { dateFormat: 'YYYY/DD/MM' })).toThrow('Unknown date format');
+    });
+
     test('should combine datasets and process them correctly', () => {
       // Create test datasets with different dates
       const dataset1 = [
@@ -161,8 +192,8 @@ describe('DataLoader', () => {
       const result = DataLoader.combineAndProcess([dataset1, dataset2]);
       
       // Check that the result is sorted by date (oldest first)
-      expect(result[0].DocumentDate).toBe('2025-02-15');
-      expect(result[1].DocumentDate).toBe('2025-03-01');
+      expect(toDayKey(result[0].DocumentDate)).toBe('2025-02-15');
+      expect(toDayKey(result[1].DocumentDate)).toBe('2025-03-01');
       
       // Check that GrossMarginBucket was converted to basis points
       expect(result[0].PremiumBand).toBe(convertMarginBucketToBps('150-200'));
@@ -201,4 +232,102 @@ describe('DataLoader', () => {
       expect(result[0].GrossMargin).toBe(0.75);
     });
   });
+
+  describe('findDuplicates', () => {
+    const records = [
+      { DocumentDate: '2024-12-31', BaseLender: 'Bank A', Product_Name: '2 Year Fixed', InitialRate: 4.25, Loan: 200000, LTV: 75, Term: 24, PurchaseType: 'Purchase' },
+      { DocumentDate: '2025-01-02', BaseLender: 'Bank B', Product_Name: '5 Year Fixed', InitialRate: 4.1, Loan: 150000, LTV: 60, Term: 60, PurchaseType: 'Remortgage' },
+      // Same completion from an overlapping extract, with the date already parsed
+      { DocumentDate: new Date('2024-12-31'), BaseLender: 'Bank A ', Product_Name: '2 Year Fixed', InitialRate: 4.25, Loan: 200000, LTV: 75, Term: 24, PurchaseType: 'Purchase' }
+    ];
+
+    test('should remove duplicates on the default COLUMN_MAP key and report them', () => {
+      const result = DataLoader.findDuplicates(records);
+
+      expect(result.records).toEqual([records[0], records[1]]);
+      expect(result.keyFields).toContain('BaseLender');
+      expect(result.removedCount).toBe(1);
+      expect(result.removedLoanVolume).toBe(200000);
+      expect(result.sample).toHaveLength(1);
+      expect(result.sample[0].row).toBe(3);
+      expect(result.sample[0].values.DocumentDate).toBe('2024-12-31');
+    });
+
+    test('should use custom key fields', () => {
+      const result = DataLoader.findDuplicates(records, { keyFields: ['PurchaseType'] });
+
+      expect(result.removedCount).toBe(1);
+      expect(DataLoader.deduplicateRecords(records, { keyFields: ['LTV', 'Term'] })).toHaveLength(2);
+    });
+  });
+
+  describe('readResponse', () => {
+    const csvText = 'BaseLender,Loan,Product_Name\r\n' +
+      'Bank A,250000,"Fixed, 2 year"\r\n' +
+      'Bank B,300000,"Tracker\r\nwith notes"\r\n' +
+      'Bank C,150000,Variable\r\n';
+    
+    // Build a fetch-like response whose body yields the CSV in small byte chunks
+    const streamingResponse = (text, chunkSize) => {
+      const bytes = new TextEncoder().encode(text);
+      let offset = 0;
+      return {
+        ok: true,
+        headers: { get: name => (name === 'content-length' ? String(bytes.length) : null) },
+        body: {
+          getReader: () => ({
+            read: async () => {
+              if (offset >= bytes.length) return { done: true, value: undefined };
+              const value = bytes.slice(offset, offset + chunkSize);
+              offset += chunkSize;
+              return { done: false, value };
+            }
+          })
+        }
+      };
+    };
+    
+    let originalChunkSize;
+    let mockPapa;
+    
+    beforeAll(() => {
+      mockPapa = global.Papa;
+      global.Papa = RealPapa;
+      originalChunkSize = DataLoader.parseConfig.chunkSize;
+      // Parse in tiny batches so rows and quoted fields straddle batch boundaries
+      DataLoader.parseConfig.chunkSize = 10;
+    });
+    
+    afterAll(() => {
+      global.Papa = mockPapa;
+      DataLoader.parseConfig.chunkSize = originalChunkSize;
+    });
+    
+    test('should parse rows split across stream chunks', async () => {
+      const rows = [];
+      const stats = await DataLoader.readResponse(streamingResponse(csvText, 7), 'test.csv', {
+        onRows: batch => rows.push(...batch)
+      });
+      
+      expect(rows).toEqual([
+        { BaseLender: 'Bank A', Loan: 250000, Product_Name: 'Fixed, 2 year' },
+        { BaseLender: 'Bank B', Loan: 300000, Product_Name: 'Tracker\r\nwith notes' },
+        { BaseLender: 'Bank C', Loan: 150000, Product_Name: 'Variable' }
+      ]);
+      expect(stats.rowCount).toBe(3);
+      expect(stats.checksum).toBe(checksumText(csvText));
+    });
+    
+    test('should report byte and row progress', async () => {
+      const updates = [];
+      await DataLoader.readResponse(streamingResponse(csvText, 16), 'test.csv', {
+        onProgress: progress => updates.push(progress)
+      });
+      
+      const last = updates[updates.length - 1];
+      expect(last.bytesRead).toBe(last.totalBytes);
+      expect(last.rowsParsed).toBe(3);
+      expect(last.etaSeconds).toBe(0);
+    });
+  });
 });
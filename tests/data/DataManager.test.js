@@ -0,0 +1,219 @@
+/**
+ * DataManager.test.js
+ * Tests for appending files to the loaded data (inline data service, local files mocked)
+ */
+
+import { DataManager } from '../../js/data/DataManager.js';
+import { DataService } from '../../js/data/DataService.js';
+import { DataLoader } from '../../js/data/DataLoader.js';
+import { DataAggregator } from '../../js/data/DataAggregator.js';
+import { FilterManager } from '../../js/filters/FilterManager.js';
+import { StateManager } from '../../js/state/StateManager.js';
+import { createDay } from '../../js/utils/dateUtils.js';
+
+const row = (lender, month, day, loan, margin) => ({
+  DocumentDate: `2025-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+  BaseLender: lender,
+  Loan: String(loan),
+  LTV: '75',
+  InitialRate: '4.5',
+  GrossMargin: String(margin),
+  PurchaseType: 'Purchase'
+});
+
+const rowsByFile = {
+  'jan-feb.csv': [
+    row('Bank A', 1, 2, 100000, 1.05),
+    row('Bank B', 1, 20, 200000, 1.15),
+    row('Bank A', 2, 10, 300000, 1.45),
+    row('Bank B', 2, 20, 150000, 1.1)
+  ],
+  // A new month, a new lender and a new band
+  'march.csv': [
+    row('Bank A', 3, 5, 250000, 1.25),
+    row('Bank C', 3, 28, 400000, 2.05),
+    row('Bank A', 3, 15, 120000, 1.05)
+  ],
+  // A record already loaded, and a new one
+  'repeat.csv': [
+    row('Bank A', 1, 2, 100000, 1.05),
+    row('Bank B', 3, 10, 180000, 1.2)
+  ]
+};
+
+describe('DataManager', () => {
+  let stateManager;
+  let service;
+  let dataManager;
+  let filterManager;
+
+  const importFile = (name, mode) => dataManager.importLocalFiles([{ name, size: 100 }], { mode });
+
+  // Aggregation of the current filters from scratch
+  const aggregateAll = () => DataAggregator.aggregateStoreForReport(
+    dataManager.store,
+    FilterManager.filterIndices(dataManager.store, stateManager.state.filters),
+    { sampleSize: 0, rowField: 'PremiumBand', timeGrain: stateManager.state.ui.timeGrain, filterDateRange: stateManager.state.filters.dateRange }
+  );
+
+  beforeEach(async () => {
+    jest.spyOn(DataLoader, 'loadLocalFile').mockImplementation(async (file, { onLoaded }) => {
+      const rows = rowsByFile[file.name];
+      onLoaded({ filePath: file.name, rowCount: rows.length, checksum: 'fnv1a32:00000000', byteLength: file.size });
+      return rows;
+    });
+
+    stateManager = new StateManager();
+    service = new DataService({ useWorkers: false });
+    dataManager = new DataManager(stateManager, service);
+    filterManager = new FilterManager(stateManager, dataManager);
+
+    await importFile('jan-feb.csv', 'replace');
+    stateManager.setState('filters.lenders', ['Bank A', 'Bank C']);
+    await filterManager.applyFilters(stateManager.state.filters);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should append a file without re-sending the loaded records to the query worker', async () => {
+    const run = jest.spyOn(service, 'run');
+
+    await importFile('march.csv', 'append');
+
+    expect(dataManager.store.length).toBe(7);
+    expect(run.mock.calls.map(([type]) => type)).toEqual(['loadFile', 'appendDataset']);
+    expect(service.inlineContext.dataset.length).toBe(7);
+    expect(dataManager.store.getValue('LoadBatch', 6)).toBe(2);
+  });
+
+  test('should publish the store and the positions of the filtered records', () => {
+    expect(stateManager.state.data.raw).toBe(dataManager.store);
+    expect(stateManager.state.data.filtered).toEqual(FilterManager.filterIndices(dataManager.store, stateManager.state.filters));
+    expect(Array.from(stateManager.state.data.filtered, index => dataManager.store.getValue('BaseLender', index))).toEqual(['Bank A', 'Bank A']);
+  });
+
+  test('should drop duplicates of loaded records from an appended file', async () => {
+    await dataManager.setDeduplication({ enabled: true });
+
+    await importFile('repeat.csv', 'append');
+
+    expect(dataManager.deduplication.result.removedCount).toBe(1);
+    expect(Array.from(dataManager.datasetPositions)).toEqual([0, 1, 2, 3, 5]);
+    expect(dataManager.store.length).toBe(5);
+    expect(dataManager.store.getValue('BaseLender', 4)).toBe('Bank B');
+    expect(dataManager.store.getValue('LoadBatch', 4)).toBe(2);
+  });
+
+  test('should quarantine outliers of an appended file and include them on request', async () => {
+    await dataManager.setOutlierSettings({ rules: { maxGrossMargin: 2 } });
+
+    await importFile('march.csv', 'append');
+
+    expect(dataManager.outliers.quarantine).toHaveLength(1);
+    // Records are loaded in date order, so the March outlier is the last one
+    expect(dataManager.outliers.quarantine[0].position).toBe(6);
+    expect(dataManager.outliers.quarantine[0].record.BaseLender).toBe('Bank C');
+    expect(dataManager.store.length).toBe(6);
+
+    await dataManager.setQuarantineInclusion({ 0: true });
+
+    expect(dataManager.store.length).toBe(7);
+    expect(dataManager.store.getValue('BaseLender', 6)).toBe('Bank C');
+  });
+
+  test('should keep the filters and widen a date range that covered the data', async () => {
+    expect(stateManager.state.filters.dateRange).toEqual([createDay(2025, 1, 2), createDay(2025, 2, 20)]);
+
+    await importFile('march.csv', 'append');
+
+    expect(stateManager.state.filters.lenders).toEqual(['Bank A', 'Bank C']);
+    expect(stateManager.state.filters.dateRange).toEqual([createDay(2025, 1, 2), createDay(2025, 3, 28)]);
+    expect(stateManager.state.data.availablePremiumBands).toEqual(['100-120', '120-140', '140-160', '200-220']);
+
+    const options = filterManager.getFilterOptions();
+    expect(options.lenders).toEqual(['Bank A', 'Bank B', 'Bank C']);
+    expect(options.dateRange.max).toEqual(createDay(2025, 3, 28));
+  });
+
+  test('should re-aggregate only the appended months', async () => {
+    const aggregate = jest.spyOn(service, 'aggregate');
+
+    await importFile('march.csv', 'append');
+    await filterManager.applyFilters(stateManager.state.filters);
+
+    expect(aggregate).toHaveBeenCalledTimes(1);
+    expect(aggregate.mock.calls[0][0].options.months).toEqual(['2025-03']);
+    expect(stateManager.state.data.aggregated).toEqual(aggregateAll());
+  });
+
+  test('should re-aggregate only the appended periods of the time grain', async () => {
+    stateManager.setState('ui.timeGrain', 'quarter');
+    await filterManager.applyFilters(stateManager.state.filters);
+    const aggregate = jest.spyOn(service, 'aggregate');
+
+    await importFile('march.csv', 'append');
+    await filterManager.applyFilters(stateManager.state.filters);
+
+    expect(aggregate.mock.calls[0][0].options.months).toEqual(['2025-Q1']);
+    expect(stateManager.state.data.aggregated.months).toEqual(['2025-Q1']);
+    expect(stateManager.state.data.aggregated).toEqual(aggregateAll());
+  });
+
+  test('should re-aggregate for another time grain in the query worker and keep the periods reusable', async () => {
+    const aggregate = jest.spyOn(service, 'aggregate');
+
+    stateManager.setState('ui.timeGrain', 'quarter');
+    await filterManager.reaggregate({ timeGrain: 'quarter' });
+
+    expect(aggregate).toHaveBeenCalledTimes(1);
+    expect(aggregate.mock.calls[0][0].indices).toBe(filterManager.lastResult.indices);
+    expect(dataManager.aggregationBasis).not.toBeNull();
+    expect(stateManager.state.data.aggregated).toEqual(aggregateAll());
+
+    await importFile('march.csv', 'append');
+    await filterManager.applyFilters(stateManager.state.filters);
+
+    expect(aggregate.mock.calls[1][0].options.months).toEqual(['2025-Q1']);
+    expect(stateManager.state.data.aggregated).toEqual(aggregateAll());
+  });
+
+  test('should re-aggregate by another row field in the query worker', async () => {
+    const aggregate = jest.spyOn(service, 'aggregate');
+    const expected = DataAggregator.aggregateStoreForReport(
+      dataManager.store,
+      filterManager.lastResult.indices,
+      { sampleSize: 0, rowField: 'LoanSizeBand', filterDateRange: stateManager.state.filters.dateRange }
+    );
+
+    await filterManager.reaggregate({ rowField: 'LoanSizeBand' });
+
+    expect(aggregate.mock.calls[0][0].indices).toBe(filterManager.lastResult.indices);
+    expect(dataManager.aggregationBasis).not.toBeNull();
+    expect(stateManager.state.data.aggregated).toEqual(expected);
+  });
+
+  test('should keep a date range the user moved', async () => {
+    stateManager.setState('filters.dateRange', [createDay(2025, 1, 2), createDay(2025, 2, 10)]);
+    await filterManager.applyFilters(stateManager.state.filters);
+
+    await importFile('march.csv', 'append');
+    await filterManager.applyFilters(stateManager.state.filters);
+
+    expect(stateManager.state.filters.dateRange).toEqual([createDay(2025, 1, 2), createDay(2025, 2, 10)]);
+    expect(stateManager.state.data.aggregated.months).toEqual(['2025-01', '2025-02']);
+    expect(stateManager.state.data.aggregated).toEqual(aggregateAll());
+  });
+
+  test('should aggregate everything again after other changes to the data', async () => {
+    await importFile('march.csv', 'append');
+    await dataManager.setBandSettings({ width: 50 });
+    const aggregate = jest.spyOn(service, 'aggregate');
+
+    await filterManager.applyFilters(stateManager.state.filters);
+
+    expect(aggregate.mock.calls[0][0].options.months).toBeUndefined();
+    expect(stateManager.state.data.aggregated).toEqual(aggregateAll());
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * DataQualityReport.test.js
+ * Tests for data quality collection during DataLoader.combineAndProcess
+ */
+
+import { DataLoader } from '../../js/data/DataLoader.js';
+import { DataQualityReport } from '../../js/data/DataQualityReport.js';
+
+const rows = [
+  { BaseLender: 'Bank A', DocumentDate: '2025-03-01', LTV: 75, Loan: 250000, InitialRate: 4.25 },
+  { BaseLender: 'Bank B', DocumentDate: 'not a date', LTV: 120, Loan: 0, InitialRate: 'n/a' },
+  { BaseLender: '', DocumentDate: null, LTV: null, Loan: null, InitialRate: '  ' },
+  { BaseLender: 'Bank C', DocumentDate: '2025-03-02', LTV: -5, Loan: -100 }
+];
+
+describe('DataQualityReport', () => {
+  let report;
+  let records;
+
+  beforeEach(() => {
+    const collector = new DataQualityReport('data/test.csv');
+    records = DataLoader.combineAndProcess([rows.map(row => ({ ...row }))], { qualityReport: collector });
+    report = DataQualityReport.merge([collector.summary()]);
+  });
+
+  test('should drop invalid rows and count them per source', () => {
+    expect(records).toHaveLength(3);
+    expect(report.sources).toEqual([
+      {
+        source: 'data/test.csv',
+        totalRows: 4,
+        keptRows: 3,
+        droppedRows: { invalid: 1 },
+        dateFormat: { declared: 'auto', format: 'YYYY-MM-DD', ambiguous: false, conflicting: false }
+      }
+    ]);
+  });
+
+  test('should count null and blank values per column', () => {
+    const rates = Object.fromEntries(DataQualityReport.getColumnRates(report).map(rate => [rate.column, rate]));
+
+    expect(rates.BaseLender).toMatchObject({ nulls: 0, blanks: 1, blankRate: 25 });
+    // InitialRate is missing from one row, null in none and blank in one
+    expect(rates.InitialRate).toMatchObject({ nulls: 1, blanks: 1 });
+    expect(rates.LTV.nullRate).toBe(25);
+  });
+
+  test('should record coercion failures, unparseable dates and out-of-range values', () => {
+    expect(report.coercionFailures.InitialRate).toEqual({ count: 1, examples: [{ row: 2, value: 'n/a' }] });
+    expect(report.unparseableDates).toEqual({ count: 1, examples: [{ row: 2, value: 'not a date' }] });
+    expect(report.rangeIssues.ltvOutOfRange.count).toBe(2);
+    expect(report.rangeIssues.nonPositiveLoan.count).toBe(2);
+  });
+
+  test('should merge sources and export CSV', () => {
+    const merged = DataQualityReport.merge([report, report]);
+
+    expect(merged.sources).toHaveLength(2);
+    expect(merged.totalRows).toBe(8);
+    expect(merged.rangeIssues.ltvOutOfRange.count).toBe(4);
+
+    const csv = DataQualityReport.toCSV(merged);
+    expect(csv.split('\n')[0]).toBe('section,source,field,metric,count,rate_pct,examples');
+    expect(csv).toContain('source,data/test.csv,,dropped (invalid),1,,');
+    expect(csv).toContain('issue,,LTV,LTV outside 0-100,4,50.00,row 2: 120; row 4: -5; row 2: 120; row 4: -5');
+  });
+});
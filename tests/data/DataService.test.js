@@ -0,0 +1,135 @@
+/**
+ * DataService.test.js
+ * Tests for the DataService class (inline fallback, as used when Web Workers are unavailable)
+ */
+
+import { DataService } from '../../js/data/DataService.js';
+import { DataLoader } from '../../js/data/DataLoader.js';
+
+const records = [
+  { DocumentDate: new Date(2024, 0, 10), BaseLender: 'Bank A', Loan: 200000, LTV: 60, PurchaseType: 'Purchase', PremiumBand: '20-40' },
+  { DocumentDate: new Date(2024, 0, 20), BaseLender: 'Bank B', Loan: 100000, LTV: 80, PurchaseType: 'Remortgage', PremiumBand: '40-60' },
+  { DocumentDate: new Date(2024, 1, 5), BaseLender: 'Bank A', Loan: 300000, LTV: 90, PurchaseType: 'Purchase', PremiumBand: '20-40' }
+];
+
+describe('DataService', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = new DataService({ useWorkers: false });
+    await service.setDataset(records);
+  });
+
+  test('should return the indices of matching records', async () => {
+    const indices = await service.filter({ lenders: ['Bank A'] });
+
+    expect(indices).toBeInstanceOf(Uint32Array);
+    expect(Array.from(indices)).toEqual([0, 2]);
+  });
+
+  test('should aggregate the selected records', async () => {
+    const result = await service.aggregate({ indices: new Uint32Array([0, 2]) });
+
+    expect(result.months).toEqual(['2024-01', '2024-02']);
+    expect(result.premiumBands).toEqual(['20-40']);
+  });
+
+  test('should reject cancelled requests', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(service.filter({ lenders: ['Bank A'] }, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  describe('load', () => {
+    const stats = { filePath: 'data/a.csv', rowCount: 2, checksum: 'fnv1a32:00000000', byteLength: 10 };
+
+    test('should use cached files without fetching them', async () => {
+      global.fetch = jest.fn();
+      const cachedAt = new Date(2025, 0, 1);
+      const cache = {
+        get: jest.fn(async () => ({ records: [records[2], records[0]], stats, cachedAt })),
+        put: jest.fn()
+      };
+      const onFileLoaded = jest.fn();
+
+      const loaded = await service.load(['data/a.csv'], {
+        cache,
+        versions: { 'data/a.csv': 'etag:"abc"' },
+        onFileLoaded
+      });
+
+      expect(cache.get).toHaveBeenCalledWith('data/a.csv', 'etag:"abc"');
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(loaded).toEqual([records[0], records[2]]);
+      expect(onFileLoaded).toHaveBeenCalledWith({ ...stats, cachedAt });
+    });
+
+    test('should skip cached files when readCache is false', async () => {
+      global.fetch = jest.fn(async () => { throw new Error('offline'); });
+      const cache = { get: jest.fn(), put: jest.fn() };
+
+      const loaded = await service.load(['data/a.csv'], { cache, versions: {}, readCache: false });
+
+      expect(cache.get).not.toHaveBeenCalled();
+      expect(global.fetch).toHaveBeenCalled();
+      // Failed downloads are not cached
+      expect(cache.put).not.toHaveBeenCalled();
+      expect(loaded).toEqual([]);
+    });
+  });
+
+  describe('importFiles', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should process local files and summarise each one', async () => {
+      const rowsByFile = {
+        'march.csv': [{ DocumentDate: '2024-03-01', BaseLender: 'Bank C', Loan: '150000' }],
+        'feb.csv': [
+          { DocumentDate: '2024-02-01', BaseLender: 'Bank A', Loan: '100000' },
+          { DocumentDate: '2024-02-02', BaseLender: 'Bank B', Loan: '120000' }
+        ]
+      };
+      jest.spyOn(DataLoader, 'loadLocalFile').mockImplementation(async (file, { onLoaded }) => {
+        const rows = rowsByFile[file.name];
+        onLoaded({ filePath: file.name, rowCount: rows.length, checksum: 'fnv1a32:00000000', byteLength: file.size });
+        return rows;
+      });
+
+      const result = await service.importFiles([
+        { name: 'march.csv', size: 100 },
+        { name: 'feb.csv', size: 200 }
+      ]);
+
+      expect(result.records.map(record => record.BaseLender)).toEqual(['Bank A', 'Bank B', 'Bank C']);
+      expect(result.files).toMatchObject([
+        { name: 'march.csv', size: 100, rowCount: 1, recordCount: 1, checksum: 'fnv1a32:00000000' },
+        { name: 'feb.csv', size: 200, rowCount: 2, recordCount: 2, checksum: 'fnv1a32:00000000' }
+      ]);
+      expect(result.files[1].quality.sources).toEqual([
+        {
+          source: 'feb.csv',
+          totalRows: 2,
+          keptRows: 2,
+          droppedRows: {},
+          dateFormat: { declared: 'auto', format: 'YYYY-MM-DD', ambiguous: false, conflicting: false }
+        }
+      ]);
+    });
+
+    test('should read dates with the declared format', async () => {
+      jest.spyOn(DataLoader, 'loadLocalFile').mockImplementation(async (file, { onLoaded }) => {
+        onLoaded({ filePath: file.name, rowCount: 1, checksum: 'fnv1a32:00000000', byteLength: file.size });
+        return [{ DocumentDate: '03/04/2024', BaseLender: 'Bank A', Loan: '100000' }];
+      });
+
+      const result = await service.importFiles([{ name: 'us.csv', size: 100 }], { processOptions: { dateFormat: 'MM/DD/YYYY' } });
+
+      expect(result.records[0].DocumentDate.getTime()).toBe(Date.UTC(2024, 2, 4));
+      expect(result.files[0].quality.sources[0].dateFormat).toMatchObject({ declared: 'MM/DD/YYYY', format: 'MM/DD/YYYY' });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * DatasetManifest.test.js
+ * Tests for the DatasetManifest class
+ */
+
+import { DatasetManifest } from '../../js/data/DatasetManifest.js';
+import { checksumText } from '../../js/utils/checksumUtils.js';
+
+const manifestJson = {
+  manifestVersion: 1,
+  generatedAt: '2025-06-01T00:00:00Z',
+  datasets: [
+    {
+      file: 'mortgage-data-2024.csv',
+      period: { start: '2024-01', end: '2024-12' },
+      schemaVersion: 1,
+      rowCount: 2,
+      checksum: checksumText('a,b\n1,2\n3,4\n')
+    },
+    {
+      file: 'mortgage-data-2025.csv',
+      period: { start: '2025-01', end: '2025-05' },
+      schemaVersion: 1
+    },
+    {
+      file: 'mortgage-data-2023.csv',
+      enabled: false
+    }
+  ]
+};
+
+describe('DatasetManifest', () => {
+  describe('normalize', () => {
+    test('should resolve paths relative to the manifest and skip disabled entries', () => {
+      const manifest = DatasetManifest.normalize(manifestJson, 'data/manifest.json');
+
+      expect(manifest.datasets).toHaveLength(2);
+      expect(manifest.datasets[0].path).toBe('data/mortgage-data-2024.csv');
+      expect(manifest.datasets[1].rowCount).toBeNull();
+      expect(manifest.datasets[1].checksum).toBeNull();
+    });
+
+    test('should reject a manifest without a datasets array', () => {
+      expect(() => DatasetManifest.normalize({})).toThrow('datasets');
+    });
+  });
+
+  describe('validate', () => {
+    const manifest = DatasetManifest.normalize(manifestJson, 'data/manifest.json');
+
+    test('should pass datasets that match the manifest', () => {
+      const results = DatasetManifest.validate(manifest, {
+        'data/mortgage-data-2024.csv': { rowCount: 2, checksum: checksumText('a,b\n1,2\n3,4\n') },
+        'data/mortgage-data-2025.csv': { rowCount: 10, checksum: 'fnv1a32:00000000' }
+      });
+
+      expect(results.map(r => r.status)).toEqual(['ok', 'ok']);
+    });
+
+    test('should flag row count and checksum mismatches', () => {
+      const results = DatasetManifest.validate(manifest, {
+        'data/mortgage-data-2024.csv': { rowCount: 3, checksum: 'fnv1a32:00000000' },
+        'data/mortgage-data-2025.csv': { rowCount: 10, checksum: 'fnv1a32:00000000' }
+      });
+
+      expect(results[0].status).toBe('warning');
+      expect(results[0].issues).toHaveLength(2);
+    });
+
+    test('should flag rows outside the declared period', () => {
+      const results = DatasetManifest.validate(manifest, {
+        'data/mortgage-data-2024.csv': { rowCount: 2, checksum: checksumText('a,b\n1,2\n3,4\n'), firstMonth: '2024-01', lastMonth: '2024-12' },
+        'data/mortgage-data-2025.csv': { rowCount: 10, firstMonth: '2024-11', lastMonth: '2025-06' }
+      });
+
+      expect(results[0].status).toBe('ok');
+      expect(results[1].status).toBe('warning');
+      expect(results[1].issues).toEqual([
+        'Rows from 2024-11, before the period start 2025-01',
+        'Rows up to 2025-06, after the period end 2025-05'
+      ]);
+    });
+
+    test('should mark datasets that failed to load as errors', () => {
+      const results = DatasetManifest.validate(manifest, {});
+
+      expect(results[0].status).toBe('error');
+      expect(results[1].status).toBe('error');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * DatasetPreprocessor.test.js
+ * Tests for laying preprocessed records out as per-year files and a manifest
+ */
+
+import { DatasetPreprocessor, PREPROCESSED_COLUMNS } from '../../js/data/DatasetPreprocessor.js';
+import { DatasetManifest } from '../../js/data/DatasetManifest.js';
+import { checksumText } from '../../js/utils/checksumUtils.js';
+import { createDay } from '../../js/utils/dateUtils.js';
+import { createRecord } from '../helpers/records.js';
+
+describe('DatasetPreprocessor', () => {
+  const records = [
+    { DocumentDate: createDay(2024, 11, 3) },
+    { DocumentDate: createDay(2024, 12, 31), Product_Name: 'Fix, 5' },
+    { DocumentDate: null },
+    { DocumentDate: createDay(2025, 2, 1) }
+  ].map(values => createRecord({ Product_Name: 'Fix 2', SourceFile: 'raw.csv', ...values }));
+
+  test('buildDatasets should write one file per year and leave out undated records', () => {
+    const { datasets, undatedCount } = DatasetPreprocessor.buildDatasets(records);
+
+    expect(undatedCount).toBe(1);
+    expect(datasets.map(dataset => dataset.file)).toEqual(['mortgage-data-2024.csv', 'mortgage-data-2025.csv']);
+    expect(datasets[0].entry).toMatchObject({
+      label: '2024',
+      period: { start: '2024-11', end: '2024-12' },
+      dateFormat: 'YYYY-MM-DD',
+      columnProfile: 'current',
+      rowCount: 2,
+      checksum: checksumText(datasets[0].csv)
+    });
+  });
+
+  test('files should hold the record columns only, with ISO dates', () => {
+    const { datasets } = DatasetPreprocessor.buildDatasets(records, { filePrefix: 'clean' });
+    const lines = datasets[0].csv.trimEnd().split('\n');
+
+    expect(datasets[1].file).toBe('clean-2025.csv');
+    expect(lines[0].split(',')).toEqual(PREPROCESSED_COLUMNS);
+    expect(lines[0]).not.toContain('PremiumBand');
+    expect(lines[0]).not.toContain('SourceFile');
+    expect(lines[2].startsWith('2024-12-31,Bank A,200000,')).toBe(true);
+    expect(lines[2]).toContain('"Fix, 5"');
+  });
+
+  test('buildManifest should produce a manifest the browser accepts', () => {
+    const { datasets } = DatasetPreprocessor.buildDatasets(records);
+    const manifest = DatasetPreprocessor.buildManifest(datasets.map(dataset => dataset.entry), new Date('2025-03-01T12:00:00Z'));
+
+    const normalized = DatasetManifest.normalize(manifest, 'data/manifest.json');
+
+    expect(normalized.generatedAt).toBe('2025-03-01T12:00:00.000Z');
+    expect(normalized.datasets.map(dataset => [dataset.path, dataset.rowCount, dataset.columnProfile])).toEqual([
+      ['data/mortgage-data-2024.csv', 2, 'current'],
+      ['data/mortgage-data-2025.csv', 1, 'current']
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * DerivedFields.test.js
+ * Tests for the derived field registry and its use in filters, aggregation, weighted averages and exports
+ */
+
+import { DerivedFields } from '../../js/data/DerivedFields.js';
+import { DataAggregator } from '../../js/data/DataAggregator.js';
+import { FilterManager } from '../../js/filters/FilterManager.js';
+import { recordsToCSV } from '../../js/utils/exportUtils.js';
+import { createRecord } from '../helpers/records.js';
+
+describe('DerivedFields', () => {
+  test('apply should compute every field on each record', () => {
+    const [derived] = DerivedFields.apply([createRecord({ Flat_Fees: 999, Percentage_fees: 0.5 })]);
+
+    expect(derived.RateOverSwap).toBeCloseTo(0.75);
+    // £999 plus 0.5% of £200,000 is £1,999, or 99.95bps
+    expect(derived.FeeBps).toBeCloseTo(99.95);
+    expect(derived.MonthlyPayment).toBeCloseTo(1111.66, 1);
+    expect(derived.LoanSizeBand).toBe('£125k-£250k');
+  });
+
+  test('should leave fields empty when their inputs are missing', () => {
+    const [derived] = DerivedFields.apply([createRecord({ SwapRate: null, Loan: null })]);
+
+    expect(derived.RateOverSwap).toBeNull();
+    expect(derived.FeeBps).toBeNull();
+    expect(derived.MonthlyPayment).toBeNull();
+    expect(derived.LoanSizeBand).toBeNull();
+  });
+
+  test('derived fields should filter like columns', () => {
+    const data = DerivedFields.apply([
+      createRecord({ Loan: 100000 }),
+      createRecord({ Loan: 600000, InitialRate: 3.5 }),
+      createRecord({ Loan: 300000 })
+    ]);
+
+    const bySize = FilterManager.createRecordPredicate({ derivedFields: { LoanSizeBand: { values: ['Under £125k', '£500k-£1m'] } } });
+    expect(data.filter(bySize).map(r => r.Loan)).toEqual([100000, 600000]);
+
+    // RateOverSwap is -0.25 for the second record; both ends of the range are included
+    const byMargin = FilterManager.createRecordPredicate({ derivedFields: { RateOverSwap: { min: 0, max: 0.75 } } });
+    expect(data.filter(byMargin).map(r => r.Loan)).toEqual([100000, 300000]);
+
+    expect(FilterManager.getActiveFilters({ derivedFields: { RateOverSwap: { min: null, max: null }, LoanSizeBand: { values: [] } } }).has('derivedFields')).toBe(false);
+  });
+
+  test('a categorical derived field should work as table rows', () => {
+    const data = DerivedFields.apply([createRecord({ Loan: 1200000 }), createRecord({ Loan: 100000 }), createRecord({ Loan: 110000 })]);
+
+    const result = DataAggregator.aggregateByPremiumBandAndMonth(data, { rowField: 'LoanSizeBand' });
+
+    expect(result.rowField).toBe('LoanSizeBand');
+    expect(result.premiumBands).toEqual(['Under £125k', '£1m and over']);
+    expect(result.totals.byPremiumBand['Under £125k']).toBe(210000);
+    expect(result.data['£1m and over']['2025-01'].count).toBe(1);
+  });
+
+  test('weighted averages should keep zero and negative derived values', () => {
+    const data = DerivedFields.apply([
+      createRecord({ Loan: 100000, SwapRate: 4.75 }),
+      createRecord({ Loan: 300000, SwapRate: 3.5 })
+    ]);
+
+    const result = DataAggregator.calculateWeightedAverages(data, { metrics: ['RateOverSwap'] });
+
+    // (100k x -0.25 + 300k x 1.0) / 400k
+    expect(result.metrics.RateOverSwap['60-80'].weightedAvg).toBeCloseTo(0.6875);
+    expect(result.metrics.RateOverSwap['60-80'].count).toBe(2);
+  });
+
+  test('the fee-adjusted margin should add the fee spread over the tie-in period', () => {
+    const [withFee, withoutFee, noTerm] = DerivedFields.apply([
+      // £999 on £200,000 is 49.95bps, or 24.975bps a year over 24 months
+      createRecord({ GrossMargin: 1.0, Flat_Fees: 999, Term: 24 }),
+      createRecord({ GrossMargin: 1.2, Term: 60 }),
+      createRecord({ GrossMargin: 1.0, Flat_Fees: 999 })
+    ]);
+
+    expect(withFee.AmortisedFeeBps).toBeCloseTo(24.975);
+    expect(withFee.FeeAdjustedMargin).toBeCloseTo(1.24975);
+    expect(withFee.FeeAdjustedBand).toBe('120-140');
+    expect(withoutFee.AmortisedFeeBps).toBe(0);
+    expect(withoutFee.FeeAdjustedMargin).toBe(1.2);
+    // A fee cannot be spread without a tie-in period
+    expect(noTerm.FeeAdjustedMargin).toBeNull();
+  });
+
+  test('the fee-adjusted band should follow the band settings', () => {
+    const data = [createRecord({ GrossMargin: 1.0, Flat_Fees: 999, Term: 24 })];
+
+    expect(DerivedFields.apply(data)[0].FeeAdjustedBand).toBe('120-140');
+    expect(DerivedFields.apply(data, { bandSettings: { width: 50, origin: 0 } })[0].FeeAdjustedBand).toBe('100-150');
+  });
+
+  test('weighted averages can be based on fee-adjusted bands and margins', () => {
+    const data = DerivedFields.apply([
+      createRecord({ Loan: 100000, GrossMargin: 0.9, Flat_Fees: 1000, Term: 24, PremiumBand: '80-100' }),
+      createRecord({ Loan: 300000, GrossMargin: 1.4, Term: 24, PremiumBand: '140-160' })
+    ]);
+
+    const result = DataAggregator.calculateWeightedAverages(data, { metrics: ['margin'], basis: 'feeAdjusted' });
+
+    // 0.9% plus 100bps spread over two years lands with the no-fee product
+    expect(result.premiumBands).toEqual(['140-160']);
+    expect(result.metrics.margin['140-160'].weightedAvg).toBeCloseTo(1.4);
+    expect(() => DataAggregator.calculateWeightedAverages(data, { basis: 'net' })).toThrow('Unknown margin basis');
+  });
+
+  test('the margin basis should follow the band column of the table rows', () => {
+    expect(DerivedFields.getMarginBasis('FeeAdjustedBand')).toBe('feeAdjusted');
+    expect(DerivedFields.getMarginBasis('CurveMarginBand')).toBe('curve');
+    expect(DerivedFields.getMarginBasis('PremiumBand')).toBe('gross');
+    expect(DerivedFields.getMarginBasis('LoanSizeBand')).toBe('gross');
+  });
+
+  test('recordsToCSV should export derived columns with the raw ones', () => {
+    const data = DerivedFields.apply([createRecord({ Loan: 100000, SwapRate: 4.25 })]);
+
+    const csv = recordsToCSV(data, ['DocumentDate', 'Loan', 'RateOverSwap', 'LoanSizeBand', 'FeeBps']);
+
+    expect(csv.split('\n')).toEqual([
+      'DocumentDate,Loan,RateOverSwap,LoanSizeBand,FeeBps',
+      '2025-01-15,100000,0.25,Under £125k,'
+    ]);
+  });
+});
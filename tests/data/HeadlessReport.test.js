@@ -0,0 +1,120 @@
+/**
+ * HeadlessReport.test.js
+ * Tests for the report spec, the shared record processing and the headless report outputs
+ */
+
+import { HeadlessReport } from '../../js/data/HeadlessReport.js';
+import { RecordProcessor } from '../../js/data/RecordProcessor.js';
+import { DataAggregator } from '../../js/data/DataAggregator.js';
+import { LenderGroups } from '../../js/data/LenderGroups.js';
+import { createDay } from '../../js/utils/dateUtils.js';
+import { createRecord } from '../helpers/records.js';
+
+const lenderGroups = LenderGroups.normalize({
+  groups: [{ name: 'Lloyds Banking Group', lenders: ['Halifax', 'Lloyds Bank'] }]
+});
+
+const prepare = () => RecordProcessor.prepare([
+  { BaseLender: 'Halifax', Loan: 100000, GrossMargin: 1.05 },
+  { BaseLender: 'Lloyds Bank', Loan: 200000, GrossMargin: 1.15, LTV: 85 },
+  { BaseLender: 'Bank B', Loan: 100000, GrossMargin: 1.1 },
+  { BaseLender: 'Bank B', DocumentDate: createDay(2025, 2, 15), Loan: 300000, GrossMargin: 1.45 },
+  { BaseLender: 'Halifax', DocumentDate: createDay(2025, 3, 15), Loan: 50000, GrossMargin: 1.5 }
+].map(values => createRecord({ SourceFile: 'data/mortgage-data-2025.csv', ...values })), { lenderGroups });
+
+describe('RecordProcessor', () => {
+  test('should resolve groups and band the margins', () => {
+    const records = prepare();
+    expect(records[0].LenderGroup).toBe('Lloyds Banking Group');
+    expect(records[2].LenderGroup).toBe('Bank B');
+    expect(records.map(r => r.PremiumBand)).toEqual(['100-120', '100-120', '100-120', '140-160', '140-160']);
+  });
+
+  test('applyBands should rebucket with new settings', () => {
+    const records = RecordProcessor.applyBands(prepare(), { bandSettings: { width: 50, origin: 0 } });
+    expect(records.map(r => r.PremiumBand)).toEqual(['100-150', '100-150', '100-150', '100-150', '150-200']);
+  });
+});
+
+describe('HeadlessReport', () => {
+  test('normalizeSpec should start from the page defaults', () => {
+    const spec = HeadlessReport.normalizeSpec({});
+    expect(spec.filters.lenders).toEqual(['all_lenders']);
+    expect(spec.filters.dateRange).toBeNull();
+    expect(spec.rowField).toBe('PremiumBand');
+    expect(spec.bandSettings).toEqual({ width: 20, origin: 0 });
+    expect(spec.deduplication.enabled).toBe(false);
+    expect(spec.outliers.enabled).toBe(true);
+  });
+
+  test('normalizeSpec should parse the date range and reject bad specs', () => {
+    const spec = HeadlessReport.normalizeSpec({ filters: { dateRange: ['2025-01-01', '2025-02-28'] } });
+    expect(spec.filters.dateRange).toEqual([createDay(2025, 1, 1), createDay(2025, 2, 28)]);
+
+    expect(() => HeadlessReport.normalizeSpec([])).toThrow('JSON object');
+    expect(() => HeadlessReport.normalizeSpec({ filters: { dateRange: ['2025-03-01', '2025-01-01'] } })).toThrow('dateRange');
+    expect(() => HeadlessReport.normalizeSpec({ filters: { lenderLevel: 'parent' } })).toThrow('Unknown lender level');
+    expect(() => HeadlessReport.normalizeSpec({ rowField: 'Lender' })).toThrow('Unknown row field');
+    expect(() => HeadlessReport.normalizeSpec({ bandSettings: { width: 15 } })).toThrow('Band width');
+    expect(() => HeadlessReport.normalizeSpec({ timeGrain: 'fortnight' })).toThrow('Unknown time grain');
+  });
+
+  test('run should default the date range to the data, as the page does on load', () => {
+    const report = HeadlessReport.run(prepare(), HeadlessReport.normalizeSpec({}));
+    expect(report.filters.dateRange).toEqual([createDay(2025, 1, 15), createDay(2025, 3, 15)]);
+    expect(report.filteredCount).toBe(5);
+    expect(report.aggregated.months).toEqual(['2025-01', '2025-02', '2025-03']);
+  });
+
+  test('run should bucket the report by the time grain of the spec', () => {
+    const report = HeadlessReport.run(prepare(), HeadlessReport.normalizeSpec({ timeGrain: 'quarter' }));
+    expect(report.aggregated.timeGrain).toBe('quarter');
+    expect(report.aggregated.months).toEqual(['2025-Q1']);
+    expect(report.rows.find(row => row.premiumBand === '100-120').amount['2025-Q1']).toBe(400000);
+    expect(HeadlessReport.bandReportToCSV(report).split('\n')[0]).toBe('Premium Band,2025-Q1 Amount,2025-Q1 Count,Total,Market Share %');
+    expect(report.marketShare.periods).toEqual(['2025-Q1']);
+    expect(report.marketShare.byPeriod['2025-Q1'].overallTotal).toBe(report.marketShare.overallTotal);
+  });
+
+  test('run should produce the data table rows for the filtered records', () => {
+    const records = prepare();
+    const spec = HeadlessReport.normalizeSpec({ filters: { lenders: ['Lloyds Banking Group'], lenderLevel: 'group' } });
+    const report = HeadlessReport.run(records, spec);
+
+    const rows = DataAggregator.createReportRows(report.aggregated);
+    expect(report.rows).toEqual(rows);
+
+    const band = report.rows.find(row => row.premiumBand === '100-120');
+    expect(band.amount['2025-01']).toBe(300000);
+    expect(band.marketShare).toBe(75);
+    const total = report.rows[report.rows.length - 1];
+    expect(total.premiumBand).toBe('Total');
+    expect(total.total).toBe(350000);
+    expect(total.marketShare).toBeCloseTo(350000 / 750000 * 100);
+  });
+
+  test('market share should default to the visible bands in the filtered data', () => {
+    const report = HeadlessReport.run(prepare(), HeadlessReport.normalizeSpec({ filters: { lenderLevel: 'group' } }));
+    expect(report.premiumBands).toEqual(['100-120', '140-160']);
+    expect(report.marketShare.lenderTotals['Lloyds Banking Group']['100-120']).toBe(300000);
+    expect(report.marketShare.overallTotal).toBe(750000);
+  });
+
+  test('should write the reports as CSV and JSON', () => {
+    const report = HeadlessReport.run(prepare(), HeadlessReport.normalizeSpec({ premiumBands: ['100-120'] }));
+
+    const bandLines = HeadlessReport.bandReportToCSV(report).split('\n');
+    expect(bandLines[0]).toBe('Premium Band,2025-01 Amount,2025-01 Count,2025-02 Amount,2025-02 Count,2025-03 Amount,2025-03 Count,Total,Market Share %');
+    expect(bandLines[1]).toBe('100-120,400000,3,0,0,0,0,400000,100');
+
+    const shareLines = HeadlessReport.marketShareToCSV(report).split('\n');
+    expect(shareLines[0]).toBe('Brand,100-120 Amount,100-120 Share %,100-120 LTV<80 Amount,100-120 LTV>=80 Amount,Total,Share %');
+    expect(shareLines[shareLines.length - 1]).toBe('Total,400000,100,200000,200000,400000,100');
+
+    const json = HeadlessReport.toJSON(report, { datasets: ['data/mortgage-data-2025.csv'] });
+    expect(json.filters.dateRange).toEqual(['2025-01-15', '2025-03-15']);
+    expect(json.datasets).toEqual(['data/mortgage-data-2025.csv']);
+    expect(json.premiumBandReport.rows).toHaveLength(3);
+    expect(json.marketShare.premiumBands).toEqual(['100-120']);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * LenderAliases.test.js
+ * Tests for the lender alias table
+ */
+
+import { LenderAliases } from '../../js/data/LenderAliases.js';
+import { DataLoader } from '../../js/data/DataLoader.js';
+import { DataQualityReport } from '../../js/data/DataQualityReport.js';
+
+const table = LenderAliases.normalize({
+  lenders: [
+    { name: 'Nationwide Building Society', aliases: ['Nationwide', 'Nationwide BS'] },
+    { name: 'Bank B' }
+  ]
+});
+
+describe('LenderAliases', () => {
+  test('should resolve aliases ignoring case and spacing', () => {
+    expect(LenderAliases.resolve('nationwide', table)).toBe('Nationwide Building Society');
+    expect(LenderAliases.resolve('  Nationwide   BS ', table)).toBe('Nationwide Building Society');
+    expect(LenderAliases.resolve('BANK B', table)).toBe('Bank B');
+  });
+
+  test('should tidy names without an alias and leave other values alone', () => {
+    expect(LenderAliases.resolve(' Bank  C ', table)).toBe('Bank C');
+    expect(LenderAliases.resolve(null, table)).toBeNull();
+  });
+
+  test('should reject an alias listed for two lenders', () => {
+    expect(() => LenderAliases.normalize({
+      lenders: [{ name: 'Bank A', aliases: ['AB'] }, { name: 'Bank B', aliases: ['ab'] }]
+    })).toThrow('listed for both');
+  });
+
+  test('combineAndProcess should merge raw names and report them', () => {
+    const collector = new DataQualityReport('data/test.csv');
+    const rows = [
+      { DocumentDate: '2025-01-02', BaseLender: 'Nationwide', Loan: 100000 },
+      { DocumentDate: '2025-01-03', BaseLender: 'NATIONWIDE BS', Loan: 100000 },
+      { DocumentDate: '2025-01-04', BaseLender: 'Nationwide', Loan: 100000 },
+      { DocumentDate: '2025-01-05', BaseLender: 'Bank B', Loan: 100000 }
+    ];
+
+    const records = DataLoader.combineAndProcess([rows], { lenderAliases: table, qualityReport: collector });
+    const report = DataQualityReport.merge([collector.summary()]);
+
+    expect(records.map(record => record.BaseLender)).toEqual([
+      'Nationwide Building Society', 'Nationwide Building Society', 'Nationwide Building Society', 'Bank B'
+    ]);
+    expect(DataQualityReport.getLenderMerges(report)).toEqual([
+      { lender: 'Nationwide Building Society', names: [{ name: 'Nationwide', count: 2 }, { name: 'NATIONWIDE BS', count: 1 }] }
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * LenderGroups.test.js
+ * Tests for the lender hierarchy and the brand/group lender level
+ */
+
+import { LenderGroups } from '../../js/data/LenderGroups.js';
+import { DataAggregator } from '../../js/data/DataAggregator.js';
+import { FilterManager } from '../../js/filters/FilterManager.js';
+import { createRecord } from '../helpers/records.js';
+
+const table = LenderGroups.normalize({
+  groups: [
+    { name: 'Lloyds Banking Group', lenders: ['Halifax', 'Lloyds Bank'] }
+  ]
+});
+
+const records = [
+  { BaseLender: 'Halifax', Loan: 100000 },
+  { BaseLender: 'Lloyds Bank', Loan: 200000 },
+  { BaseLender: 'Bank B', Loan: 100000 }
+].map(values => createRecord({ ...values, LenderGroup: LenderGroups.resolve(values.BaseLender, table), PremiumBand: '100-120' }));
+
+describe('LenderGroups', () => {
+  test('should resolve brands to their group ignoring case and spacing', () => {
+    expect(LenderGroups.resolve('Halifax', table)).toBe('Lloyds Banking Group');
+    expect(LenderGroups.resolve(' lloyds  bank', table)).toBe('Lloyds Banking Group');
+  });
+
+  test('should leave lenders in no group as their own group', () => {
+    expect(LenderGroups.resolve('Bank B', table)).toBe('Bank B');
+    expect(LenderGroups.resolve(null, table)).toBeNull();
+  });
+
+  test('should reject a lender listed in two groups', () => {
+    expect(() => LenderGroups.normalize({
+      groups: [{ name: 'Group A', lenders: ['Bank A'] }, { name: 'Group B', lenders: ['bank a'] }]
+    })).toThrow('listed in both');
+    expect(() => LenderGroups.normalize({ lenders: [] })).toThrow('expected a "groups" array');
+  });
+
+  test('calculateMarketShare should roll brands up at group level', () => {
+    const byBrand = DataAggregator.calculateMarketShare(records, ['100-120']);
+    const byGroup = DataAggregator.calculateMarketShare(records, ['100-120'], { lenderLevel: 'group' });
+
+    expect(Object.keys(byBrand.lenderTotals).sort()).toEqual(['Bank B', 'Halifax', 'Lloyds Bank']);
+    expect(Object.keys(byGroup.lenderTotals).sort()).toEqual(['Bank B', 'Lloyds Banking Group']);
+    expect(byGroup.lenderTotals['Lloyds Banking Group'].total).toBe(300000);
+    expect(byGroup.overallTotal).toBe(byBrand.overallTotal);
+  });
+
+  test('groupByMonthAndLender should group by the chosen level', () => {
+    const result = DataAggregator.groupByMonthAndLender(records, ['100-120'], { lenderLevel: 'group' });
+
+    expect(result.data['2025-01'].lenders['Lloyds Banking Group']).toBe(300000);
+    expect(result.data['2025-01'].lenders['Lloyds Banking Group_pct']).toBe(75);
+  });
+
+  test('the lender filter should match names at the chosen level', () => {
+    const byGroup = FilterManager.createRecordPredicate({ lenders: ['Lloyds Banking Group'], lenderLevel: 'group' });
+    const byBrand = FilterManager.createRecordPredicate({ lenders: ['Halifax'], lenderLevel: 'brand' });
+
+    expect(records.filter(byGroup).map(r => r.BaseLender)).toEqual(['Halifax', 'Lloyds Bank']);
+    expect(records.filter(byBrand).map(r => r.BaseLender)).toEqual(['Halifax']);
+  });
+});
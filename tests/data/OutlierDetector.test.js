@@ -0,0 +1,74 @@
+/**
+ * OutlierDetector.test.js
+ * Tests for outlier rules, the per lender-month statistics and the quarantine summary
+ */
+
+import { OutlierDetector } from '../../js/data/OutlierDetector.js';
+import { DataQualityReport } from '../../js/data/DataQualityReport.js';
+import { createRecord } from '../helpers/records.js';
+
+// Twenty ordinary margins spread between 1.0 and 1.38, then one far away
+const marginGroup = () => Array.from({ length: 20 }, (_, i) => createRecord({ GrossMargin: 1 + i * 0.02 }));
+
+describe('OutlierDetector', () => {
+  test('should flag records breaking the threshold rules', () => {
+    const records = [
+      createRecord(),
+      createRecord({ LTV: 105 }),
+      createRecord({ InitialRate: 0 }),
+      createRecord({ Loan: 25000000 }),
+      createRecord({ GrossMargin: -3 })
+    ];
+
+    const flagged = OutlierDetector.detect(records, { method: 'none' });
+
+    expect(flagged.map(entry => entry.reasons)).toEqual([
+      ['ltvAboveMax'], ['initialRateAtOrBelowMin'], ['loanAboveMax'], ['grossMarginOutOfRange']
+    ]);
+    expect(flagged[0].record).toBe(records[1]);
+  });
+
+  test('should skip rules whose threshold is cleared', () => {
+    expect(OutlierDetector.detect([createRecord({ LTV: 105 })], { method: 'none', rules: { maxLtv: null } })).toEqual([]);
+  });
+
+  test('should flag values unusual for their lender and month with MAD and IQR', () => {
+    const records = [...marginGroup(), createRecord({ GrossMargin: 3.5 })];
+
+    expect(OutlierDetector.detect(records, { method: 'mad' }).map(entry => entry.reasons)).toEqual([['mad:GrossMargin']]);
+    expect(OutlierDetector.detect(records, { method: 'iqr' }).map(entry => entry.reasons)).toEqual([['iqr:GrossMargin']]);
+  });
+
+  test('should judge each lender-month on its own and skip small groups', () => {
+    // The same margin is ordinary for Bank B, which has too few records to test
+    const records = [...marginGroup(), createRecord({ BaseLender: 'Bank B', GrossMargin: 3.5 })];
+
+    expect(OutlierDetector.detect(records, { method: 'mad' })).toEqual([]);
+  });
+
+  test('should do nothing when disabled', () => {
+    expect(OutlierDetector.detect([createRecord({ LTV: 105 })], { enabled: false })).toEqual([]);
+  });
+
+  test('should reject invalid settings', () => {
+    expect(() => OutlierDetector.normalizeSettings({ method: 'zscore' })).toThrow('Unknown outlier method');
+    expect(() => OutlierDetector.normalizeSettings({ method: 'mad', threshold: 0 })).toThrow('positive');
+    expect(() => OutlierDetector.normalizeSettings({ fields: ['Product_Name'] })).toThrow('cannot be tested');
+  });
+
+  test('summarize should count flagged and included records by reason, for the quality report', () => {
+    const quarantine = [
+      { record: createRecord({ LTV: 105 }), reasons: ['ltvAboveMax'], included: false },
+      { record: createRecord({ LTV: 110, InitialRate: 0 }), reasons: ['ltvAboveMax', 'initialRateAtOrBelowMin'], included: true }
+    ];
+
+    const summary = OutlierDetector.summarize(quarantine);
+
+    expect(summary).toMatchObject({ flaggedCount: 2, includedCount: 1, flaggedLoanVolume: 400000 });
+    expect(summary.reasons[0]).toEqual({ reason: 'ltvAboveMax', label: 'LTV above maximum', field: 'LTV', count: 2, includedCount: 1 });
+
+    const csv = DataQualityReport.toCSV({ ...DataQualityReport.merge([]), outliers: summary });
+    expect(csv).toContain('outlier,,,quarantined,2');
+    expect(csv).toContain('outlier,,LTV,LTV above maximum,2');
+  });
+});
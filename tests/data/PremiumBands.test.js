@@ -0,0 +1,45 @@
+/**
+ * PremiumBands.test.js
+ * Tests for band settings and bucketing margins into premium bands
+ */
+
+import { PremiumBands } from '../../js/data/PremiumBands.js';
+
+describe('PremiumBands', () => {
+  test('normalizeSettings should fill in defaults and reject invalid settings', () => {
+    expect(PremiumBands.normalizeSettings()).toEqual({ width: 20, origin: 0 });
+    // Origins a whole number of widths apart give the same bands
+    expect(PremiumBands.normalizeSettings({ width: 25, origin: -15 })).toEqual({ width: 25, origin: 10 });
+    expect(() => PremiumBands.normalizeSettings({ width: 15 })).toThrow('Band width must be one of 10, 20, 25, 50');
+    expect(() => PremiumBands.normalizeSettings({ origin: 'low' })).toThrow('Band origin must be a number');
+  });
+
+  test('toBand should put a margin in the band of its basis points', () => {
+    expect(PremiumBands.toBand(1.47)).toBe('140-160');
+    // 1.4% is 140bps, not 139.99999...
+    expect(PremiumBands.toBand(1.4)).toBe('140-160');
+    expect(PremiumBands.toBand(-0.05)).toBe('-20-0');
+    expect(PremiumBands.toBand(null)).toBeNull();
+  });
+
+  test('toBand should follow the width and origin', () => {
+    expect(PremiumBands.toBand(1.47, { width: 25, origin: 0 })).toBe('125-150');
+    expect(PremiumBands.toBand(1.47, { width: 50, origin: 0 })).toBe('100-150');
+    expect(PremiumBands.toBand(1.47, { width: 25, origin: 10 })).toBe('135-160');
+    expect(PremiumBands.toBand(0.05, { width: 25, origin: 10 })).toBe('-15-10');
+  });
+
+  test('assign should band every record, with Unknown when GrossMargin is missing', () => {
+    const records = PremiumBands.assign([{ GrossMargin: 0.61 }, { GrossMargin: '' }, {}], { width: 10, origin: 0 });
+
+    expect(records.map(record => record.PremiumBand)).toEqual(['60-70', 'Unknown', 'Unknown']);
+  });
+
+  test('isVisible should offer bands from -20 up to 540bps', () => {
+    expect(PremiumBands.isVisible('-20-0')).toBe(true);
+    expect(PremiumBands.isVisible('525-550')).toBe(true);
+    expect(PremiumBands.isVisible('540-560')).toBe(false);
+    expect(PremiumBands.isVisible('-40--20')).toBe(false);
+    expect(PremiumBands.isVisible('Unknown')).toBe(false);
+  });
+});
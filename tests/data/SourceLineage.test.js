@@ -0,0 +1,52 @@
+/**
+ * SourceLineage.test.js
+ * Tests for the source file and load batch carried by every record
+ */
+
+import { DataLoader } from '../../js/data/DataLoader.js';
+import { DataAggregator } from '../../js/data/DataAggregator.js';
+import { FilterManager } from '../../js/filters/FilterManager.js';
+import { createDay } from '../../js/utils/dateUtils.js';
+import { createRecord } from '../helpers/records.js';
+
+describe('Source lineage', () => {
+  test('combineAndProcess should tag every record with its source', () => {
+    const rows = [
+      { DocumentDate: '2025-01-02', BaseLender: 'Bank A', Loan: 100000 },
+      { DocumentDate: '2025-01-03', BaseLender: 'Bank B', Loan: 200000 }
+    ];
+
+    const records = DataLoader.combineAndProcess([rows], { source: 'data/2025.csv' });
+
+    expect(records.map(r => r.SourceFile)).toEqual(['data/2025.csv', 'data/2025.csv']);
+  });
+
+  test('summarizeBySource should total each file and batch in load order', () => {
+    const batches = [
+      { id: 1, sources: [{ source: 'data/2024.csv', label: '2024' }, { source: 'data/2025.csv', label: '2025' }] },
+      { id: 2, sources: [{ source: 'extract.csv', label: 'extract.csv' }] }
+    ];
+    const data = [
+      createRecord({ SourceFile: 'data/2025.csv', LoadBatch: 1, Loan: 100000, DocumentDate: createDay(2025, 1, 10) }),
+      createRecord({ SourceFile: 'extract.csv', LoadBatch: 2, Loan: 50000, DocumentDate: createDay(2025, 1, 20) }),
+      createRecord({ SourceFile: 'data/2025.csv', LoadBatch: 1, Loan: 200000, DocumentDate: createDay(2025, 1, 5) })
+    ];
+
+    const summary = DataAggregator.summarizeBySource(data, batches);
+
+    expect(summary.map(s => [s.label, s.batch, s.recordCount, s.loanAmount])).toEqual([
+      ['2024', 1, 0, 0],
+      ['2025', 1, 2, 300000],
+      ['extract.csv', 2, 1, 50000]
+    ]);
+    expect(summary[1].firstDate).toEqual(createDay(2025, 1, 5));
+    expect(summary[1].lastDate).toEqual(createDay(2025, 1, 10));
+  });
+
+  test('the source filter should keep only the selected files', () => {
+    const data = [createRecord({ SourceFile: 'a.csv', LoadBatch: 1 }), createRecord({ SourceFile: 'b.csv', LoadBatch: 1 })];
+
+    expect(data.filter(FilterManager.createRecordPredicate({ sources: ['b.csv'] })).map(r => r.SourceFile)).toEqual(['b.csv']);
+    expect(FilterManager.getActiveFilters({ sources: ['all_sources'] }).has('sources')).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * SwapCurve.test.js
+ * Tests for reading a swap curve, joining records to it and the curve derived fields
+ */
+
+import { SwapCurve } from '../../js/data/SwapCurve.js';
+import { DerivedFields } from '../../js/data/DerivedFields.js';
+import { DataAggregator } from '../../js/data/DataAggregator.js';
+import { createDay } from '../../js/utils/dateUtils.js';
+import { createRecord } from '../helpers/records.js';
+
+// Thursday 2 to Friday 10 January 2025, without the weekend
+const curve = SwapCurve.normalize([
+  { Date: '10/01/2025', '1Y': '4.60', '2Y': '4.30', '5Y': '4.00', Notes: '' },
+  { Date: '02/01/2025', '1Y': '4.50', '2Y': '4.20', '5Y': '3.90', Notes: '' },
+  { Date: '03/01/2025', '1Y': '4.52', '2Y': '4.22', '5Y': '3.92', Notes: 'thin trading' },
+  { Date: '06/01/2025', '1Y': '4.55', '2Y': '4.25', '5Y': '3.95', Notes: '' },
+  { Date: '07/01/2025', '1Y': '4.56', '2Y': '', '5Y': '3.96', Notes: '' },
+  { Date: '08/01/2025', '1Y': '4.57', '2Y': '4.27', '5Y': '3.97', Notes: '' },
+  { Date: '09/01/2025', '1Y': '4.58', '2Y': '4.28', '5Y': '3.98', Notes: '' }
+], { source: 'swap-curve.csv' });
+
+// A two-year fix on the last day of the curve, priced 1% over its 2Y rate
+const twoYearFix = {
+  DocumentDate: createDay(2025, 1, 10),
+  Term: 24,
+  InitialRate: 5.3,
+  SwapRate: 4.3,
+  GrossMargin: 1.0,
+  PremiumBand: '100-120'
+};
+
+describe('SwapCurve', () => {
+  test('normalize should read tenor columns and sort the days', () => {
+    expect(curve.tenors).toEqual([12, 24, 60]);
+    expect(curve.days[0]).toBe(createDay(2025, 1, 2).getTime());
+    expect(curve.rates[curve.days.length - 1]).toEqual([4.6, 4.3, 4.0]);
+    expect(SwapCurve.parseTenor('18M')).toBe(18);
+    expect(() => SwapCurve.normalize([{ Day: '2025-01-02', '1Y': '4.5' }])).toThrow('"Date" column');
+    expect(() => SwapCurve.normalize([{ Date: '2025-01-02', Rate: '4.5' }])).toThrow('tenor columns');
+  });
+
+  test('rateFor should join by date and interpolate the tie-in period', () => {
+    expect(SwapCurve.rateFor(curve, createRecord(twoYearFix))).toBe(4.3);
+    // Three years is a third of the way from 2Y to 5Y
+    expect(SwapCurve.rateFor(curve, createRecord({ ...twoYearFix, Term: 36 }))).toBeCloseTo(4.2);
+    // A missing tenor rate gives no interpolated rate, and the curve is not extrapolated
+    expect(SwapCurve.rateFor(curve, createRecord({ ...twoYearFix, DocumentDate: createDay(2025, 1, 7), Term: 36 }))).toBeNull();
+    expect(SwapCurve.rateFor(curve, createRecord({ ...twoYearFix, Term: 6 }))).toBeNull();
+  });
+
+  test('days without an observation should take the latest one before them, up to a week old', () => {
+    // Sunday 5 January uses Friday 3 January
+    expect(SwapCurve.rateFor(curve, createRecord({ ...twoYearFix, DocumentDate: createDay(2025, 1, 5) }))).toBe(4.22);
+    expect(SwapCurve.rateFor(curve, createRecord({ ...twoYearFix, DocumentDate: createDay(2025, 1, 17) }))).toBe(4.3);
+    expect(SwapCurve.rateFor(curve, createRecord({ ...twoYearFix, DocumentDate: createDay(2025, 1, 18) }))).toBeNull();
+    expect(SwapCurve.rateFor(curve, createRecord({ ...twoYearFix, DocumentDate: createDay(2025, 1, 1) }))).toBeNull();
+  });
+
+  test('the lag should count back business days', () => {
+    // T-5 from Friday 10 January is Friday 3 January; T-3 from Monday 6 January is Wednesday 1 January
+    expect(SwapCurve.subtractBusinessDays(createDay(2025, 1, 10), 5)).toEqual(createDay(2025, 1, 3));
+    expect(SwapCurve.subtractBusinessDays(createDay(2025, 1, 6), 3)).toEqual(createDay(2025, 1, 1));
+    expect(SwapCurve.rateFor(curve, createRecord(twoYearFix), { lagDays: 5 })).toBe(4.22);
+    expect(() => SwapCurve.normalizeSettings({ lagDays: 2.5 })).toThrow('whole number of business days');
+  });
+
+  test('curve derived fields should recompute the margin and compare the supplied SwapRate', () => {
+    const data = DerivedFields.apply([
+      createRecord(twoYearFix),
+      createRecord({ ...twoYearFix, SwapRate: 4.27, Loan: 100000 }),
+      createRecord({ ...twoYearFix, Term: 120 })
+    ], { swapCurve: curve, swapCurveSettings: { lagDays: 0 } });
+
+    expect(data[0].CurveSwapRate).toBe(4.3);
+    expect(data[0].CurveMargin).toBeCloseTo(1.0);
+    expect(data[0].CurveMarginBand).toBe('100-120');
+    expect(data[1].SwapRateDifference).toBeCloseTo(-3);
+    expect(data[2].CurveSwapRate).toBeNull();
+    expect(data[2].CurveMargin).toBeNull();
+
+    const comparison = SwapCurve.compare(data);
+    expect(comparison).toMatchObject({ recordCount: 3, joinedCount: 2, comparedCount: 2, agreeingCount: 1 });
+    expect(comparison.meanDifferenceBps).toBeCloseTo(-1.5);
+    expect(comparison.maxAbsoluteDifferenceBps).toBeCloseTo(3);
+
+    const averages = DataAggregator.calculateWeightedAverages(data, { metrics: ['margin'], basis: 'curve' });
+    expect(averages.premiumBands).toEqual(['100-120']);
+  });
+
+  test('curve columns should be empty without a curve', () => {
+    const [derived] = DerivedFields.apply([createRecord(twoYearFix)]);
+
+    expect(derived.CurveSwapRate).toBeNull();
+    expect(derived.CurveMarginBand).toBeNull();
+    expect(derived.SwapRateDifference).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * records.js
+ * Shared record builder for the data tests
+ */
+
+import { createDay } from '../../js/utils/dateUtils.js';
+
+/**
+ * Build a loaded record: a £200,000 loan from Bank A on 15 January 2025 at 75% LTV, priced at 4.5%
+ * over a 3.75% swap rate, so a 0.75% gross margin in the 60-80 band
+ * @param {Object} values - Columns to set, over the defaults
+ * @returns {Object} Record
+ */
+export function createRecord(values = {}) {
+  return {
+    DocumentDate: createDay(2025, 1, 15),
+    BaseLender: 'Bank A',
+    Loan: 200000,
+    LTV: 75,
+    InitialRate: 4.5,
+    SwapRate: 3.75,
+    GrossMargin: 0.75,
+    PremiumBand: '60-80',
+    ...values
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * dateUtils.test.js
+ * Tests for the DocumentDate parsing policy
+ */
+
+import {
+  createDay,
+  detectDateFormat,
+  formatPeriodLabel,
+  getPeriodsInRange,
+  parseDate,
+  parsePeriodKey,
+  toDayKey,
+  toMonthKey,
+  toPeriodKey
+} from '../../js/utils/dateUtils.js';
+
+describe('dateUtils', () => {
+  describe('parseDate', () => {
+    test('should read ISO dates as the day written, ignoring any time part', () => {
+      expect(toDayKey(parseDate('2025-01-31'))).toBe('2025-01-31');
+      expect(toDayKey(parseDate('2025-01-31T23:30:00+05:00'))).toBe('2025-01-31');
+      expect(parseDate('2025-01-31').getTime()).toBe(Date.UTC(2025, 0, 31));
+    });
+
+    test('should read numeric dates with the given format', () => {
+      expect(toDayKey(parseDate('03/04/2025', 'DD/MM/YYYY'))).toBe('2025-04-03');
+      expect(toDayKey(parseDate('03/04/2025', 'MM/DD/YYYY'))).toBe('2025-03-04');
+      expect(toDayKey(parseDate('03.04.25', 'DD/MM/YYYY'))).toBe('2025-04-03');
+    });
+
+    test('should settle unambiguous values without a format and assume day-first otherwise', () => {
+      expect(toDayKey(parseDate('31/01/2025'))).toBe('2025-01-31');
+      expect(toDayKey(parseDate('01/31/2025'))).toBe('2025-01-31');
+      expect(toDayKey(parseDate('03/04/2025'))).toBe('2025-04-03');
+    });
+
+    test('should read named months and existing dates', () => {
+      expect(toDayKey(parseDate('1 Mar 2024'))).toBe('2024-03-01');
+      expect(toDayKey(parseDate(createDay(2024, 2, 29)))).toBe('2024-02-29');
+    });
+
+    test('should return null for values that are not dates', () => {
+      expect(parseDate('')).toBeNull();
+      expect(parseDate(null)).toBeNull();
+      expect(parseDate('not a date')).toBeNull();
+      expect(parseDate('31/02/2025', 'DD/MM/YYYY')).toBeNull();
+      expect(parseDate('13/13/2025')).toBeNull();
+    });
+  });
+
+  describe('detectDateFormat', () => {
+    test('should detect the format from any deciding value', () => {
+      expect(detectDateFormat(['01/02/2025', '13/02/2025'])).toMatchObject({ format: 'DD/MM/YYYY', ambiguous: false, conflicting: false });
+      expect(detectDateFormat(['01/02/2025', '02/13/2025'])).toMatchObject({ format: 'MM/DD/YYYY', ambiguous: false, conflicting: false });
+      expect(detectDateFormat(['2025-02-01'])).toMatchObject({ format: 'YYYY-MM-DD', ambiguous: false });
+    });
+
+    test('should flag columns that cannot be decided', () => {
+      expect(detectDateFormat(['01/02/2025', '03/04/2025'])).toMatchObject({ format: 'DD/MM/YYYY', ambiguous: true });
+      expect(detectDateFormat(['13/02/2025', '02/13/2025'])).toMatchObject({ format: 'DD/MM/YYYY', conflicting: true });
+    });
+  });
+
+  test('toMonthKey should use the calendar month of the day', () => {
+    expect(toMonthKey(parseDate('2025-01-31'))).toBe('2025-01');
+    expect(toMonthKey(parseDate('2025-12-01'))).toBe('2025-12');
+    expect(toMonthKey(null)).toBe('');
+  });
+
+  describe('time grains', () => {
+    test('toPeriodKey should bucket a day by each grain', () => {
+      // Sunday 30 March 2025, the last day of Q1 and of FY 2024/25
+      const day = createDay(2025, 3, 30);
+      expect(toPeriodKey(day, 'week')).toBe('2025-03-24');
+      expect(toPeriodKey(day, 'month')).toBe('2025-03');
+      expect(toPeriodKey(day, 'quarter')).toBe('2025-Q1');
+      expect(toPeriodKey(day, 'year')).toBe('2025');
+      expect(toPeriodKey(day, 'financialYear')).toBe('FY2024-25');
+      expect(toPeriodKey(createDay(2025, 4, 1), 'financialYear')).toBe('FY2025-26');
+      expect(toPeriodKey(createDay(2025, 3, 31), 'week')).toBe('2025-03-31');
+      expect(toPeriodKey(null, 'quarter')).toBe('');
+      expect(() => toPeriodKey(day, 'fortnight')).toThrow('Unknown time grain');
+    });
+
+    test('getPeriodsInRange should list every period the range touches, across year ends', () => {
+      expect(getPeriodsInRange('2024-12-30', '2025-01-13', 'week')).toEqual(['2024-12-30', '2025-01-06', '2025-01-13']);
+      expect(getPeriodsInRange('2024-11-15', '2025-02-01')).toEqual(['2024-11', '2024-12', '2025-01', '2025-02']);
+      expect(getPeriodsInRange('2024-11-15', '2025-04-01', 'quarter')).toEqual(['2024-Q4', '2025-Q1', '2025-Q2']);
+      expect(getPeriodsInRange('2024-03-31', '2025-04-01', 'financialYear')).toEqual(['FY2023-24', 'FY2024-25', 'FY2025-26']);
+      expect(getPeriodsInRange(null, '2025-04-01', 'year')).toEqual([]);
+    });
+
+    test('should read period keys back and label them', () => {
+      expect(parsePeriodKey('2025-Q2', 'quarter')).toEqual(createDay(2025, 4, 1));
+      expect(parsePeriodKey('FY2024-25', 'financialYear')).toEqual(createDay(2024, 4, 1));
+      expect(parsePeriodKey('2025-Q2', 'month')).toBeNull();
+      expect(formatPeriodLabel('2025-01')).toBe('Jan 25');
+      expect(formatPeriodLabel('2025-01-06', 'week')).toBe('w/c 06 Jan 25');
+      expect(formatPeriodLabel('2025-Q1', 'quarter')).toBe('Q1 2025');
+      expect(formatPeriodLabel('FY2024-25', 'financialYear')).toBe('FY 2024/25');
+    });
+  });
+});